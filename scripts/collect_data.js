@@ -112,8 +112,7 @@ data.files = {
   instanceRegistryJs: countLines('src/main/instance-registry.js'),
   persistenceJs: countLines('src/main/persistence.js'),
   win32Js: countLines('src/main/win32.js'),
-  foregroundMonitorJs: countLines('src/main/foreground-monitor.js'),
-  resizeMonitorJs: countLines('src/main/resize-monitor.js'),
+  winEventHubJs: countLines('src/main/win-event-hub.js'),
   preloadJs: countLines('src/main/preload.js'),
 };
 data.files.totalSrc = Object.values(data.files).reduce((a, b) => a + b, 0);
@@ -0,0 +1,159 @@
+'use strict';
+
+const {
+  api,
+  koffi,
+  APPBARDATA,
+  ABM_NEW,
+  ABM_REMOVE,
+  ABM_QUERYPOS,
+  ABM_SETPOS,
+  ABM_ACTIVATE,
+  ABM_WINDOWPOSCHANGED,
+  ABM_SETAUTOHIDEBAREX,
+  ABE_LEFT,
+  ABE_TOP,
+  ABE_RIGHT,
+  ABE_BOTTOM,
+  WM_APP,
+} = require('./win32');
+const { edgeStrip } = require('./dock-edge');
+
+// Message the shell sends the registered window for AppBar notifications (ABN_* in wParam)
+const APP_BAR_CALLBACK_MESSAGE = WM_APP + 1;
+
+const ABE_BY_EDGE = { left: ABE_LEFT, top: ABE_TOP, right: ABE_RIGHT, bottom: ABE_BOTTOM };
+
+function toRECT(rect) {
+  return { left: rect.x, top: rect.y, right: rect.x + rect.width, bottom: rect.y + rect.height };
+}
+
+function fromRECT(rc) {
+  return { x: rc.left, y: rc.top, width: rc.right - rc.left, height: rc.bottom - rc.top };
+}
+
+/**
+ * Registers a window with the shell as an AppBar (SHAppBarMessage), so that
+ * like the taskbar it either reserves its edge of the work area — maximized
+ * windows then stop at it — or is the auto-hide bar of that edge.
+ *
+ * Rects are in physical screen pixels. The shell only bookkeeps: moving the
+ * window into the granted rect, and showing or hiding an auto-hide bar, is
+ * up to the caller.
+ */
+class AppBar {
+  /**
+   * @param {number} hwnd - Window to register
+   */
+  constructor(hwnd) {
+    this.hwnd = hwnd;
+    this.registered = false;
+    this.reserved = false; // holds space in the work area (ABM_SETPOS)
+    this._autoHide = null; // { uEdge, rc } of the edge this is the auto-hide bar of
+  }
+
+  /**
+   * Send one AppBar message for this window.
+   * @returns {{result: number, data: Object}} the call's result (0 on failure) and the APPBARDATA it filled in
+   */
+  _message(message, fields = {}) {
+    const data = {
+      cbSize: koffi.sizeof(APPBARDATA),
+      hWnd: this.hwnd,
+      uCallbackMessage: 0,
+      uEdge: 0,
+      rc: { left: 0, top: 0, right: 0, bottom: 0 },
+      lParam: 0,
+      ...fields,
+    };
+    try {
+      return { result: Number(api.SHAppBarMessage(message, data)), data };
+    } catch (e) {
+      console.error(`[AppBar] SHAppBarMessage(${message}) failed:`, e);
+      return { result: 0, data };
+    }
+  }
+
+  /**
+   * Register the window (ABM_NEW); the shell then sends it APP_BAR_CALLBACK_MESSAGE.
+   * @returns {boolean} false if the shell refused
+   */
+  register() {
+    if (this.registered) return true;
+    this.registered = this._message(ABM_NEW, { uCallbackMessage: APP_BAR_CALLBACK_MESSAGE }).result !== 0;
+    return this.registered;
+  }
+
+  /**
+   * Reserve a `thickness` px strip along `edge` of a monitor. The shell moves
+   * the strip inward past other AppBars on that edge (e.g. the taskbar).
+   * @param {string} edge - One of DOCK_EDGES
+   * @param {{x: number, y: number, width: number, height: number}} monitor - Monitor bounds
+   * @param {number} thickness
+   * @returns {{x: number, y: number, width: number, height: number}|null} the rect granted, or null when not registered
+   */
+  reserve(edge, monitor, thickness) {
+    if (!this.registered) return null;
+    this._clearAutoHide();
+    const uEdge = ABE_BY_EDGE[edge];
+    const query = this._message(ABM_QUERYPOS, { uEdge, rc: toRECT(edgeStrip(edge, monitor, thickness)) });
+    // The shell may have shrunk the proposal from the far side too; keep the thickness
+    const fitted = edgeStrip(edge, fromRECT(query.data.rc), thickness);
+    const granted = this._message(ABM_SETPOS, { uEdge, rc: toRECT(fitted) });
+    this.reserved = true;
+    return fromRECT(granted.data.rc);
+  }
+
+  /**
+   * Make this the auto-hide bar of `edge` on a monitor, giving up any reserved space.
+   * @param {string} edge
+   * @param {{x: number, y: number, width: number, height: number}} monitor - Monitor bounds
+   * @returns {boolean} false if the edge already has an auto-hide bar (e.g. an auto-hiding taskbar)
+   */
+  autoHide(edge, monitor) {
+    if (!this.registered) return false;
+    if (this.reserved) {
+      // Re-registering is the only way to hand reserved space back
+      this.unregister();
+      if (!this.register()) return false;
+    }
+    this._clearAutoHide();
+    const autoHide = { uEdge: ABE_BY_EDGE[edge], rc: toRECT(monitor) };
+    if (this._message(ABM_SETAUTOHIDEBAREX, { ...autoHide, lParam: 1 }).result === 0) return false;
+    this._autoHide = autoHide;
+    return true;
+  }
+
+  _clearAutoHide() {
+    if (!this._autoHide) return;
+    this._message(ABM_SETAUTOHIDEBAREX, { ...this._autoHide, lParam: 0 });
+    this._autoHide = null;
+  }
+
+  /**
+   * Tell the shell the window was activated (required of AppBars on WM_ACTIVATE).
+   */
+  activate() {
+    if (this.registered) this._message(ABM_ACTIVATE);
+  }
+
+  /**
+   * Tell the shell the window moved or resized (required of AppBars on WM_WINDOWPOSCHANGED).
+   */
+  windowPosChanged() {
+    if (this.registered) this._message(ABM_WINDOWPOSCHANGED);
+  }
+
+  /**
+   * Remove the AppBar, handing its edge back to the work area. Safe to call more than once.
+   */
+  unregister() {
+    if (!this.registered) return;
+    this._clearAutoHide();
+    this._message(ABM_REMOVE);
+    this.registered = false;
+    this.reserved = false;
+  }
+}
+
+module.exports = { AppBar, APP_BAR_CALLBACK_MESSAGE };
@@ -0,0 +1,101 @@
+'use strict';
+
+// Icons are ~1 KB data URLs; a few hundred distinct executables is plenty
+const MAX_CACHED_ICONS = 300;
+
+/**
+ * Per-executable icon cache. Icons are extracted asynchronously (Electron's
+ * app.getFileIcon) and handed to the renderer as data URLs on window entries.
+ */
+class AppIconCache {
+  /**
+   * @param {Function} loadIcon - (exePath) => Promise<string|null> resolving to a data URL
+   * @param {Function} [onLoaded] - Called (coalesced) after icons requested by withIcons() arrive
+   */
+  constructor(loadIcon, onLoaded = null) {
+    this._loadIcon = loadIcon;
+    this._onLoaded = onLoaded;
+    this._icons = new Map(); // lower-cased exe path → data URL | null (no icon)
+    this._inFlight = new Map(); // lower-cased exe path → Promise
+    this._notifyTimer = null;
+  }
+
+  /**
+   * Cached icon for an executable, or null when not (yet) known.
+   * @param {string} exePath
+   * @returns {string|null}
+   */
+  get(exePath) {
+    if (!exePath) return null;
+    return this._icons.get(exePath.toLowerCase()) || null;
+  }
+
+  _fetch(exePath) {
+    const key = exePath.toLowerCase();
+    if (this._icons.has(key)) return Promise.resolve(false);
+    if (this._inFlight.has(key)) return this._inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(() => this._loadIcon(exePath))
+      .catch((e) => {
+        console.warn('[Icons] Failed to load icon for', exePath + ':', e.message);
+        return null;
+      })
+      .then((icon) => {
+        this._inFlight.delete(key);
+        if (this._icons.size >= MAX_CACHED_ICONS) this._icons.clear();
+        this._icons.set(key, typeof icon === 'string' && icon ? icon : null);
+        return true;
+      });
+    this._inFlight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * Load the icons of several executables and wait for them.
+   * @param {string[]} exePaths
+   * @returns {Promise<void>}
+   */
+  async load(exePaths) {
+    const unique = [...new Set(exePaths.filter(Boolean))];
+    await Promise.all(unique.map((exePath) => this._fetch(exePath)));
+  }
+
+  /**
+   * Copy window entries with their cached `icon`. Icons not loaded yet are
+   * fetched in the background and onLoaded fires once they arrive.
+   * @param {Object[]} windows - Entries carrying exePath
+   * @returns {Object[]}
+   */
+  withIcons(windows) {
+    const missing = windows.filter((w) => w.exePath && !this._icons.has(w.exePath.toLowerCase()));
+    if (missing.length > 0 && this._onLoaded) {
+      this.load(missing.map((w) => w.exePath)).then(() => this._scheduleNotify());
+    }
+    return windows.map((w) => ({ ...w, icon: this.get(w.exePath) }));
+  }
+
+  _scheduleNotify() {
+    if (this._notifyTimer) return;
+    this._notifyTimer = setTimeout(() => {
+      this._notifyTimer = null;
+      try {
+        this._onLoaded();
+      } catch (e) {
+        console.error('[Icons] onLoaded handler error:', e);
+      }
+    }, 50);
+  }
+
+  /**
+   * Cancel a pending onLoaded notification (e.g. on app quit).
+   */
+  dispose() {
+    if (this._notifyTimer) {
+      clearTimeout(this._notifyTimer);
+      this._notifyTimer = null;
+    }
+  }
+}
+
+module.exports = { AppIconCache };
@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+
+const DEFAULT_BACKUPS = 3;
+
+/**
+ * Crash-safe file writes. The new contents go to a temp file next to the
+ * target, are flushed to disk (fsync) and then renamed over the target, so
+ * the target is always either the old or the new file, never a truncated one.
+ * Before the rename the current file is copied to <file>.bak1, older backups
+ * moving up to <file>.bak<backups>.
+ *
+ * Readers pass a parse function that throws on contents it cannot use; the
+ * file is tried first, then its backups from newest to oldest.
+ */
+
+/**
+ * @param {string} filePath
+ * @param {number} n - 1 is the newest
+ * @returns {string}
+ */
+function backupPath(filePath, n) {
+  return `${filePath}.bak${n}`;
+}
+
+function tempPath(filePath) {
+  return `${filePath}.${process.pid}.tmp`;
+}
+
+function ignoreMissing(e) {
+  if (e.code !== 'ENOENT') throw e;
+}
+
+/**
+ * Write `contents` to `filePath` atomically, keeping the previous versions as backups.
+ * @param {string} filePath
+ * @param {string} contents
+ * @param {{backups?: number}} [options] - backups: how many previous versions to keep (default 3, 0 for none)
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, contents, options = {}) {
+  const backups = options.backups ?? DEFAULT_BACKUPS;
+  const tmpPath = tempPath(filePath);
+  try {
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(contents, 'utf-8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    if (backups > 0) {
+      for (let n = backups - 1; n >= 1; n--) {
+        await fs.promises.rename(backupPath(filePath, n), backupPath(filePath, n + 1)).catch(ignoreMissing);
+      }
+      await fs.promises.copyFile(filePath, backupPath(filePath, 1)).catch(ignoreMissing);
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (e) {
+    await fs.promises.unlink(tmpPath).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Synchronous writeFileAtomic, for quit handlers.
+ * @param {string} filePath
+ * @param {string} contents
+ * @param {{backups?: number}} [options]
+ */
+function writeFileAtomicSync(filePath, contents, options = {}) {
+  const backups = options.backups ?? DEFAULT_BACKUPS;
+  const tmpPath = tempPath(filePath);
+  try {
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeFileSync(fd, contents, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (backups > 0) {
+      for (let n = backups - 1; n >= 1; n--) {
+        try {
+          fs.renameSync(backupPath(filePath, n), backupPath(filePath, n + 1));
+        } catch (e) {
+          ignoreMissing(e);
+        }
+      }
+      try {
+        fs.copyFileSync(filePath, backupPath(filePath, 1));
+      } catch (e) {
+        ignoreMissing(e);
+      }
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (e) {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch {
+      // never created, or already renamed
+    }
+    throw e;
+  }
+}
+
+function candidates(filePath, backups) {
+  const paths = [filePath];
+  for (let n = 1; n <= backups; n++) paths.push(backupPath(filePath, n));
+  return paths;
+}
+
+function logFallback(filePath, file) {
+  if (file !== filePath) console.warn(`[AtomicFile] ${filePath} is missing or invalid, using backup ${file}`);
+}
+
+/**
+ * Read a file written by writeFileAtomic, falling back to the newest backup `parse` accepts.
+ * @param {string} filePath
+ * @param {(raw: string) => *} parse - Returns the value read; throws if the contents are unusable
+ * @param {{backups?: number}} [options] - How many backups to look at (default 3)
+ * @returns {Promise<{value: *, file: string}|null>} null when neither the file nor a backup is usable
+ */
+async function readFileWithBackups(filePath, parse, options = {}) {
+  for (const file of candidates(filePath, options.backups ?? DEFAULT_BACKUPS)) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(file, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[AtomicFile] Cannot read ${file}:`, e.message);
+      continue;
+    }
+    try {
+      const value = parse(raw);
+      logFallback(filePath, file);
+      return { value, file };
+    } catch (e) {
+      console.warn(`[AtomicFile] Ignoring invalid ${file}:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Synchronous readFileWithBackups.
+ * @param {string} filePath
+ * @param {(raw: string) => *} parse
+ * @param {{backups?: number}} [options]
+ * @returns {{value: *, file: string}|null}
+ */
+function readFileWithBackupsSync(filePath, parse, options = {}) {
+  for (const file of candidates(filePath, options.backups ?? DEFAULT_BACKUPS)) {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf-8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[AtomicFile] Cannot read ${file}:`, e.message);
+      continue;
+    }
+    try {
+      const value = parse(raw);
+      logFallback(filePath, file);
+      return { value, file };
+    } catch (e) {
+      console.warn(`[AtomicFile] Ignoring invalid ${file}:`, e.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Delete a file together with its backups and temp file.
+ * @param {string} filePath
+ * @param {{backups?: number}} [options]
+ * @returns {boolean} true if the file itself existed
+ */
+function removeWithBackups(filePath, options = {}) {
+  let existed = false;
+  for (const file of [...candidates(filePath, options.backups ?? DEFAULT_BACKUPS), tempPath(filePath)]) {
+    try {
+      fs.unlinkSync(file);
+      if (file === filePath) existed = true;
+    } catch (e) {
+      ignoreMissing(e);
+    }
+  }
+  return existed;
+}
+
+module.exports = {
+  DEFAULT_BACKUPS,
+  backupPath,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  readFileWithBackups,
+  readFileWithBackupsSync,
+  removeWithBackups,
+};
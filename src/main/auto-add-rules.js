@@ -0,0 +1,140 @@
+'use strict';
+
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_RULES = 50;
+const MAX_FIELD_LENGTH = 300;
+const RULE_POSITIONS = ['top', 'bottom'];
+
+/**
+ * Validate and normalize the matcher fields shared by every window rule
+ * (auto-add here, exclusions in exclusion-rules.js).
+ *
+ * Matcher shape:
+ *   { id, name, enabled, title, process, className }
+ * - title: regular expression tested against the window title (case-insensitive)
+ * - process: executable name ("slack.exe", ".exe" optional) or full path
+ * - className: exact window class
+ * Every non-empty matcher must match; at least one is required.
+ *
+ * @param {Object} rule
+ * @returns {Object} normalized matcher
+ * @throws {Error} with a user-facing message when the rule is invalid
+ */
+function normalizeMatcher(rule) {
+  if (!rule || typeof rule !== 'object') throw new Error('Rule must be an object');
+  const text = (value, field) => {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') throw new Error(`Rule ${field} must be a string`);
+    if (value.length > MAX_FIELD_LENGTH) throw new Error(`Rule ${field} is too long`);
+    return value.trim();
+  };
+
+  const normalized = {
+    id: typeof rule.id === 'string' && rule.id ? rule.id.slice(0, 64) : crypto.randomUUID(),
+    name: text(rule.name, 'name'),
+    enabled: rule.enabled !== false,
+    title: text(rule.title, 'title'),
+    process: text(rule.process, 'process'),
+    className: text(rule.className, 'class'),
+  };
+  if (!normalized.title && !normalized.process && !normalized.className) {
+    throw new Error(`Rule "${normalized.name || 'unnamed'}" needs a title, process or class to match`);
+  }
+  if (normalized.title) {
+    try {
+      new RegExp(normalized.title, 'i');
+    } catch (e) {
+      throw new Error(`Rule "${normalized.name || 'unnamed'}" has an invalid title pattern: ${e.message}`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Validate and normalize one auto-add rule: a matcher (see normalizeMatcher)
+ * plus `position` — 'top' (front of the stack, becomes active) or 'bottom'.
+ * @param {Object} rule
+ * @returns {Object} normalized rule
+ * @throws {Error} with a user-facing message when the rule is invalid
+ */
+function normalizeRule(rule) {
+  const normalized = normalizeMatcher(rule);
+  normalized.position = RULE_POSITIONS.includes(rule.position) ? rule.position : 'top';
+  return normalized;
+}
+
+/**
+ * Validate a whole rule list (as sent by the renderer).
+ * @param {Object[]} rules
+ * @returns {Object[]} normalized rules
+ * @throws {Error} on the first invalid rule
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be an array');
+  if (rules.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} rules are allowed`);
+  return rules.map(normalizeRule);
+}
+
+/**
+ * Like normalizeRules, but drops invalid entries instead of throwing
+ * (for rules read back from saved state).
+ * @param {*} rules
+ * @returns {Object[]}
+ */
+function sanitizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const result = [];
+  for (const rule of rules.slice(0, MAX_RULES)) {
+    try {
+      result.push(normalizeRule(rule));
+    } catch (e) {
+      console.warn('[AutoAdd] Dropping invalid rule:', e.message);
+    }
+  }
+  return result;
+}
+
+function processMatches(pattern, exePath) {
+  if (!exePath) return false;
+  const wanted = pattern.replace(/\//g, '\\').toLowerCase();
+  const actual = exePath.replace(/\//g, '\\').toLowerCase();
+  if (wanted.includes('\\')) return wanted === actual;
+  const name = path.win32.basename(actual);
+  return name === wanted || name === wanted + '.exe';
+}
+
+/**
+ * Does a window satisfy every matcher of a rule?
+ * @param {Object} rule - Normalized rule
+ * @param {{title: string, exePath?: string, className?: string}} win
+ * @returns {boolean}
+ */
+function ruleMatches(rule, win) {
+  if (!rule.enabled) return false;
+  if (rule.title && !new RegExp(rule.title, 'i').test(win.title || '')) return false;
+  if (rule.process && !processMatches(rule.process, win.exePath)) return false;
+  if (rule.className && rule.className !== win.className) return false;
+  return true;
+}
+
+/**
+ * First enabled rule matching a window, or null.
+ * @param {Object[]} rules
+ * @param {Object} win
+ * @returns {Object|null}
+ */
+function findMatchingRule(rules, win) {
+  return rules.find((rule) => ruleMatches(rule, win)) || null;
+}
+
+module.exports = {
+  normalizeMatcher,
+  normalizeRule,
+  normalizeRules,
+  sanitizeRules,
+  ruleMatches,
+  findMatchingRule,
+  MAX_RULES,
+};
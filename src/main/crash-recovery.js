@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { migrate } = require('./persistence-schema');
+const { readFileWithBackupsSync, removeWithBackups } = require('./atomic-file');
+
+const ORPHAN_FILE_RE = /^window-group-(.+)\.json$/;
+
+/**
+ * Stacks listed in a persistence file (of any version) that hold windows.
+ * @param {Object} data
+ * @returns {Array<{stackName: string, windows: Object[]}>}
+ * @throws {Error} if `data` is not a persistence file this version can read
+ */
+function savedStacks(data) {
+  return migrate(data).stacks.filter((stack) => stack.windows.length > 0);
+}
+
+/**
+ * Put back the windows of instances that crashed, then delete their files.
+ *
+ * A crashed instance never runs restoreAll(), so its windows stay squeezed
+ * into strips. Its window-group-<id>.json still holds every window's
+ * originalRect; each entry is handed to `restoreWindow`, which decides
+ * whether the window still exists and is safe to move.
+ *
+ * @param {string} userDataPath - Directory holding the per-instance files
+ * @param {Set<string>} liveInstanceIds - Instances still in the registry (their files are left alone)
+ * @param {Function} restoreWindow - (entry) => boolean, true when the window was moved back
+ * @returns {Array<{instanceId: string, stackName: string, restored: string[], missing: number}>}
+ *   one result per stack with windows in an orphaned file
+ */
+function recoverOrphanedStacks(userDataPath, liveInstanceIds, restoreWindow) {
+  const results = [];
+  let files;
+  try {
+    files = fs.readdirSync(userDataPath);
+  } catch (e) {
+    console.error('[Recovery] Failed to list user data:', e);
+    return results;
+  }
+
+  for (const file of files) {
+    const match = file.match(ORPHAN_FILE_RE);
+    if (!match || liveInstanceIds.has(match[1])) continue;
+    const filePath = path.join(userDataPath, file);
+
+    try {
+      // A file left unreadable by the crash falls back to its newest valid backup
+      const read = readFileWithBackupsSync(filePath, (raw) => savedStacks(JSON.parse(raw)));
+      if (!read) throw new Error('neither the file nor a backup is readable');
+      for (const stack of read.value) {
+        const result = {
+          instanceId: match[1],
+          stackName: stack.stackName,
+          restored: [],
+          missing: 0,
+        };
+        for (const entry of stack.windows) {
+          let ok = false;
+          try {
+            ok = restoreWindow(entry);
+          } catch (e) {
+            console.error('[Recovery] Failed to restore window:', e);
+          }
+          if (ok) {
+            result.restored.push((entry.customTitle || entry.title || 'Untitled').slice(0, 200));
+          } else {
+            result.missing++;
+          }
+        }
+        console.log(
+          `[Recovery] ${file} "${result.stackName}": restored ${result.restored.length} window(s), ` +
+            `${result.missing} no longer exist`
+        );
+        results.push(result);
+      }
+    } catch (e) {
+      console.error('[Recovery] Failed to read orphaned file ' + file + ':', e);
+    }
+
+    try {
+      removeWithBackups(filePath);
+      console.log('Cleaned up orphaned persistence file:', file);
+    } catch (e) {
+      console.error('Failed to clean orphaned file ' + file + ':', e);
+    }
+  }
+  return results;
+}
+
+/**
+ * One-line summary of recoverOrphanedStacks for the user, or null when no
+ * window was moved back.
+ * @param {ReturnType<typeof recoverOrphanedStacks>} results
+ * @returns {string|null}
+ */
+function formatRecoveryNotice(results) {
+  const recovered = results.filter((r) => r.restored.length > 0);
+  if (recovered.length === 0) return null;
+  const count = recovered.reduce((n, r) => n + r.restored.length, 0);
+  const names = recovered.map((r) => `"${r.stackName}"`).join(', ');
+  return (
+    `Stack Windows closed unexpectedly last time. Restored ${count} window${count === 1 ? '' : 's'} ` +
+    `from ${names} to ${count === 1 ? 'its' : 'their'} original position${count === 1 ? '' : 's'}.`
+  );
+}
+
+module.exports = { recoverOrphanedStacks, formatRecoveryNotice };
@@ -0,0 +1,105 @@
+'use strict';
+
+// Stack settings that depend on the monitors attached
+const PROFILE_FIELDS = ['stackGap', 'topOffset', 'customWidth', 'customHeight'];
+
+// Display configurations remembered per stack (oldest dropped first)
+const MAX_DISPLAY_PROFILES = 8;
+
+// How much of the controller's title bar must be on a work area to count as reachable
+const MIN_VISIBLE_WIDTH = 100;
+const TITLE_BAR_HEIGHT = 30;
+
+/**
+ * Per-display-configuration stack settings. Docking and undocking a laptop
+ * switches between display configurations; each stack keeps its region
+ * settings (gap, top offset, custom size) per configuration so the right
+ * ones come back when a configuration returns.
+ */
+
+/**
+ * Identify a set of attached displays by their bounds, ignoring order.
+ * Work areas are left out: moving the taskbar is not a new configuration.
+ * @param {Array<{bounds: {x: number, y: number, width: number, height: number}}>} displays
+ * @returns {string}
+ */
+function displayConfigKey(displays) {
+  return displays
+    .map(({ bounds: b }) => `${b.x},${b.y},${b.width}x${b.height}`)
+    .sort()
+    .join(';');
+}
+
+/**
+ * The profile fields of a stack.
+ * @param {Object} stack
+ * @returns {{stackGap: number, topOffset: number, customWidth: number|null, customHeight: number|null}}
+ */
+function captureProfile(stack) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) profile[field] = stack[field];
+  return profile;
+}
+
+function validProfile(profile) {
+  if (!profile || typeof profile !== 'object') return false;
+  const pixels = (v) => Number.isInteger(v) && v >= 0 && v <= 10000;
+  const dimension = (v) => v === null || (Number.isInteger(v) && v >= 200 && v <= 10000);
+  return (
+    pixels(profile.stackGap) &&
+    pixels(profile.topOffset) &&
+    dimension(profile.customWidth) &&
+    dimension(profile.customHeight)
+  );
+}
+
+/**
+ * Keep the valid entries of a saved profile map (the newest MAX_DISPLAY_PROFILES).
+ * @param {*} profiles - configuration key → profile
+ * @returns {Object}
+ */
+function sanitizeDisplayProfiles(profiles) {
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) return {};
+  const entries = Object.entries(profiles).filter(
+    ([key, profile]) => key.length > 0 && key.length <= 1000 && validProfile(profile)
+  );
+  const result = {};
+  for (const [key, profile] of entries.slice(-MAX_DISPLAY_PROFILES)) result[key] = captureProfile(profile);
+  return result;
+}
+
+/**
+ * Remember a stack's current profile for a configuration, as the newest entry.
+ * @param {Object} stack - Has `displayProfiles` and the profile fields
+ * @param {string} key - From displayConfigKey
+ */
+function rememberProfile(stack, key) {
+  delete stack.displayProfiles[key];
+  stack.displayProfiles[key] = captureProfile(stack);
+  const keys = Object.keys(stack.displayProfiles);
+  for (const old of keys.slice(0, keys.length - MAX_DISPLAY_PROFILES)) delete stack.displayProfiles[old];
+}
+
+/**
+ * Can the controller still be reached: is enough of its title bar on some work area?
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {Array<{x: number, y: number, width: number, height: number}>} workAreas
+ * @returns {boolean}
+ */
+function isTitleBarVisible(bounds, workAreas) {
+  return workAreas.some((wa) => {
+    const width = Math.min(bounds.x + bounds.width, wa.x + wa.width) - Math.max(bounds.x, wa.x);
+    const height = Math.min(bounds.y + TITLE_BAR_HEIGHT, wa.y + wa.height) - Math.max(bounds.y, wa.y);
+    return width >= Math.min(MIN_VISIBLE_WIDTH, bounds.width) && height > 0;
+  });
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  MAX_DISPLAY_PROFILES,
+  displayConfigKey,
+  captureProfile,
+  sanitizeDisplayProfiles,
+  rememberProfile,
+  isTitleBarVisible,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+// Screen edges the controller can dock to; the stack fills the space on the opposite side
+const DOCK_EDGES = ['left', 'right', 'top', 'bottom'];
+const DEFAULT_DOCK_EDGE = 'left';
+
+// How the docked controller shares its edge: a plain always-on-top window over
+// other apps ('off'), an AppBar reserving the edge like the taskbar ('reserve')
+// or an auto-hide AppBar that slides out when the pointer reaches the edge
+const APP_BAR_MODES = ['off', 'reserve', 'autohide'];
+const DEFAULT_APP_BAR_MODE = 'off';
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isDockEdge(value) {
+  return DOCK_EDGES.includes(value);
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isAppBarMode(value) {
+  return APP_BAR_MODES.includes(value);
+}
+
+/**
+ * Whether the controller spans the top or bottom edge, which turns the stack's
+ * strips sideways (vertical strips along the left of the region).
+ * @param {string} edge
+ * @returns {boolean}
+ */
+function isHorizontalDock(edge) {
+  return edge === 'top' || edge === 'bottom';
+}
+
+/**
+ * The `thickness` px wide strip of `rect` along `edge`: an AppBar's rect on a
+ * monitor, or an auto-hidden controller's sliver.
+ * @param {string} edge
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {number} thickness
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function edgeStrip(edge, rect, thickness) {
+  switch (edge) {
+    case 'right':
+      return { x: rect.x + rect.width - thickness, y: rect.y, width: thickness, height: rect.height };
+    case 'top':
+      return { x: rect.x, y: rect.y, width: rect.width, height: thickness };
+    case 'bottom':
+      return { x: rect.x, y: rect.y + rect.height - thickness, width: rect.width, height: thickness };
+    default:
+      return { x: rect.x, y: rect.y, width: thickness, height: rect.height };
+  }
+}
+
+/**
+ * Bounds that snap the controller to `edge` of a work area: it spans the whole
+ * edge and keeps its thickness, unless that would take more than half of the
+ * work area (e.g. switching from a top dock to a side one), in which case
+ * `defaults` is used.
+ * @param {string} edge
+ * @param {{x: number, y: number, width: number, height: number}} workArea
+ * @param {{width: number, height: number}} bounds - Current controller bounds
+ * @param {{width: number, height: number}} defaults - Thickness when docked to a side / the top or bottom
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function dockedControllerBounds(edge, workArea, bounds, defaults) {
+  const size = isHorizontalDock(edge) ? 'height' : 'width';
+  const thickness = bounds[size] <= workArea[size] / 2 ? bounds[size] : defaults[size];
+  return edgeStrip(edge, workArea, thickness);
+}
+
+module.exports = {
+  DOCK_EDGES,
+  DEFAULT_DOCK_EDGE,
+  APP_BAR_MODES,
+  DEFAULT_APP_BAR_MODE,
+  isDockEdge,
+  isAppBarMode,
+  isHorizontalDock,
+  edgeStrip,
+  dockedControllerBounds,
+};
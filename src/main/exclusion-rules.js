@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeMatcher, ruleMatches, MAX_RULES } = require('./auto-add-rules');
+
+/**
+ * Validate an exclusion rule list (as sent by the renderer). Exclusion rules
+ * use the same matchers as auto-add rules: title regex, process, class.
+ * @param {Object[]} rules
+ * @returns {Object[]} normalized rules
+ * @throws {Error} on the first invalid rule
+ */
+function normalizeExclusionRules(rules) {
+  if (!Array.isArray(rules)) throw new Error('Rules must be an array');
+  if (rules.length > MAX_RULES) throw new Error(`At most ${MAX_RULES} rules are allowed`);
+  return rules.map(normalizeMatcher);
+}
+
+/**
+ * Like normalizeExclusionRules, but drops invalid entries instead of throwing.
+ * @param {*} rules
+ * @returns {Object[]}
+ */
+function sanitizeExclusionRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const result = [];
+  for (const rule of rules.slice(0, MAX_RULES)) {
+    try {
+      result.push(normalizeMatcher(rule));
+    } catch (e) {
+      console.warn('[Filters] Dropping invalid exclusion rule:', e.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Is a window hidden from the Available list by any enabled rule?
+ * @param {Object[]} rules
+ * @param {{title: string, exePath?: string, className?: string}} win
+ * @returns {boolean}
+ */
+function isExcluded(rules, win) {
+  return rules.some((rule) => ruleMatches(rule, win));
+}
+
+/**
+ * Build the "hide apps like this" rule for a window: its executable when
+ * known, else its window class, else its exact title.
+ * @param {{title: string, exePath?: string, className?: string}} win
+ * @returns {Object} normalized rule
+ */
+function ruleFromWindow(win) {
+  if (win.exePath) {
+    const exeName = path.win32.basename(win.exePath);
+    return normalizeMatcher({ name: exeName, process: exeName });
+  }
+  if (win.className) {
+    return normalizeMatcher({ name: win.className, className: win.className });
+  }
+  const title = (win.title || '').slice(0, 200);
+  return normalizeMatcher({ name: title, title: '^' + title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$' });
+}
+
+/**
+ * Available-list filters shared by every instance: <userData>/available-filters.json.
+ *
+ * File format:
+ * { "version": 1, "hideCloaked": true, "rules": [exclusion rule] }
+ *
+ * Another instance may change the file at any time, so reloadIfChanged()
+ * re-reads it whenever its modification time moves.
+ */
+class ExclusionStore {
+  /**
+   * @param {string|null} filePath - null keeps the filters in memory only
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.rules = [];
+    this.hideCloaked = true; // cloaked = on another virtual desktop or a suspended UWP frame
+    this._mtimeMs = 0;
+  }
+
+  /**
+   * Read the file. A missing or unreadable file keeps the defaults.
+   */
+  load() {
+    if (!this.filePath) return;
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      this.rules = sanitizeExclusionRules(data && data.rules);
+      this.hideCloaked = !data || data.hideCloaked !== false;
+    } catch (e) {
+      console.error('[Filters] Failed to load available filters:', e);
+    }
+  }
+
+  /**
+   * Re-read the file if another instance wrote it since the last load/save.
+   * @returns {boolean} true when the filters were reloaded
+   */
+  reloadIfChanged() {
+    if (!this.filePath) return false;
+    try {
+      if (!fs.existsSync(this.filePath)) return false;
+      if (fs.statSync(this.filePath).mtimeMs === this._mtimeMs) return false;
+    } catch {
+      return false;
+    }
+    this.load();
+    return true;
+  }
+
+  /**
+   * Replace the filters and write them out. Rules must already be normalized.
+   * @param {{rules?: Object[], hideCloaked?: boolean}} filters
+   */
+  save(filters) {
+    if (Array.isArray(filters.rules)) this.rules = filters.rules;
+    if (typeof filters.hideCloaked === 'boolean') this.hideCloaked = filters.hideCloaked;
+    if (!this.filePath) return;
+    try {
+      const data = { version: 1, hideCloaked: this.hideCloaked, rules: this.rules };
+      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), 'utf-8');
+      this._mtimeMs = fs.statSync(this.filePath).mtimeMs;
+    } catch (e) {
+      console.error('[Filters] Failed to save available filters:', e);
+    }
+  }
+
+  /**
+   * @returns {{rules: Object[], hideCloaked: boolean}}
+   */
+  getFilters() {
+    return { rules: this.rules.map((r) => ({ ...r })), hideCloaked: this.hideCloaked };
+  }
+}
+
+module.exports = {
+  normalizeExclusionRules,
+  sanitizeExclusionRules,
+  isExcluded,
+  ruleFromWindow,
+  ExclusionStore,
+};
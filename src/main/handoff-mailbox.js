@@ -0,0 +1,234 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A changed inbox is drained once events settle; the poll covers platforms
+// where fs.watch is unavailable or misses events
+const DRAIN_DEBOUNCE_MS = 50;
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Window handoff between running instances: <userData>/handoff/<instanceId>/.
+ *
+ * The sending instance releases the window (WindowManager.releaseWindow)
+ * and drops one JSON file into the target instance's inbox; the target
+ * adopts the window and deletes the file.
+ *
+ * Message format:
+ * {
+ *   "version": 1, "id": "...", "from": "<instanceId>", "sentAt": "...",
+ *   "targetStackId": "..." | null,
+ *   "window": { "hwnd", "title", "customTitle", "processId", "originalRect" }
+ * }
+ */
+class HandoffMailbox {
+  /**
+   * @param {string} rootDir - Directory holding one inbox per instance
+   * @param {string} instanceId - This instance (owner of <rootDir>/<instanceId>)
+   * @param {Function} onMessage - (message) => void, called once per received message
+   */
+  constructor(rootDir, instanceId, onMessage) {
+    this.rootDir = rootDir;
+    this.instanceId = instanceId;
+    this.inboxDir = path.join(rootDir, instanceId);
+    this._onMessage = onMessage;
+    this._watcher = null;
+    this._pollTimer = null;
+    this._drainTimer = null;
+  }
+
+  /**
+   * Create this instance's inbox and start delivering messages.
+   */
+  start() {
+    try {
+      fs.mkdirSync(this.inboxDir, { recursive: true });
+    } catch (e) {
+      console.error('[Handoff] Failed to create inbox:', e);
+      return;
+    }
+    try {
+      this._watcher = fs.watch(this.inboxDir, () => this._scheduleDrain());
+      this._watcher.on('error', (e) => console.error('[Handoff] Inbox watcher error:', e.message));
+    } catch (e) {
+      console.warn('[Handoff] fs.watch unavailable, polling the inbox:', e.message);
+    }
+    this._pollTimer = setInterval(() => this.drain(), POLL_INTERVAL_MS);
+    this.drain();
+  }
+
+  /**
+   * Stop delivering and delete this instance's inbox (safe from quit handlers).
+   * @returns {Object[]} messages that arrived but were not delivered yet
+   */
+  stop() {
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+    clearInterval(this._pollTimer);
+    clearTimeout(this._drainTimer);
+    this._pollTimer = null;
+    this._drainTimer = null;
+    const undelivered = readInbox(this.inboxDir);
+    try {
+      fs.rmSync(this.inboxDir, { recursive: true, force: true });
+    } catch (e) {
+      console.error('[Handoff] Failed to remove inbox:', e);
+    }
+    return undelivered;
+  }
+
+  /**
+   * Drop a message into another instance's inbox (written to a temp file, then
+   * renamed, so the receiver never reads a partial message).
+   * @param {string} targetInstanceId
+   * @param {Object} entry - From WindowManager.releaseWindow()
+   * @param {string|null} [targetStackId]
+   * @returns {boolean} true if the message was delivered to the inbox
+   */
+  send(targetInstanceId, entry, targetStackId = null) {
+    const targetDir = path.join(this.rootDir, targetInstanceId);
+    if (!fs.existsSync(targetDir)) {
+      console.warn('[Handoff] No inbox for instance', targetInstanceId);
+      return false;
+    }
+    const message = {
+      version: 1,
+      id: crypto.randomUUID(),
+      from: this.instanceId,
+      sentAt: new Date().toISOString(),
+      targetStackId,
+      window: entry,
+    };
+    const filePath = path.join(targetDir, `${Date.now()}-${message.id}.json`);
+    const tmpPath = filePath + '.tmp';
+    try {
+      fs.writeFileSync(tmpPath, JSON.stringify(message, null, 2), 'utf-8');
+      fs.renameSync(tmpPath, filePath);
+      return true;
+    } catch (e) {
+      console.error('[Handoff] Failed to send message:', e);
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch {
+        // nothing to clean up
+      }
+      return false;
+    }
+  }
+
+  _scheduleDrain() {
+    if (this._drainTimer) return;
+    this._drainTimer = setTimeout(() => {
+      this._drainTimer = null;
+      this.drain();
+    }, DRAIN_DEBOUNCE_MS);
+  }
+
+  /**
+   * Deliver and delete every complete message in the inbox, oldest first.
+   */
+  drain() {
+    for (const message of readInbox(this.inboxDir)) {
+      try {
+        this._onMessage(message);
+      } catch (e) {
+        console.error('[Handoff] Message handler error:', e);
+      }
+    }
+  }
+
+  /**
+   * Take the messages left in the inboxes of instances that are no longer
+   * running (their windows were released but never adopted), and delete those inboxes.
+   * @param {Set<string>} liveInstanceIds
+   * @returns {Object[]} undelivered messages
+   */
+  collectOrphaned(liveInstanceIds) {
+    let dirs;
+    try {
+      dirs = fs.readdirSync(this.rootDir);
+    } catch {
+      return [];
+    }
+    const messages = [];
+    for (const id of dirs) {
+      if (id === this.instanceId || liveInstanceIds.has(id)) continue;
+      const dir = path.join(this.rootDir, id);
+      messages.push(...readInbox(dir));
+      try {
+        fs.rmSync(dir, { recursive: true, force: true });
+      } catch (e) {
+        console.error('[Handoff] Failed to remove orphaned inbox ' + id + ':', e);
+      }
+    }
+    return messages;
+  }
+}
+
+/**
+ * Read and delete the complete messages of an inbox, oldest first. Unreadable
+ * files are deleted too; temp files still being written are left alone.
+ * @param {string} dir
+ * @returns {Object[]}
+ */
+function readInbox(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  const messages = [];
+  for (const file of files.sort()) {
+    const filePath = path.join(dir, file);
+    try {
+      const message = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      if (message && typeof message === 'object' && message.window && typeof message.window === 'object') {
+        messages.push(message);
+      }
+    } catch (e) {
+      console.error('[Handoff] Dropping unreadable message ' + file + ':', e.message);
+    }
+    try {
+      fs.unlinkSync(filePath);
+    } catch {
+      // already gone
+    }
+  }
+  return messages;
+}
+
+/**
+ * Adopt a window another instance handed over: claim it, then add it to the
+ * target stack (when it still exists) with its original rect. The sender has
+ * already let go of the window, so one that cannot be claimed or adopted is
+ * moved back to its original rect instead of staying squeezed into a strip.
+ * @param {Object} message - A received handoff message
+ * @param {Object} windowManager - WindowManager
+ * @param {Function} claim - async (hwnd) => void, throws if the window cannot be claimed
+ * @returns {Promise<boolean>} true if adopted
+ */
+async function adoptHandedOffWindow(message, windowManager, claim) {
+  const entry = message.window;
+  try {
+    await claim(entry.hwnd);
+  } catch (e) {
+    console.warn('[Handoff] Could not claim hwnd', entry.hwnd, '— restoring it:', e.message);
+    windowManager.restoreOrphanedWindow(entry);
+    return false;
+  }
+  const stackId = windowManager.getStack(message.targetStackId) ? message.targetStackId : undefined;
+  if (!windowManager.adoptWindow(entry, stackId)) {
+    console.warn('[Handoff] Could not adopt hwnd', entry.hwnd, '— restoring it');
+    windowManager.restoreOrphanedWindow(entry);
+    return false;
+  }
+  if (stackId) windowManager.selectStack(stackId);
+  return true;
+}
+
+module.exports = { HandoffMailbox, adoptHandedOffWindow };
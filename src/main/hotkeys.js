@@ -0,0 +1,243 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Global hotkey actions and their default accelerators.
+ * Order here is the order shown in the renderer.
+ */
+const HOTKEY_ACTIONS = [
+  { action: 'next', label: 'Next window', defaultAccelerator: 'Ctrl+Alt+Down' },
+  { action: 'previous', label: 'Previous window', defaultAccelerator: 'Ctrl+Alt+Up' },
+  ...[1, 2, 3, 4, 5, 6, 7, 8, 9].map((n) => ({
+    action: `jump${n}`,
+    label: `Jump to window ${n}`,
+    defaultAccelerator: `Ctrl+Alt+${n}`,
+  })),
+  { action: 'addForeground', label: 'Add foreground window', defaultAccelerator: 'Ctrl+Alt+A' },
+  { action: 'removeActive', label: 'Remove active window', defaultAccelerator: 'Ctrl+Alt+R' },
+  { action: 'toggleController', label: 'Show/hide controller', defaultAccelerator: 'Ctrl+Alt+S' },
+];
+
+const MODIFIERS = new Set([
+  'Ctrl',
+  'Control',
+  'Command',
+  'Cmd',
+  'CommandOrControl',
+  'CmdOrCtrl',
+  'Alt',
+  'AltGr',
+  'Option',
+  'Shift',
+  'Super',
+  'Meta',
+]);
+
+/**
+ * Validate an Electron accelerator string for use as a global hotkey.
+ * A non-modifier key is required, and so is at least one modifier unless the
+ * key is a function key — a bare letter would hijack typing system-wide.
+ * @param {string} accelerator
+ * @returns {string|null} error message, or null when valid
+ */
+function validateAccelerator(accelerator) {
+  if (typeof accelerator !== 'string' || accelerator.length === 0 || accelerator.length > 100) {
+    return 'Accelerator must be a non-empty string';
+  }
+  const parts = accelerator.split('+');
+  if (parts.some((p) => p.length === 0)) return 'Malformed accelerator: ' + accelerator;
+  const keys = parts.filter((p) => !MODIFIERS.has(p));
+  if (keys.length !== 1) return 'Accelerator needs exactly one non-modifier key';
+  if (keys.length === parts.length && !/^F([1-9]|1[0-9]|2[0-4])$/.test(keys[0])) {
+    return 'Accelerator needs a modifier (Ctrl, Alt, Shift or Super)';
+  }
+  return null;
+}
+
+/**
+ * Registers configurable global shortcuts through Electron's globalShortcut
+ * and persists the user's bindings to a small JSON file shared by every
+ * instance (per-instance persistence files are removed on quit).
+ *
+ * Only overrides are stored: { [action]: accelerator | null }, where null
+ * means the user disabled the shortcut.
+ */
+class HotkeyManager {
+  /**
+   * @param {Object} globalShortcut - Electron globalShortcut (injected for testing)
+   * @param {Function} onAction - Called with (action) when a shortcut fires
+   * @param {string|null} [filePath] - Where bindings are saved; null disables saving
+   */
+  constructor(globalShortcut, onAction, filePath = null) {
+    this._globalShortcut = globalShortcut;
+    this._onAction = onAction;
+    this._filePath = filePath;
+    this._overrides = {};
+    this._registered = new Map(); // action → accelerator currently registered
+    this._errors = new Map(); // action → last registration error
+  }
+
+  /**
+   * Load saved overrides from disk. Unknown actions and invalid
+   * accelerators are dropped so a bad file never blocks startup.
+   */
+  load() {
+    if (!this._filePath) return;
+    try {
+      if (!fs.existsSync(this._filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this._filePath, 'utf-8'));
+      const saved = (data && data.bindings) || {};
+      for (const { action } of HOTKEY_ACTIONS) {
+        if (!Object.prototype.hasOwnProperty.call(saved, action)) continue;
+        const accelerator = saved[action];
+        if (accelerator === null || validateAccelerator(accelerator) === null) {
+          this._overrides[action] = accelerator;
+        }
+      }
+    } catch (e) {
+      console.error('[Hotkeys] Failed to load bindings:', e);
+    }
+  }
+
+  _save() {
+    if (!this._filePath) return;
+    try {
+      const data = { version: 1, bindings: this._overrides };
+      fs.writeFileSync(this._filePath, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (e) {
+      console.error('[Hotkeys] Failed to save bindings:', e);
+    }
+  }
+
+  /**
+   * Effective accelerator for an action (override, else default).
+   * @param {string} action
+   * @returns {string|null}
+   */
+  getAccelerator(action) {
+    if (Object.prototype.hasOwnProperty.call(this._overrides, action)) return this._overrides[action];
+    const def = HOTKEY_ACTIONS.find((a) => a.action === action);
+    return def ? def.defaultAccelerator : null;
+  }
+
+  /**
+   * Register every bound shortcut. Failures (e.g. the combination is owned by
+   * another application or instance) are recorded per action, not thrown.
+   */
+  registerAll() {
+    for (const { action } of HOTKEY_ACTIONS) {
+      this._register(action);
+    }
+  }
+
+  /**
+   * Unregister every shortcut this manager registered.
+   */
+  unregisterAll() {
+    for (const accelerator of this._registered.values()) {
+      try {
+        this._globalShortcut.unregister(accelerator);
+      } catch (e) {
+        console.error('[Hotkeys] unregister failed:', e);
+      }
+    }
+    this._registered.clear();
+  }
+
+  _register(action) {
+    this._errors.delete(action);
+    const accelerator = this.getAccelerator(action);
+    if (!accelerator) return;
+    try {
+      const ok = this._globalShortcut.register(accelerator, () => {
+        try {
+          this._onAction(action);
+        } catch (e) {
+          console.error(`[Hotkeys] ${action} handler error:`, e);
+        }
+      });
+      if (ok) {
+        this._registered.set(action, accelerator);
+      } else {
+        this._errors.set(action, 'Shortcut is already in use');
+        console.warn(`[Hotkeys] ${accelerator} (${action}) is already in use`);
+      }
+    } catch (e) {
+      this._errors.set(action, e.message);
+      console.error(`[Hotkeys] Failed to register ${accelerator} (${action}):`, e);
+    }
+  }
+
+  _unregister(action) {
+    const accelerator = this._registered.get(action);
+    if (!accelerator) return;
+    try {
+      this._globalShortcut.unregister(accelerator);
+    } catch (e) {
+      console.error('[Hotkeys] unregister failed:', e);
+    }
+    this._registered.delete(action);
+  }
+
+  /**
+   * Change (or clear with null) the binding for one action and re-register it.
+   * @param {string} action
+   * @param {string|null} accelerator
+   * @returns {{success: boolean, error?: string}}
+   */
+  setBinding(action, accelerator) {
+    if (!HOTKEY_ACTIONS.some((a) => a.action === action)) {
+      return { success: false, error: 'Unknown hotkey action: ' + action };
+    }
+    if (accelerator !== null) {
+      const error = validateAccelerator(accelerator);
+      if (error) return { success: false, error };
+      const clash = HOTKEY_ACTIONS.find((a) => a.action !== action && this.getAccelerator(a.action) === accelerator);
+      if (clash) return { success: false, error: `Already bound to "${clash.label}"` };
+    }
+
+    const previous = this.getAccelerator(action);
+    this._unregister(action);
+    this._overrides[action] = accelerator;
+    this._register(action);
+
+    if (this._errors.has(action)) {
+      // Keep the old, working binding rather than leaving the action unbound
+      const error = this._errors.get(action);
+      this._overrides[action] = previous;
+      this._register(action);
+      return { success: false, error };
+    }
+
+    this._save();
+    return { success: true };
+  }
+
+  /**
+   * Drop every override and re-register the defaults.
+   */
+  resetToDefaults() {
+    this.unregisterAll();
+    this._overrides = {};
+    this.registerAll();
+    this._save();
+  }
+
+  /**
+   * Bindings for the renderer.
+   * @returns {Array<{action: string, label: string, accelerator: string|null, defaultAccelerator: string, registered: boolean, error: string|null}>}
+   */
+  getBindings() {
+    return HOTKEY_ACTIONS.map(({ action, label, defaultAccelerator }) => ({
+      action,
+      label,
+      accelerator: this.getAccelerator(action),
+      defaultAccelerator,
+      registered: this._registered.has(action),
+      error: this._errors.get(action) || null,
+    }));
+  }
+}
+
+module.exports = { HotkeyManager, HOTKEY_ACTIONS, validateAccelerator };
@@ -0,0 +1,293 @@
+'use strict';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// A peer sending more than this without a newline is misbehaving
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+// A peer whose endpoint refused a connection is not retried sooner than this
+const CONNECT_RETRY_MS = 10000;
+const INSTANCE_ID_RE = /^[\w-]{1,64}$/;
+
+/**
+ * Local bus between running instances. Each instance listens on its own named
+ * pipe (\\.\pipe\stack-windows-<instanceId>; a Unix socket elsewhere) and keeps
+ * a connection to every peer, so claims, releases and stack renames reach the
+ * other instances as they happen instead of through the debounced registry file.
+ *
+ * Peers are discovered through the instance registry: a starting instance
+ * connects to every registered one, and later lookups connect to any
+ * instance not reached yet.
+ *
+ * Messages are newline-delimited JSON, each carrying "type" and "from":
+ *   hello   { managedHwnds, stacks }  full state, sent by both ends of a new connection
+ *   claim   { hwnds }                 windows the sender started managing
+ *   release { hwnds }                 windows the sender stopped managing
+ *   stacks  { stacks }                stacks created, removed or renamed
+ *   bye     {}                        the sender is quitting
+ *
+ * Emits 'change' (instanceId) when a peer's windows or stacks change or the peer goes away.
+ */
+class InstanceBus extends EventEmitter {
+  /**
+   * @param {string} instanceId - This instance (owner of its endpoint)
+   * @param {{socketDir?: string}} [options] - socketDir: Unix socket directory (default: OS temp dir)
+   */
+  constructor(instanceId, options = {}) {
+    super();
+    this.instanceId = instanceId;
+    this._socketDir = options.socketDir || os.tmpdir();
+    this._server = null;
+    this._sockets = new Set(); // every open connection, identified or not
+    this._peers = new Map(); // instanceId → { socket, managedHwnds: Set<number>, stacks }
+    this._connecting = new Set(); // instanceIds with an outgoing connection in progress
+    this._failedAt = new Map(); // instanceId → time of the last refused connection
+    this._state = { managedHwnds: [], stacks: [] };
+  }
+
+  /**
+   * Endpoint an instance listens on.
+   * @param {string} instanceId
+   * @returns {string}
+   */
+  endpointFor(instanceId) {
+    if (process.platform === 'win32') return `\\\\.\\pipe\\stack-windows-${instanceId}`;
+    return path.join(this._socketDir, `stack-windows-${instanceId}.sock`);
+  }
+
+  /**
+   * Start listening for peers.
+   * @returns {Promise<boolean>} false if the endpoint could not be opened
+   */
+  start() {
+    const endpoint = this.endpointFor(this.instanceId);
+    if (process.platform !== 'win32') {
+      try {
+        fs.unlinkSync(endpoint); // left behind by a crashed instance with the same id
+      } catch {
+        // no stale socket
+      }
+    }
+    return new Promise((resolve) => {
+      const server = net.createServer((socket) => this._attach(socket, null));
+      server.once('error', (e) => {
+        console.error('[Bus] Failed to listen on', endpoint + ':', e.message);
+        this._server = null;
+        resolve(false);
+      });
+      server.listen(endpoint, () => {
+        server.removeAllListeners('error');
+        server.on('error', (e) => console.error('[Bus] Server error:', e.message));
+        console.log('[Bus] Listening on', endpoint);
+        resolve(true);
+      });
+      this._server = server;
+    });
+  }
+
+  /**
+   * Stop listening, tell the peers this instance is quitting and close every
+   * connection (safe from quit handlers).
+   */
+  stop() {
+    this._broadcast({ type: 'bye' });
+    for (const socket of this._sockets) socket.end();
+    this._sockets.clear();
+    this._peers.clear();
+    this._connecting.clear();
+    if (this._server) {
+      this._server.close();
+      this._server = null;
+      if (process.platform !== 'win32') {
+        try {
+          fs.unlinkSync(this.endpointFor(this.instanceId));
+        } catch {
+          // already gone
+        }
+      }
+    }
+  }
+
+  /**
+   * Connect to the given instances unless already connected. Instances whose
+   * endpoint refused a connection recently are skipped.
+   * @param {string[]} instanceIds
+   */
+  connectPeers(instanceIds) {
+    const now = Date.now();
+    for (const id of instanceIds) {
+      if (id === this.instanceId || !INSTANCE_ID_RE.test(id)) continue;
+      if (this._peers.has(id) || this._connecting.has(id)) continue;
+      if (now - (this._failedAt.get(id) || 0) < CONNECT_RETRY_MS) continue;
+      this._connecting.add(id);
+      const socket = net.createConnection(this.endpointFor(id));
+      socket.once('connect', () => this._connecting.delete(id));
+      this._attach(socket, id);
+    }
+  }
+
+  /**
+   * Share this instance's windows and stacks: peers are sent what changed
+   * since the previous call.
+   * @param {{managedHwnds: number[], stacks: Array<{id: string, stackName: string}>}} state
+   */
+  publish(state) {
+    const previous = this._state;
+    const next = {
+      managedHwnds: [...state.managedHwnds],
+      stacks: state.stacks.map(({ id, stackName }) => ({ id, stackName })),
+    };
+    this._state = next;
+
+    const before = new Set(previous.managedHwnds);
+    const after = new Set(next.managedHwnds);
+    const released = previous.managedHwnds.filter((hwnd) => !after.has(hwnd));
+    const claimed = next.managedHwnds.filter((hwnd) => !before.has(hwnd));
+    if (released.length > 0) this._broadcast({ type: 'release', hwnds: released });
+    if (claimed.length > 0) this._broadcast({ type: 'claim', hwnds: claimed });
+    if (JSON.stringify(previous.stacks) !== JSON.stringify(next.stacks)) {
+      this._broadcast({ type: 'stacks', stacks: next.stacks });
+    }
+  }
+
+  /**
+   * Connected peers and what they last reported.
+   * @returns {Array<{instanceId: string, managedHwnds: number[], stacks: Array<{id: string, stackName: string}>}>}
+   */
+  getPeers() {
+    return [...this._peers].map(([instanceId, peer]) => ({
+      instanceId,
+      managedHwnds: [...peer.managedHwnds],
+      stacks: peer.stacks.map((s) => ({ ...s })),
+    }));
+  }
+
+  _attach(socket, expectedId) {
+    this._sockets.add(socket);
+    socket.setEncoding('utf-8');
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line) this._receive(line, socket);
+      }
+      if (buffer.length > MAX_MESSAGE_BYTES) {
+        console.warn('[Bus] Dropping a connection that sent an oversized message');
+        socket.destroy();
+      }
+    });
+    socket.on('error', (e) => {
+      if (expectedId && this._connecting.has(expectedId)) {
+        this._failedAt.set(expectedId, Date.now());
+        console.warn(`[Bus] Cannot reach instance ${expectedId}:`, e.message);
+      } else {
+        console.warn('[Bus] Connection error:', e.message);
+      }
+    });
+    socket.on('close', () => {
+      this._sockets.delete(socket);
+      if (expectedId) this._connecting.delete(expectedId);
+      for (const [id, peer] of this._peers) {
+        if (peer.socket !== socket) continue;
+        this._peers.delete(id);
+        this._notify(id);
+      }
+    });
+    this._write(socket, { type: 'hello', ...this._state });
+  }
+
+  _receive(line, socket) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      console.warn('[Bus] Ignoring malformed message');
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+    const id = message.from;
+    if (typeof id !== 'string' || id === this.instanceId || !INSTANCE_ID_RE.test(id)) return;
+
+    const peer = this._peers.get(id);
+    switch (message.type) {
+      case 'hello':
+        // A second connection from the same peer (both ends connected at once) takes over
+        this._peers.set(id, {
+          socket,
+          managedHwnds: new Set(sanitizeHwnds(message.managedHwnds)),
+          stacks: sanitizeStacks(message.stacks),
+        });
+        this._failedAt.delete(id);
+        break;
+      case 'claim':
+        if (!peer) return;
+        for (const hwnd of sanitizeHwnds(message.hwnds)) peer.managedHwnds.add(hwnd);
+        break;
+      case 'release':
+        if (!peer) return;
+        for (const hwnd of sanitizeHwnds(message.hwnds)) peer.managedHwnds.delete(hwnd);
+        break;
+      case 'stacks':
+        if (!peer) return;
+        peer.stacks = sanitizeStacks(message.stacks);
+        break;
+      case 'bye':
+        if (!this._peers.delete(id)) return;
+        break;
+      default:
+        return;
+    }
+    this._notify(id);
+  }
+
+  _notify(instanceId) {
+    try {
+      this.emit('change', instanceId);
+    } catch (e) {
+      console.error('[Bus] change handler error:', e);
+    }
+  }
+
+  // Every open connection, including ones whose peer has not said hello yet:
+  // they were greeted with an older state and must not miss what changed since
+  _broadcast(message) {
+    for (const socket of this._sockets) this._write(socket, message);
+  }
+
+  _write(socket, message) {
+    if (socket.destroyed || !socket.writable) return;
+    try {
+      socket.write(JSON.stringify({ ...message, from: this.instanceId }) + '\n');
+    } catch (e) {
+      console.warn('[Bus] Failed to send message:', e.message);
+    }
+  }
+}
+
+/**
+ * @param {*} hwnds
+ * @returns {number[]} the positive integer handles
+ */
+function sanitizeHwnds(hwnds) {
+  if (!Array.isArray(hwnds)) return [];
+  return hwnds.filter((hwnd) => Number.isInteger(hwnd) && hwnd > 0);
+}
+
+/**
+ * @param {*} stacks
+ * @returns {Array<{id: string, stackName: string}>}
+ */
+function sanitizeStacks(stacks) {
+  if (!Array.isArray(stacks)) return [];
+  return stacks
+    .filter((s) => s && typeof s.id === 'string' && typeof s.stackName === 'string')
+    .map(({ id, stackName }) => ({ id, stackName }));
+}
+
+module.exports = { InstanceBus };
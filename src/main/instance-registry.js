@@ -1,41 +1,70 @@
 'use strict';
 
 const fs = require('fs');
+const fsp = require('fs/promises');
 const path = require('path');
 const crypto = require('crypto');
 const { app } = require('electron');
 const lockfile = require('proper-lockfile');
+const { getProcessStartTime } = require('./process-identity');
+const {
+  writeFileAtomic,
+  writeFileAtomicSync,
+  readFileWithBackups,
+  readFileWithBackupsSync,
+  removeWithBackups,
+} = require('./atomic-file');
+
+const HEARTBEAT_TIMEOUT_MS = 300000; // 5 minutes
 
 /**
  * Manages a shared registry of running StackWindowsElectron instances.
  * The registry is stored as a JSON file at <userData>/instance-registry.json.
+ * It is written atomically, the last versions kept as backups (see atomic-file.js).
  *
  * Registry file format:
  * {
  *   "instances": {
  *     "<instanceId>": {
  *       "pid": 12345,
+ *       "startTime": 1771833600000,
  *       "startedAt": "2026-02-23T...",
- *       "managedHwnds": [123, 456, 789]
+ *       "managedHwnds": [123, 456, 789],
+ *       "stacks": [{ "id": "...", "stackName": "Work" }]
  *     }
  *   }
  * }
+ *
+ * startTime is the process start time (see getProcessStartTime): an entry
+ * whose PID now belongs to a different process is as dead as one whose
+ * process has exited.
+ *
+ * All file access is asynchronous, so waiting for another instance's lock
+ * never stalls the main process. Operations of this instance run one at a
+ * time, in call order. Only unregister() is synchronous, for quit handlers.
  */
 class InstanceRegistry {
   constructor() {
     this.filePath = null;
     this.instanceId = null;
+    this.ready = Promise.resolve(); // settles once this instance is registered
     this._debounceTimer = null;
     this._DEBOUNCE_MS = 2000;
+    this._writtenHwnds = []; // managedHwnds as last written to the file
+    this._queue = Promise.resolve();
+    this._lockHeld = false;
+    this._closed = false; // set by unregister(); queued writes are dropped after it
     this._lockOptions = {
       stale: 10000,
-      retries: { retries: 3, minTimeout: 100, maxTimeout: 1000 },
+      // Each write is flushed to disk and backed up, so another instance may hold the lock a while
+      retries: { retries: 5, minTimeout: 100, maxTimeout: 1000 },
     };
   }
 
   /**
    * Initialize the registry.
-   * Sets filePath, generates a unique instanceId, and registers this instance.
+   * Sets filePath, generates a unique instanceId, and starts registering this
+   * instance (await `ready` before relying on the registration).
    * Must be called after app.whenReady().
    * @returns {string} The generated instanceId
    */
@@ -44,7 +73,7 @@ class InstanceRegistry {
       const userDataPath = app.getPath('userData');
       this.filePath = path.join(userDataPath, 'instance-registry.json');
       this.instanceId = crypto.randomUUID();
-      this._register();
+      this.ready = this._register().catch((e) => console.error('InstanceRegistry: register failed:', e));
       this._startHeartbeat();
       return this.instanceId;
     } catch (e) {
@@ -54,78 +83,141 @@ class InstanceRegistry {
     }
   }
 
+  /**
+   * Run a registry operation after every operation queued before it.
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>}
+   * @private
+   */
+  _enqueue(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Resolves once every registry operation queued so far has finished.
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    return this._queue;
+  }
+
   /**
    * Ensure the registry file exists so proper-lockfile can lock it.
    * proper-lockfile requires the target file to exist before locking.
    * @private
    */
-  _ensureFileExists() {
-    if (!fs.existsSync(this.filePath)) {
-      try {
-        fs.writeFileSync(this.filePath, JSON.stringify({ instances: {} }, null, 2), 'utf-8');
-      } catch (e) {
-        // Ignore — if we can't create it, locking will fail gracefully
-      }
+  async _ensureFileExists() {
+    try {
+      // 'wx' fails if another instance created it first — fine either way
+      await fsp.writeFile(this.filePath, JSON.stringify({ instances: {} }, null, 2), { encoding: 'utf-8', flag: 'wx' });
+    } catch (e) {
+      // Ignore — exists already, or if we can't create it, locking will fail gracefully
     }
   }
 
   /**
    * Register this instance in the shared registry file.
    * Prunes dead instances before writing.
+   * @returns {Promise<void>}
    * @private
    */
   _register() {
-    let registry = this._readRegistry();
-    registry = this._pruneDeadInstances(registry);
+    return this._enqueue(() =>
+      this._withLock(async () => {
+        const registry = this._pruneDeadInstances(await this._readFile());
+        registry.instances[this.instanceId] = this._newEntry();
+        await this._writeFile(registry);
+      })
+    );
+  }
 
-    registry.instances[this.instanceId] = {
+  /**
+   * A fresh registry entry for this instance.
+   * @returns {Object}
+   * @private
+   */
+  _newEntry() {
+    return {
       pid: process.pid,
+      startTime: getProcessStartTime(process.pid),
       startedAt: new Date().toISOString(),
       lastHeartbeat: new Date().toISOString(),
       managedHwnds: [],
+      stacks: [],
+    };
+  }
+
+  /**
+   * Take the registry lock, retrying while another instance holds it.
+   * @returns {Promise<Function>} async release
+   * @private
+   */
+  async _lock() {
+    const release = await lockfile.lock(this.filePath, this._lockOptions);
+    this._lockHeld = true;
+    return async () => {
+      this._lockHeld = false;
+      await release();
     };
+  }
+
+  /**
+   * Run a read-modify-write of the registry file under the lock.
+   * @param {Function} fn - async, uses _readFile/_writeFile; its result is returned
+   * @returns {Promise<*>}
+   * @throws {Error} if the lock cannot be taken
+   * @private
+   */
+  async _withLock(fn) {
+    await this._ensureFileExists();
+
+    let release;
+    try {
+      release = await this._lock();
+    } catch (e) {
+      throw new Error('The instance registry is busy, try again: ' + e.message);
+    }
 
-    this._writeRegistry(registry);
+    try {
+      return await fn();
+    } finally {
+      try {
+        await release();
+      } catch (e) {
+        console.error('InstanceRegistry: failed to release lock:', e.message);
+      }
+    }
   }
 
   /**
    * Read the registry file under an exclusive lock.
    * Returns an empty registry on any failure (including lock failure).
-   * @returns {{ instances: Object }}
+   * @returns {Promise<{ instances: Object }>}
    * @private
    */
-  _readRegistry() {
+  async _readRegistry() {
     if (!this.filePath) {
       return { instances: {} };
     }
 
-    this._ensureFileExists();
+    await this._ensureFileExists();
 
     let release = null;
     try {
-      release = lockfile.lockSync(this.filePath, this._lockOptions);
+      release = await this._lock();
     } catch (e) {
       console.error('InstanceRegistry: failed to acquire lock for read (best-effort):', e.message);
       // Best-effort: proceed without lock
     }
 
     try {
-      if (!fs.existsSync(this.filePath)) {
-        return { instances: {} };
-      }
-      const raw = fs.readFileSync(this.filePath, 'utf-8');
-      const data = JSON.parse(raw);
-      if (!data || typeof data.instances !== 'object') {
-        return { instances: {} };
-      }
-      return data;
-    } catch (e) {
-      console.error('InstanceRegistry: failed to read registry:', e);
-      return { instances: {} };
+      return await this._readFile();
     } finally {
       if (release) {
         try {
-          release();
+          await release();
         } catch (e) {
           console.error('InstanceRegistry: failed to release read lock:', e.message);
         }
@@ -134,50 +226,37 @@ class InstanceRegistry {
   }
 
   /**
-   * Write the registry to disk using an exclusive lock and atomic write (temp file + rename).
-   * @param {{ instances: Object }} registry
+   * Read the registry file without locking (caller holds the lock), falling
+   * back to its newest valid backup. Returns an empty registry if none is readable.
+   * @returns {Promise<{ instances: Object }>}
    * @private
    */
-  _writeRegistry(registry) {
-    if (!this.filePath) {
-      return;
-    }
-
-    this._ensureFileExists();
-
-    let release = null;
-    try {
-      release = lockfile.lockSync(this.filePath, this._lockOptions);
-    } catch (e) {
-      console.error('InstanceRegistry: failed to acquire lock for write (best-effort):', e.message);
-      // Best-effort: proceed without lock using atomic write as defense-in-depth
-    }
+  async _readFile() {
+    const read = await readFileWithBackups(this.filePath, parseRegistry);
+    return read ? read.value : { instances: {} };
+  }
 
-    const tmpPath = this.filePath + '.tmp';
+  /**
+   * Atomically write the registry file (see atomic-file.js) without locking (caller holds the lock).
+   * Does nothing once unregister() has run.
+   * @param {{ instances: Object }} registry
+   * @returns {Promise<boolean>} true if written
+   * @private
+   */
+  async _writeFile(registry) {
+    if (this._closed) return false;
     try {
-      fs.writeFileSync(tmpPath, JSON.stringify(registry, null, 2), 'utf-8');
-      fs.renameSync(tmpPath, this.filePath);
+      await writeFileAtomic(this.filePath, JSON.stringify(registry, null, 2));
+      return true;
     } catch (e) {
       console.error('InstanceRegistry: failed to write registry:', e);
-      // Clean up temp file if rename failed
-      try {
-        fs.unlinkSync(tmpPath);
-      } catch (_) {}
-    } finally {
-      if (release) {
-        try {
-          release();
-        } catch (e) {
-          console.error('InstanceRegistry: failed to release write lock:', e.message);
-        }
-      }
+      return false;
     }
   }
 
   /**
-   * Remove entries from the registry whose PID is no longer alive,
+   * Remove entries from the registry whose process is no longer running,
    * or whose lastHeartbeat is older than 5 minutes (300000ms).
-   * Uses signal 0 (no-op) to check process existence.
    * @param {{ instances: Object }} registry
    * @returns {{ instances: Object }} Cleaned registry
    * @private
@@ -185,19 +264,14 @@ class InstanceRegistry {
   _pruneDeadInstances(registry) {
     const cleaned = { instances: {} };
     const now = Date.now();
-    const HEARTBEAT_TIMEOUT_MS = 300000; // 5 minutes
     for (const [id, entry] of Object.entries(registry.instances || {})) {
-      const alive = this._isPidAlive(entry.pid);
-      if (!alive) {
+      if (!this._isProcessAlive(entry)) {
         console.log(`InstanceRegistry: pruning dead instance ${id} (pid ${entry.pid})`);
         continue;
       }
-      if (entry.lastHeartbeat) {
-        const age = now - new Date(entry.lastHeartbeat).getTime();
-        if (age > HEARTBEAT_TIMEOUT_MS) {
-          console.log(`InstanceRegistry: pruning stale instance ${id} (lastHeartbeat ${entry.lastHeartbeat})`);
-          continue;
-        }
+      if (this._isHeartbeatStale(entry, now)) {
+        console.log(`InstanceRegistry: pruning stale instance ${id} (lastHeartbeat ${entry.lastHeartbeat})`);
+        continue;
       }
       cleaned.instances[id] = entry;
     }
@@ -205,15 +279,35 @@ class InstanceRegistry {
   }
 
   /**
-   * Check whether a PID is still alive using signal 0.
-   *
-   * Known limitation on Windows: process.kill(pid, 0) can return false
-   * positives if Windows has reused the PID for a different process.
-   * This is acceptable because:
-   * 1. PID reuse within a single user session is rare
-   * 2. The worst case is keeping a stale registry entry (harmless)
-   * 3. The alternative (execSync tasklist) blocks the event loop ~100ms
-   *
+   * Is the entry's process still running? Its PID must be alive and, when
+   * the entry recorded a start time, belong to the process that started then.
+   * Entries without a start time (older versions) fall back to the PID check,
+   * as do processes whose start time cannot be read.
+   * @param {{ pid: number, startTime?: number }} entry
+   * @returns {boolean}
+   * @private
+   */
+  _isProcessAlive(entry) {
+    if (!this._isPidAlive(entry.pid)) return false;
+    if (typeof entry.startTime !== 'number') return true;
+    const startTime = getProcessStartTime(entry.pid);
+    return startTime === null || startTime === entry.startTime;
+  }
+
+  /**
+   * @param {{ lastHeartbeat?: string }} entry
+   * @param {number} now
+   * @returns {boolean} true if the entry missed heartbeats for 5 minutes
+   * @private
+   */
+  _isHeartbeatStale(entry, now) {
+    if (!entry.lastHeartbeat) return false;
+    return now - new Date(entry.lastHeartbeat).getTime() > HEARTBEAT_TIMEOUT_MS;
+  }
+
+  /**
+   * Check whether a PID is in use using signal 0. The PID may have been
+   * reused by another process; _isProcessAlive() compares start times to rule that out.
    * @param {number} pid
    * @returns {boolean}
    * @private
@@ -228,48 +322,118 @@ class InstanceRegistry {
   }
 
   /**
-   * Update the managedHwnds for this instance in the registry.
-   * Debounced to at most one write per 2 seconds.
+   * Registry entries of instances that are still running (not written back).
+   * @returns {Promise<Array<[string, Object]>>}
+   * @private
+   */
+  _liveEntries() {
+    return this._enqueue(async () => {
+      const registry = await this._readRegistry();
+      const now = Date.now();
+      return Object.entries(registry.instances).filter(
+        ([, entry]) => entry && this._isProcessAlive(entry) && !this._isHeartbeatStale(entry, now)
+      );
+    });
+  }
+
+  /**
+   * Update the managedHwnds (and, when given, the stack list) for this instance in the registry.
+   * Debounced to at most one write per 2 seconds, except that releasing a window
+   * is written right away so another instance can claim it (see claimWindow).
    * @param {number[]} hwnds
+   * @param {Array<{id: string, stackName: string}>} [stacks] - Lets other instances offer this one's stacks
    */
-  updateManagedHwnds(hwnds) {
+  updateManagedHwnds(hwnds, stacks) {
     if (this._debounceTimer !== null) {
       clearTimeout(this._debounceTimer);
+      this._debounceTimer = null;
+    }
+    if (this._writtenHwnds.some((hwnd) => !hwnds.includes(hwnd))) {
+      this._flushManagedHwnds(hwnds, stacks);
+      return;
     }
     this._debounceTimer = setTimeout(() => {
       this._debounceTimer = null;
-      this._flushManagedHwnds(hwnds);
+      this._flushManagedHwnds(hwnds, stacks);
     }, this._DEBOUNCE_MS);
   }
 
   /**
-   * Immediately write the managedHwnds update to the registry file.
+   * Queue writing the managedHwnds update to the registry file.
    * @param {number[]} hwnds
+   * @param {Array<{id: string, stackName: string}>} [stacks]
+   * @returns {Promise<void>}
    * @private
    */
-  _flushManagedHwnds(hwnds) {
-    try {
-      const registry = this._readRegistry();
-      if (registry.instances[this.instanceId]) {
-        registry.instances[this.instanceId].managedHwnds = hwnds;
-        this._writeRegistry(registry);
-      }
-    } catch (e) {
-      console.error('InstanceRegistry: failed to update managedHwnds:', e);
+  _flushManagedHwnds(hwnds, stacks) {
+    // Recorded now: a claim queued behind this write must not count these as written
+    this._writtenHwnds = [...hwnds];
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    return this._enqueue(() =>
+      this._withLock(async () => {
+        const registry = await this._readFile();
+        if (registry.instances[this.instanceId]) {
+          registry.instances[this.instanceId].managedHwnds = hwnds;
+          if (stacks) registry.instances[this.instanceId].stacks = stacks;
+          await this._writeFile(registry);
+        }
+      })
+    ).catch((e) => console.error('InstanceRegistry: failed to update managedHwnds:', e));
+  }
+
+  /**
+   * Claim a window for this instance. Under the registry lock, checks that no
+   * other live instance manages the window and records it in this instance's
+   * managedHwnds, so two instances adding the same window at once cannot both
+   * succeed. The claim is a lease held while this instance stays registered:
+   * it ends when updateManagedHwnds() leaves the window out, on unregister(),
+   * or when the instance dies and is pruned.
+   * @param {number} hwnd
+   * @returns {Promise<{ claimed: boolean, ownerId?: string }>} ownerId: the instance that already manages the window
+   * @throws {Error} if the registry cannot be locked or written
+   */
+  claimWindow(hwnd) {
+    if (!this.filePath) {
+      return Promise.resolve({ claimed: true });
     }
+
+    // Unlike reads and writes, a claim is never made without the lock
+    return this._enqueue(() =>
+      this._withLock(async () => {
+        const registry = this._pruneDeadInstances(await this._readFile());
+        for (const [id, entry] of Object.entries(registry.instances)) {
+          if (id !== this.instanceId && (entry.managedHwnds || []).includes(hwnd)) {
+            return { claimed: false, ownerId: id };
+          }
+        }
+
+        let own = registry.instances[this.instanceId];
+        if (!own) {
+          // Pruned while the heartbeat was late — register again
+          own = registry.instances[this.instanceId] = this._newEntry();
+        }
+        if (!Array.isArray(own.managedHwnds)) own.managedHwnds = [];
+        if (!own.managedHwnds.includes(hwnd)) own.managedHwnds.push(hwnd);
+        if (!(await this._writeFile(registry))) {
+          throw new Error('Failed to record the window claim');
+        }
+        this._writtenHwnds = [...own.managedHwnds];
+        return { claimed: true };
+      })
+    );
   }
 
   /**
    * Return a Set of all managedHwnds from OTHER live instances (not this one).
-   * Pure read-only — does NOT prune or write to disk.
-   * @returns {Set<number>}
+   * Pure read-only — does NOT prune or write to disk; dead entries are skipped.
+   * @returns {Promise<Set<number>>}
    */
-  getOtherInstancesHwnds() {
+  async getOtherInstancesHwnds() {
     try {
-      const registry = this._readRegistry();
-
       const result = new Set();
-      for (const [id, entry] of Object.entries(registry.instances)) {
+      for (const [id, entry] of await this._liveEntries()) {
         if (id === this.instanceId) continue;
         for (const hwnd of entry.managedHwnds || []) {
           result.add(hwnd);
@@ -282,6 +446,65 @@ class InstanceRegistry {
     }
   }
 
+  /**
+   * Other live instances with their windows and stacks.
+   * Pure read-only — does NOT prune or write to disk; dead entries are skipped.
+   * @returns {Promise<Array<{instanceId: string, managedHwnds: number[], stacks: Array<{id: string, stackName: string}>}>>}
+   */
+  async getOtherInstances() {
+    try {
+      return (await this._liveEntries())
+        .filter(([id]) => id !== this.instanceId)
+        .map(([id, entry]) => ({
+          instanceId: id,
+          managedHwnds: Array.isArray(entry.managedHwnds) ? entry.managedHwnds : [],
+          stacks: Array.isArray(entry.stacks)
+            ? entry.stacks.filter((s) => s && typeof s.id === 'string' && typeof s.stackName === 'string')
+            : [],
+        }));
+    } catch (e) {
+      console.error('InstanceRegistry: failed to list other instances:', e);
+      return [];
+    }
+  }
+
+  /**
+   * IDs of the instances still running, this one included.
+   * Pure read-only — does NOT prune or write to disk.
+   * @returns {Promise<Set<string>>}
+   */
+  async getLiveInstanceIds() {
+    try {
+      return new Set((await this._liveEntries()).map(([id]) => id));
+    } catch (e) {
+      console.error('InstanceRegistry: failed to list live instances:', e);
+      return new Set([this.instanceId]);
+    }
+  }
+
+  /**
+   * Remove the entries of instances that are no longer running right away,
+   * instead of waiting for the next heartbeat.
+   * @returns {Promise<string[]>} IDs of the removed instances
+   * @throws {Error} if the registry cannot be locked
+   */
+  purgeStaleInstances() {
+    if (!this.filePath) {
+      return Promise.resolve([]);
+    }
+    return this._enqueue(() =>
+      this._withLock(async () => {
+        const registry = await this._readFile();
+        const cleaned = this._pruneDeadInstances(registry);
+        const purged = Object.keys(registry.instances).filter((id) => !(id in cleaned.instances));
+        if (purged.length > 0 && !(await this._writeFile(cleaned))) {
+          throw new Error('Failed to write the instance registry');
+        }
+        return purged;
+      })
+    );
+  }
+
   /**
    * Start a periodic heartbeat that updates this instance's lastHeartbeat
    * timestamp and prunes dead/stale instances every 60 seconds.
@@ -289,27 +512,40 @@ class InstanceRegistry {
    */
   _startHeartbeat() {
     this._heartbeatInterval = setInterval(() => {
-      try {
-        // Single atomic operation: lock, read, update timestamp, prune, write, unlock
-        const registry = this._readRegistry();
+      this._heartbeat().catch((e) => console.error('InstanceRegistry: heartbeat failed:', e));
+    }, 60000); // Every 60 seconds
+  }
+
+  /**
+   * One heartbeat: lock, read, update timestamp, prune, write, unlock.
+   * @returns {Promise<void>}
+   * @private
+   */
+  _heartbeat() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+    return this._enqueue(() =>
+      this._withLock(async () => {
+        const registry = await this._readFile();
         if (registry.instances[this.instanceId]) {
           registry.instances[this.instanceId].lastHeartbeat = new Date().toISOString();
         }
-        const cleaned = this._pruneDeadInstances(registry);
-        this._writeRegistry(cleaned);
-      } catch (e) {
-        console.error('InstanceRegistry: heartbeat failed:', e);
-      }
-    }, 60000); // Every 60 seconds
+        await this._writeFile(this._pruneDeadInstances(registry));
+      })
+    );
   }
 
   /**
    * Synchronously remove this instance from the registry.
    * If this was the last instance, delete the registry file entirely.
-   * Safe to call from quit handlers.
+   * Safe to call from quit handlers: operations still queued are dropped,
+   * and if one of them holds the lock right now the file is updated under it.
    */
   unregister() {
     try {
+      this._closed = true;
+
       // Cancel any pending debounced write
       if (this._debounceTimer !== null) {
         clearTimeout(this._debounceTimer);
@@ -322,36 +558,100 @@ class InstanceRegistry {
         this._heartbeatInterval = null;
       }
 
-      const registry = this._readRegistry();
-      delete registry.instances[this.instanceId];
+      if (!this.filePath) return;
 
-      const remaining = Object.keys(registry.instances).length;
-      if (remaining === 0) {
-        // Last instance — delete the registry file
+      let release = null;
+      if (!this._lockHeld) {
         try {
-          if (fs.existsSync(this.filePath)) {
-            fs.unlinkSync(this.filePath);
-            console.log('InstanceRegistry: deleted registry file (last instance)');
-          }
+          if (!fs.existsSync(this.filePath)) return;
+          release = this._lockSync();
         } catch (e) {
-          console.error('InstanceRegistry: failed to delete registry file:', e);
+          console.error('InstanceRegistry: failed to acquire lock for unregister (best-effort):', e.message);
+        }
+      }
+
+      try {
+        const read = readFileWithBackupsSync(this.filePath, parseRegistry);
+        const registry = read ? read.value : { instances: {} };
+        delete registry.instances[this.instanceId];
+
+        const remaining = Object.keys(registry.instances).length;
+        if (remaining === 0) {
+          // Last instance — delete the registry file and its backups
+          try {
+            if (removeWithBackups(this.filePath)) {
+              console.log('InstanceRegistry: deleted registry file (last instance)');
+            }
+          } catch (e) {
+            console.error('InstanceRegistry: failed to delete registry file:', e);
+          }
+        } else {
+          writeFileAtomicSync(this.filePath, JSON.stringify(registry, null, 2));
+          console.log(`InstanceRegistry: unregistered instance ${this.instanceId}, ${remaining} remaining`);
+        }
+      } finally {
+        if (release) {
+          try {
+            release();
+          } catch (e) {
+            console.error('InstanceRegistry: failed to release unregister lock:', e.message);
+          }
         }
-      } else {
-        this._writeRegistry(registry);
-        console.log(`InstanceRegistry: unregistered instance ${this.instanceId}, ${remaining} remaining`);
       }
     } catch (e) {
       console.error('InstanceRegistry: failed to unregister:', e);
     }
   }
 
+  /**
+   * Take the registry lock synchronously (unregister() only). proper-lockfile's
+   * sync API does not retry by itself, so a held lock is retried here with
+   * the backoff the retries option describes.
+   * @returns {Function} release
+   * @throws {Error} if the lock is still held after the last retry
+   * @private
+   */
+  _lockSync() {
+    const { retries, ...options } = this._lockOptions;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return lockfile.lockSync(this.filePath, options);
+      } catch (e) {
+        if (e.code !== 'ELOCKED' || attempt >= retries.retries) throw e;
+        sleepSync(Math.min(retries.minTimeout * 2 ** attempt, retries.maxTimeout));
+      }
+    }
+  }
+
   /**
    * Return the current registry contents (public accessor for cleanup tasks).
-   * @returns {{ instances: Object }}
+   * @returns {Promise<{ instances: Object }>}
    */
   getRegistry() {
-    return this._readRegistry();
+    return this._enqueue(() => this._readRegistry());
+  }
+}
+
+/**
+ * Parse registry file contents.
+ * @param {string} raw
+ * @returns {{ instances: Object }}
+ * @throws {Error} if they are not a registry
+ */
+function parseRegistry(raw) {
+  const data = JSON.parse(raw);
+  if (!data || typeof data.instances !== 'object' || data.instances === null || Array.isArray(data.instances)) {
+    throw new Error('not an instance registry');
   }
+  return data;
+}
+
+/**
+ * Block the thread for a few milliseconds.
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
 }
 
 module.exports = { InstanceRegistry };
@@ -0,0 +1,190 @@
+'use strict';
+
+const {
+  DEFAULT_LAYOUT_STRATEGY,
+  computeHeaderHeight,
+  getLayoutStrategy,
+  isLayoutStrategy,
+} = require('./layout-strategies');
+const { DEFAULT_DOCK_EDGE, isHorizontalDock } = require('./dock-edge');
+
+const MIN_STACK_WIDTH = 200;
+const MIN_ACTIVE_HEIGHT = 100;
+
+const SIDE_OF_CONTROLLER = {
+  left: 'to the right of',
+  right: 'to the left of',
+  top: 'below',
+  bottom: 'above',
+};
+
+/**
+ * The space beyond the controller, on the side opposite its dock edge and
+ * stackGap away from it, before topOffset and custom dimensions apply.
+ * @param {Object} screenBounds - See planLayout
+ * @param {number} stackGap
+ * @returns {{edge: string, x: number, y: number, width: number, height: number}}
+ */
+function stackArea(screenBounds, stackGap) {
+  if (!screenBounds.controller) {
+    // The original shape, always docked left: controller x/width plus the work area's y/height
+    const startX = screenBounds.x + screenBounds.width + stackGap;
+    // displayRightEdge comes from main.js (the display where the controller lives).
+    // Fallback to a safe default if not provided (backward compat).
+    // eslint-disable-next-line eqeqeq -- intentional: != null catches both null and undefined (backward compat)
+    const displayRightEdge = screenBounds.displayRightEdge != null ? screenBounds.displayRightEdge : startX + 1920; // fallback: assume 1920px wide display starting at startX
+    return {
+      edge: 'left',
+      x: startX,
+      y: screenBounds.y,
+      width: displayRightEdge - startX,
+      height: screenBounds.height,
+    };
+  }
+
+  const { controller, workArea } = screenBounds;
+  const edge = screenBounds.dockEdge || DEFAULT_DOCK_EDGE;
+  const right = workArea.x + workArea.width;
+  const bottom = workArea.y + workArea.height;
+  switch (edge) {
+    case 'right': {
+      const endX = controller.x - stackGap;
+      return { edge, x: workArea.x, y: workArea.y, width: endX - workArea.x, height: workArea.height };
+    }
+    case 'top': {
+      const startY = controller.y + controller.height + stackGap;
+      return { edge, x: workArea.x, y: startY, width: workArea.width, height: bottom - startY };
+    }
+    case 'bottom': {
+      const endY = controller.y - stackGap;
+      return { edge, x: workArea.x, y: workArea.y, width: workArea.width, height: endY - workArea.y };
+    }
+    default: {
+      const startX = controller.x + controller.width + stackGap;
+      return { edge, x: startX, y: workArea.y, width: right - startX, height: workArea.height };
+    }
+  }
+}
+
+/**
+ * Compute a complete layout plan without touching any window.
+ *
+ * Pure function: everything it needs (including which windows are minimized
+ * or maximized) comes in through `state`, so a plan can be inspected, tested
+ * or previewed in the renderer before WindowManager applies it.
+ *
+ * @param {Object} state
+ * @param {Array<{hwnd: number, minimized?: boolean, maximized?: boolean}>} state.windows - Stack order
+ * @param {number} state.activeHwnd
+ * @param {string} [state.layoutStrategy='stack']
+ * @param {number} [state.stackGap=0]
+ * @param {number} [state.topOffset=0]
+ * @param {number|null} [state.customWidth=null]
+ * @param {number|null} [state.customHeight=null]
+ * @param {Object} [screenBounds] - Either the original shape, docked left:
+ *   `{x, y, width, height, displayRightEdge?}` with controller x/width and work area y/height;
+ *   or `{dockEdge, controller, workArea}` with the controller's bounds, the edge it is docked
+ *   to (see dock-edge.js) and the work area of the display the stack is laid out on
+ * @param {number} [skipHwnd=0] - Window to leave out of the plan (e.g. the one being resized)
+ * @returns {{
+ *   ok: boolean,
+ *   strategy: string,
+ *   region: {x: number, y: number, width: number, height: number}|null,
+ *   activeHwnd: number,
+ *   headerHeight: number|null,
+ *   targets: Array<{hwnd: number, x: number, y: number, cx: number, cy: number, flags: number, restore: boolean}>,
+ *   zOrder: number[],
+ *   warnings: string[]
+ * }}
+ *   `targets` is back-to-front and can be passed straight to _applyLayout;
+ *   `zOrder` lists the same hwnds front-to-back (topmost first).
+ */
+function planLayout(state, screenBounds, skipHwnd = 0) {
+  const windows = state.windows || [];
+  const strategy = isLayoutStrategy(state.layoutStrategy) ? state.layoutStrategy : DEFAULT_LAYOUT_STRATEGY;
+  const stackGap = state.stackGap || 0;
+  const topOffset = state.topOffset || 0;
+  const customWidth = state.customWidth ?? null;
+  const customHeight = state.customHeight ?? null;
+
+  const plan = {
+    ok: false,
+    strategy,
+    region: null,
+    activeHwnd: 0,
+    headerHeight: null,
+    targets: [],
+    zOrder: [],
+    warnings: [],
+  };
+
+  if (windows.length === 0) return plan;
+
+  const area = stackArea(screenBounds || { x: 0, y: 0, width: 1920, height: 1040, displayRightEdge: null }, stackGap);
+  const horizontalDock = isHorizontalDock(area.edge);
+  // The stack is always at least MIN_STACK_WIDTH deep, measured away from the controller
+  const depth = horizontalDock ? area.height - topOffset : area.width;
+  if (depth < MIN_STACK_WIDTH) {
+    plan.warnings.push(
+      `Not enough space ${SIDE_OF_CONTROLLER[area.edge]} the controller (${depth}px, need ${MIN_STACK_WIDTH}px)`
+    );
+    return plan;
+  }
+  const availableWidth = area.width;
+  const availableHeight = area.height - topOffset;
+
+  // Apply custom dimensions (clamped to available space so we never exceed the monitor)
+  let width = availableWidth;
+  if (customWidth !== null) {
+    width = Math.min(customWidth, availableWidth);
+    if (width < customWidth) plan.warnings.push(`Custom width ${customWidth}px clamped to ${width}px`);
+  }
+  let height = availableHeight;
+  if (customHeight !== null) {
+    height = Math.min(customHeight, availableHeight);
+    if (height < customHeight) plan.warnings.push(`Custom height ${customHeight}px clamped to ${height}px`);
+  }
+
+  // A region smaller than the available space stays next to the controller
+  const x = area.edge === 'right' ? area.x + availableWidth - width : area.x;
+  const y = area.edge === 'bottom' ? area.y + area.height - height : area.y + topOffset;
+
+  // Determine the active window (fall back to the first one if activeHwnd is stale)
+  const activeWindow = windows.find((w) => w.hwnd === state.activeHwnd) || windows[0];
+  plan.activeHwnd = activeWindow.hwnd;
+  plan.region = { x, y, width, height };
+
+  if (strategy === 'stack') {
+    const inactiveCount = windows.length - 1;
+    // Strips run sideways when the controller is docked to the top or bottom
+    const stripSpan = horizontalDock ? width : height;
+    plan.headerHeight = computeHeaderHeight(inactiveCount, stripSpan);
+    if (plan.headerHeight < computeHeaderHeight(0, stripSpan)) {
+      plan.warnings.push(`Strips shrunk to ${plan.headerHeight}px to fit ${inactiveCount} inactive windows`);
+    }
+    if (stripSpan - inactiveCount * plan.headerHeight <= MIN_ACTIVE_HEIGHT) {
+      plan.warnings.push(
+        horizontalDock
+          ? 'Not enough space beside the strips; the active window uses the full width'
+          : 'Not enough space below the strips; the active window uses the full height'
+      );
+    }
+  }
+
+  const flagsByHwnd = new Map(windows.map((w) => [w.hwnd, !!(w.minimized || w.maximized)]));
+  const layout = getLayoutStrategy(strategy);
+  plan.targets = layout({
+    windows,
+    activeHwnd: plan.activeHwnd,
+    region: plan.region,
+    vertical: horizontalDock,
+    skipHwnd,
+    needsRestore: (hwnd) => flagsByHwnd.get(hwnd) || false,
+  });
+  plan.zOrder = plan.targets.map((t) => t.hwnd).reverse();
+  plan.ok = true;
+
+  return plan;
+}
+
+module.exports = { planLayout, MIN_STACK_WIDTH };
@@ -0,0 +1,217 @@
+'use strict';
+
+const { SWP_NOACTIVATE, SWP_SHOWWINDOW } = require('./win32');
+
+const HEADER_HEIGHT = 40;
+const MIN_HEADER_HEIGHT = 10;
+const DEFAULT_LAYOUT_STRATEGY = 'stack';
+
+/**
+ * Layout strategies turn the stack's screen region into the targetLayouts
+ * array consumed by WindowManager._applyLayout:
+ *   [{ hwnd, x, y, cx, cy, flags, restore }]
+ *
+ * Every strategy receives the same context object:
+ * @typedef {Object} LayoutContext
+ * @property {Array<{hwnd: number}>} windows - Managed windows in stack order
+ * @property {number} activeHwnd - The resolved active window (always one of `windows` unless empty)
+ * @property {{x: number, y: number, width: number, height: number}} region - Area the stack may occupy
+ * @property {boolean} [vertical] - The controller is docked to the top or bottom, so strips run vertically
+ * @property {number} skipHwnd - Window to leave untouched (e.g. the one the user is dragging)
+ * @property {(hwnd: number) => boolean} needsRestore - Whether the window must be restored before positioning
+ *
+ * Entries are emitted back-to-front: DeferWindowPos places each window with
+ * HWND_TOP, so the last entry ends up on top. Strategies always emit the
+ * active window last so it is never covered.
+ */
+
+/**
+ * Compute the strip height for `inactiveCount` strips inside `height` pixels.
+ * Strips may use at most 60% of the height; beyond that they shrink (min 10px).
+ * @param {number} inactiveCount
+ * @param {number} height
+ * @returns {number}
+ */
+function computeHeaderHeight(inactiveCount, height) {
+  const maxStripArea = Math.floor(height * 0.6);
+  if (inactiveCount * HEADER_HEIGHT > maxStripArea) {
+    return Math.max(Math.floor(maxStripArea / inactiveCount), MIN_HEADER_HEIGHT);
+  }
+  return HEADER_HEIGHT;
+}
+
+function target(ctx, hwnd, x, y, cx, cy) {
+  return {
+    hwnd,
+    x,
+    y,
+    cx,
+    cy,
+    flags: SWP_NOACTIVATE | SWP_SHOWWINDOW,
+    restore: ctx.needsRestore(hwnd),
+  };
+}
+
+/**
+ * Split windows into [inactive..., active] order, dropping skipHwnd.
+ */
+function backToFront(ctx) {
+  const inactive = ctx.windows.filter((w) => w.hwnd !== ctx.activeHwnd);
+  const active = ctx.windows.find((w) => w.hwnd === ctx.activeHwnd);
+  const ordered = active ? [...inactive, active] : inactive;
+  return ordered.filter((w) => w.hwnd !== ctx.skipHwnd);
+}
+
+/**
+ * Strip stack (default): inactive windows as header strips at the top,
+ * the active window fills the remaining area below them. With `vertical`
+ * the layout is mirrored along the diagonal: strips along the left edge,
+ * the active window to their right.
+ */
+function stackStrategy(ctx) {
+  if (ctx.vertical) {
+    const { x, y, width, height } = ctx.region;
+    const transposed = stackStrategy({ ...ctx, vertical: false, region: { x: y, y: x, width: height, height: width } });
+    return transposed.map((t) => ({ ...t, x: t.y, y: t.x, cx: t.cy, cy: t.cx }));
+  }
+
+  const { x, y, width, height } = ctx.region;
+  const inactiveCount = ctx.windows.length - (ctx.activeHwnd ? 1 : 0);
+  const headerHeight = computeHeaderHeight(inactiveCount, height);
+
+  const targetLayouts = [];
+  let stripIndex = 0;
+  for (const w of ctx.windows) {
+    if (w.hwnd === ctx.activeHwnd) continue;
+    if (w.hwnd !== ctx.skipHwnd) {
+      targetLayouts.push(target(ctx, w.hwnd, x, y + stripIndex * headerHeight, width, height));
+    }
+    stripIndex++;
+  }
+
+  if (ctx.activeHwnd && ctx.activeHwnd !== ctx.skipHwnd) {
+    const activeHeight = height - inactiveCount * headerHeight;
+    targetLayouts.push(
+      target(
+        ctx,
+        ctx.activeHwnd,
+        x,
+        y + inactiveCount * headerHeight,
+        width,
+        activeHeight > 100 ? activeHeight : height
+      )
+    );
+  }
+
+  return targetLayouts;
+}
+
+/**
+ * Grid / tile: windows fill a near-square grid in stack order.
+ * The last row stretches its cells to use the full width.
+ */
+function gridStrategy(ctx) {
+  const { x, y, width, height } = ctx.region;
+  const count = ctx.windows.length;
+  const cols = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const cellHeight = Math.floor(height / rows);
+
+  const cells = new Map();
+  ctx.windows.forEach((w, i) => {
+    const row = Math.floor(i / cols);
+    const rowCols = row === rows - 1 ? count - row * cols : cols;
+    const cellWidth = Math.floor(width / rowCols);
+    const col = i - row * cols;
+    cells.set(w.hwnd, { x: x + col * cellWidth, y: y + row * cellHeight, cx: cellWidth, cy: cellHeight });
+  });
+
+  return backToFront(ctx).map((w) => {
+    const c = cells.get(w.hwnd);
+    return target(ctx, w.hwnd, c.x, c.y, c.cx, c.cy);
+  });
+}
+
+/**
+ * Columns: equal-width, full-height columns in stack order.
+ */
+function columnsStrategy(ctx) {
+  const { x, y, width, height } = ctx.region;
+  const colWidth = Math.floor(width / ctx.windows.length);
+  const index = new Map(ctx.windows.map((w, i) => [w.hwnd, i]));
+
+  return backToFront(ctx).map((w) => target(ctx, w.hwnd, x + index.get(w.hwnd) * colWidth, y, colWidth, height));
+}
+
+/**
+ * Cascade: inactive windows offset diagonally by one header height each so
+ * their title bars stay visible; the active window sits at the end of the cascade.
+ */
+function cascadeStrategy(ctx) {
+  const { x, y, width, height } = ctx.region;
+  const steps = ctx.windows.length - 1;
+  const offset = Math.min(computeHeaderHeight(steps, height), computeHeaderHeight(steps, width));
+  const cx = width - steps * offset;
+  const cy = height - steps * offset;
+
+  const ordered = backToFront(ctx);
+  const positions = new Map();
+  ctx.windows.filter((w) => w.hwnd !== ctx.activeHwnd).forEach((w, i) => positions.set(w.hwnd, i));
+  if (ctx.activeHwnd) positions.set(ctx.activeHwnd, steps);
+
+  return ordered.map((w) => {
+    const i = positions.get(w.hwnd);
+    return target(ctx, w.hwnd, x + i * offset, y + i * offset, cx, cy);
+  });
+}
+
+/**
+ * Monocle: every window fills the whole region; only the active one is visible.
+ */
+function monocleStrategy(ctx) {
+  const { x, y, width, height } = ctx.region;
+  return backToFront(ctx).map((w) => target(ctx, w.hwnd, x, y, width, height));
+}
+
+const LAYOUT_STRATEGIES = {
+  stack: { label: 'Strip stack', layout: stackStrategy },
+  grid: { label: 'Grid', layout: gridStrategy },
+  columns: { label: 'Columns', layout: columnsStrategy },
+  cascade: { label: 'Cascade', layout: cascadeStrategy },
+  monocle: { label: 'Monocle', layout: monocleStrategy },
+};
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isLayoutStrategy(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(LAYOUT_STRATEGIES, name);
+}
+
+/**
+ * Look up a strategy by name, falling back to the default strip stack.
+ * @param {string} name
+ * @returns {(ctx: LayoutContext) => Array<Object>}
+ */
+function getLayoutStrategy(name) {
+  return (isLayoutStrategy(name) ? LAYOUT_STRATEGIES[name] : LAYOUT_STRATEGIES[DEFAULT_LAYOUT_STRATEGY]).layout;
+}
+
+/**
+ * List registered strategies for the UI.
+ * @returns {Array<{id: string, label: string}>}
+ */
+function listLayoutStrategies() {
+  return Object.entries(LAYOUT_STRATEGIES).map(([id, s]) => ({ id, label: s.label }));
+}
+
+module.exports = {
+  HEADER_HEIGHT,
+  DEFAULT_LAYOUT_STRATEGY,
+  LAYOUT_STRATEGIES,
+  computeHeaderHeight,
+  getLayoutStrategy,
+  isLayoutStrategy,
+  listLayoutStrategies,
+};
@@ -1,13 +1,35 @@
 'use strict';
 
-const { app, BrowserWindow, ipcMain, screen } = require('electron');
+const { app, BrowserWindow, Menu, clipboard, dialog, globalShortcut, ipcMain, screen } = require('electron');
+const fs = require('fs');
 const path = require('path');
-const { WindowManager, CONTROLLER_WIDTH, HEADER_HEIGHT } = require('./window-manager');
+const { WindowManager, CONTROLLER_WIDTH, MAX_STACKS } = require('./window-manager');
+const { computeHeaderHeight, isLayoutStrategy, listLayoutStrategies } = require('./layout-strategies');
 const { Persistence } = require('./persistence');
-const { ForegroundMonitor } = require('./foreground-monitor');
-const { ResizeMonitor } = require('./resize-monitor');
+const { WinEventHub } = require('./win-event-hub');
+const { HotkeyManager } = require('./hotkeys');
+const { SessionStore } = require('./session-store');
+const { buildMatchCriteria, assignMatches } = require('./window-matcher');
+const { exportStack, parseStackImport, MAX_IMPORT_BYTES } = require('./stack-transfer');
+const { displayConfigKey, isTitleBarVisible } = require('./display-profiles');
+const { resolveTargetDisplay, describeDisplays } = require('./target-display');
+const {
+  DEFAULT_DOCK_EDGE,
+  isDockEdge,
+  isAppBarMode,
+  isHorizontalDock,
+  edgeStrip,
+  dockedControllerBounds,
+} = require('./dock-edge');
+const { AppBar, APP_BAR_CALLBACK_MESSAGE } = require('./app-bar');
+const { recoverOrphanedStacks, formatRecoveryNotice } = require('./crash-recovery');
+const { normalizeRules, findMatchingRule } = require('./auto-add-rules');
+const { normalizeExclusionRules, ruleFromWindow, ExclusionStore } = require('./exclusion-rules');
+const { AppIconCache } = require('./app-icons');
+const { HandoffMailbox, adoptHandedOffWindow } = require('./handoff-mailbox');
+const { InstanceBus } = require('./instance-bus');
 const { InstanceRegistry } = require('./instance-registry');
-const { api } = require('./win32');
+const { api, ABN_STATECHANGE, ABN_POSCHANGED, ABN_FULLSCREENAPP } = require('./win32');
 
 function validateHwnd(hwnd) {
   const n = Number(hwnd);
@@ -15,34 +37,94 @@ function validateHwnd(hwnd) {
   return n;
 }
 
+function validateStackId(id) {
+  if (typeof id !== 'string' || !windowManager.getStack(id)) throw new Error('Unknown stack: ' + id);
+  return id;
+}
+
 let mainWindow = null;
 let windowManager = null;
 let persistence = null;
-let foregroundMonitor = null;
-let resizeMonitor = null;
+let winEventHub = null;
+let hotkeyManager = null;
+let sessionStore = null;
+let exclusionStore = null;
+let iconCache = null;
+let handoffMailbox = null;
+let instanceBus = null;
+let _restoreSessionEnabled = false;
+let _sessionRestore = null; // in-progress restore: { pending, positions, scanTimer, scanning, rescan, deadlineTimer, unsubscribe }
+let _lastSessionJson = null;
+let _rendererLoaded = false;
+let _pendingNotices = []; // messages queued until the renderer can show them
+const _autoAddWatch = new Map(); // new hwnd → time after which title changes stop being checked
+let _autoAddUnsubscribe = null; // system-wide WinEvent subscriptions, held while a stack has auto-add rules
+let _eventHookStatus = { running: false, healthy: true, hooks: [] };
 let instanceRegistry = null;
 let cleanupTimer = null;
 let saveTimer = null;
 let _layoutDebounceTimer = null;
+let _controllerMoveTimer = null;
+let _stackDisplayId = null; // display the controller was on at the last layout
+let _displayChangeTimer = null;
+let _displayConfigKey = ''; // attached monitors, see display-profiles.js
 let _saveDebounceTimer = null;
 let _focusDebounceTimer = null;
 let _cleanedUp = false;
 let _renameFocusLocked = false;
 let _colorPickerLocked = false;
+let _fileDialogOpen = false;
 let _ipcActionLock = false;
 let _ipcActionLockTimer = null;
 let _resizeHandling = false;
+let appBar = null; // the controller's AppBar registration while appBarMode is not 'off'
+let _appBarFloatingBounds = null; // controller bounds from before it became an AppBar
+let _autoHideTimer = null;
+let _autoHideShown = false;
+let _autoHideThickness = 0;
 const SAVE_DEBOUNCE_MS = 2000; // 2 seconds
+// Safety net only — destroy/hide WinEvents remove closed windows as soon as it happens
+const DEAD_WINDOW_POLL_MS = 30000; // 30 seconds
+const TITLE_THROTTLE_MS = 300; // browsers/editors retitle on every tab switch
+const SESSION_RESTORE_WAIT_MS = 5 * 60 * 1000; // keep looking for late windows (apps started at login)
+const SESSION_SCAN_DEBOUNCE_MS = 500;
+const DISPLAY_CHANGE_SETTLE_MS = 500; // docking fires a burst of display events
+const CONTROLLER_MOVE_SETTLE_MS = 150; // 'moved' is not sent for every kind of move (e.g. Win+Shift+Arrow)
+const DOCKED_CONTROLLER_HEIGHT = 320; // controller height when docked to the top or bottom edge
+const CONTROLLER_MIN_WIDTH = 250;
+const CONTROLLER_MIN_HEIGHT = 120;
+const AUTO_HIDE_POLL_MS = 200; // pointer checks while the controller is an auto-hide AppBar
+const AUTO_HIDE_SLIVER = 4; // px of an auto-hidden controller left showing on its edge
+const AUTO_ADD_SETTLE_MS = 250; // let a new window finish showing before matching it
+const AUTO_ADD_WATCH_MS = 10000; // apps often set the real title shortly after the window appears
 
 function performCleanup() {
   if (_cleanedUp) return;
   _cleanedUp = true;
 
-  if (foregroundMonitor) foregroundMonitor.stop();
-  if (resizeMonitor) resizeMonitor.stop();
+  if (winEventHub) winEventHub.stop();
+  if (hotkeyManager) hotkeyManager.unregisterAll();
+  if (iconCache) iconCache.dispose();
+  // Windows handed to us that we never got to adopt go back where they came from
+  if (handoffMailbox) {
+    for (const message of handoffMailbox.stop()) windowManager.restoreOrphanedWindow(message.window);
+  }
   if (cleanupTimer) clearInterval(cleanupTimer);
   if (saveTimer) clearInterval(saveTimer);
   if (_layoutDebounceTimer) clearTimeout(_layoutDebounceTimer);
+  if (_controllerMoveTimer) {
+    clearTimeout(_controllerMoveTimer);
+    _controllerMoveTimer = null;
+  }
+  if (_displayChangeTimer) {
+    clearTimeout(_displayChangeTimer);
+    _displayChangeTimer = null;
+  }
+  // A reserved edge outlives the app until the shell notices, so hand it back explicitly
+  releaseAppBar();
+  screen.removeListener('display-added', scheduleDisplayChange);
+  screen.removeListener('display-removed', scheduleDisplayChange);
+  screen.removeListener('display-metrics-changed', scheduleDisplayChange);
   if (_saveDebounceTimer) {
     clearTimeout(_saveDebounceTimer);
     _saveDebounceTimer = null;
@@ -57,12 +139,18 @@ function performCleanup() {
   }
   _colorPickerLocked = false;
 
+  const restoreInProgress = !!_sessionRestore;
+  stopSessionRestore();
+
   if (windowManager) {
+    // While a restore is still in progress the claimed snapshot is more complete than the stack
+    if (!restoreInProgress) saveSession();
     persistence.saveSync(windowManager.getState());
     windowManager.cleanup();
     windowManager.restoreAll();
   }
   if (persistence) persistence.cleanupFile();
+  if (instanceBus) instanceBus.stop();
   if (instanceRegistry) instanceRegistry.unregister();
 }
 
@@ -109,8 +197,8 @@ function createWindow() {
     x: workArea.x,
     y: workArea.y,
     resizable: true,
-    minWidth: 250,
-    minHeight: 120,
+    minWidth: CONTROLLER_MIN_WIDTH,
+    minHeight: CONTROLLER_MIN_HEIGHT,
     alwaysOnTop: true,
     autoHideMenuBar: true,
     frame: true,
@@ -134,24 +222,44 @@ function createWindow() {
   mainWindow.webContents.on('will-redirect', (event) => {
     event.preventDefault();
   });
+  mainWindow.webContents.on('did-finish-load', () => {
+    _rendererLoaded = true;
+    flushNotices();
+  });
 
   mainWindow.on('resize', () => {
+    if (appBar) appBar.windowPosChanged();
+    // Crossing onto a display with another DPI resizes the controller mid-drag;
+    // the stack follows once the move settles instead
+    if (_controllerMoveTimer && getControllerDisplay().id !== _stackDisplayId) return;
     doLayout();
     if (windowManager) {
       debouncedSave();
     }
   });
 
+  // 'move' fires for every step of a drag: the stack is laid out once, when
+  // the controller comes to rest, so windows jump straight to their new place
+  mainWindow.on('move', () => {
+    if (_controllerMoveTimer) clearTimeout(_controllerMoveTimer);
+    _controllerMoveTimer = setTimeout(onControllerMoved, CONTROLLER_MOVE_SETTLE_MS);
+  });
+  mainWindow.on('moved', onControllerMoved);
+
+  // Unregister while the window still exists; performCleanup runs after it is gone
+  mainWindow.on('close', releaseAppBar);
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
 
   mainWindow.on('focus', () => {
+    if (appBar) appBar.activate();
     if (!windowManager) return;
     if (_focusDebounceTimer) clearTimeout(_focusDebounceTimer);
     _focusDebounceTimer = setTimeout(() => {
       _focusDebounceTimer = null;
-      if (_renameFocusLocked || _ipcActionLock || _colorPickerLocked) return; // Skip — user is editing a name, just triggered an IPC action, or color picker is open
+      if (_renameFocusLocked || _ipcActionLock || _colorPickerLocked || _fileDialogOpen) return; // Skip — user is editing a name, just triggered an IPC action, or a color picker / file dialog is open
       const activeHwnd = windowManager.getActiveHwnd();
       if (activeHwnd > 0) {
         try {
@@ -170,8 +278,10 @@ function sendStateUpdate() {
   if (!windowManager || !mainWindow || mainWindow.isDestroyed()) return;
   const dims = windowManager.getCustomDimensions();
   mainWindow.webContents.send('state-update', {
-    managed: windowManager.getManagedWindows(),
+    managed: iconCache.withIcons(windowManager.getManagedWindows()),
     activeHwnd: windowManager.getActiveHwnd(),
+    stacks: windowManager.getStacks(),
+    currentStackId: windowManager.getCurrentStackId(),
     stackName: windowManager.stackName,
     hideAvailable: windowManager.hideAvailable,
     customWidth: dims.customWidth,
@@ -182,25 +292,317 @@ function sendStateUpdate() {
     lightMode: windowManager.getLightMode(),
     sortAvailableAlpha: windowManager.getSortAvailableAlpha(),
     dynamicReorder: windowManager.getDynamicReorder(),
+    layoutStrategy: windowManager.getLayoutStrategy(),
+    dockEdge: windowManager.getDockEdge(),
+    appBarMode: windowManager.getAppBarMode(),
+    targetDisplay: windowManager.getTargetDisplay(),
+    displays: describeDisplays(screen.getAllDisplays(), screen.getPrimaryDisplay().id),
+    eventHooksHealthy: _eventHookStatus.healthy,
+    restoreSession: _restoreSessionEnabled,
+    sessionRestorePending: _sessionRestore ? _sessionRestore.pending.length : 0,
   });
 }
 
-function doLayout(skipHwnd = 0) {
-  if (!mainWindow || !windowManager) return;
+/**
+ * Show a one-off message in the controller (queued until the renderer has loaded).
+ * @param {string} message
+ */
+function sendNotice(message) {
+  _pendingNotices.push(message);
+  flushNotices();
+}
+
+function flushNotices() {
+  if (!_rendererLoaded || !mainWindow || mainWindow.isDestroyed()) return;
+  for (const message of _pendingNotices) {
+    mainWindow.webContents.send('notice', { message });
+  }
+  _pendingNotices = [];
+}
+
+/**
+ * The display the controller lives on (the one nearest its top-left corner).
+ */
+function getControllerDisplay() {
   const bounds = mainWindow.getBounds();
-  const display = screen.getDisplayNearestPoint({ x: bounds.x, y: bounds.y });
+  return screen.getDisplayNearestPoint({ x: bounds.x, y: bounds.y });
+}
+
+/**
+ * The display a stack is laid out on (its target display, or the controller's).
+ * @param {Object} [stack] - Defaults to the current stack
+ */
+function getStackDisplay(stack = windowManager.currentStack) {
+  return resolveTargetDisplay(stack.targetDisplay, {
+    displays: screen.getAllDisplays(),
+    primaryId: screen.getPrimaryDisplay().id,
+    controllerDisplay: getControllerDisplay(),
+  });
+}
+
+/**
+ * Screen bounds for a stack: the controller's bounds and dock edge plus the
+ * work area of the stack's display. A stack targeting another display than
+ * the controller's gets a zero-thickness "controller" along that display's
+ * dock edge, and so does every stack while the controller is an AppBar (it
+ * is outside the work area, or slides out over the stack when auto-hidden).
+ * @param {Object} [stack] - Defaults to the current stack
+ */
+function getStackScreenBounds(stack = windowManager.currentStack) {
+  const dockEdge = windowManager.getDockEdge();
+  const display = getStackDisplay(stack);
   const workArea = display.workArea;
+  const controller =
+    display.id === getControllerDisplay().id && !appBar
+      ? mainWindow.getBounds()
+      : dockedControllerBounds(dockEdge, workArea, { width: 0, height: 0 }, { width: 0, height: 0 });
+  return { dockEdge, controller, workArea };
+}
 
-  windowManager.layoutStack(
-    {
-      x: bounds.x,
-      y: workArea.y,
-      width: bounds.width,
-      height: workArea.height,
-      displayRightEdge: workArea.x + workArea.width,
-    },
-    skipHwnd
+/**
+ * Snap the controller to its dock edge of a display's work area.
+ * @param {Object} display - Electron display
+ */
+function snapControllerToDock(display) {
+  mainWindow.setBounds(
+    dockedControllerBounds(windowManager.getDockEdge(), display.workArea, mainWindow.getBounds(), {
+      width: CONTROLLER_WIDTH,
+      height: DOCKED_CONTROLLER_HEIGHT,
+    })
+  );
+}
+
+/**
+ * The controller's native window handle.
+ * @returns {number}
+ */
+function getControllerHwnd() {
+  const handle = mainWindow.getNativeWindowHandle();
+  return Number(handle.length >= 8 ? handle.readBigUInt64LE(0) : handle.readUInt32LE(0));
+}
+
+/**
+ * Follow windowManager's appBarMode: register the controller as an AppBar on
+ * its dock edge (see app-bar.js) and move it there, or turn it back into a
+ * plain window. Called again whenever the edge or the displays change, since
+ * the shell never moves an AppBar itself. An edge that already has an
+ * auto-hide bar is reserved instead.
+ */
+function applyAppBarMode() {
+  stopAutoHide();
+  const mode = windowManager.getAppBarMode();
+  if (mode === 'off') {
+    releaseAppBar();
+    return;
+  }
+
+  if (!appBar) {
+    appBar = new AppBar(getControllerHwnd());
+    if (!appBar.register()) {
+      appBar = null;
+      console.error('[AppBar] The shell refused to register the controller');
+      sendNotice('Windows did not accept the controller as an AppBar; it stays a floating window.');
+      return;
+    }
+    _appBarFloatingBounds = mainWindow.getBounds();
+    mainWindow.hookWindowMessage(APP_BAR_CALLBACK_MESSAGE, onAppBarNotification);
+    // The edge decides where an AppBar goes and how big it is
+    mainWindow.setMovable(false);
+    mainWindow.setResizable(false);
+    mainWindow.setMinimumSize(1, 1); // room for the auto-hide sliver
+  }
+
+  const edge = windowManager.getDockEdge();
+  const display = getControllerDisplay();
+  const defaults = { width: CONTROLLER_WIDTH, height: DOCKED_CONTROLLER_HEIGHT };
+  const docked = dockedControllerBounds(edge, display.workArea, _appBarFloatingBounds, defaults);
+  const thickness = isHorizontalDock(edge) ? docked.height : docked.width;
+  // The shell works in physical pixels, Electron in DIPs
+  const monitor = screen.dipToScreenRect(null, display.bounds);
+
+  if (mode === 'autohide') {
+    if (appBar.autoHide(edge, monitor)) {
+      startAutoHide(thickness);
+      return;
+    }
+    console.warn(`[AppBar] The ${edge} edge already has an auto-hide bar, reserving it instead`);
+    sendNotice(`Another auto-hide bar is on the ${edge} edge, so the controller reserves it instead.`);
+  }
+  const granted = appBar.reserve(edge, monitor, Math.round(thickness * display.scaleFactor));
+  mainWindow.setBounds(screen.screenToDipRect(null, granted));
+}
+
+/**
+ * Unregister the controller's AppBar, handing its edge back to the work area,
+ * and make it a plain window again. Safe to call more than once.
+ */
+function releaseAppBar() {
+  stopAutoHide();
+  if (!appBar) return;
+  appBar.unregister();
+  appBar = null;
+  console.log('[AppBar] Unregistered the controller');
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.unhookWindowMessage(APP_BAR_CALLBACK_MESSAGE);
+  mainWindow.setMinimumSize(CONTROLLER_MIN_WIDTH, CONTROLLER_MIN_HEIGHT);
+  mainWindow.setMovable(true);
+  mainWindow.setResizable(true);
+  mainWindow.setBounds(
+    dockedControllerBounds(windowManager.getDockEdge(), getControllerDisplay().workArea, _appBarFloatingBounds, {
+      width: CONTROLLER_WIDTH,
+      height: DOCKED_CONTROLLER_HEIGHT,
+    })
+  );
+}
+
+/**
+ * AppBar notifications from the shell (APP_BAR_CALLBACK_MESSAGE).
+ * @param {Buffer} wParam - ABN_* code
+ * @param {Buffer} lParam - For ABN_FULLSCREENAPP: whether a full-screen app is opening
+ */
+function onAppBarNotification(wParam, lParam) {
+  if (!appBar) return;
+  const code = wParam.readUInt32LE(0);
+  if (code === ABN_POSCHANGED || code === ABN_STATECHANGE) {
+    // Another AppBar on the edge (usually the taskbar) moved or changed: claim the edge again
+    if (appBar.reserved) applyAppBarMode();
+  } else if (code === ABN_FULLSCREENAPP) {
+    // Step behind full-screen apps (games, presentations) like the taskbar does
+    mainWindow.setAlwaysOnTop(lParam.readUInt32LE(0) === 0);
+  }
+}
+
+function startAutoHide(thickness) {
+  _autoHideThickness = thickness;
+  setAutoHideShown(false);
+  _autoHideTimer = setInterval(pollAutoHide, AUTO_HIDE_POLL_MS);
+}
+
+function stopAutoHide() {
+  if (_autoHideTimer) {
+    clearInterval(_autoHideTimer);
+    _autoHideTimer = null;
+  }
+}
+
+/**
+ * Slide the auto-hide controller out to its full thickness, or back to a sliver on its edge.
+ * @param {boolean} shown
+ */
+function setAutoHideShown(shown) {
+  _autoHideShown = shown;
+  const thickness = shown ? _autoHideThickness : AUTO_HIDE_SLIVER;
+  mainWindow.setBounds(edgeStrip(windowManager.getDockEdge(), getControllerDisplay().workArea, thickness));
+}
+
+function pollAutoHide() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  const point = screen.getCursorScreenPoint();
+  const bounds = mainWindow.getBounds();
+  const pointerOver =
+    point.x >= bounds.x &&
+    point.x < bounds.x + bounds.width &&
+    point.y >= bounds.y &&
+    point.y < bounds.y + bounds.height;
+  if (pointerOver && !_autoHideShown) {
+    setAutoHideShown(true);
+  } else if (!pointerOver && _autoHideShown && !mainWindow.isFocused()) {
+    // Stays out while focused, e.g. while a window is being renamed
+    setAutoHideShown(false);
+  }
+}
+
+function doLayout(skipHwnd = 0) {
+  if (!mainWindow || !windowManager) return;
+  _stackDisplayId = getControllerDisplay().id;
+  windowManager.layoutStack(getStackScreenBounds, skipHwnd);
+}
+
+/**
+ * The controller stopped moving: lay the stack out next to it. When it landed
+ * on another display, custom dimensions too large for that display's work
+ * area are clamped first.
+ */
+function onControllerMoved() {
+  if (_controllerMoveTimer) {
+    clearTimeout(_controllerMoveTimer);
+    _controllerMoveTimer = null;
+  }
+  if (!mainWindow || mainWindow.isDestroyed() || !windowManager) return;
+  if (appBar) appBar.windowPosChanged();
+  if (displayConfigKey(screen.getAllDisplays()) !== _displayConfigKey) {
+    // Windows moved the controller off a monitor that went away: the
+    // display change handler switches settings before anything is clamped
+    scheduleDisplayChange();
+    return;
+  }
+  const display = getControllerDisplay();
+  if (display.id !== _stackDisplayId) {
+    console.log(`[Layout] Controller moved to display ${display.id}, moving the stack`);
+    if (windowManager.clampCustomDimensions((stack) => getStackDisplay(stack).workArea)) {
+      sendStateUpdate();
+      debouncedSave();
+    }
+  }
+  doLayout();
+}
+
+// ─── Display changes ────────────────────────────────────────────────────────
+
+function scheduleDisplayChange() {
+  if (_displayChangeTimer) clearTimeout(_displayChangeTimer);
+  _displayChangeTimer = setTimeout(onDisplaysChanged, DISPLAY_CHANGE_SETTLE_MS);
+}
+
+/**
+ * A monitor was attached or removed, or a work area changed (taskbar moved,
+ * scaling changed). When the set of monitors changed, every stack's region
+ * settings are remembered for the old configuration and the ones last used
+ * with the new configuration come back; then the controller is brought back
+ * on-screen if needed and the stack is laid out against the new work area.
+ */
+function onDisplaysChanged() {
+  _displayChangeTimer = null;
+  if (!mainWindow || mainWindow.isDestroyed() || !windowManager) return;
+  const displays = screen.getAllDisplays();
+  const key = displayConfigKey(displays);
+  let settingsChanged = false;
+  if (key !== _displayConfigKey) {
+    windowManager.rememberDisplayProfiles(_displayConfigKey);
+    settingsChanged = windowManager.applyDisplayProfiles(key);
+    console.log(
+      `[Display] ${displays.length} display(s) attached` +
+        (settingsChanged ? ', restored the stack settings last used with them' : '')
+    );
+    _displayConfigKey = key;
+  }
+
+  const bounds = mainWindow.getBounds();
+  const offScreen = !isTitleBarVisible(
+    bounds,
+    displays.map((d) => d.workArea)
   );
+  if (offScreen) console.log('[Display] Controller is off-screen, moving it to the primary display');
+  if (appBar) {
+    // The shell does not move AppBars: claim the edge of the changed (or nearest) display again
+    applyAppBarMode();
+  } else if (windowManager.getDockEdge() !== DEFAULT_DOCK_EDGE) {
+    // Keep a controller docked right, top or bottom on its edge of the changed work area
+    snapControllerToDock(offScreen ? screen.getPrimaryDisplay() : getControllerDisplay());
+  } else if (offScreen) {
+    const workArea = screen.getPrimaryDisplay().workArea;
+    mainWindow.setBounds({
+      x: workArea.x,
+      y: workArea.y,
+      width: Math.min(bounds.width, workArea.width),
+      height: Math.min(bounds.height, workArea.height),
+    });
+  }
+
+  if (windowManager.clampCustomDimensions((stack) => getStackDisplay(stack).workArea)) settingsChanged = true;
+  doLayout();
+  sendStateUpdate(); // the display list changed too
+  if (settingsChanged) debouncedSave();
 }
 
 function doLayoutDebounced() {
@@ -211,13 +613,69 @@ function doLayoutDebounced() {
 }
 
 function syncMonitors() {
-  const hwnds = windowManager.getManagedHwnds();
-  foregroundMonitor.updateManagedSet(hwnds);
-  resizeMonitor.updateManagedSet(hwnds);
+  winEventHub.updateManagedSet(windowManager.getManagedHwnds());
 }
 
 /**
- * Called by ForegroundMonitor when a managed window gains OS focus.
+ * Share this instance's windows and stack names with the other instances:
+ * right away over the bus, and (debounced) in the registry for instances
+ * the bus cannot reach.
+ */
+function publishInstanceState() {
+  const managedHwnds = windowManager.getManagedHwnds();
+  const stacks = windowManager.getStacks().map(({ id, stackName }) => ({ id, stackName }));
+  if (instanceBus) instanceBus.publish({ managedHwnds, stacks });
+  instanceRegistry.updateManagedHwnds(managedHwnds, stacks);
+}
+
+/**
+ * Other running instances with their windows and stacks. What instances
+ * connected over the bus report wins over their (possibly 2s old) registry
+ * entries; registered instances not connected yet are connected to.
+ * @returns {Promise<Array<{instanceId: string, managedHwnds: number[], stacks: Array<{id: string, stackName: string}>}>>}
+ */
+async function getOtherInstances() {
+  const registered = await instanceRegistry.getOtherInstances();
+  if (!instanceBus) return registered;
+  instanceBus.connectPeers(registered.map((i) => i.instanceId));
+  const peers = new Map(instanceBus.getPeers().map((p) => [p.instanceId, p]));
+  const result = registered.map((i) => peers.get(i.instanceId) || i);
+  for (const peer of peers.values()) {
+    if (!registered.some((i) => i.instanceId === peer.instanceId)) result.push(peer);
+  }
+  return result;
+}
+
+/**
+ * @returns {Promise<Set<number>>} windows managed by other running instances
+ */
+async function getOtherInstancesHwnds() {
+  return new Set((await getOtherInstances()).flatMap((i) => i.managedHwnds));
+}
+
+/**
+ * Another instance claimed or released windows, renamed its stacks or quit:
+ * the Available list is stale.
+ */
+function onPeersChanged() {
+  if (!_rendererLoaded || !mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.webContents.send('available-changed');
+}
+
+/**
+ * Propagate a removal that did not come from the UI (window closed, hidden
+ * or found dead): monitors, layout, renderer, disk and the shared registry.
+ */
+function onManagedWindowsRemoved() {
+  syncMonitors();
+  doLayoutDebounced();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+/**
+ * Called by the WinEventHub ('foreground') when a managed window gains OS focus.
  * This is the primary activation path. A secondary path exists via the
  * 'activate-window' IPC handler for explicit UI-driven activation.
  */
@@ -230,19 +688,79 @@ function onManagedWindowFocused(hwnd) {
   }
 }
 
+/**
+ * Called by the WinEventHub ('destroy') when a managed window is destroyed,
+ * and by onManagedWindowHidden. The window is forgotten (not restored) so a
+ * hidden window stays hidden.
+ */
+function onManagedWindowClosed(hwnd, reason = 'destroyed') {
+  if (!windowManager) return;
+  if (windowManager.forgetWindow(hwnd)) {
+    console.log(`Managed window ${reason}, removed from stack — hwnd:`, hwnd);
+    onManagedWindowsRemoved();
+  }
+}
+
+/**
+ * Called by the WinEventHub ('hide'). Only counts when the window is still
+ * invisible by the time the event is delivered, so hide/show flicker is ignored.
+ */
+function onManagedWindowHidden(hwnd) {
+  if (api.IsWindowVisible(hwnd)) return;
+  onManagedWindowClosed(hwnd, 'hidden');
+}
+
+/**
+ * Called by the WinEventHub ('nameChange', throttled) when a managed window's title changes.
+ */
+function onManagedTitleChanged(hwnd) {
+  if (!windowManager) return;
+  if (windowManager.refreshWindowTitle(hwnd)) {
+    sendStateUpdate();
+    debouncedSave();
+  }
+}
+
+/**
+ * Called by the WinEventHub ('minimizeEnd') when a managed window is restored
+ * from the taskbar — put it back into its slot instead of its pre-minimize rect.
+ */
+function onManagedWindowRestored() {
+  doLayoutDebounced();
+}
+
+/**
+ * Called by the WinEventHub whenever a hook is installed or fails.
+ */
+function onEventHookStatus(status) {
+  const wasHealthy = _eventHookStatus.healthy;
+  _eventHookStatus = status;
+  if (wasHealthy !== status.healthy) sendStateUpdate();
+}
+
 function onManagedWindowResized(hwnd) {
   if (!windowManager || !mainWindow) return;
   if (_resizeHandling) return;
   _resizeHandling = true;
   try {
+    // Only the strip stack maps a single window's rect back onto gap/offset/size,
+    // only next to a controller docked left and only for the stack the controller
+    // is editing. Otherwise the window is simply snapped back into its slot.
+    if (
+      windowManager.getLayoutStrategy() !== 'stack' ||
+      windowManager.getDockEdge() !== 'left' ||
+      windowManager.findStackOf(hwnd) !== windowManager.currentStack
+    ) {
+      doLayout();
+      return;
+    }
+
     const rect = { left: 0, top: 0, right: 0, bottom: 0 };
     const success = api.GetWindowRect(hwnd, rect);
     if (!success) return;
 
-    const bounds = mainWindow.getBounds();
-    const display = screen.getDisplayNearestPoint({ x: bounds.x, y: bounds.y });
-    const workArea = display.workArea;
-    const panelRightEdge = bounds.x + bounds.width;
+    const { controller, workArea } = getStackScreenBounds();
+    const panelRightEdge = controller.x + controller.width;
 
     // 1. Compute new gap (horizontal position)
     const newGap = rect.left - panelRightEdge;
@@ -254,12 +772,8 @@ function onManagedWindowResized(hwnd) {
     const isActive = hwnd === windowManager.getActiveHwnd();
     const inactiveCount = windowManager.managedWindows.length - 1;
 
-    // Compute effective header height (same formula as layoutStack)
-    const maxStripArea = Math.floor(workArea.height * 0.6);
-    let effectiveHeader = HEADER_HEIGHT;
-    if (inactiveCount * effectiveHeader > maxStripArea) {
-      effectiveHeader = Math.max(Math.floor(maxStripArea / inactiveCount), 10);
-    }
+    // Compute effective header height (same formula as the strip stack layout)
+    const effectiveHeader = computeHeaderHeight(inactiveCount, workArea.height);
 
     let newTopOffset;
     if (isActive && inactiveCount > 0) {
@@ -271,36 +785,709 @@ function onManagedWindowResized(hwnd) {
       windowManager.setTopOffset(newTopOffset);
     }
 
-    // 3. Compute new dimensions (width and height), clamped to display work area
-    const newWidth = rect.right - rect.left;
-    const newHeight = rect.bottom - rect.top;
+    // 3. Compute new dimensions (width and height), clamped to display work area
+    const newWidth = rect.right - rect.left;
+    const newHeight = rect.bottom - rect.top;
+
+    if (newWidth >= 200) {
+      const clampedW = Math.min(newWidth, workArea.width);
+      const clampedH = newHeight >= 200 ? Math.min(newHeight, workArea.height) : null;
+      windowManager.setCustomDimensions(clampedW, clampedH);
+    }
+
+    doLayout(hwnd);
+    sendStateUpdate();
+    debouncedSave();
+  } catch (e) {
+    console.error('onManagedWindowResized error:', e);
+  } finally {
+    setTimeout(() => {
+      _resizeHandling = false;
+    }, 100);
+  }
+}
+
+// ─── Session restore ────────────────────────────────────────────────────────
+
+/**
+ * App-wide config plus every stack's config and match criteria for its
+ * windows, in stack order.
+ */
+function buildSessionSnapshot() {
+  // Keep the current monitors' profile up to date so the next launch picks the right settings
+  windowManager.rememberDisplayProfiles(_displayConfigKey);
+  const { stacks, ...config } = windowManager.getState();
+  return {
+    ...config,
+    stacks: stacks.map(({ windows, ...stack }) => ({
+      ...stack,
+      windows: windows.map((w, i) => buildMatchCriteria(w, i)),
+    })),
+  };
+}
+
+/**
+ * Saved stacks of a session snapshot. Snapshots written before multiple
+ * stacks existed hold a single stack's fields at the top level.
+ * @param {Object} snapshot
+ * @returns {Object[]}
+ */
+function sessionStacks(snapshot) {
+  if (!Array.isArray(snapshot.stacks)) return [snapshot];
+  return snapshot.stacks.filter((stack) => stack && typeof stack === 'object').slice(0, MAX_STACKS);
+}
+
+/**
+ * Save this instance's stack to the session store (skipped when unchanged).
+ */
+function saveSession() {
+  if (!sessionStore || !windowManager || !_restoreSessionEnabled) return;
+  try {
+    const snapshot = buildSessionSnapshot();
+    const json = JSON.stringify(snapshot);
+    if (json === _lastSessionJson) return;
+    _lastSessionJson = json;
+    sessionStore.saveStack(instanceRegistry.instanceId, snapshot);
+  } catch (e) {
+    console.error('[Session] Failed to save session:', e);
+  }
+}
+
+/**
+ * Apply a saved stack's settings to the current stack.
+ * @param {Object} stack
+ * @returns {boolean} false when the saved layout strategy is unknown (the current one is kept)
+ */
+function applyStackConfig(stack) {
+  const dim = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+  if (typeof stack.stackName === 'string') windowManager.setStackName(stack.stackName.slice(0, 100));
+  const strategyKnown = windowManager.setLayoutStrategy(stack.layoutStrategy);
+  windowManager.setCustomDimensions(dim(stack.customWidth), dim(stack.customHeight));
+  windowManager.setStackGap(dim(stack.stackGap));
+  windowManager.setTopOffset(dim(stack.topOffset));
+  windowManager.setDynamicReorder(stack.dynamicReorder);
+  windowManager.setAutoAddRules(stack.autoAddRules);
+  windowManager.setDisplayProfiles(stack.displayProfiles);
+  windowManager.setTargetDisplay(stack.targetDisplay);
+  return strategyKnown;
+}
+
+/**
+ * Recreate the snapshot's stacks (the first one reuses the current, empty stack)
+ * and apply their config.
+ * @param {Object} snapshot
+ * @returns {string[]} live stack id for each entry of sessionStacks(snapshot)
+ */
+function applySessionConfig(snapshot) {
+  windowManager.setBackgroundColor(snapshot.backgroundColor);
+  windowManager.setLightMode(snapshot.lightMode);
+  if (snapshot.dockEdge !== windowManager.getDockEdge() && windowManager.setDockEdge(snapshot.dockEdge)) {
+    snapControllerToDock(getControllerDisplay());
+  }
+  if (snapshot.appBarMode !== windowManager.getAppBarMode() && windowManager.setAppBarMode(snapshot.appBarMode)) {
+    applyAppBarMode();
+  }
+  windowManager.setSortAvailableAlpha(snapshot.sortAvailableAlpha);
+  windowManager.setHideAvailable(snapshot.hideAvailable);
+
+  const saved = sessionStacks(snapshot);
+  const stackIds = saved.map((stack, i) => {
+    const id = i === 0 ? windowManager.getCurrentStackId() : windowManager.createStack(null, stack.id);
+    windowManager.selectStack(id);
+    applyStackConfig(stack);
+    return id;
+  });
+
+  const current = saved.findIndex((stack) => stack.id && stack.id === snapshot.currentStackId);
+  windowManager.selectStack(stackIds[Math.max(0, current)]);
+  return stackIds;
+}
+
+/**
+ * Claim the last session's stack (if restore is on) and start re-acquiring
+ * its windows: once now, then whenever a window appears or is retitled,
+ * until every window is found or SESSION_RESTORE_WAIT_MS passes.
+ */
+async function startSessionRestore() {
+  if (!_restoreSessionEnabled) return;
+  const liveIds = await instanceRegistry.getLiveInstanceIds();
+  const snapshot = sessionStore.claimStack(instanceRegistry.instanceId, liveIds);
+  if (!snapshot) return;
+
+  const stackIds = applySessionConfig(snapshot);
+  syncAutoAddSubscriptions();
+  // The session may have been saved with other monitors attached
+  windowManager.applyDisplayProfiles(_displayConfigKey);
+  windowManager.clampCustomDimensions((stack) => getStackDisplay(stack).workArea);
+  const pending = [];
+  sessionStacks(snapshot).forEach((stack, i) => {
+    if (!Array.isArray(stack.windows)) return;
+    for (const criteria of stack.windows) {
+      if (criteria && typeof criteria === 'object' && Number.isInteger(criteria.position)) {
+        pending.push({ ...criteria, stackId: stackIds[i] });
+      }
+    }
+  });
+  if (pending.length === 0) return;
+
+  _sessionRestore = {
+    pending, // criteria still to find, each tagged with the live stack it belongs to
+    positions: new Map(), // restored hwnd → saved position in its stack
+    scanTimer: null,
+    scanning: false, // a scan is adding windows
+    rescan: false, // another scan was requested meanwhile
+    deadlineTimer: setTimeout(() => finishSessionRestore('timed out'), SESSION_RESTORE_WAIT_MS),
+    unsubscribe: [
+      winEventHub.on('show', scheduleSessionScan, { managedOnly: false }),
+      winEventHub.on('nameChange', scheduleSessionScan, { managedOnly: false }),
+    ],
+  };
+  console.log(`[Session] Restoring ${stackIds.length} stack(s) — ${pending.length} window(s) to find`);
+  await scanForSessionWindows();
+}
+
+function scheduleSessionScan() {
+  if (!_sessionRestore || _sessionRestore.scanTimer) return;
+  _sessionRestore.scanTimer = setTimeout(() => {
+    if (!_sessionRestore) return;
+    _sessionRestore.scanTimer = null;
+    scanForSessionWindows().catch((e) => console.error('[Session] Scan failed:', e));
+  }, SESSION_SCAN_DEBOUNCE_MS);
+}
+
+/**
+ * Match pending criteria against the Available windows and add the matches
+ * in their saved order, with their custom titles. One scan runs at a time;
+ * a scan requested meanwhile runs after it.
+ */
+async function scanForSessionWindows() {
+  const restore = _sessionRestore;
+  if (!restore || !windowManager) return;
+  if (restore.scanning) {
+    restore.rescan = true;
+    return;
+  }
+  restore.scanning = true;
+  try {
+    await addSessionWindows(restore);
+  } finally {
+    restore.scanning = false;
+    if (restore.rescan && _sessionRestore === restore) {
+      restore.rescan = false;
+      scheduleSessionScan();
+    }
+  }
+}
+
+/**
+ * One pass of scanForSessionWindows().
+ * @param {Object} restore - The restore it was started for; stops once that is over
+ */
+async function addSessionWindows(restore) {
+  const otherHwnds = await getOtherInstancesHwnds();
+  if (_sessionRestore !== restore) return; // finished or cancelled meanwhile
+  const candidates = windowManager.getAvailableWindows(otherHwnds, {
+    includeExcluded: true,
+  });
+  const matches = assignMatches(restore.pending, candidates);
+  if (matches.length === 0) return;
+
+  for (const { criteria, candidate } of matches) {
+    if (!windowManager.getStack(criteria.stackId)) continue;
+    try {
+      await claimWindow(candidate.hwnd);
+    } catch (e) {
+      console.log(`[Session] Skipping "${candidate.title}": ${e.message}`);
+      continue;
+    }
+    // Finished or cancelled while claiming; publishing below hands the claim back
+    if (_sessionRestore !== restore) break;
+    const stack = windowManager.getStack(criteria.stackId);
+    if (!stack) continue;
+    // Slot in after every restored window that preceded it in the saved stack
+    let index = 0;
+    stack.managedWindows.forEach((w, i) => {
+      const position = restore.positions.get(w.hwnd);
+      if (position !== undefined && position < criteria.position) index = i + 1;
+    });
+    const added = windowManager.addWindow(candidate.hwnd, candidate.title, {
+      customTitle: criteria.customTitle,
+      index,
+      activate: false,
+      stackId: stack.id,
+    });
+    if (!added) continue;
+    restore.positions.set(candidate.hwnd, criteria.position);
+    const pendingIndex = restore.pending.indexOf(criteria);
+    if (pendingIndex !== -1) restore.pending.splice(pendingIndex, 1);
+    console.log(`[Session] Restored "${candidate.title}" to position ${criteria.position}`);
+  }
+
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+
+  if (_sessionRestore === restore && restore.pending.length === 0) finishSessionRestore('complete');
+}
+
+/**
+ * Cancel timers and event subscriptions of an in-progress restore.
+ */
+function stopSessionRestore() {
+  if (!_sessionRestore) return;
+  clearTimeout(_sessionRestore.scanTimer);
+  clearTimeout(_sessionRestore.deadlineTimer);
+  for (const off of _sessionRestore.unsubscribe) off();
+  _sessionRestore = null;
+}
+
+function finishSessionRestore(reason) {
+  if (!_sessionRestore) return;
+  const missing = _sessionRestore.pending.length;
+  stopSessionRestore();
+  console.log(`[Session] Restore ${reason}` + (missing ? ` — ${missing} window(s) not found` : ''));
+  sendStateUpdate();
+  saveSession();
+}
+
+// ─── Stack export / import ──────────────────────────────────────────────────
+
+/**
+ * Run a native file dialog without the controller's focus handler pulling
+ * the active window in front of it.
+ * @param {Function} show - () => Promise of the dialog result
+ */
+async function withFileDialog(show) {
+  _fileDialogOpen = true;
+  try {
+    return await show();
+  } finally {
+    _fileDialogOpen = false;
+  }
+}
+
+/**
+ * Apply an imported stack definition and add the Available windows matching
+ * its criteria, in saved order. It goes into the current stack when that is
+ * empty, otherwise into a new one.
+ * @param {ReturnType<typeof parseStackImport>} definition
+ * @returns {Promise<{stackName: string, acquired: string[], missing: string[], warnings: string[]}>}
+ *   the import report
+ */
+async function importStackDefinition(definition) {
+  const { stack } = definition;
+  const warnings = [...definition.warnings];
+  let stackId = windowManager.getCurrentStackId();
+  if (windowManager.getStack(stackId).managedWindows.length > 0) {
+    stackId = windowManager.createStack(null);
+    if (!stackId) throw new Error(`At most ${MAX_STACKS} stacks are allowed`);
+  }
+  windowManager.selectStack(stackId);
+  windowManager.setBackgroundColor(definition.backgroundColor);
+  windowManager.setLightMode(definition.lightMode);
+  if (!applyStackConfig(stack)) {
+    warnings.push(`Unknown layout strategy "${stack.layoutStrategy}", keeping "${windowManager.getLayoutStrategy()}"`);
+  }
+
+  const candidates = windowManager.getAvailableWindows(await getOtherInstancesHwnds(), {
+    includeExcluded: true,
+  });
+  const acquired = [];
+  const found = new Set();
+  for (const { criteria, candidate } of assignMatches(stack.windows, candidates)) {
+    try {
+      await claimWindow(candidate.hwnd);
+    } catch (e) {
+      warnings.push(`"${candidate.title}": ${e.message}`);
+      continue;
+    }
+    // The stack may have been removed while claiming; publishing hands the claim back
+    if (!windowManager.getStack(stackId)) {
+      warnings.push('The stack was removed before all of its windows were added');
+      break;
+    }
+    const added = windowManager.addWindow(candidate.hwnd, candidate.title, {
+      customTitle: criteria.customTitle,
+      index: acquired.length,
+      activate: false,
+      stackId,
+    });
+    if (!added) continue;
+    found.add(criteria);
+    acquired.push(criteria.customTitle || candidate.title);
+  }
+  const missing = stack.windows
+    .filter((criteria) => !found.has(criteria))
+    .map((criteria) => criteria.customTitle || criteria.title || criteria.exeName || criteria.titlePattern);
+
+  console.log(`[Import] "${stack.stackName}": ${acquired.length} window(s) added, ${missing.length} not found`);
+  onStacksChanged();
+  saveSession();
+  return { stackName: stack.stackName, acquired, missing, warnings };
+}
+
+// ─── Auto-add rules ─────────────────────────────────────────────────────────
+
+/**
+ * Watch every top-level window only while at least one stack has auto-add rules.
+ * Call whenever rules are saved or stacks are added, removed or restored.
+ */
+function syncAutoAddSubscriptions() {
+  if (!winEventHub) return;
+  const wanted = windowManager.stacks.some((stack) => stack.autoAddRules.length > 0);
+  if (wanted && !_autoAddUnsubscribe) {
+    _autoAddUnsubscribe = [
+      winEventHub.on('create', onWindowAppeared, { managedOnly: false, throttleMs: AUTO_ADD_SETTLE_MS }),
+      winEventHub.on('show', onWindowAppeared, { managedOnly: false, throttleMs: AUTO_ADD_SETTLE_MS }),
+      winEventHub.on('nameChange', onWindowRetitled, { managedOnly: false, throttleMs: TITLE_THROTTLE_MS }),
+    ];
+  } else if (!wanted && _autoAddUnsubscribe) {
+    for (const off of _autoAddUnsubscribe) off();
+    _autoAddUnsubscribe = null;
+    _autoAddWatch.clear();
+  }
+}
+
+/**
+ * Called by the WinEventHub when any top-level window is created or shown.
+ */
+function onWindowAppeared(hwnd) {
+  if (!windowManager) return;
+  const now = Date.now();
+  if (_autoAddWatch.size > 200) {
+    for (const [watched, expiry] of _autoAddWatch) {
+      if (expiry < now) _autoAddWatch.delete(watched);
+    }
+  }
+  _autoAddWatch.set(hwnd, now + AUTO_ADD_WATCH_MS);
+  tryAutoAddWindow(hwnd).catch((e) => console.error('[AutoAdd] Failed:', e));
+}
+
+/**
+ * Called for title changes of unmanaged windows; only recently appeared windows are re-checked.
+ */
+function onWindowRetitled(hwnd) {
+  const expiry = _autoAddWatch.get(hwnd);
+  if (expiry === undefined) return;
+  if (Date.now() > expiry) {
+    _autoAddWatch.delete(hwnd);
+    return;
+  }
+  tryAutoAddWindow(hwnd).catch((e) => console.error('[AutoAdd] Failed:', e));
+}
+
+async function tryAutoAddWindow(hwnd) {
+  if (!windowManager) return;
+  const win = windowManager.getAvailableWindow(hwnd);
+  if (!win) return;
+  // Stacks are checked in tab order; the first one with a matching rule gets the window
+  let rule = null;
+  const stack = windowManager.stacks.find((s) => {
+    rule = findMatchingRule(s.autoAddRules, win);
+    return rule !== null;
+  });
+  if (!stack) return;
+  _autoAddWatch.delete(hwnd);
+  try {
+    await claimWindow(hwnd);
+  } catch {
+    return; // another instance manages it
+  }
+
+  const index = rule.position === 'bottom' ? stack.managedWindows.length : 0;
+  if (!windowManager.addWindow(hwnd, win.title, { index, activate: rule.position === 'top', stackId: stack.id })) {
+    // Publishing the list without it hands the claim back
+    publishInstanceState();
+    return;
+  }
+  console.log(
+    `[AutoAdd] Added "${win.title}" to "${stack.stackName}" (rule "${rule.name || rule.id}", ${rule.position})`
+  );
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+/**
+ * Forget registry entries of instances that are no longer running (exited
+ * without unregistering, or their PID was reused): their windows show up as
+ * available again, and windows they left squeezed are moved back as on startup.
+ * @returns {Promise<string>} what was done, for the controller
+ */
+async function purgeStaleInstances() {
+  const purged = await instanceRegistry.purgeStaleInstances();
+  if (purged.length === 0) return 'No stale instances found.';
+  const otherHwnds = await getOtherInstancesHwnds();
+  const liveIds = await instanceRegistry.getLiveInstanceIds();
+  const results = recoverOrphanedStacks(app.getPath('userData'), liveIds, (entry) =>
+    windowManager.restoreOrphanedWindow(entry, otherHwnds)
+  );
+  const restored = results.reduce((n, r) => n + r.restored.length, 0);
+  console.log(`[Registry] Purged ${purged.length} stale instance(s), restored ${restored} window(s)`);
+  let message = `Removed ${purged.length} stale instance${purged.length === 1 ? '' : 's'}.`;
+  if (restored > 0) message += ` Restored ${restored} window${restored === 1 ? '' : 's'} they left behind.`;
+  return message;
+}
+
+// ─── Handoff between instances ──────────────────────────────────────────────
+
+/**
+ * Give a managed window to another running instance, which adopts it with
+ * its original rect and custom title.
+ * @param {number} hwnd
+ * @param {string} targetInstanceId
+ * @param {string|null} targetStackId - Stack in the target instance (null: its current stack)
+ */
+async function handOffWindow(hwnd, targetInstanceId, targetStackId) {
+  const entry = windowManager.releaseWindow(hwnd);
+  if (!entry) return;
+  // Release it in the registry first, or the target's claim would be refused
+  onManagedWindowsRemoved();
+  await instanceRegistry.whenIdle();
+  if (!handoffMailbox.send(targetInstanceId, entry, targetStackId)) {
+    // Target went away — keep the window
+    windowManager.adoptWindow(entry);
+    sendNotice('That instance is no longer running; the window stays in this stack.');
+    onStacksChanged();
+  } else {
+    console.log(`[Handoff] Sent "${entry.title}" to instance ${targetInstanceId}`);
+  }
+}
+
+/**
+ * Called by the HandoffMailbox for each window another instance sent us.
+ */
+async function onHandoffReceived(message) {
+  const entry = message.window;
+  // What the sender reports over the bus may not show the release yet
+  const claim = (hwnd) => claimWindow(hwnd, message.from);
+  if (!(await adoptHandedOffWindow(message, windowManager, claim))) {
+    // Publishing the list without it hands any claim back
+    publishInstanceState();
+    return;
+  }
+  console.log(`[Handoff] Adopted "${entry.title}" from instance ${message.from}`);
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+/**
+ * Native context menu for a managed row: send the window to a stack of
+ * another instance, or remove it.
+ * @param {number} hwnd
+ */
+async function showWindowMenu(hwnd) {
+  const targets = (await getOtherInstances()).flatMap(({ instanceId, stacks }) => {
+    const shortId = instanceId.substring(0, 8);
+    if (stacks.length === 0) return [{ instanceId, stackId: null, label: `Stack Windows [${shortId}]` }];
+    return stacks.map((stack) => ({ instanceId, stackId: stack.id, label: stack.stackName, shortId }));
+  });
+  // Same stack name in two instances: tell them apart by instance id (as in the window titles)
+  const labelCounts = new Map();
+  for (const t of targets) labelCounts.set(t.label, (labelCounts.get(t.label) || 0) + 1);
+
+  const sendItems = targets.map((t) => ({
+    label: labelCounts.get(t.label) > 1 && t.shortId ? `${t.label} [${t.shortId}]` : t.label,
+    click: () => handOffWindow(hwnd, t.instanceId, t.stackId).catch((e) => console.error('[Handoff] Failed:', e)),
+  }));
+  const menu = Menu.buildFromTemplate([
+    { label: 'Send to instance', enabled: false },
+    ...(sendItems.length > 0 ? sendItems : [{ label: 'No other instances running', enabled: false }]),
+    { type: 'separator' },
+    { label: 'Remove from stack', click: () => removeManagedWindow(hwnd) },
+  ]);
+  menu.popup({ window: mainWindow });
+}
+
+// ─── Stack actions shared by IPC handlers and global hotkeys ────────────────
+
+/**
+ * Take ownership of a window before adding it: refused if a connected
+ * instance reports it, then claimed atomically in the instance registry.
+ * @param {number} hwnd
+ * @param {string} [handedOffBy] - Instance handing the window over, whose connection may still report it
+ * @throws {Error} if another instance manages the window
+ */
+async function claimWindow(hwnd, handedOffBy) {
+  let owner = (await getOtherInstances()).find((i) => i.instanceId !== handedOffBy && i.managedHwnds.includes(hwnd));
+  if (!owner) {
+    const claim = await instanceRegistry.claimWindow(hwnd);
+    if (claim.claimed) return;
+    owner = { instanceId: claim.ownerId };
+  }
+  throw new Error(`This window is already managed by another instance [${owner.instanceId.substring(0, 8)}]`);
+}
+
+/**
+ * @returns {Promise<void>}
+ * @throws {Error} if another instance manages the window
+ */
+async function addManagedWindow(hwnd, title) {
+  if (windowManager.findStackOf(hwnd)) return;
+  await claimWindow(hwnd);
+  if (!windowManager.addWindow(hwnd, title)) {
+    // Publishing the list without it hands the claim back
+    publishInstanceState();
+    return;
+  }
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+function removeManagedWindow(hwnd) {
+  windowManager.removeWindow(hwnd);
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+/**
+ * Propagate a change to the set of stacks or to which stack holds a window.
+ */
+function onStacksChanged() {
+  syncAutoAddSubscriptions();
+  syncMonitors();
+  doLayout();
+  sendStateUpdate();
+  persistence.save(windowManager.getState());
+  publishInstanceState();
+}
+
+function activateManagedWindow(hwnd) {
+  const changed = windowManager.promoteToActive(hwnd, true);
+  if (changed) {
+    syncMonitors();
+    doLayout();
+    sendStateUpdate();
+    persistence.save(windowManager.getState());
+  }
+}
+
+/**
+ * Activate the window `delta` steps away from the active one in stack order (wraps).
+ */
+function cycleActiveWindow(delta) {
+  const hwnds = windowManager.managedWindows.map((w) => w.hwnd);
+  if (hwnds.length === 0) return;
+  const idx = hwnds.indexOf(windowManager.getActiveHwnd());
+  const next = hwnds[(((idx === -1 ? 0 : idx + delta) % hwnds.length) + hwnds.length) % hwnds.length];
+  activateManagedWindow(next);
+}
+
+/**
+ * Add the OS foreground window, if it is one the Available list would offer.
+ */
+async function addForegroundWindow() {
+  const hwnd = Number(api.GetForegroundWindow());
+  if (!hwnd) return;
+  try {
+    const candidate = windowManager
+      .getAvailableWindows(await getOtherInstancesHwnds(), { includeExcluded: true })
+      .find((w) => w.hwnd === hwnd);
+    if (!candidate) {
+      console.log('[Hotkeys] Foreground window is not eligible for the stack — hwnd:', hwnd);
+      return;
+    }
+    await addManagedWindow(hwnd, candidate.title);
+  } catch (e) {
+    console.warn('[Hotkeys] Cannot add the foreground window:', e.message);
+    sendNotice(e.message);
+  }
+}
+
+function toggleController() {
+  if (!mainWindow) return;
+  if (mainWindow.isVisible()) {
+    mainWindow.hide();
+  } else {
+    mainWindow.show();
+    mainWindow.focus();
+  }
+}
 
-    if (newWidth >= 200) {
-      const clampedW = Math.min(newWidth, workArea.width);
-      const clampedH = newHeight >= 200 ? Math.min(newHeight, workArea.height) : null;
-      windowManager.setCustomDimensions(clampedW, clampedH);
+/**
+ * Called by HotkeyManager when a global shortcut fires.
+ */
+function onHotkey(action) {
+  if (!windowManager) return;
+  const jump = /^jump([1-9])$/.exec(action);
+  if (jump) {
+    const entry = windowManager.managedWindows[Number(jump[1]) - 1];
+    if (entry) activateManagedWindow(entry.hwnd);
+    return;
+  }
+  switch (action) {
+    case 'next':
+      cycleActiveWindow(1);
+      break;
+    case 'previous':
+      cycleActiveWindow(-1);
+      break;
+    case 'addForeground':
+      addForegroundWindow();
+      break;
+    case 'removeActive': {
+      const active = windowManager.getActiveHwnd();
+      if (active) removeManagedWindow(active);
+      break;
     }
+    case 'toggleController':
+      toggleController();
+      break;
+    default:
+      console.warn('[Hotkeys] Unhandled action:', action);
+  }
+}
 
-    doLayout(hwnd);
-    sendStateUpdate();
-    debouncedSave();
-  } catch (e) {
-    console.error('onManagedWindowResized error:', e);
-  } finally {
-    setTimeout(() => {
-      _resizeHandling = false;
-    }, 100);
+/**
+ * Pick up Available list filter changes saved by other instances.
+ */
+function syncAvailableFilters() {
+  if (exclusionStore && exclusionStore.reloadIfChanged()) {
+    windowManager.setAvailableFilters(exclusionStore.getFilters());
   }
 }
 
+/**
+ * Available windows for the renderer, with the current filters applied and app icons attached.
+ * @returns {Promise<Object[]>}
+ */
+async function listAvailableWindows() {
+  syncAvailableFilters();
+  const windows = windowManager.getAvailableWindows(await getOtherInstancesHwnds());
+  await iconCache.load(windows.map((w) => w.exePath));
+  return iconCache.withIcons(windows);
+}
+
+/**
+ * Small icon of an executable as a PNG data URL, or null when it has none.
+ * @param {string} exePath
+ * @returns {Promise<string|null>}
+ */
+async function loadAppIcon(exePath) {
+  const image = await app.getFileIcon(exePath, { size: 'small' });
+  return image.isEmpty() ? null : image.toDataURL();
+}
+
 // Register IPC handlers.
-// Activation is primarily driven by Win32 focus detection (ForegroundMonitor),
+// Activation is primarily driven by Win32 focus detection (WinEventHub 'foreground'),
 // but an activate-window handler also exists for explicit UI-driven activation.
 function registerIPC() {
   ipcMain.handle('get-available-windows', async () => {
     try {
-      const excludeHwnds = instanceRegistry.getOtherInstancesHwnds();
-      return windowManager.getAvailableWindows(excludeHwnds);
+      return await listAvailableWindows();
     } catch (e) {
       console.error('get-available-windows error:', e);
       return [];
@@ -310,8 +1497,10 @@ function registerIPC() {
   ipcMain.handle('get-managed-windows', async () => {
     try {
       return {
-        windows: windowManager.getManagedWindows(),
+        windows: iconCache.withIcons(windowManager.getManagedWindows()),
         activeHwnd: windowManager.getActiveHwnd(),
+        stacks: windowManager.getStacks(),
+        currentStackId: windowManager.getCurrentStackId(),
         stackName: windowManager.stackName,
         hideAvailable: windowManager.hideAvailable,
         ...windowManager.getCustomDimensions(),
@@ -321,6 +1510,14 @@ function registerIPC() {
         lightMode: windowManager.getLightMode(),
         sortAvailableAlpha: windowManager.getSortAvailableAlpha(),
         dynamicReorder: windowManager.getDynamicReorder(),
+        layoutStrategy: windowManager.getLayoutStrategy(),
+        dockEdge: windowManager.getDockEdge(),
+        appBarMode: windowManager.getAppBarMode(),
+        targetDisplay: windowManager.getTargetDisplay(),
+        displays: describeDisplays(screen.getAllDisplays(), screen.getPrimaryDisplay().id),
+        eventHooksHealthy: _eventHookStatus.healthy,
+        restoreSession: _restoreSessionEnabled,
+        sessionRestorePending: _sessionRestore ? _sessionRestore.pending.length : 0,
       };
     } catch (e) {
       console.error('get-managed-windows error:', e);
@@ -334,12 +1531,7 @@ function registerIPC() {
       hwnd = validateHwnd(hwnd);
       if (typeof title !== 'string') throw new Error('Invalid title: must be a string');
       title = title.slice(0, 500);
-      windowManager.addWindow(hwnd, title);
-      syncMonitors();
-      doLayout();
-      sendStateUpdate();
-      persistence.save(windowManager.getState());
-      instanceRegistry.updateManagedHwnds(windowManager.getManagedHwnds());
+      await addManagedWindow(hwnd, title);
       return { success: true };
     } catch (e) {
       console.error('add-window error:', e);
@@ -351,12 +1543,7 @@ function registerIPC() {
     try {
       setIpcActionLock();
       hwnd = validateHwnd(hwnd);
-      windowManager.removeWindow(hwnd);
-      syncMonitors();
-      doLayout();
-      sendStateUpdate();
-      persistence.save(windowManager.getState());
-      instanceRegistry.updateManagedHwnds(windowManager.getManagedHwnds());
+      removeManagedWindow(hwnd);
       return { success: true };
     } catch (e) {
       console.error('remove-window error:', e);
@@ -367,13 +1554,7 @@ function registerIPC() {
   ipcMain.handle('activate-window', async (event, hwnd) => {
     try {
       hwnd = validateHwnd(hwnd);
-      const changed = windowManager.promoteToActive(hwnd, true);
-      if (changed) {
-        syncMonitors();
-        doLayout();
-        sendStateUpdate();
-        persistence.save(windowManager.getState());
-      }
+      activateManagedWindow(hwnd);
       return { success: true };
     } catch (e) {
       console.error('activate-window error:', e);
@@ -401,8 +1582,7 @@ function registerIPC() {
 
   ipcMain.handle('refresh', async () => {
     try {
-      const excludeHwnds = instanceRegistry.getOtherInstancesHwnds();
-      return windowManager.getAvailableWindows(excludeHwnds);
+      return await listAvailableWindows();
     } catch (e) {
       console.error('refresh error:', e);
       return [];
@@ -417,6 +1597,7 @@ function registerIPC() {
       if (typeof name === 'string') name = name.slice(0, 200);
       windowManager.setStackName(name);
       persistence.save(windowManager.getState());
+      publishInstanceState();
       return { success: true };
     } catch (e) {
       console.error('update-stack-name error:', e);
@@ -457,11 +1638,8 @@ function registerIPC() {
       if (height !== null && (typeof height !== 'number' || !Number.isFinite(height) || height < 200))
         throw new Error('Invalid height: must be null or a number >= 200');
 
-      // Clamp to display work area
-      const display = screen.getDisplayNearestPoint(
-        mainWindow.getBounds()
-      );
-      const workArea = display.workArea;
+      // Clamp to the work area of the stack's display
+      const workArea = getStackDisplay().workArea;
 
       const clampedWidth = width != null ? Math.min(width, workArea.width) : width;
       const clampedHeight = height != null ? Math.min(height, workArea.height) : height;
@@ -601,6 +1779,362 @@ function registerIPC() {
       return { success: false, error: e.message };
     }
   });
+
+  ipcMain.handle('show-window-menu', async (event, hwnd) => {
+    try {
+      hwnd = validateHwnd(hwnd);
+      if (!windowManager.findStackOf(hwnd)) throw new Error('Window is not managed: ' + hwnd);
+      await showWindowMenu(hwnd);
+      return { success: true };
+    } catch (e) {
+      console.error('show-window-menu error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('purge-stale-instances', async () => {
+    try {
+      return { success: true, message: await purgeStaleInstances() };
+    } catch (e) {
+      console.error('purge-stale-instances error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  // ─── Stacks ───────────────────────────────────────────────────────────────
+
+  ipcMain.handle('create-stack', async (event, name) => {
+    try {
+      if (name !== undefined && name !== null && typeof name !== 'string') {
+        throw new Error('Invalid name: must be a string');
+      }
+      const id = windowManager.createStack(name ? name.slice(0, 100) : null);
+      if (!id) throw new Error(`At most ${MAX_STACKS} stacks are allowed`);
+      windowManager.selectStack(id);
+      onStacksChanged();
+      return { success: true, stackId: id };
+    } catch (e) {
+      console.error('create-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('select-stack', async (event, stackId) => {
+    try {
+      windowManager.selectStack(validateStackId(stackId));
+      doLayout();
+      sendStateUpdate();
+      persistence.save(windowManager.getState());
+      return { success: true };
+    } catch (e) {
+      console.error('select-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('remove-stack', async (event, stackId) => {
+    try {
+      if (!windowManager.removeStack(validateStackId(stackId))) throw new Error('The last stack cannot be removed');
+      onStacksChanged();
+      return { success: true };
+    } catch (e) {
+      console.error('remove-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('move-window-to-stack', async (event, hwnd, stackId) => {
+    try {
+      setIpcActionLock();
+      hwnd = validateHwnd(hwnd);
+      const moved = windowManager.moveWindowToStack(hwnd, validateStackId(stackId));
+      if (moved) onStacksChanged();
+      return { success: moved };
+    } catch (e) {
+      console.error('move-window-to-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('export-stack', async (event, target) => {
+    try {
+      if (target !== 'file' && target !== 'clipboard') throw new Error('Invalid target: must be "file" or "clipboard"');
+      const data = exportStack(windowManager.getState(), windowManager.getCurrentStackId());
+      const json = JSON.stringify(data, null, 2);
+      if (target === 'clipboard') {
+        clipboard.writeText(json);
+        return { success: true };
+      }
+      const fileName = data.stacks[0].stackName.replace(/[^\w .-]/g, '').trim() || 'stack';
+      const result = await withFileDialog(() =>
+        dialog.showSaveDialog(mainWindow, {
+          title: 'Export stack',
+          defaultPath: path.join(app.getPath('documents'), fileName + '.json'),
+          filters: [{ name: 'Stack definition', extensions: ['json'] }],
+        })
+      );
+      if (result.canceled || !result.filePath) return { success: false, canceled: true };
+      await fs.promises.writeFile(result.filePath, json, 'utf-8');
+      console.log(`[Export] Wrote "${data.stacks[0].stackName}" to ${result.filePath}`);
+      return { success: true, filePath: result.filePath };
+    } catch (e) {
+      console.error('export-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('import-stack', async (event, source) => {
+    try {
+      if (source !== 'file' && source !== 'clipboard') throw new Error('Invalid source: must be "file" or "clipboard"');
+      let raw;
+      if (source === 'clipboard') {
+        raw = clipboard.readText();
+      } else {
+        const result = await withFileDialog(() =>
+          dialog.showOpenDialog(mainWindow, {
+            title: 'Import stack',
+            properties: ['openFile'],
+            filters: [{ name: 'Stack definition', extensions: ['json'] }],
+          })
+        );
+        if (result.canceled || result.filePaths.length === 0) return { success: false, canceled: true };
+        const { size } = await fs.promises.stat(result.filePaths[0]);
+        if (size > MAX_IMPORT_BYTES) throw new Error('The file is too large to be a stack export');
+        raw = await fs.promises.readFile(result.filePaths[0], 'utf-8');
+      }
+      const report = await importStackDefinition(parseStackImport(raw));
+      return { success: true, report };
+    } catch (e) {
+      console.error('import-stack error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('get-event-hook-status', async () => {
+    return _eventHookStatus;
+  });
+
+  ipcMain.handle('set-restore-session', async (event, enabled) => {
+    try {
+      if (typeof enabled !== 'boolean') throw new Error('Invalid value: must be a boolean');
+      sessionStore.setRestoreEnabled(enabled);
+      _restoreSessionEnabled = enabled;
+      if (enabled) {
+        _lastSessionJson = null;
+        saveSession();
+      }
+      sendStateUpdate();
+      return { success: true };
+    } catch (e) {
+      console.error('set-restore-session error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('cancel-session-restore', async () => {
+    try {
+      finishSessionRestore('cancelled');
+      return { success: true };
+    } catch (e) {
+      console.error('cancel-session-restore error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('get-auto-add-rules', async () => {
+    try {
+      return windowManager.getAutoAddRules();
+    } catch (e) {
+      console.error('get-auto-add-rules error:', e);
+      return [];
+    }
+  });
+
+  ipcMain.handle('set-auto-add-rules', async (event, rules) => {
+    try {
+      windowManager.setAutoAddRules(normalizeRules(rules));
+      syncAutoAddSubscriptions();
+      persistence.save(windowManager.getState());
+      return { success: true, rules: windowManager.getAutoAddRules() };
+    } catch (e) {
+      console.error('set-auto-add-rules error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('get-available-filters', async () => {
+    try {
+      syncAvailableFilters();
+      return exclusionStore.getFilters();
+    } catch (e) {
+      console.error('get-available-filters error:', e);
+      return { rules: [], hideCloaked: true };
+    }
+  });
+
+  ipcMain.handle('set-available-filters', async (event, filters) => {
+    try {
+      if (!filters || typeof filters !== 'object') throw new Error('Filters must be an object');
+      const update = {};
+      if (filters.rules !== undefined) update.rules = normalizeExclusionRules(filters.rules);
+      if (filters.hideCloaked !== undefined) update.hideCloaked = !!filters.hideCloaked;
+      syncAvailableFilters(); // don't write back another instance's stale settings
+      exclusionStore.save(update);
+      windowManager.setAvailableFilters(exclusionStore.getFilters());
+      return { success: true, filters: exclusionStore.getFilters() };
+    } catch (e) {
+      console.error('set-available-filters error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('exclude-window', async (event, hwnd) => {
+    try {
+      const win = windowManager.getAvailableWindow(validateHwnd(hwnd), await getOtherInstancesHwnds());
+      if (!win) return { success: false, error: 'Window is no longer available' };
+      syncAvailableFilters();
+      const { rules } = exclusionStore.getFilters();
+      const rule = ruleFromWindow(win);
+      exclusionStore.save({ rules: normalizeExclusionRules([...rules, rule]) });
+      windowManager.setAvailableFilters(exclusionStore.getFilters());
+      console.log('[Filters] Hiding windows like hwnd', win.hwnd, '—', rule.name);
+      return { success: true, rule };
+    } catch (e) {
+      console.error('exclude-window error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('get-hotkeys', async () => {
+    try {
+      return hotkeyManager.getBindings();
+    } catch (e) {
+      console.error('get-hotkeys error:', e);
+      return [];
+    }
+  });
+
+  ipcMain.handle('set-hotkey', async (event, action, accelerator) => {
+    try {
+      if (typeof action !== 'string') throw new Error('Invalid action: must be a string');
+      if (accelerator !== null && typeof accelerator !== 'string') {
+        throw new Error('Invalid accelerator: must be a string or null');
+      }
+      const result = hotkeyManager.setBinding(action, accelerator);
+      return { ...result, hotkeys: hotkeyManager.getBindings() };
+    } catch (e) {
+      console.error('set-hotkey error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('reset-hotkeys', async () => {
+    try {
+      hotkeyManager.resetToDefaults();
+      return { success: true, hotkeys: hotkeyManager.getBindings() };
+    } catch (e) {
+      console.error('reset-hotkeys error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('get-layout-strategies', async () => {
+    return listLayoutStrategies();
+  });
+
+  ipcMain.handle('set-layout-strategy', async (event, name) => {
+    try {
+      if (typeof name !== 'string') throw new Error('Invalid layout strategy: must be a string');
+      if (!windowManager.setLayoutStrategy(name)) throw new Error('Unknown layout strategy: ' + name);
+      doLayout();
+      sendStateUpdate();
+      persistence.save(windowManager.getState());
+      return { success: true };
+    } catch (e) {
+      console.error('set-layout-strategy error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('set-target-display', async (event, target) => {
+    try {
+      if (!windowManager.setTargetDisplay(target)) throw new Error('Invalid target display: ' + target);
+      windowManager.clampCustomDimensions((stack) => getStackDisplay(stack).workArea);
+      doLayout();
+      sendStateUpdate();
+      persistence.save(windowManager.getState());
+      return { success: true };
+    } catch (e) {
+      console.error('set-target-display error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('set-dock-edge', async (event, edge) => {
+    try {
+      if (!isDockEdge(edge)) throw new Error('Invalid dock edge: ' + edge);
+      windowManager.setDockEdge(edge);
+      if (appBar) applyAppBarMode();
+      else snapControllerToDock(getControllerDisplay());
+      doLayout();
+      sendStateUpdate();
+      persistence.save(windowManager.getState());
+      return { success: true };
+    } catch (e) {
+      console.error('set-dock-edge error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('set-app-bar-mode', async (event, mode) => {
+    try {
+      if (!isAppBarMode(mode)) throw new Error('Invalid AppBar mode: ' + mode);
+      windowManager.setAppBarMode(mode);
+      applyAppBarMode();
+      doLayout();
+      sendStateUpdate();
+      persistence.save(windowManager.getState());
+      return { success: true };
+    } catch (e) {
+      console.error('set-app-bar-mode error:', e);
+      return { success: false, error: e.message };
+    }
+  });
+
+  ipcMain.handle('preview-layout', async (event, overrides) => {
+    try {
+      const dryRun = {};
+      if (overrides !== undefined && overrides !== null) {
+        if (typeof overrides !== 'object') throw new Error('Invalid overrides: must be an object');
+        if (overrides.layoutStrategy !== undefined) {
+          if (!isLayoutStrategy(overrides.layoutStrategy)) {
+            throw new Error('Unknown layout strategy: ' + overrides.layoutStrategy);
+          }
+          dryRun.layoutStrategy = overrides.layoutStrategy;
+        }
+        for (const key of ['customWidth', 'customHeight', 'stackGap', 'topOffset']) {
+          const value = overrides[key];
+          if (value === undefined) continue;
+          if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+            throw new Error(`Invalid ${key}: must be null or a non-negative number`);
+          }
+          dryRun[key] = value;
+        }
+      }
+      const screenBounds = getStackScreenBounds();
+      const display = getStackDisplay();
+      return {
+        success: true,
+        plan: windowManager.planLayout(screenBounds, 0, dryRun),
+        workArea: display.workArea,
+        // null when the stack is on another display than the controller
+        controller: display.id === getControllerDisplay().id ? screenBounds.controller : null,
+      };
+    } catch (e) {
+      console.error('preview-layout error:', e);
+      return { success: false, error: e.message };
+    }
+  });
 }
 
 process.on('uncaughtException', (err) => {
@@ -632,29 +2166,13 @@ try {
   console.warn('Failed to set DPI awareness:', e.message);
 }
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // 1. Initialize instance registry
   instanceRegistry = new InstanceRegistry();
   const instanceId = instanceRegistry.init();
+  await instanceRegistry.ready;
 
-  // Clean up orphaned persistence files from crashed instances
   const userDataPath = app.getPath('userData');
-  const fs = require('fs');
-  try {
-    const files = fs.readdirSync(userDataPath);
-    const registry = instanceRegistry.getRegistry();
-    const liveIds = new Set(Object.keys(registry.instances || {}));
-
-    for (const file of files) {
-      const match = file.match(/^window-group-(.+)\.json$/);
-      if (match && !liveIds.has(match[1])) {
-        fs.unlinkSync(path.join(userDataPath, file));
-        console.log('Cleaned up orphaned persistence file:', file);
-      }
-    }
-  } catch (e) {
-    console.error('Failed to clean orphaned files:', e);
-  }
 
   // 2. Initialize persistence with instance-specific file
   persistence = new Persistence();
@@ -663,6 +2181,27 @@ app.whenReady().then(() => {
   // 3. Initialize window manager — starts EMPTY, no loadState()
   windowManager = new WindowManager();
 
+  // App icons for window rows — managed rows are re-sent once their icons arrive
+  iconCache = new AppIconCache(loadAppIcon, sendStateUpdate);
+
+  // Available list filters — shared by all instances
+  exclusionStore = new ExclusionStore(path.join(userDataPath, 'available-filters.json'));
+  exclusionStore.load();
+  windowManager.setAvailableFilters(exclusionStore.getFilters());
+
+  // Crash recovery: put back windows left squeezed by crashed instances, then delete their files
+  let recoveryNotice = null;
+  try {
+    const liveIds = await instanceRegistry.getLiveInstanceIds();
+    const otherHwnds = await getOtherInstancesHwnds();
+    const results = recoverOrphanedStacks(userDataPath, liveIds, (entry) =>
+      windowManager.restoreOrphanedWindow(entry, otherHwnds)
+    );
+    recoveryNotice = formatRecoveryNotice(results);
+  } catch (e) {
+    console.error('Failed to recover orphaned files:', e);
+  }
+
   // NOTE: We intentionally do NOT call persistence.load() or windowManager.loadState().
   // Each new instance starts with an empty managed stack.
   // The user adds windows manually to this instance's group.
@@ -670,39 +2209,85 @@ app.whenReady().then(() => {
   // Create the controller window
   createWindow();
 
+  // Monitors attached or removed, taskbar moved: relayout against the new work areas
+  _displayConfigKey = displayConfigKey(screen.getAllDisplays());
+  screen.on('display-added', scheduleDisplayChange);
+  screen.on('display-removed', scheduleDisplayChange);
+  screen.on('display-metrics-changed', scheduleDisplayChange);
+
   // Set window title with short instance ID for visual distinction between instances
   const shortId = instanceId.substring(0, 8);
   mainWindow.setTitle('Stack Windows [' + shortId + ']');
 
-  // Initialize foreground monitor — detects when user clicks/focuses a managed window
-  foregroundMonitor = new ForegroundMonitor();
-  foregroundMonitor.start(onManagedWindowFocused);
-  resizeMonitor = new ResizeMonitor();
+  if (recoveryNotice) sendNotice(recoveryNotice);
+
+  // Initialize the WinEvent hub — one owner for every Win32 event hook
+  winEventHub = new WinEventHub();
+  winEventHub.on('foreground', onManagedWindowFocused);
+  winEventHub.on('moveSizeEnd', onManagedWindowResized);
+  winEventHub.on('minimizeEnd', onManagedWindowRestored);
+  winEventHub.on('destroy', (hwnd) => onManagedWindowClosed(hwnd, 'destroyed'));
+  winEventHub.on('hide', onManagedWindowHidden);
+  winEventHub.on('nameChange', onManagedTitleChanged, { throttleMs: TITLE_THROTTLE_MS });
+  syncAutoAddSubscriptions();
+  winEventHub.onStatusChange(onEventHookStatus);
+  winEventHub.start();
+
+  // Global hotkeys — bindings are shared by all instances (first instance to register wins)
+  hotkeyManager = new HotkeyManager(globalShortcut, onHotkey, path.join(userDataPath, 'hotkeys.json'));
+  hotkeyManager.load();
+  hotkeyManager.registerAll();
+
+  // Window handoff between instances. Windows sent to instances that exited
+  // before adopting them are moved back to where they were.
+  handoffMailbox = new HandoffMailbox(path.join(userDataPath, 'handoff'), instanceId, (message) =>
+    onHandoffReceived(message).catch((e) => console.error('[Handoff] Failed to adopt:', e))
+  );
   try {
-    resizeMonitor.start(onManagedWindowResized);
+    const liveIds = await instanceRegistry.getLiveInstanceIds();
+    const otherHwnds = await getOtherInstancesHwnds();
+    for (const message of handoffMailbox.collectOrphaned(liveIds)) {
+      windowManager.restoreOrphanedWindow(message.window, otherHwnds);
+    }
   } catch (e) {
-    console.error('[ResizeMonitor] Failed to start:', e);
+    console.error('[Handoff] Failed to recover undelivered windows:', e);
   }
+
   syncMonitors();
 
   // Register IPC handlers
   registerIPC();
-
-  // Cleanup timer: remove dead windows every 2 seconds
+  handoffMailbox.start();
+
+  // Instance bus — windows claimed and released by other instances show up immediately
+  instanceBus = new InstanceBus(instanceId);
+  instanceBus.on('change', onPeersChanged);
+  publishInstanceState();
+  instanceBus
+    .start()
+    .then(() => instanceRegistry.getOtherInstances())
+    .then((others) => {
+      if (!_cleanedUp) instanceBus.connectPeers(others.map((i) => i.instanceId));
+    })
+    // Without the bus, other instances' windows are still known from the registry
+    .catch((e) => console.error('[InstanceBus] start failed:', e));
+
+  // Opt-in session restore — re-acquire the last session's windows by match criteria
+  sessionStore = new SessionStore(path.join(userDataPath, 'session.json'));
+  _restoreSessionEnabled = sessionStore.isRestoreEnabled();
+  startSessionRestore().catch((e) => console.error('[Session] Failed to start restore:', e));
+
+  // Cleanup timer: slow safety net for dead windows whose destroy event was missed
   cleanupTimer = setInterval(() => {
     try {
       const changed = windowManager.removeDeadWindows();
       if (changed) {
-        syncMonitors();
-        doLayoutDebounced();
-        sendStateUpdate();
-        persistence.save(windowManager.getState());
-        instanceRegistry.updateManagedHwnds(windowManager.getManagedHwnds());
+        onManagedWindowsRemoved();
       }
     } catch (e) {
       console.error('Cleanup timer error:', e);
     }
-  }, 2000);
+  }, DEAD_WINDOW_POLL_MS);
 
   // Auto-save timer: save state every 10 seconds
   saveTimer = setInterval(() => {
@@ -710,6 +2295,7 @@ app.whenReady().then(() => {
       if (windowManager && windowManager.managedWindows.length > 0) {
         persistence.save(windowManager.getState());
       }
+      if (!_sessionRestore) saveSession();
     } catch (e) {
       console.error('Save timer error:', e);
     }
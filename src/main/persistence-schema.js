@@ -0,0 +1,211 @@
+'use strict';
+
+const { isTargetDisplay } = require('./target-display');
+const { DEFAULT_DOCK_EDGE, DEFAULT_APP_BAR_MODE, isDockEdge, isAppBarMode } = require('./dock-edge');
+
+const CURRENT_VERSION = 3;
+
+/**
+ * Field validators: `valid(value)` says whether a saved value can be kept;
+ * otherwise `fallback` is used. A missing field takes the fallback silently
+ * (files written before the setting existed), a present but invalid one is
+ * reported through the warn callback.
+ */
+const bool = (fallback) => ({ valid: (v) => typeof v === 'boolean', fallback });
+const text = (fallback) => ({ valid: (v) => typeof v === 'string' && v.length > 0, fallback });
+const nullableText = { valid: (v) => v === null || (typeof v === 'string' && v.length > 0), fallback: null };
+const color = (fallback) => ({ valid: (v) => typeof v === 'string' && /^#[0-9a-fA-F]{6}$/.test(v), fallback });
+const pixels = (fallback) => ({ valid: (v) => Number.isInteger(v) && v >= 0 && v <= 10000, fallback });
+const nullablePixels = { valid: (v) => v === null || (Number.isInteger(v) && v >= 200 && v <= 10000), fallback: null };
+const objects = { valid: Array.isArray, fallback: [], items: (item) => !!item && typeof item === 'object' };
+const objectMap = { valid: (v) => !!v && typeof v === 'object' && !Array.isArray(v), fallback: {} };
+
+const APP_FIELDS = {
+  hideAvailable: bool(false),
+  sortAvailableAlpha: bool(false),
+  backgroundColor: color('#000000'),
+  lightMode: bool(false),
+  dockEdge: { valid: isDockEdge, fallback: DEFAULT_DOCK_EDGE },
+  appBarMode: { valid: isAppBarMode, fallback: DEFAULT_APP_BAR_MODE },
+};
+
+const STACK_FIELDS = {
+  id: nullableText,
+  stackName: text('Managed Stack'),
+  customWidth: nullablePixels,
+  customHeight: nullablePixels,
+  stackGap: pixels(0),
+  topOffset: pixels(0),
+  dynamicReorder: bool(false),
+  layoutStrategy: text('stack'),
+  autoAddRules: objects,
+  windows: objects,
+  displayProfiles: objectMap,
+  targetDisplay: { valid: isTargetDisplay, fallback: null },
+};
+
+/**
+ * Keep the known fields of `source`, replacing invalid values with their fallback.
+ * @param {Object} source
+ * @param {Object} fields - name → validator
+ * @param {string} where - Prefix for warnings ("stacks[0].")
+ * @param {Function} warn
+ * @returns {Object}
+ */
+function pickFields(source, fields, where, warn) {
+  const result = {};
+  for (const [name, field] of Object.entries(fields)) {
+    const value = source[name];
+    if (value === undefined) {
+      result[name] = field.fallback;
+    } else if (!field.valid(value)) {
+      warn(`Invalid ${where}${name} (${JSON.stringify(value)}), using ${JSON.stringify(field.fallback)}`);
+      result[name] = field.fallback;
+    } else if (field.items) {
+      result[name] = value.filter((item, i) => {
+        if (field.items(item)) return true;
+        warn(`Dropping invalid ${where}${name}[${i}]`);
+        return false;
+      });
+    } else {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+function savedAtOf(data, warn) {
+  const { savedAt } = data;
+  if (savedAt === undefined || savedAt === null) return null;
+  if (typeof savedAt === 'string' && !isNaN(Date.parse(savedAt))) return savedAt;
+  warn(`Invalid savedAt (${JSON.stringify(savedAt)})`);
+  return null;
+}
+
+/**
+ * One validator per file version. Each returns a clean object of its own
+ * version: known fields only, invalid values fixed.
+ *
+ * Version 1 (no "version" field): a single stack's settings and windows at the top level.
+ * Version 2: the same, stamped with "version" and "savedAt".
+ * Version 3: app-wide settings at the top level, then "currentStackId" and a "stacks" array.
+ */
+const SCHEMAS = {
+  1: (data, warn) => pickFields(data, { ...APP_FIELDS, ...STACK_FIELDS }, '', warn),
+
+  2: (data, warn) => ({
+    version: 2,
+    savedAt: savedAtOf(data, warn),
+    ...pickFields(data, { ...APP_FIELDS, ...STACK_FIELDS }, '', warn),
+  }),
+
+  3: (data, warn) => {
+    let stacks = data.stacks;
+    if (!Array.isArray(stacks)) {
+      warn('Invalid stacks, using an empty list');
+      stacks = [];
+    }
+    stacks = stacks
+      .map((stack, i) => {
+        if (stack && typeof stack === 'object') return pickFields(stack, STACK_FIELDS, `stacks[${i}].`, warn);
+        warn(`Dropping invalid stacks[${i}]`);
+        return null;
+      })
+      .filter(Boolean);
+
+    let currentStackId = data.currentStackId ?? null;
+    if (!stacks.some((stack) => stack.id === currentStackId)) {
+      if (currentStackId !== null) {
+        warn(`Unknown currentStackId (${JSON.stringify(currentStackId)}), using the first stack`);
+      }
+      currentStackId = stacks.length > 0 ? stacks[0].id : null;
+    }
+
+    return {
+      version: 3,
+      savedAt: savedAtOf(data, warn),
+      ...pickFields(data, APP_FIELDS, '', warn),
+      currentStackId,
+      stacks,
+    };
+  },
+};
+
+/**
+ * Migrations, keyed by the version they upgrade from. Each receives a valid
+ * file of that version and returns one of the next version.
+ */
+const MIGRATIONS = {
+  1: (data) => ({ version: 2, savedAt: null, ...data }),
+
+  2: (data) => {
+    const { hideAvailable, sortAvailableAlpha, backgroundColor, lightMode } = data;
+    const stack = {};
+    for (const name of Object.keys(STACK_FIELDS)) stack[name] = data[name];
+    return {
+      version: 3,
+      savedAt: data.savedAt,
+      hideAvailable,
+      sortAvailableAlpha,
+      backgroundColor,
+      lightMode,
+      currentStackId: stack.id,
+      stacks: [stack],
+    };
+  },
+};
+
+function logWarning(message) {
+  console.warn('[Persistence]', message);
+}
+
+/**
+ * Bring the contents of a persistence file of any known version up to the
+ * current one, fixing invalid fields along the way.
+ * @param {*} data - Parsed JSON
+ * @param {Function} [warn] - Receives a message per field fixed or dropped (default: console.warn)
+ * @returns {Object} current-version data
+ * @throws {Error} if `data` is not a persistence file or comes from a newer version of the app
+ */
+function migrate(data, warn = logWarning) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Not a persistence file');
+  }
+  let version = data.version === undefined ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown persistence file version: ${JSON.stringify(data.version)}`);
+  }
+  if (version > CURRENT_VERSION) {
+    throw new Error(`Persistence file version ${version} is newer than this app supports (${CURRENT_VERSION})`);
+  }
+
+  let result = SCHEMAS[version](data, warn);
+  while (version < CURRENT_VERSION) {
+    result = SCHEMAS[version + 1](MIGRATIONS[version](result), warn);
+    version++;
+  }
+  return result;
+}
+
+/**
+ * Build the current-version file contents from WindowManager.getState().
+ * A state without `stacks` (single-stack shape) is saved as one stack.
+ * @param {Object} state
+ * @param {Function} [warn] - Receives a message per field fixed or dropped (default: console.warn)
+ * @returns {Object}
+ */
+function serialize(state, warn = logWarning) {
+  const stacks = Array.isArray(state.stacks) ? state.stacks : [state];
+  return SCHEMAS[CURRENT_VERSION](
+    {
+      ...state,
+      version: CURRENT_VERSION,
+      savedAt: new Date().toISOString(),
+      currentStackId: state.currentStackId ?? null,
+      stacks,
+    },
+    warn
+  );
+}
+
+module.exports = { CURRENT_VERSION, SCHEMAS, MIGRATIONS, migrate, serialize };
@@ -1,12 +1,27 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const { serialize } = require('./persistence-schema');
+const { writeFileAtomic, writeFileAtomicSync, removeWithBackups } = require('./atomic-file');
+
+function countWindows(data) {
+  return data.stacks.reduce((n, stack) => n + stack.windows.length, 0);
+}
 
 /**
  * Persistence layer for window group state.
- * Saves to a JSON file in the app's userData directory.
+ * Saves to a JSON file in the app's userData directory, atomically and with
+ * the last versions kept as backups (see atomic-file.js).
+ *
+ * Version 3 file format (versions 1 and 2 had a single stack's fields at the
+ * top level; persistence-schema.js validates every version and migrates them):
+ * {
+ *   "version": 3, "savedAt": "...",
+ *   "hideAvailable", "sortAvailableAlpha", "backgroundColor", "lightMode", "dockEdge", "appBarMode",  ← app-wide
+ *   "currentStackId": "...",
+ *   "stacks": [{ "id", "stackName", "customWidth", ..., "autoAddRules", "windows": [...] }]
+ * }
  */
 class Persistence {
   constructor() {
@@ -33,7 +48,7 @@ class Persistence {
   }
 
   /**
-   * Delete the instance-specific persistence file.
+   * Delete the instance-specific persistence file and its backups.
    * Only deletes when instanceId is set (instance-aware mode).
    * In legacy mode (instanceId is null), does nothing to preserve backward compat.
    * Safe to call from quit handlers — never throws.
@@ -41,8 +56,7 @@ class Persistence {
   cleanupFile() {
     if (!this.instanceId) return;
     try {
-      if (this.filePath && fs.existsSync(this.filePath)) {
-        fs.unlinkSync(this.filePath);
+      if (this.filePath && removeWithBackups(this.filePath)) {
         console.log('Persistence file cleaned up:', this.filePath);
       }
     } catch (e) {
@@ -67,23 +81,9 @@ class Persistence {
 
     this._writing = true;
     try {
-      const data = {
-        version: 2,
-        savedAt: new Date().toISOString(),
-        stackName: state.stackName || 'Managed Stack',
-        hideAvailable: !!state.hideAvailable,
-        sortAvailableAlpha: !!state.sortAvailableAlpha,
-        customWidth: state.customWidth ?? null,
-        customHeight: state.customHeight ?? null,
-        backgroundColor: state.backgroundColor || '#000000',
-        stackGap: state.stackGap || 0,
-        topOffset: state.topOffset || 0,
-        lightMode: !!state.lightMode,
-        dynamicReorder: !!state.dynamicReorder,
-        windows: state.windows || [],
-      };
-      await fs.promises.writeFile(this.filePath, JSON.stringify(data, null, 2), 'utf-8');
-      console.log(`Saved ${data.windows.length} windows and config to persistence`);
+      const data = serialize(state);
+      await writeFileAtomic(this.filePath, JSON.stringify(data, null, 2));
+      console.log(`Saved ${countWindows(data)} windows and config to persistence`);
     } catch (e) {
       console.error('Failed to save persistence:', e);
     } finally {
@@ -108,23 +108,9 @@ class Persistence {
     if (!this.filePath) return;
 
     try {
-      const data = {
-        version: 2,
-        savedAt: new Date().toISOString(),
-        stackName: state.stackName || 'Managed Stack',
-        hideAvailable: !!state.hideAvailable,
-        sortAvailableAlpha: !!state.sortAvailableAlpha,
-        customWidth: state.customWidth ?? null,
-        customHeight: state.customHeight ?? null,
-        backgroundColor: state.backgroundColor || '#000000',
-        stackGap: state.stackGap || 0,
-        topOffset: state.topOffset || 0,
-        lightMode: !!state.lightMode,
-        dynamicReorder: !!state.dynamicReorder,
-        windows: state.windows || [],
-      };
-      fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2), 'utf-8');
-      console.log(`Saved ${data.windows.length} windows and config to persistence (sync)`);
+      const data = serialize(state);
+      writeFileAtomicSync(this.filePath, JSON.stringify(data, null, 2));
+      console.log(`Saved ${countWindows(data)} windows and config to persistence (sync)`);
     } catch (e) {
       console.error('Failed to save persistence (sync):', e);
     }
@@ -53,9 +53,25 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('state-update', handler);
   },
 
-  // Remove all state-update listeners (call before re-registering on page reload)
+  // Listen for one-off messages from the main process (e.g. crash recovery results)
+  onNotice: (callback) => {
+    const handler = (event, data) => callback(data);
+    ipcRenderer.on('notice', handler);
+    return () => ipcRenderer.removeListener('notice', handler);
+  },
+
+  // Listen for other instances claiming or releasing windows (the Available list is stale)
+  onAvailableChanged: (callback) => {
+    const handler = () => callback();
+    ipcRenderer.on('available-changed', handler);
+    return () => ipcRenderer.removeListener('available-changed', handler);
+  },
+
+  // Remove all state-update, notice and available-changed listeners (call before re-registering on page reload)
   removeAllStateListeners: () => {
     ipcRenderer.removeAllListeners('state-update');
+    ipcRenderer.removeAllListeners('notice');
+    ipcRenderer.removeAllListeners('available-changed');
   },
 
   // Reorder managed windows via drag-and-drop
@@ -72,4 +88,63 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Toggle dynamic reorder (auto-sync list order on focus change)
   toggleDynamicReorder: (enabled) => ipcRenderer.invoke('toggle-dynamic-reorder', enabled),
+
+  // Named stacks shown as tabs in the controller
+  createStack: (name) => ipcRenderer.invoke('create-stack', name),
+
+  // Switch the controller to another stack
+  selectStack: (stackId) => ipcRenderer.invoke('select-stack', stackId),
+
+  // Delete a stack, restoring its windows
+  removeStack: (stackId) => ipcRenderer.invoke('remove-stack', stackId),
+
+  // Move a managed window into another stack
+  moveWindowToStack: (hwnd, stackId) => ipcRenderer.invoke('move-window-to-stack', hwnd, stackId),
+
+  // Share the current stack's settings and window criteria as JSON (target/source: 'file' or 'clipboard')
+  exportStack: (target) => ipcRenderer.invoke('export-stack', target),
+  importStack: (source) => ipcRenderer.invoke('import-stack', source),
+
+  // Native context menu for a managed row (send to another instance, remove)
+  showWindowMenu: (hwnd) => ipcRenderer.invoke('show-window-menu', hwnd),
+
+  // Layout strategies (strip stack, grid, columns, cascade, monocle)
+  getLayoutStrategies: () => ipcRenderer.invoke('get-layout-strategies'),
+  setLayoutStrategy: (name) => ipcRenderer.invoke('set-layout-strategy', name),
+
+  // Display the current stack is laid out on (null = the controller's, 'primary', 'left', 'right' or a display id)
+  setTargetDisplay: (target) => ipcRenderer.invoke('set-target-display', target),
+
+  // Dock the controller to a screen edge ('left', 'right', 'top' or 'bottom'); the stack fills the opposite side
+  setDockEdge: (edge) => ipcRenderer.invoke('set-dock-edge', edge),
+
+  // Register the controller as an AppBar on its dock edge ('off', 'reserve' or 'autohide')
+  setAppBarMode: (mode) => ipcRenderer.invoke('set-app-bar-mode', mode),
+
+  // WinEvent hook health (which hooks are installed / retrying)
+  getEventHookStatus: () => ipcRenderer.invoke('get-event-hook-status'),
+
+  // Dry-run the layout planner (optionally with unsaved settings) without moving any window
+  previewLayout: (overrides) => ipcRenderer.invoke('preview-layout', overrides),
+
+  // Auto-add rules (windows matching a rule join the stack as soon as they open)
+  getAutoAddRules: () => ipcRenderer.invoke('get-auto-add-rules'),
+  setAutoAddRules: (rules) => ipcRenderer.invoke('set-auto-add-rules', rules),
+
+  // Available list filters (app-wide exclusion rules, hide cloaked windows)
+  getAvailableFilters: () => ipcRenderer.invoke('get-available-filters'),
+  setAvailableFilters: (filters) => ipcRenderer.invoke('set-available-filters', filters),
+  // Add a rule hiding windows of the same app as this one
+  excludeWindow: (hwnd) => ipcRenderer.invoke('exclude-window', hwnd),
+  // Forget instances that are no longer running (their windows become available)
+  purgeStaleInstances: () => ipcRenderer.invoke('purge-stale-instances'),
+
+  // Global hotkeys (bindings are saved app-wide; null accelerator disables one)
+  getHotkeys: () => ipcRenderer.invoke('get-hotkeys'),
+  setHotkey: (action, accelerator) => ipcRenderer.invoke('set-hotkey', action, accelerator),
+  resetHotkeys: () => ipcRenderer.invoke('reset-hotkeys'),
+
+  // Opt-in session restore (re-acquire the stack's windows on the next launch)
+  setRestoreSession: (enabled) => ipcRenderer.invoke('set-restore-session', enabled),
+  cancelSessionRestore: () => ipcRenderer.invoke('cancel-session-restore'),
 });
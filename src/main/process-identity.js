@@ -0,0 +1,63 @@
+'use strict';
+
+const fs = require('fs');
+
+// FILETIME counts 100-ns intervals since 1601-01-01; the Unix epoch is this many ms later
+const FILETIME_UNIX_EPOCH_MS = 11644473600000n;
+
+/**
+ * When a process started, so that a PID recorded earlier can be told apart
+ * from a new process Windows gave the same PID. The value is only meant to be
+ * compared with another value from this function: ms since the epoch on
+ * Windows, clock ticks since boot on Linux.
+ *
+ * Both lookups are a direct query (no child process), cheap enough to run on
+ * every registry read.
+ * @param {number} pid
+ * @returns {number|null} null when unknown: no such process, access denied or unsupported platform
+ */
+function getProcessStartTime(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return null;
+  if (process.platform === 'win32') return windowsStartTime(pid);
+  if (process.platform === 'linux') return linuxStartTime(pid);
+  return null;
+}
+
+function windowsStartTime(pid) {
+  // Loaded here so the registry stays usable where koffi is not
+  const { api, PROCESS_QUERY_LIMITED_INFORMATION } = require('./win32');
+  let hProcess = 0;
+  try {
+    hProcess = api.OpenProcess(PROCESS_QUERY_LIMITED_INFORMATION, 0, pid);
+    if (!hProcess) return null;
+    const creation = {};
+    if (!api.GetProcessTimes(hProcess, creation, {}, {}, {})) return null;
+    const fileTime = (BigInt(creation.dwHighDateTime >>> 0) << 32n) | BigInt(creation.dwLowDateTime >>> 0);
+    if (fileTime === 0n) return null;
+    return Number(fileTime / 10000n - FILETIME_UNIX_EPOCH_MS);
+  } catch {
+    return null;
+  } finally {
+    if (hProcess) {
+      try {
+        api.CloseHandle(hProcess);
+      } catch {
+        // ignore
+      }
+    }
+  }
+}
+
+function linuxStartTime(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    // Field 2 (the command name) may contain spaces and parentheses; starttime is field 22
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const startTime = Number(fields[19]);
+    return Number.isFinite(startTime) ? startTime : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { getProcessStartTime };
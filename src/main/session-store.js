@@ -0,0 +1,180 @@
+'use strict';
+
+const fs = require('fs');
+const lockfile = require('proper-lockfile');
+
+// Stacks older than the newest MAX_SAVED_STACKS are dropped
+const MAX_SAVED_STACKS = 10;
+
+/**
+ * Does a snapshot hold any window criteria? Snapshots list them per stack in
+ * `stacks[].windows`; older ones have a single top-level `windows` array.
+ * @param {Object|null} snapshot
+ * @returns {boolean}
+ */
+function snapshotHasWindows(snapshot) {
+  if (!snapshot) return false;
+  const stacks = Array.isArray(snapshot.stacks) ? snapshot.stacks : [snapshot];
+  return stacks.some((stack) => stack && Array.isArray(stack.windows) && stack.windows.length > 0);
+}
+
+/**
+ * Opt-in session store shared by every instance: <userData>/session.json.
+ *
+ * Per-instance persistence files are deleted on quit and HWNDs do not
+ * survive a reboot, so each stack is saved here as match criteria (see
+ * window-matcher.js) keyed by the instance that owns it. On launch an
+ * instance claims the most recently saved stack whose owner is no longer
+ * running and re-keys it to itself.
+ *
+ * File format:
+ * {
+ *   "version": 1,
+ *   "restoreEnabled": true,
+ *   "stacks": { "<instanceId>": { "savedAt": "...", ...app config, "stacks": [{ "stackName", ..., "windows": [criteria] }] } }
+ * }
+ */
+class SessionStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this._lockOptions = {
+      stale: 10000,
+      retries: { retries: 3, minTimeout: 100, maxTimeout: 1000 },
+    };
+  }
+
+  _emptyData() {
+    return { version: 1, restoreEnabled: false, stacks: {} };
+  }
+
+  _readUnlocked() {
+    try {
+      if (!fs.existsSync(this.filePath)) return this._emptyData();
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      if (!data || typeof data !== 'object') return this._emptyData();
+      return {
+        version: 1,
+        restoreEnabled: !!data.restoreEnabled,
+        stacks: data.stacks && typeof data.stacks === 'object' ? data.stacks : {},
+      };
+    } catch (e) {
+      console.error('[Session] Failed to read session file:', e);
+      return this._emptyData();
+    }
+  }
+
+  /**
+   * Lock, read, let `mutator` change the data, write it back atomically
+   * (temp file + rename), unlock.
+   * @param {Function} mutator - (data) => result
+   * @returns {*} mutator result
+   */
+  _update(mutator) {
+    if (!fs.existsSync(this.filePath)) {
+      try {
+        fs.writeFileSync(this.filePath, JSON.stringify(this._emptyData(), null, 2), 'utf-8');
+      } catch {
+        // Ignore — if we can't create it, locking will fail gracefully
+      }
+    }
+
+    let release = null;
+    try {
+      release = lockfile.lockSync(this.filePath, this._lockOptions);
+    } catch (e) {
+      console.error('[Session] Failed to acquire lock (best-effort):', e.message);
+    }
+
+    const tmpPath = this.filePath + '.tmp';
+    try {
+      const data = this._readUnlocked();
+      const result = mutator(data);
+      fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), 'utf-8');
+      fs.renameSync(tmpPath, this.filePath);
+      return result;
+    } catch (e) {
+      console.error('[Session] Failed to update session file:', e);
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch {
+        // temp file was never written
+      }
+      return undefined;
+    } finally {
+      if (release) {
+        try {
+          release();
+        } catch (e) {
+          console.error('[Session] Failed to release lock:', e.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * @returns {boolean} whether stacks are saved and restored on launch
+   */
+  isRestoreEnabled() {
+    return this._readUnlocked().restoreEnabled;
+  }
+
+  /**
+   * Turn session restore on or off. Turning it off forgets every saved stack.
+   * @param {boolean} enabled
+   */
+  setRestoreEnabled(enabled) {
+    this._update((data) => {
+      data.restoreEnabled = !!enabled;
+      if (!enabled) data.stacks = {};
+    });
+  }
+
+  /**
+   * Save (or, with no windows, forget) the stack owned by an instance.
+   * Does nothing while restore is disabled.
+   * @param {string} instanceId
+   * @param {Object|null} snapshot - App config plus `stacks: [{...stack config, windows: criteria[]}]`
+   */
+  saveStack(instanceId, snapshot) {
+    this._update((data) => {
+      if (!data.restoreEnabled) return;
+      if (!snapshotHasWindows(snapshot)) {
+        delete data.stacks[instanceId];
+        return;
+      }
+      data.stacks[instanceId] = { ...snapshot, savedAt: new Date().toISOString() };
+
+      const others = Object.keys(data.stacks)
+        .filter((id) => id !== instanceId)
+        .sort((a, b) => String(data.stacks[b].savedAt).localeCompare(String(data.stacks[a].savedAt)));
+      for (const id of others.slice(MAX_SAVED_STACKS - 1)) delete data.stacks[id];
+    });
+  }
+
+  /**
+   * Take over the most recently saved stack whose owner is not running.
+   * @param {string} instanceId - The claiming instance
+   * @param {Set<string>} liveInstanceIds - Instances currently in the registry
+   * @returns {Object|null} the claimed snapshot, or null when there is nothing to restore
+   */
+  claimStack(instanceId, liveInstanceIds) {
+    if (!this.isRestoreEnabled()) return null;
+    return (
+      this._update((data) => {
+        const orphans = Object.keys(data.stacks)
+          .filter((id) => id !== instanceId && !liveInstanceIds.has(id))
+          .sort((a, b) => String(data.stacks[b].savedAt).localeCompare(String(data.stacks[a].savedAt)));
+        if (orphans.length === 0) return null;
+        const snapshot = data.stacks[orphans[0]];
+        delete data.stacks[orphans[0]];
+        data.stacks[instanceId] = snapshot;
+        return snapshot;
+      }) || null
+    );
+  }
+}
+
+module.exports = { SessionStore, MAX_SAVED_STACKS };
@@ -0,0 +1,118 @@
+'use strict';
+
+const { migrate, serialize } = require('./persistence-schema');
+const { buildMatchCriteria } = require('./window-matcher');
+const { normalizeRules } = require('./auto-add-rules');
+
+// Marks a JSON file as a stack export (persistence files have no "kind")
+const EXPORT_KIND = 'stack-windows-export';
+
+// Largest export accepted on import; real ones are a few KB
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+const CRITERIA_TEXT_FIELDS = ['exePath', 'exeName', 'className', 'title', 'titlePattern'];
+
+/**
+ * Shareable definition of one stack: its name, settings, the app's colors
+ * and match criteria (see window-matcher.js) for its windows. The format is
+ * a current-version persistence file holding that single stack, so imports
+ * go through the same migrations and field validation.
+ * @param {Object} state - WindowManager.getState()
+ * @param {string} stackId - Stack to export
+ * @returns {Object} JSON-ready export
+ * @throws {Error} if the stack does not exist
+ */
+function exportStack(state, stackId) {
+  const data = serialize(state);
+  const stack = data.stacks.find((s) => s.id === stackId);
+  if (!stack) throw new Error('Unknown stack: ' + stackId);
+  return {
+    kind: EXPORT_KIND,
+    version: data.version,
+    savedAt: data.savedAt,
+    backgroundColor: data.backgroundColor,
+    lightMode: data.lightMode,
+    stacks: [
+      {
+        ...stack,
+        id: null,
+        // The monitors differ from machine to machine; only positional targets carry over
+        displayProfiles: {},
+        targetDisplay: typeof stack.targetDisplay === 'number' ? null : stack.targetDisplay,
+        windows: stack.windows.map((w, i) => buildMatchCriteria(w, i)),
+      },
+    ],
+  };
+}
+
+/**
+ * Keep the saved criteria of one window, or null when nothing is left to match on.
+ * @param {Object} criteria
+ * @returns {Object|null}
+ */
+function cleanCriteria(criteria) {
+  const result = {};
+  for (const name of CRITERIA_TEXT_FIELDS) {
+    const value = criteria[name];
+    if (value !== undefined && typeof value !== 'string') return null;
+    result[name] = (value || '').slice(0, 1000);
+  }
+  if (!result.exePath && !result.className && !result.titlePattern) return null;
+  result.customTitle = typeof criteria.customTitle === 'string' && criteria.customTitle ? criteria.customTitle : null;
+  return result;
+}
+
+/**
+ * Parse and validate an export (file or clipboard text). Invalid settings are
+ * replaced with defaults and invalid windows or rules dropped; each fix is
+ * listed in `warnings` for the import report.
+ * @param {string} raw
+ * @returns {{backgroundColor: string, lightMode: boolean, stack: Object, warnings: string[]}}
+ *   `stack` holds the validated settings and `windows` criteria with positions 0..n-1
+ * @throws {Error} if `raw` is not a stack export this version can read
+ */
+function parseStackImport(raw) {
+  if (typeof raw !== 'string' || raw.trim() === '') throw new Error('Nothing to import');
+  if (raw.length > MAX_IMPORT_BYTES) throw new Error('The import is too large to be a stack export');
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    throw new Error('Not valid JSON: ' + e.message);
+  }
+  if (!parsed || parsed.kind !== EXPORT_KIND) throw new Error('Not a stack export');
+
+  const warnings = [];
+  const data = migrate(parsed, (message) => warnings.push(message));
+  if (data.stacks.length === 0) throw new Error('The export holds no stack');
+  if (data.stacks.length > 1) warnings.push(`Only the first of ${data.stacks.length} stacks is imported`);
+  const stack = data.stacks[0];
+
+  const windows = [];
+  stack.windows.forEach((entry, i) => {
+    const criteria = cleanCriteria(entry);
+    if (criteria) {
+      windows.push({ ...criteria, position: windows.length });
+    } else {
+      warnings.push(`Dropping stacks[0].windows[${i}]: no executable, class or title to match`);
+    }
+  });
+
+  const autoAddRules = [];
+  stack.autoAddRules.forEach((rule, i) => {
+    try {
+      autoAddRules.push(...normalizeRules([rule]));
+    } catch (e) {
+      warnings.push(`Dropping stacks[0].autoAddRules[${i}]: ${e.message}`);
+    }
+  });
+
+  return {
+    backgroundColor: data.backgroundColor,
+    lightMode: data.lightMode,
+    stack: { ...stack, stackName: stack.stackName.slice(0, 100), autoAddRules, windows },
+    warnings,
+  };
+}
+
+module.exports = { EXPORT_KIND, MAX_IMPORT_BYTES, exportStack, parseStackImport };
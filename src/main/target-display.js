@@ -0,0 +1,57 @@
+'use strict';
+
+// Target displays chosen by position instead of id, so they survive re-plugging monitors
+const TARGET_DISPLAY_ALIASES = ['primary', 'left', 'right'];
+
+/**
+ * Is `value` a valid stack target display: null (the controller's display),
+ * one of TARGET_DISPLAY_ALIASES or an Electron display id?
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isTargetDisplay(value) {
+  return value === null || TARGET_DISPLAY_ALIASES.includes(value) || (Number.isSafeInteger(value) && value >= 0);
+}
+
+/**
+ * Attached displays ordered left to right (then top to bottom).
+ * @param {Array<{id: number, bounds: Object}>} displays
+ * @returns {Array<{id: number, bounds: Object}>}
+ */
+function sortDisplays(displays) {
+  return [...displays].sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y);
+}
+
+/**
+ * The display a stack is laid out on.
+ * @param {null|string|number} target - See isTargetDisplay
+ * @param {Object} screenInfo
+ * @param {Array<{id: number, bounds: Object, workArea: Object}>} screenInfo.displays - Attached displays
+ * @param {number} screenInfo.primaryId
+ * @param {Object} screenInfo.controllerDisplay - Used for null and for a display that is no longer attached
+ * @returns {Object} one of `displays` (or controllerDisplay)
+ */
+function resolveTargetDisplay(target, { displays, primaryId, controllerDisplay }) {
+  const sorted = sortDisplays(displays);
+  let display;
+  if (target === 'primary') display = displays.find((d) => d.id === primaryId);
+  else if (target === 'left') display = sorted[0];
+  else if (target === 'right') display = sorted[sorted.length - 1];
+  else if (target !== null) display = displays.find((d) => d.id === target);
+  return display || controllerDisplay;
+}
+
+/**
+ * Display choices for the controller: one entry per attached display, left to right.
+ * @param {Array<{id: number, bounds: Object}>} displays
+ * @param {number} primaryId
+ * @returns {Array<{id: number, label: string}>}
+ */
+function describeDisplays(displays, primaryId) {
+  return sortDisplays(displays).map((d, i) => ({
+    id: d.id,
+    label: `Display ${i + 1} — ${d.bounds.width}×${d.bounds.height}` + (d.id === primaryId ? ' (primary)' : ''),
+  }));
+}
+
+module.exports = { TARGET_DISPLAY_ALIASES, isTargetDisplay, resolveTargetDisplay, describeDisplays };
@@ -0,0 +1,316 @@
+'use strict';
+
+const {
+  api,
+  koffi,
+  WinEventProc,
+  EVENT_SYSTEM_FOREGROUND,
+  EVENT_SYSTEM_MOVESIZESTART,
+  EVENT_SYSTEM_MOVESIZEEND,
+  EVENT_SYSTEM_MINIMIZESTART,
+  EVENT_SYSTEM_MINIMIZEEND,
+  EVENT_OBJECT_CREATE,
+  EVENT_OBJECT_DESTROY,
+  EVENT_OBJECT_SHOW,
+  EVENT_OBJECT_HIDE,
+  EVENT_OBJECT_NAMECHANGE,
+  WINEVENT_OUTOFCONTEXT,
+  WINEVENT_SKIPOWNPROCESS,
+  OBJID_WINDOW,
+  CHILDID_SELF,
+} = require('./win32');
+
+// Topic name → WinEvent id
+const TOPICS = {
+  foreground: EVENT_SYSTEM_FOREGROUND,
+  moveSizeStart: EVENT_SYSTEM_MOVESIZESTART,
+  moveSizeEnd: EVENT_SYSTEM_MOVESIZEEND,
+  minimizeStart: EVENT_SYSTEM_MINIMIZESTART,
+  minimizeEnd: EVENT_SYSTEM_MINIMIZEEND,
+  create: EVENT_OBJECT_CREATE,
+  destroy: EVENT_OBJECT_DESTROY,
+  show: EVENT_OBJECT_SHOW,
+  hide: EVENT_OBJECT_HIDE,
+  nameChange: EVENT_OBJECT_NAMECHANGE,
+};
+
+// Events at most this far apart share one hook (the events in between are dropped by dispatch)
+const MAX_RANGE_GAP = 2;
+const DEFAULT_RETRY_DELAYS_MS = [1000, 5000, 30000];
+
+/**
+ * Group event ids into [min, max] hook ranges.
+ * @param {number[]} events
+ * @returns {Array<[number, number]>}
+ */
+function computeHookRanges(events) {
+  const sorted = [...new Set(events)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const ev of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && ev - last[1] <= MAX_RANGE_GAP) {
+      last[1] = ev;
+    } else {
+      ranges.push([ev, ev]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Single owner of every SetWinEventHook in the app.
+ *
+ * Subscribers register per topic (see TOPICS). The hub installs one
+ * out-of-context hook per contiguous event range, shares one koffi callback
+ * between them, and filters to top-level windows in the managed set once
+ * before dispatching. Topics subscribed with `{ managedOnly: false }` see
+ * every top-level window (used to spot windows appearing on screen).
+ *
+ * A hook that fails to install is retried with backoff; status changes are
+ * reported through onStatusChange so the UI can warn that tracking is degraded.
+ */
+class WinEventHub {
+  /**
+   * @param {Object} [options]
+   * @param {number[]} [options.retryDelaysMs] - Backoff between install attempts (last value repeats)
+   */
+  constructor(options = {}) {
+    this._retryDelaysMs = options.retryDelaysMs || DEFAULT_RETRY_DELAYS_MS;
+    this._callback = null; // koffi registered callback, shared by every hook
+    this._hooks = []; // [{ min, max, handle, attempts, retryTimer, error }]
+    this._subscribers = new Map(); // event id → [{ topic, handler, managedOnly, throttleMs, pending, timer }]
+    this._managedHwnds = new Set();
+    this._running = false;
+    this._onStatusChange = null;
+  }
+
+  /**
+   * Subscribe to a topic.
+   * @param {string} topic - One of Object.keys(TOPICS)
+   * @param {Function} handler - Called with (hwnd, topic)
+   * @param {Object} [options]
+   * @param {boolean} [options.managedOnly=true] - Only deliver events for managed windows
+   * @param {number} [options.throttleMs=0] - Coalesce repeats per hwnd and deliver at most once per window
+   * @returns {Function} unsubscribe
+   */
+  on(topic, handler, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(TOPICS, topic)) {
+      throw new Error('Unknown WinEvent topic: ' + topic);
+    }
+    const event = TOPICS[topic];
+    const sub = {
+      topic,
+      handler,
+      managedOnly: options.managedOnly !== false,
+      throttleMs: options.throttleMs || 0,
+      pending: new Set(),
+      timer: null,
+    };
+    if (!this._subscribers.has(event)) this._subscribers.set(event, []);
+    this._subscribers.get(event).push(sub);
+    if (this._running) this._syncHooks();
+
+    return () => {
+      const subs = this._subscribers.get(event) || [];
+      const idx = subs.indexOf(sub);
+      if (idx !== -1) subs.splice(idx, 1);
+      if (sub.timer) clearTimeout(sub.timer);
+      if (subs.length === 0) {
+        this._subscribers.delete(event);
+        if (this._running) this._syncHooks();
+      }
+    };
+  }
+
+  /**
+   * Register the status listener.
+   * @param {Function} callback - Called with getStatus() whenever a hook is installed or fails
+   */
+  onStatusChange(callback) {
+    this._onStatusChange = callback;
+  }
+
+  /**
+   * Install hooks for every subscribed topic.
+   */
+  start() {
+    if (this._running) return;
+    this._running = true;
+    this._callback = koffi.register(
+      (hWinEventHook, event, hwnd, idObject, idChild, _idEventThread, _dwmsEventTime) =>
+        this._dispatch(event, Number(hwnd), idObject, idChild),
+      koffi.pointer(WinEventProc)
+    );
+    this._syncHooks();
+  }
+
+  /**
+   * Remove every hook, the shared callback and pending throttled deliveries.
+   */
+  stop() {
+    this._running = false;
+    for (const hook of this._hooks) this._uninstall(hook);
+    this._hooks = [];
+    for (const subs of this._subscribers.values()) {
+      for (const sub of subs) {
+        if (sub.timer) clearTimeout(sub.timer);
+        sub.timer = null;
+        sub.pending.clear();
+      }
+    }
+    if (this._callback) {
+      koffi.unregister(this._callback);
+      this._callback = null;
+    }
+    console.log('[WinEventHub] Stopped');
+  }
+
+  /**
+   * Update the set of managed HWNDs used for filtering.
+   * @param {number[]} hwnds - Array of HWND numbers
+   */
+  updateManagedSet(hwnds) {
+    this._managedHwnds = new Set(hwnds);
+  }
+
+  /**
+   * @returns {{running: boolean, healthy: boolean, hooks: Array<{range: number[], topics: string[], installed: boolean, attempts: number, error: string|null}>}}
+   */
+  getStatus() {
+    const hooks = this._hooks.map((h) => ({
+      range: [h.min, h.max],
+      topics: Object.keys(TOPICS).filter(
+        (t) => TOPICS[t] >= h.min && TOPICS[t] <= h.max && this._subscribers.has(TOPICS[t])
+      ),
+      installed: !!h.handle,
+      attempts: h.attempts,
+      error: h.error,
+    }));
+    return { running: this._running, healthy: hooks.every((h) => h.installed), hooks };
+  }
+
+  _dispatch(event, hwnd, idObject, idChild) {
+    try {
+      if (idObject !== OBJID_WINDOW || idChild !== CHILDID_SELF || hwnd === 0) return;
+      const subs = this._subscribers.get(event);
+      if (!subs) return;
+      const managed = this._managedHwnds.has(hwnd);
+      for (const sub of subs) {
+        if (sub.managedOnly && !managed) continue;
+        if (sub.throttleMs > 0) {
+          sub.pending.add(hwnd);
+          if (!sub.timer) sub.timer = setTimeout(() => this._flush(sub), sub.throttleMs);
+        } else {
+          this._deliver(sub, hwnd);
+        }
+      }
+    } catch (e) {
+      console.error('[WinEventHub] Callback error:', e);
+    }
+  }
+
+  _flush(sub) {
+    sub.timer = null;
+    const hwnds = [...sub.pending];
+    sub.pending.clear();
+    for (const hwnd of hwnds) {
+      // The window may have left the stack while the delivery was pending
+      if (sub.managedOnly && !this._managedHwnds.has(hwnd)) continue;
+      this._deliver(sub, hwnd);
+    }
+  }
+
+  _deliver(sub, hwnd) {
+    try {
+      sub.handler(hwnd, sub.topic);
+    } catch (e) {
+      console.error(`[WinEventHub] ${sub.topic} handler error:`, e);
+    }
+  }
+
+  /**
+   * Make the installed hooks match the subscribed events.
+   */
+  _syncHooks() {
+    const wanted = computeHookRanges([...this._subscribers.keys()]);
+    const key = (min, max) => min + ':' + max;
+    const wantedKeys = new Set(wanted.map(([min, max]) => key(min, max)));
+
+    for (const hook of this._hooks) {
+      if (!wantedKeys.has(key(hook.min, hook.max))) this._uninstall(hook);
+    }
+    const kept = this._hooks.filter((h) => wantedKeys.has(key(h.min, h.max)));
+    const keptKeys = new Set(kept.map((h) => key(h.min, h.max)));
+
+    for (const [min, max] of wanted) {
+      if (keptKeys.has(key(min, max))) continue;
+      const hook = { min, max, handle: null, attempts: 0, retryTimer: null, error: null };
+      kept.push(hook);
+      this._install(hook);
+    }
+    this._hooks = kept;
+    this._reportStatus();
+  }
+
+  _install(hook) {
+    hook.retryTimer = null;
+    hook.attempts++;
+    try {
+      hook.handle = api.SetWinEventHook(
+        hook.min, // eventMin
+        hook.max, // eventMax
+        0, // hmodWinEventProc (null for out-of-context)
+        koffi.address(this._callback), // lpfnWinEventProc
+        0, // idProcess (0 = all processes)
+        0, // idThread (0 = all threads)
+        WINEVENT_OUTOFCONTEXT | WINEVENT_SKIPOWNPROCESS // skip events from our own process
+      );
+      hook.error = hook.handle ? null : 'SetWinEventHook returned null';
+    } catch (e) {
+      hook.handle = null;
+      hook.error = e.message;
+    }
+
+    const range = `0x${hook.min.toString(16)}-0x${hook.max.toString(16)}`;
+    if (hook.handle) {
+      console.log(`[WinEventHub] Hook ${range} installed — handle:`, Number(hook.handle));
+      return;
+    }
+
+    const delay = this._retryDelaysMs[Math.min(hook.attempts - 1, this._retryDelaysMs.length - 1)];
+    console.error(
+      `[WinEventHub] Hook ${range} FAILED (attempt ${hook.attempts}): ${hook.error} — retrying in ${delay}ms`
+    );
+    hook.retryTimer = setTimeout(() => {
+      if (!this._running || !this._hooks.includes(hook)) return;
+      this._install(hook);
+      this._reportStatus();
+    }, delay);
+  }
+
+  _uninstall(hook) {
+    if (hook.retryTimer) {
+      clearTimeout(hook.retryTimer);
+      hook.retryTimer = null;
+    }
+    if (hook.handle) {
+      try {
+        api.UnhookWinEvent(hook.handle);
+      } catch (e) {
+        console.error('[WinEventHub] UnhookWinEvent failed:', e);
+      }
+      hook.handle = null;
+    }
+  }
+
+  _reportStatus() {
+    if (!this._onStatusChange) return;
+    try {
+      this._onStatusChange(this.getStatus());
+    } catch (e) {
+      console.error('[WinEventHub] onStatusChange error:', e);
+    }
+  }
+}
+
+module.exports = { WinEventHub, TOPICS, computeHookRanges };
@@ -5,6 +5,15 @@ const koffi = require('koffi');
 // Load user32.dll
 const user32 = koffi.load('user32.dll');
 
+// Load kernel32.dll (process image paths for window matching)
+const kernel32 = koffi.load('kernel32.dll');
+
+// Load dwmapi.dll (cloaked-window detection)
+const dwmapi = koffi.load('dwmapi.dll');
+
+// Load shell32.dll (AppBar registration for the controller)
+const shell32 = koffi.load('shell32.dll');
+
 // Register type aliases with koffi so they work in inline signatures
 // eslint-disable-next-line no-unused-vars -- koffi type aliases registered for side-effects; used in inline signatures
 const HWND = koffi.alias('HWND', 'size_t');
@@ -19,6 +28,22 @@ const RECT = koffi.struct('RECT', {
   bottom: 'long',
 });
 
+// FILETIME struct (100-ns intervals since 1601-01-01 UTC)
+const FILETIME = koffi.struct('FILETIME', {
+  dwLowDateTime: 'uint32_t',
+  dwHighDateTime: 'uint32_t',
+});
+
+// APPBARDATA struct (SHAppBarMessage)
+const APPBARDATA = koffi.struct('APPBARDATA', {
+  cbSize: 'uint32_t',
+  hWnd: 'size_t',
+  uCallbackMessage: 'uint32_t',
+  uEdge: 'uint32_t',
+  rc: RECT,
+  lParam: 'intptr',
+});
+
 // Callback prototype for EnumWindows
 const EnumWindowsProc = koffi.proto('int EnumWindowsProc(intptr hwnd, intptr lParam)');
 
@@ -32,6 +57,7 @@ const api = {
   EnumWindows: user32.func('BOOL EnumWindows(intptr lpEnumFunc, intptr lParam)'),
   GetWindowTextW: user32.func('int GetWindowTextW(size_t hWnd, _Out_ str16 lpString, int nMaxCount)'),
   GetWindowTextLengthW: user32.func('int GetWindowTextLengthW(size_t hWnd)'),
+  GetClassNameW: user32.func('int GetClassNameW(size_t hWnd, _Out_ str16 lpClassName, int nMaxCount)'),
   IsWindowVisible: user32.func('BOOL IsWindowVisible(size_t hWnd)'),
   IsWindow: user32.func('BOOL IsWindow(size_t hWnd)'),
   IsIconic: user32.func('BOOL IsIconic(size_t hWnd)'),
@@ -56,6 +82,18 @@ const api = {
     'intptr SetWinEventHook(uint32_t eventMin, uint32_t eventMax, intptr hmodWinEventProc, intptr lpfnWinEventProc, uint32_t idProcess, uint32_t idThread, uint32_t dwFlags)'
   ),
   UnhookWinEvent: user32.func('BOOL UnhookWinEvent(intptr hWinEventHook)'),
+  OpenProcess: kernel32.func('intptr OpenProcess(uint32_t dwDesiredAccess, BOOL bInheritHandle, uint32_t dwProcessId)'),
+  QueryFullProcessImageNameW: kernel32.func(
+    'BOOL QueryFullProcessImageNameW(intptr hProcess, uint32_t dwFlags, _Out_ str16 lpExeName, _Inout_ uint32_t *lpdwSize)'
+  ),
+  GetProcessTimes: kernel32.func(
+    'BOOL GetProcessTimes(intptr hProcess, _Out_ FILETIME *lpCreationTime, _Out_ FILETIME *lpExitTime, _Out_ FILETIME *lpKernelTime, _Out_ FILETIME *lpUserTime)'
+  ),
+  CloseHandle: kernel32.func('BOOL CloseHandle(intptr hObject)'),
+  DwmGetWindowAttribute: dwmapi.func(
+    'long DwmGetWindowAttribute(size_t hWnd, uint32_t dwAttribute, _Out_ uint32_t *pvAttribute, uint32_t cbAttribute)'
+  ),
+  SHAppBarMessage: shell32.func('uintptr SHAppBarMessage(uint32_t dwMessage, _Inout_ APPBARDATA *pData)'),
 };
 
 // DPI Awareness
@@ -103,10 +141,46 @@ const WS_EX_TOOLWINDOW = 0x00000080;
 const WS_EX_APPWINDOW = 0x00040000;
 
 const EVENT_SYSTEM_FOREGROUND = 0x0003;
+const EVENT_SYSTEM_MOVESIZESTART = 0x000a;
 const EVENT_SYSTEM_MOVESIZEEND = 0x000b;
+const EVENT_SYSTEM_MINIMIZESTART = 0x0016;
+const EVENT_SYSTEM_MINIMIZEEND = 0x0017;
+const EVENT_OBJECT_CREATE = 0x8000;
+const EVENT_OBJECT_DESTROY = 0x8001;
+const EVENT_OBJECT_SHOW = 0x8002;
+const EVENT_OBJECT_HIDE = 0x8003;
+const EVENT_OBJECT_NAMECHANGE = 0x800c;
 const WINEVENT_OUTOFCONTEXT = 0x0000;
 const WINEVENT_SKIPOWNPROCESS = 0x0002;
 const OBJID_WINDOW = 0;
+const CHILDID_SELF = 0;
+
+const PROCESS_QUERY_LIMITED_INFORMATION = 0x1000;
+
+const DWMWA_CLOAKED = 14;
+
+// SHAppBarMessage messages
+const ABM_NEW = 0x00000000;
+const ABM_REMOVE = 0x00000001;
+const ABM_QUERYPOS = 0x00000002;
+const ABM_SETPOS = 0x00000003;
+const ABM_ACTIVATE = 0x00000006;
+const ABM_WINDOWPOSCHANGED = 0x00000009;
+const ABM_SETAUTOHIDEBAREX = 0x0000000c;
+
+// AppBar edges
+const ABE_LEFT = 0;
+const ABE_TOP = 1;
+const ABE_RIGHT = 2;
+const ABE_BOTTOM = 3;
+
+// AppBar notifications (wParam of the AppBar's callback message)
+const ABN_STATECHANGE = 0x00000000;
+const ABN_POSCHANGED = 0x00000001;
+const ABN_FULLSCREENAPP = 0x00000002;
+
+// First message id free for application use
+const WM_APP = 0x8000;
 
 module.exports = {
   koffi,
@@ -114,6 +188,8 @@ module.exports = {
   EnumWindowsProc,
   WinEventProc,
   RECT,
+  FILETIME,
+  APPBARDATA,
   SWP_NOACTIVATE,
   SWP_SHOWWINDOW,
   HWND_TOP,
@@ -122,10 +198,36 @@ module.exports = {
   GWL_EXSTYLE,
   WS_EX_TOOLWINDOW,
   EVENT_SYSTEM_FOREGROUND,
+  EVENT_SYSTEM_MOVESIZESTART,
   EVENT_SYSTEM_MOVESIZEEND,
+  EVENT_SYSTEM_MINIMIZESTART,
+  EVENT_SYSTEM_MINIMIZEEND,
+  EVENT_OBJECT_CREATE,
+  EVENT_OBJECT_DESTROY,
+  EVENT_OBJECT_SHOW,
+  EVENT_OBJECT_HIDE,
+  EVENT_OBJECT_NAMECHANGE,
   WINEVENT_OUTOFCONTEXT,
   WINEVENT_SKIPOWNPROCESS,
   OBJID_WINDOW,
+  CHILDID_SELF,
+  PROCESS_QUERY_LIMITED_INFORMATION,
+  DWMWA_CLOAKED,
+  ABM_NEW,
+  ABM_REMOVE,
+  ABM_QUERYPOS,
+  ABM_SETPOS,
+  ABM_ACTIVATE,
+  ABM_WINDOWPOSCHANGED,
+  ABM_SETAUTOHIDEBAREX,
+  ABE_LEFT,
+  ABE_TOP,
+  ABE_RIGHT,
+  ABE_BOTTOM,
+  ABN_STATECHANGE,
+  ABN_POSCHANGED,
+  ABN_FULLSCREENAPP,
+  WM_APP,
   SetProcessDpiAwarenessContext,
   GetDpiForWindow,
   DPI_AWARENESS_CONTEXT_PER_MONITOR_AWARE_V2,
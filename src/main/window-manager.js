@@ -1,48 +1,111 @@
 'use strict';
 
+const path = require('path');
+const crypto = require('crypto');
 const {
   api,
   koffi,
   EnumWindowsProc,
-  SWP_NOACTIVATE,
   SWP_SHOWWINDOW,
   HWND_TOP,
   HWND_NOTOPMOST,
   SW_RESTORE,
   GWL_EXSTYLE,
   WS_EX_TOOLWINDOW,
+  PROCESS_QUERY_LIMITED_INFORMATION,
+  DWMWA_CLOAKED,
 } = require('./win32');
+const { HEADER_HEIGHT, DEFAULT_LAYOUT_STRATEGY, isLayoutStrategy } = require('./layout-strategies');
+const { planLayout } = require('./layout-planner');
+const { sanitizeRules } = require('./auto-add-rules');
+const { sanitizeExclusionRules, isExcluded } = require('./exclusion-rules');
+const { PROFILE_FIELDS, sanitizeDisplayProfiles, rememberProfile } = require('./display-profiles');
+const { isTargetDisplay } = require('./target-display');
+const { DEFAULT_DOCK_EDGE, DEFAULT_APP_BAR_MODE, isDockEdge, isAppBarMode } = require('./dock-edge');
+const { getProcessStartTime } = require('./process-identity');
 
 const CONTROLLER_WIDTH = 300;
-const HEADER_HEIGHT = 40;
+const MAX_STACKS = 10;
+
+// Settings and contents each stack keeps for itself. WindowManager exposes
+// them as properties of the selected stack (see the accessors below the class),
+// so the single-stack API — managedWindows, setStackGap(), ... — works on the current tab.
+const STACK_FIELDS = [
+  'stackName',
+  'managedWindows',
+  'activeHwnd',
+  'stackGap',
+  'topOffset',
+  'customWidth',
+  'customHeight',
+  'layoutStrategy',
+  'dynamicReorder',
+  'autoAddRules',
+  'displayProfiles',
+  'targetDisplay',
+];
+
+/**
+ * A new, empty stack.
+ * @param {string} [id]
+ * @param {string} [name]
+ * @returns {Object}
+ */
+function createStackState(id, name) {
+  return {
+    id: id || crypto.randomUUID().slice(0, 8),
+    stackName: name || 'Managed Stack',
+    // Array of managed windows: [{ hwnd, title, customTitle, processId, exePath, className, originalRect }]
+    // Windows maintain their order here.
+    managedWindows: [],
+    activeHwnd: 0, // Explicitly track active window rather than relying on index 0
+    stackGap: 0, // pixels of horizontal gap between controller and managed windows
+    topOffset: 0, // pixels of vertical offset from top of work area
+    customWidth: null, // null = use all available space (default behavior)
+    customHeight: null, // null = use all available space (default behavior)
+    layoutStrategy: DEFAULT_LAYOUT_STRATEGY, // key into LAYOUT_STRATEGIES
+    dynamicReorder: false,
+    autoAddRules: [], // see auto-add-rules.js
+    displayProfiles: {}, // display configuration → region settings, see display-profiles.js
+    targetDisplay: null, // null = the controller's display, see target-display.js
+  };
+}
+
+/**
+ * Executable file name shown next to a window ("notepad.exe"), or '' when the path is unknown.
+ * @param {string} exePath
+ * @returns {string}
+ */
+function processNameFromPath(exePath) {
+  return exePath ? path.win32.basename(exePath) : '';
+}
 
 class WindowManager {
   constructor(_options = {}) {
-    // Array of managed windows: [{ hwnd, title, processId, originalRect }]
-    // Windows maintain their order here.
-    this.managedWindows = [];
-    this.activeHwnd = 0; // Explicitly track active window rather than relying on index 0
+    // Named stacks, each with its own windows, active window, region and layout.
+    // The controller shows one at a time (the current stack); all of them are laid out.
+    this.stacks = [createStackState()];
+    this.currentStack = this.stacks[0];
     this.ownPid = process.pid;
-    this.stackName = 'Managed Stack';
+    // App-wide settings
     this.hideAvailable = false;
     this.sortAvailableAlpha = false;
     this.backgroundColor = '#000000';
-    this.stackGap = 0; // pixels of horizontal gap between controller and managed windows
-    this.topOffset = 0; // pixels of vertical offset from top of work area
-    this.customWidth = null; // null = use all available space (default behavior)
-    this.customHeight = null; // null = use all available space (default behavior)
     this.lightMode = false;
-    this.dynamicReorder = false;
+    this.dockEdge = DEFAULT_DOCK_EDGE; // screen edge the controller is docked to, see dock-edge.js
+    this.appBarMode = DEFAULT_APP_BAR_MODE; // whether the controller reserves that edge, see app-bar.js
+    this.exclusionRules = []; // app-wide, see exclusion-rules.js
+    this.hideCloaked = true;
+
+    // 'pid:start time' → executable path; the start time tells a reused pid apart
+    this._processPathCache = new Map();
 
     // Cache the EnumWindows callback to avoid creating/destroying on every call
     this._enumResults = [];
-    this._enumCallback = koffi.register(
-      (hwnd, _lParam) => {
-        this._enumResults.push(Number(hwnd));
-        return 1; // continue enumeration
-      },
-      koffi.pointer(EnumWindowsProc)
-    );
+    this._enumCallback = koffi.register((hwnd, _lParam) => {
+      this._enumResults.push(Number(hwnd));
+      return 1; // continue enumeration
+    }, koffi.pointer(EnumWindowsProc));
   }
 
   setBackgroundColor(color) {
@@ -70,13 +133,129 @@ class WindowManager {
     }
   }
 
+  /**
+   * Read a window's class name (stable across launches, unlike the HWND).
+   */
+  _getWindowClassName(hwndNum) {
+    try {
+      const buf = [' '.repeat(256)];
+      const len = api.GetClassNameW(hwndNum, buf, 256);
+      if (!len) return '';
+      return (buf[0] || '').slice(0, len);
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Full path of a process's executable, or '' when it cannot be queried
+   * (e.g. elevated processes). Cached per process; failed lookups are retried.
+   */
+  _getProcessPath(pid) {
+    if (!pid) return '';
+    const startTime = getProcessStartTime(pid);
+    // Without a start time a cached path could belong to an earlier process with this pid
+    const key = startTime === null ? null : pid + ':' + startTime;
+    if (key && this._processPathCache.has(key)) return this._processPathCache.get(key);
+    let exePath = '';
+    let hProcess = 0;
+    try {
+      hProcess = api.OpenProcess(PROCESS_QUERY_LIMITED_INFORMATION, 0, pid);
+      if (hProcess) {
+        const buf = [' '.repeat(1024)];
+        const size = [1024];
+        if (api.QueryFullProcessImageNameW(hProcess, 0, buf, size)) {
+          exePath = (buf[0] || '').slice(0, size[0]);
+        }
+      }
+    } catch {
+      // leave exePath empty
+    } finally {
+      if (hProcess) {
+        try {
+          api.CloseHandle(hProcess);
+        } catch {
+          // ignore
+        }
+      }
+    }
+    if (key && exePath) {
+      if (this._processPathCache.size > 500) this._processPathCache.clear();
+      this._processPathCache.set(key, exePath);
+    }
+    return exePath;
+  }
+
+  /**
+   * Whether DWM is hiding a window even though it is "visible" — windows on
+   * another virtual desktop and suspended UWP frames are cloaked.
+   */
+  _isCloaked(hwndNum) {
+    try {
+      const cloaked = [0];
+      return api.DwmGetWindowAttribute(hwndNum, DWMWA_CLOAKED, cloaked, 4) === 0 && cloaked[0] !== 0;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Describe one window if it qualifies for the Available list
+   * (visible, not cloaked, not minimized, not a tool window, titled, not ours, not managed, not excluded).
+   * @returns {Object|null}
+   */
+  _describeWindow(hwndNum, managedHwnds, excludeHwnds) {
+    try {
+      if (!api.IsWindowVisible(hwndNum)) return null;
+      if (api.IsIconic(hwndNum)) return null;
+      if (this.hideCloaked && this._isCloaked(hwndNum)) return null;
+
+      const exStyle = Number(api.GetWindowLongPtrW(hwndNum, GWL_EXSTYLE));
+      if (exStyle & WS_EX_TOOLWINDOW) return null;
+
+      const pidBuf = [0];
+      api.GetWindowThreadProcessId(hwndNum, pidBuf);
+      if (pidBuf[0] === this.ownPid) return null;
+
+      if (managedHwnds.has(hwndNum)) return null;
+      if (excludeHwnds.has(hwndNum)) return null;
+
+      const title = this._getWindowTitle(hwndNum);
+      if (!title) return null;
+
+      const rect = {};
+      api.GetWindowRect(hwndNum, rect);
+      const exePath = this._getProcessPath(pidBuf[0]);
+
+      return {
+        hwnd: hwndNum,
+        title: title,
+        processId: pidBuf[0],
+        className: this._getWindowClassName(hwndNum),
+        exePath,
+        processName: processNameFromPath(exePath),
+        bounds: {
+          left: rect.left || 0,
+          top: rect.top || 0,
+          right: rect.right || 0,
+          bottom: rect.bottom || 0,
+        },
+      };
+    } catch {
+      // Skip windows that cause errors
+      return null;
+    }
+  }
+
   /**
    * Enumerate all visible, titled, non-tool windows on the system.
-   * Excludes our own process and already-managed windows.
+   * Excludes our own process, already-managed windows and windows hidden by an exclusion rule.
    * @param {Set<number>} [excludeHwnds=new Set()] - Optional set of HWNDs to exclude (e.g. windows managed by other instances)
+   * @param {{includeExcluded?: boolean}} [options] - includeExcluded keeps windows matching exclusion rules
+   *   (for callers acting on a specific window rather than filling the list)
    */
-  getAvailableWindows(excludeHwnds = new Set()) {
-    const managedHwnds = new Set(this.managedWindows.map((w) => w.hwnd));
+  getAvailableWindows(excludeHwnds = new Set(), { includeExcluded = false } = {}) {
+    const managedHwnds = new Set(this.getManagedHwnds());
 
     this._enumResults = []; // Clear results before enumeration
     try {
@@ -86,48 +265,29 @@ class WindowManager {
       return [];
     }
 
-    const allHwnds = this._enumResults;
     const windows = [];
-
-    for (const hwndNum of allHwnds) {
-      try {
-        if (!api.IsWindowVisible(hwndNum)) continue;
-        if (api.IsIconic(hwndNum)) continue;
-
-        const exStyle = Number(api.GetWindowLongPtrW(hwndNum, GWL_EXSTYLE));
-        if (exStyle & WS_EX_TOOLWINDOW) continue;
-
-        const pidBuf = [0];
-        api.GetWindowThreadProcessId(hwndNum, pidBuf);
-        if (pidBuf[0] === this.ownPid) continue;
-
-        if (managedHwnds.has(hwndNum)) continue;
-        if (excludeHwnds.has(hwndNum)) continue;
-
-        const title = this._getWindowTitle(hwndNum);
-        if (!title) continue;
-
-        const rect = {};
-        api.GetWindowRect(hwndNum, rect);
-
-        windows.push({
-          hwnd: hwndNum,
-          title: title,
-          bounds: {
-            left: rect.left || 0,
-            top: rect.top || 0,
-            right: rect.right || 0,
-            bottom: rect.bottom || 0,
-          },
-        });
-      } catch {
-        // Skip windows that cause errors
-      }
+    for (const hwndNum of this._enumResults) {
+      const win = this._describeWindow(hwndNum, managedHwnds, excludeHwnds);
+      if (!win) continue;
+      if (!includeExcluded && isExcluded(this.exclusionRules, win)) continue;
+      windows.push(win);
     }
-
     return windows;
   }
 
+  /**
+   * The getAvailableWindows entry for a single window, or null if it would not be listed.
+   * Used to vet windows reported by WinEvents without enumerating everything.
+   * Exclusion rules are not applied (an auto-add rule is a more specific request).
+   * @param {number} hwnd
+   * @param {Set<number>} [excludeHwnds=new Set()]
+   * @returns {Object|null}
+   */
+  getAvailableWindow(hwnd, excludeHwnds = new Set()) {
+    const managedHwnds = new Set(this.getManagedHwnds());
+    return this._describeWindow(Number(hwnd), managedHwnds, excludeHwnds);
+  }
+
   /**
    * Release the cached EnumWindows callback.
    * Must be called before the WindowManager is discarded (e.g. on app quit).
@@ -147,16 +307,27 @@ class WindowManager {
    * Add a window to the managed group.
    * This is the ONLY action that calls SetForegroundWindow,
    * because the user explicitly chose to add it.
+   * @param {number} hwnd
+   * @param {string} [title]
+   * @param {Object} [options]
+   * @param {string|null} [options.customTitle] - Display name to restore with the window
+   * @param {number} [options.index=0] - Position in the stack (default: front)
+   * @param {boolean} [options.activate=true] - Make it the active window and bring it to the foreground.
+   *   Session restore passes false so re-acquired windows do not steal focus one by one.
+   * @param {string} [options.stackId] - Stack to add to (default: the current stack)
+   * @returns {boolean} true if the window was added
    */
-  addWindow(hwnd, title) {
+  addWindow(hwnd, title, options = {}) {
     const hwndNum = Number(hwnd);
+    const stack = options.stackId ? this.getStack(options.stackId) : this.currentStack;
+    if (!stack) return false;
 
-    if (this.managedWindows.some((w) => w.hwnd === hwndNum)) return;
+    if (this.findStackOf(hwndNum)) return false;
 
     try {
-      if (!api.IsWindow(hwndNum)) return;
+      if (!api.IsWindow(hwndNum)) return false;
     } catch {
-      return;
+      return false;
     }
 
     const rect = { left: 0, top: 0, right: 0, bottom: 0 };
@@ -179,8 +350,10 @@ class WindowManager {
     const entry = {
       hwnd: hwndNum,
       title: title || this._getWindowTitle(hwndNum) || 'Untitled',
-      customTitle: null,
+      customTitle: (options.customTitle && options.customTitle.trim()) || null,
       processId: pidBuf[0],
+      exePath: this._getProcessPath(pidBuf[0]),
+      className: this._getWindowClassName(hwndNum),
       originalRect: {
         left: rect.left || 0,
         top: rect.top || 0,
@@ -189,11 +362,17 @@ class WindowManager {
       },
     };
 
-    // Insert at front
-    this.managedWindows.unshift(entry);
+    // Insert at front unless a position was requested
+    const index = Math.max(0, Math.min(stack.managedWindows.length, Math.round(options.index || 0)));
+    stack.managedWindows.splice(index, 0, entry);
+
+    if (options.activate === false) {
+      if (!stack.activeHwnd) stack.activeHwnd = hwndNum;
+      return true;
+    }
 
     // Set as the active window immediately
-    this.activeHwnd = hwndNum;
+    stack.activeHwnd = hwndNum;
 
     try {
       if (api.IsIconic(hwndNum)) {
@@ -204,6 +383,7 @@ class WindowManager {
     } catch (e) {
       console.error('addWindow: failed to bring window to foreground:', e);
     }
+    return true;
   }
 
   /**
@@ -211,16 +391,8 @@ class WindowManager {
    */
   removeWindow(hwnd) {
     const hwndNum = Number(hwnd);
-    const idx = this.managedWindows.findIndex((w) => w.hwnd === hwndNum);
-    if (idx === -1) return;
-
-    const entry = this.managedWindows[idx];
-    this.managedWindows.splice(idx, 1);
-
-    // Unset the activeHwnd if it was removed
-    if (this.activeHwnd === hwndNum) {
-      this.activeHwnd = this.managedWindows.length > 0 ? this.managedWindows[0].hwnd : 0;
-    }
+    const entry = this._detachWindow(hwndNum);
+    if (!entry) return;
 
     // Animate the removed window back to its original position.
     // The callback is a no-op here; doLayout for remaining windows is triggered
@@ -228,17 +400,48 @@ class WindowManager {
     this._animateRestore(entry, () => {});
   }
 
+  /**
+   * Drop a window from the stack WITHOUT restoring it.
+   * Used when the window was destroyed or hidden by its owner — restoring
+   * would either fail or re-show a window the app just hid.
+   * Returns true if the window was managed.
+   */
+  forgetWindow(hwnd) {
+    return this._detachWindow(Number(hwnd)) !== null;
+  }
+
+  /**
+   * Take a window out of whichever stack holds it, fixing up that stack's active window.
+   * @param {number} hwndNum
+   * @returns {Object|null} the removed entry
+   */
+  _detachWindow(hwndNum) {
+    const stack = this.findStackOf(hwndNum);
+    if (!stack) return null;
+    const idx = stack.managedWindows.findIndex((w) => w.hwnd === hwndNum);
+    const [entry] = stack.managedWindows.splice(idx, 1);
+
+    // Unset the activeHwnd if it was removed
+    if (stack.activeHwnd === hwndNum) {
+      stack.activeHwnd = stack.managedWindows.length > 0 ? stack.managedWindows[0].hwnd : 0;
+    }
+    return entry;
+  }
+
   /**
    * Promote a window to active because the OS reported it gained focus.
    * Does NOT modify order.
    * @param {number} hwnd - Window HANDLE
    * @param {boolean} forceNativeForeground - If true, forcefully bring to front
-   * Returns true if the active window actually changed.
+   * A window of another stack also makes that stack the current one (the controller follows focus).
+   * Returns true if the active window or the current stack actually changed.
    */
   promoteToActive(hwnd, forceNativeForeground = false) {
     const hwndNum = Number(hwnd);
-    const idx = this.managedWindows.findIndex((w) => w.hwnd === hwndNum);
-    if (idx === -1) return false;
+    const stack = this.findStackOf(hwndNum);
+    if (!stack) return false;
+    const switched = stack !== this.currentStack;
+    this.currentStack = stack;
 
     if (this.activeHwnd === hwndNum) {
       // Already active in our stack, but may be behind other windows.
@@ -253,7 +456,7 @@ class WindowManager {
           console.error('promoteToActive: failed to foreground (already active):', e);
         }
       }
-      return false;
+      return switched;
     }
 
     this.activeHwnd = hwndNum;
@@ -284,26 +487,29 @@ class WindowManager {
    * Remove dead windows (where IsWindow returns false).
    */
   removeDeadWindows() {
-    const before = this.managedWindows.length;
-    let activeWindowStillAlive = false;
+    let changed = false;
+    for (const stack of this.stacks) {
+      const before = stack.managedWindows.length;
+      let activeWindowStillAlive = false;
 
-    this.managedWindows = this.managedWindows.filter((w) => {
-      try {
-        const alive = api.IsWindow(w.hwnd) !== 0;
-        if (alive && w.hwnd === this.activeHwnd) {
-          activeWindowStillAlive = true;
+      stack.managedWindows = stack.managedWindows.filter((w) => {
+        try {
+          const alive = api.IsWindow(w.hwnd) !== 0;
+          if (alive && w.hwnd === stack.activeHwnd) {
+            activeWindowStillAlive = true;
+          }
+          return alive;
+        } catch {
+          return false;
         }
-        return alive;
-      } catch {
-        return false;
-      }
-    });
+      });
 
-    if (!activeWindowStillAlive) {
-      this.activeHwnd = this.managedWindows.length > 0 ? this.managedWindows[0].hwnd : 0;
+      if (!activeWindowStillAlive) {
+        stack.activeHwnd = stack.managedWindows.length > 0 ? stack.managedWindows[0].hwnd : 0;
+      }
+      if (stack.managedWindows.length !== before) changed = true;
     }
-
-    return this.managedWindows.length !== before;
+    return changed;
   }
 
   /**
@@ -311,16 +517,102 @@ class WindowManager {
    * Used during app quit — no time for animation, must be synchronous and immediate.
    */
   restoreAll() {
-    for (const entry of this.managedWindows) {
-      try {
-        if (!api.IsWindow(entry.hwnd)) continue;
-        this._restoreWindow(entry);
-      } catch (e) {
-        console.error('restoreAll: failed to restore hwnd ' + entry.hwnd + ':', e);
+    for (const stack of this.stacks) {
+      for (const entry of stack.managedWindows) {
+        try {
+          if (!api.IsWindow(entry.hwnd)) continue;
+          this._restoreWindow(entry);
+        } catch (e) {
+          console.error('restoreAll: failed to restore hwnd ' + entry.hwnd + ':', e);
+        }
       }
+      stack.managedWindows = [];
+      stack.activeHwnd = 0;
+    }
+  }
+
+  /**
+   * Put back a window left behind by a crashed instance (from its persistence file).
+   * Only restores when the HWND still exists, still belongs to the same process
+   * (HWNDs get reused) and is not managed here or in excludeHwnds.
+   * @param {{ hwnd: number, processId: number, originalRect: {left,top,right,bottom} }} entry
+   * @param {Set<number>} [excludeHwnds=new Set()] - e.g. windows managed by other live instances
+   * @returns {boolean} true if the window was moved back
+   */
+  restoreOrphanedWindow(entry, excludeHwnds = new Set()) {
+    const hwndNum = this._verifySavedWindow(entry);
+    if (!hwndNum || excludeHwnds.has(hwndNum)) return false;
+    try {
+      if (api.IsIconic(hwndNum)) api.ShowWindow(hwndNum, SW_RESTORE);
+    } catch (e) {
+      console.error('restoreOrphanedWindow: failed to restore hwnd ' + hwndNum + ':', e);
+      return false;
+    }
+    this._restoreWindow({ hwnd: hwndNum, originalRect: entry.originalRect });
+    return true;
+  }
+
+  /**
+   * Check a window entry that came from outside this instance (a persistence
+   * file or another instance): valid originalRect, not managed here, and the
+   * HWND still belongs to the same process (so a reused handle is not touched).
+   * @param {Object} entry
+   * @returns {number} the hwnd, or 0 when the entry cannot be trusted
+   */
+  _verifySavedWindow(entry) {
+    const hwndNum = Number(entry && entry.hwnd);
+    const r = entry && entry.originalRect;
+    if (!Number.isFinite(hwndNum) || hwndNum <= 0 || !r) return 0;
+    if (![r.left, r.top, r.right, r.bottom].every(Number.isFinite)) return 0;
+    if (this.findStackOf(hwndNum)) return 0;
+
+    try {
+      if (!api.IsWindow(hwndNum)) return 0;
+      const pidBuf = [0];
+      api.GetWindowThreadProcessId(hwndNum, pidBuf);
+      if (!pidBuf[0] || pidBuf[0] !== entry.processId) return 0;
+    } catch (e) {
+      console.error('_verifySavedWindow: failed to check hwnd ' + hwndNum + ':', e);
+      return 0;
     }
-    this.managedWindows = [];
-    this.activeHwnd = 0;
+    return hwndNum;
+  }
+
+  /**
+   * Give up a window so another instance can adopt it: drop it from its
+   * stack WITHOUT restoring it and return what the adopter needs.
+   * @param {number} hwnd
+   * @returns {{hwnd: number, title: string, customTitle: string|null, processId: number, originalRect: Object}|null}
+   */
+  releaseWindow(hwnd) {
+    const entry = this._detachWindow(Number(hwnd));
+    if (!entry) return null;
+    return {
+      hwnd: entry.hwnd,
+      title: entry.title,
+      customTitle: entry.customTitle,
+      processId: entry.processId,
+      originalRect: { ...entry.originalRect },
+    };
+  }
+
+  /**
+   * Take over a window released by another instance (see releaseWindow),
+   * keeping its originalRect and customTitle. It becomes the active window.
+   * @param {Object} entry - From releaseWindow() in the other instance
+   * @param {string} [stackId] - Default: the current stack
+   * @returns {boolean} true if the window was adopted
+   */
+  adoptWindow(entry, stackId) {
+    const hwndNum = this._verifySavedWindow(entry);
+    if (!hwndNum) return false;
+    const title = typeof entry.title === 'string' ? entry.title.slice(0, 500) : '';
+    const customTitle = typeof entry.customTitle === 'string' ? entry.customTitle.slice(0, 200) : null;
+    if (!this.addWindow(hwndNum, title, { customTitle, stackId })) return false;
+
+    const r = entry.originalRect;
+    this._findEntry(hwndNum).originalRect = { left: r.left, top: r.top, right: r.right, bottom: r.bottom };
+    return true;
   }
 
   /**
@@ -385,100 +677,77 @@ class WindowManager {
   }
 
   /**
-   * Apply the spatial stack layout to all managed windows.
+   * Snapshot everything the layout planner needs, including the Win32
+   * minimized/maximized state of each window, so planning stays pure.
+   * @param {Object} [stack] - Defaults to the current stack
+   * @returns {Object} state accepted by planLayout()
+   */
+  getLayoutState(stack = this.currentStack) {
+    return {
+      windows: stack.managedWindows.map((w) => {
+        let minimized = false;
+        let maximized = false;
+        try {
+          minimized = !!api.IsIconic(w.hwnd);
+          maximized = !!api.IsZoomed(w.hwnd);
+        } catch {
+          // Treat unreadable windows as normal; removeDeadWindows will catch them
+        }
+        return { hwnd: w.hwnd, minimized, maximized };
+      }),
+      activeHwnd: stack.activeHwnd,
+      layoutStrategy: stack.layoutStrategy,
+      stackGap: stack.stackGap,
+      topOffset: stack.topOffset,
+      customWidth: stack.customWidth,
+      customHeight: stack.customHeight,
+    };
+  }
+
+  /**
+   * Compute (but do not apply) the layout for the current stack.
+   * @param {Object} screenBounds - Same shape layoutStack takes
+   * @param {number} [skipHwnd=0]
+   * @param {Object} [overrides] - State fields to replace for a dry run (e.g. layoutStrategy)
+   * @returns {Object} plan from planLayout()
+   */
+  planLayout(screenBounds, skipHwnd = 0, overrides = {}) {
+    return planLayout({ ...this.getLayoutState(), ...overrides }, screenBounds, skipHwnd);
+  }
+
+  /**
+   * Apply each stack's layout strategy to its managed windows.
    *
-   * Background windows: preview strips at the top, each HEADER_HEIGHT px
-   * Active window (this.activeHwnd): fills remaining area below the strips
+   * Each stack's region lies on the far side of the controller from its dock
+   * edge (plus stackGap) and below topOffset — or at that edge of the stack's
+   * target display when that is not the controller's; the strategy decides
+   * where each window goes inside it.
+   * The default "stack" strategy keeps inactive windows as HEADER_HEIGHT px
+   * strips at the top and lets the active window fill the rest.
    *
+   * The current stack is placed last so that, where regions overlap, its
+   * windows end up on top of the other stacks'.
+   *
+   * Geometry comes from the pure layout planner; this method only applies it.
    * All positioning is done via SetWindowPos — pure Win32.
+   *
+   * @param {Object|Function} screenBounds - Bounds planLayout takes, or (stack) => bounds for that stack
+   * @param {number} [skipHwnd=0]
    */
   layoutStack(screenBounds, skipHwnd = 0) {
-    if (this.managedWindows.length === 0) return;
-
-    const workArea = screenBounds || { x: 0, y: 0, width: 1920, height: 1040, displayRightEdge: null };
-    // The starting X of the stack is the entire width of the controller window
-    const startX = workArea.x + workArea.width + this.stackGap;
-
-    // Use displayRightEdge passed from main.js (based on the display where the app lives).
-    // Fallback to a safe default if not provided (backward compat).
-    // eslint-disable-next-line eqeqeq -- intentional: != null catches both null and undefined (backward compat)
-    const displayRightEdge = workArea.displayRightEdge != null ? workArea.displayRightEdge : startX + 1920; // fallback: assume 1920px wide display starting at startX
-    const availableWidth = displayRightEdge - startX;
-    if (availableWidth < 200) {
-      console.warn('layoutStack: not enough space to the right of controller, skipping layout');
-      return;
-    }
-    const startY = workArea.y + this.topOffset;
-    const availableHeight = workArea.height - this.topOffset;
-
-    // Apply custom dimensions (clamped to available space so we never exceed the monitor)
-    const effectiveWidth = this.customWidth !== null ? Math.min(this.customWidth, availableWidth) : availableWidth;
-    const effectiveHeight = this.customHeight !== null ? Math.min(this.customHeight, availableHeight) : availableHeight;
-
-    // Determine the active window
-    const activeIdx = this.managedWindows.findIndex((w) => w.hwnd === this.activeHwnd);
-    const activeWindow = activeIdx !== -1 ? this.managedWindows[activeIdx] : this.managedWindows[0];
-    const trueActiveHwnd = activeWindow ? activeWindow.hwnd : 0;
-
-    const inactiveCount = this.managedWindows.length - (activeWindow ? 1 : 0);
-
-    // Cap strip area to max 60% of effectiveHeight, reduce header height if needed
-    const maxStripArea = Math.floor(effectiveHeight * 0.6);
-    let effectiveHeaderHeight = HEADER_HEIGHT;
-    if (inactiveCount * effectiveHeaderHeight > maxStripArea) {
-      effectiveHeaderHeight = Math.max(Math.floor(maxStripArea / inactiveCount), 10); // min 10px per strip
-    }
-
-    const needsRestore = (hwnd) => {
-      try {
-        return api.IsIconic(hwnd) || api.IsZoomed(hwnd);
-      } catch {
-        return false;
+    const boundsFor = typeof screenBounds === 'function' ? screenBounds : () => screenBounds;
+    const ordered = [...this.stacks.filter((stack) => stack !== this.currentStack), this.currentStack];
+    for (const stack of ordered) {
+      if (stack.managedWindows.length === 0) continue;
+
+      const plan = planLayout(this.getLayoutState(stack), boundsFor(stack), skipHwnd);
+      for (const warning of plan.warnings) {
+        console.warn(`layoutStack [${stack.stackName}]: ${warning}`);
       }
-    };
+      if (!plan.ok) continue;
 
-    const targetLayouts = [];
-
-    // Position background windows first (strips at top)
-    let stripIndex = 0;
-    for (const w of this.managedWindows) {
-      if (w.hwnd === trueActiveHwnd) continue; // Skip the active window
-      if (w.hwnd === skipHwnd) continue;
-
-      const y = startY + stripIndex * effectiveHeaderHeight;
-
-      targetLayouts.push({
-        hwnd: w.hwnd,
-        x: startX,
-        y: y,
-        cx: effectiveWidth,
-        cy: effectiveHeight,
-        flags: SWP_NOACTIVATE | SWP_SHOWWINDOW,
-        restore: needsRestore(w.hwnd),
-      });
-
-      stripIndex++;
-    }
-
-    // Position active window on top, covering background window bodies
-    if (activeWindow) {
-      if (activeWindow.hwnd !== skipHwnd) {
-        const activeY = startY + inactiveCount * effectiveHeaderHeight;
-        const activeHeight = effectiveHeight - inactiveCount * effectiveHeaderHeight;
-
-        targetLayouts.push({
-          hwnd: activeWindow.hwnd,
-          x: startX,
-          y: activeY,
-          cx: effectiveWidth,
-          cy: activeHeight > 100 ? activeHeight : effectiveHeight,
-          flags: SWP_SHOWWINDOW | SWP_NOACTIVATE,
-          restore: needsRestore(activeWindow.hwnd),
-        });
-      }
+      this._applyLayout(plan.targets);
     }
-
-    this._applyLayout(targetLayouts);
   }
 
   _restoreWindow(entry) {
@@ -500,14 +769,14 @@ class WindowManager {
   }
 
   /**
-   * Get array of all managed HWNDs (for the foreground monitor).
+   * Get array of all managed HWNDs across every stack (for the foreground monitor).
    */
   getManagedHwnds() {
-    return this.managedWindows.map((w) => w.hwnd);
+    return this.stacks.flatMap((stack) => stack.managedWindows.map((w) => w.hwnd));
   }
 
   /**
-   * Get the current managed windows list (for UI display).
+   * Get the current stack's managed windows list (for UI display).
    */
   getManagedWindows() {
     return this.managedWindows.map((w) => ({
@@ -515,6 +784,9 @@ class WindowManager {
       title: w.title,
       customTitle: w.customTitle || null,
       processId: w.processId,
+      exePath: w.exePath || '',
+      processName: processNameFromPath(w.exePath),
+      className: w.className || '',
     }));
   }
 
@@ -527,12 +799,29 @@ class WindowManager {
    */
   renameWindow(hwnd, customTitle) {
     const hwndNum = Number(hwnd);
-    const entry = this.managedWindows.find((w) => w.hwnd === hwndNum);
+    const entry = this._findEntry(hwndNum);
     if (!entry) return false;
     entry.customTitle = (customTitle && customTitle.trim()) || null;
     return true;
   }
 
+  /**
+   * Re-read the Win32 title of a managed window (e.g. after a tab switch).
+   * Empty titles are ignored so a window mid-teardown keeps its last name.
+   * customTitle is left alone and still takes precedence in the UI.
+   * @param {number} hwnd
+   * @returns {boolean} true if the stored title changed
+   */
+  refreshWindowTitle(hwnd) {
+    const hwndNum = Number(hwnd);
+    const entry = this._findEntry(hwndNum);
+    if (!entry) return false;
+    const title = this._getWindowTitle(hwndNum);
+    if (!title || title === entry.title) return false;
+    entry.title = title;
+    return true;
+  }
+
   /**
    * Set custom dimensions for managed windows.
    * Pass null for either dimension to use all available space (default behavior).
@@ -554,6 +843,31 @@ class WindowManager {
     }
   }
 
+  /**
+   * Shrink every stack's custom dimensions that no longer fit a work area
+   * (the controller moved to a smaller display). Never below the 200px minimum.
+   * @param {Object|Function} workArea - {width, height}, or (stack) => that stack's work area
+   * @returns {boolean} true if any stack changed
+   */
+  clampCustomDimensions(workArea) {
+    const workAreaFor = typeof workArea === 'function' ? workArea : () => workArea;
+    let changed = false;
+    for (const stack of this.stacks) {
+      const { width, height } = workAreaFor(stack);
+      const maxWidth = Math.max(200, width);
+      const maxHeight = Math.max(200, height);
+      if (stack.customWidth !== null && stack.customWidth > maxWidth) {
+        stack.customWidth = maxWidth;
+        changed = true;
+      }
+      if (stack.customHeight !== null && stack.customHeight > maxHeight) {
+        stack.customHeight = maxHeight;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
   /**
    * Set the horizontal gap between the controller panel and managed windows.
    * @param {number} gap - Gap in pixels (0 = no gap, clamped to 0-500)
@@ -594,6 +908,34 @@ class WindowManager {
     return this.lightMode;
   }
 
+  /**
+   * Set the screen edge the controller is docked to.
+   * @param {string} edge - One of DOCK_EDGES
+   * @returns {boolean} false if `edge` is not a dock edge (the current one is kept)
+   */
+  setDockEdge(edge) {
+    if (!isDockEdge(edge)) return false;
+    this.dockEdge = edge;
+    return true;
+  }
+  getDockEdge() {
+    return this.dockEdge;
+  }
+
+  /**
+   * Set whether the controller registers as an AppBar on its dock edge.
+   * @param {string} mode - One of APP_BAR_MODES
+   * @returns {boolean} false if `mode` is unknown (the current one is kept)
+   */
+  setAppBarMode(mode) {
+    if (!isAppBarMode(mode)) return false;
+    this.appBarMode = mode;
+    return true;
+  }
+  getAppBarMode() {
+    return this.appBarMode;
+  }
+
   setDynamicReorder(enabled) {
     this.dynamicReorder = !!enabled;
   }
@@ -601,6 +943,89 @@ class WindowManager {
     return this.dynamicReorder;
   }
 
+  /**
+   * Choose the display the current stack is laid out on.
+   * @param {null|string|number} target - null for the controller's display, 'primary', 'left', 'right' or a display id
+   * @returns {boolean} false if `target` is not valid (the setting is unchanged)
+   */
+  setTargetDisplay(target) {
+    if (target === undefined) target = null;
+    if (!isTargetDisplay(target)) return false;
+    this.targetDisplay = target;
+    return true;
+  }
+  getTargetDisplay() {
+    return this.targetDisplay;
+  }
+
+  /**
+   * Select the layout strategy for this stack.
+   * Unknown names are ignored so a bad value never breaks layout.
+   * @param {string} name - One of the keys of LAYOUT_STRATEGIES
+   * @returns {boolean} true if the strategy was applied
+   */
+  setLayoutStrategy(name) {
+    if (!isLayoutStrategy(name)) return false;
+    this.layoutStrategy = name;
+    return true;
+  }
+  getLayoutStrategy() {
+    return this.layoutStrategy;
+  }
+
+  /**
+   * Replace the auto-add rules. Invalid rules are dropped; callers that need
+   * to report errors validate with normalizeRules first.
+   * @param {Object[]} rules
+   */
+  setAutoAddRules(rules) {
+    this.autoAddRules = sanitizeRules(rules);
+  }
+  getAutoAddRules() {
+    return this.autoAddRules.map((r) => ({ ...r }));
+  }
+
+  /**
+   * Replace the current stack's per-display-configuration settings (e.g. from a saved session).
+   * @param {Object} profiles - configuration key → {stackGap, topOffset, customWidth, customHeight}
+   */
+  setDisplayProfiles(profiles) {
+    this.displayProfiles = sanitizeDisplayProfiles(profiles);
+  }
+
+  /**
+   * Remember every stack's region settings as the ones for a display configuration.
+   * @param {string} key - From displayConfigKey()
+   */
+  rememberDisplayProfiles(key) {
+    for (const stack of this.stacks) rememberProfile(stack, key);
+  }
+
+  /**
+   * Switch every stack that has settings for a display configuration to them.
+   * @param {string} key - From displayConfigKey()
+   * @returns {boolean} true if any stack had settings for it
+   */
+  applyDisplayProfiles(key) {
+    let applied = false;
+    for (const stack of this.stacks) {
+      const profile = stack.displayProfiles[key];
+      if (!profile) continue;
+      for (const field of PROFILE_FIELDS) stack[field] = profile[field];
+      applied = true;
+    }
+    return applied;
+  }
+
+  /**
+   * Apply the app-wide Available list filters (kept by ExclusionStore, not in getState).
+   * @param {{rules?: Object[], hideCloaked?: boolean}} filters
+   */
+  setAvailableFilters(filters) {
+    if (Array.isArray(filters.rules)) this.exclusionRules = sanitizeExclusionRules(filters.rules);
+    if (typeof filters.hideCloaked === 'boolean') this.hideCloaked = filters.hideCloaked;
+  }
+
   /**
    * Get the current custom dimensions.
    * @returns {{ customWidth: number|null, customHeight: number|null }}
@@ -610,26 +1035,38 @@ class WindowManager {
   }
 
   /**
-   * Get serializable state for persistence (version 2 compatible shape in main).
+   * Get serializable state for persistence (version 3 shape: app-wide settings plus one entry per stack).
    */
   getState() {
     return {
-      stackName: this.stackName,
       hideAvailable: this.hideAvailable,
       sortAvailableAlpha: this.sortAvailableAlpha,
       backgroundColor: this.backgroundColor,
-      customWidth: this.customWidth,
-      customHeight: this.customHeight,
-      stackGap: this.stackGap,
-      topOffset: this.topOffset,
       lightMode: this.lightMode,
-      dynamicReorder: this.dynamicReorder,
-      windows: this.managedWindows.map((w) => ({
-        hwnd: w.hwnd,
-        title: w.title,
-        customTitle: w.customTitle || null,
-        processId: w.processId,
-        originalRect: w.originalRect,
+      dockEdge: this.dockEdge,
+      appBarMode: this.appBarMode,
+      currentStackId: this.currentStack.id,
+      stacks: this.stacks.map((stack) => ({
+        id: stack.id,
+        stackName: stack.stackName,
+        customWidth: stack.customWidth,
+        customHeight: stack.customHeight,
+        stackGap: stack.stackGap,
+        topOffset: stack.topOffset,
+        dynamicReorder: stack.dynamicReorder,
+        layoutStrategy: stack.layoutStrategy,
+        autoAddRules: stack.autoAddRules.map((r) => ({ ...r })),
+        displayProfiles: sanitizeDisplayProfiles(stack.displayProfiles),
+        targetDisplay: stack.targetDisplay,
+        windows: stack.managedWindows.map((w) => ({
+          hwnd: w.hwnd,
+          title: w.title,
+          customTitle: w.customTitle || null,
+          processId: w.processId,
+          exePath: w.exePath || '',
+          className: w.className || '',
+          originalRect: w.originalRect,
+        })),
       })),
     };
   }
@@ -660,16 +1097,150 @@ class WindowManager {
    */
   reorderWindow(hwnd, newIndex) {
     const hwndNum = Number(hwnd);
-    const currentIdx = this.managedWindows.findIndex((w) => w.hwnd === hwndNum);
-    if (currentIdx === -1) return false;
+    const stack = this.findStackOf(hwndNum);
+    if (!stack) return false;
+    const windows = stack.managedWindows;
+    const currentIdx = windows.findIndex((w) => w.hwnd === hwndNum);
 
-    const clampedIndex = Math.max(0, Math.min(this.managedWindows.length - 1, Math.round(newIndex)));
+    const clampedIndex = Math.max(0, Math.min(windows.length - 1, Math.round(newIndex)));
     if (currentIdx === clampedIndex) return true; // Already in place, still counts as success
 
-    const [entry] = this.managedWindows.splice(currentIdx, 1);
-    this.managedWindows.splice(clampedIndex, 0, entry);
+    const [entry] = windows.splice(currentIdx, 1);
+    windows.splice(clampedIndex, 0, entry);
     return true;
   }
+
+  // ─── Stacks ─────────────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} id
+   * @returns {Object|null} the stack with this id
+   */
+  getStack(id) {
+    return this.stacks.find((stack) => stack.id === id) || null;
+  }
+
+  /**
+   * @param {number} hwnd
+   * @returns {Object|null} the stack holding this window
+   */
+  findStackOf(hwnd) {
+    const hwndNum = Number(hwnd);
+    return this.stacks.find((stack) => stack.managedWindows.some((w) => w.hwnd === hwndNum)) || null;
+  }
+
+  _findEntry(hwndNum) {
+    const stack = this.findStackOf(hwndNum);
+    return stack ? stack.managedWindows.find((w) => w.hwnd === hwndNum) : null;
+  }
+
+  /**
+   * @returns {string} id of the stack shown in the controller
+   */
+  getCurrentStackId() {
+    return this.currentStack.id;
+  }
+
+  /**
+   * Stack tabs for the renderer.
+   * @returns {Array<{id: string, stackName: string, windowCount: number, current: boolean}>}
+   */
+  getStacks() {
+    return this.stacks.map((stack) => ({
+      id: stack.id,
+      stackName: stack.stackName,
+      windowCount: stack.managedWindows.length,
+      current: stack === this.currentStack,
+    }));
+  }
+
+  /**
+   * Add an empty stack. It starts with the current stack's region and layout
+   * settings; it does not become current.
+   * @param {string} [name]
+   * @param {string} [id] - Reuse a saved id (session restore); ignored if taken
+   * @returns {string|null} the new stack's id, or null when MAX_STACKS is reached
+   */
+  createStack(name, id) {
+    if (this.stacks.length >= MAX_STACKS) return null;
+    const validId = typeof id === 'string' && /^[\w-]{1,64}$/.test(id) && !this.getStack(id) ? id : undefined;
+    const stack = createStackState(validId, name || `Stack ${this.stacks.length + 1}`);
+    for (const field of [
+      'stackGap',
+      'topOffset',
+      'customWidth',
+      'customHeight',
+      'layoutStrategy',
+      'dynamicReorder',
+      'targetDisplay',
+    ]) {
+      stack[field] = this.currentStack[field];
+    }
+    stack.displayProfiles = sanitizeDisplayProfiles(this.currentStack.displayProfiles);
+    this.stacks.push(stack);
+    return stack.id;
+  }
+
+  /**
+   * Make a stack the current one (the tab the controller shows and edits).
+   * @param {string} id
+   * @returns {boolean} true if the stack exists
+   */
+  selectStack(id) {
+    const stack = this.getStack(id);
+    if (!stack) return false;
+    this.currentStack = stack;
+    return true;
+  }
+
+  /**
+   * Delete a stack, putting its windows back where they were.
+   * The last remaining stack cannot be removed.
+   * @param {string} id
+   * @returns {boolean} true if the stack was removed
+   */
+  removeStack(id) {
+    const stack = this.getStack(id);
+    if (!stack || this.stacks.length === 1) return false;
+    for (const entry of stack.managedWindows) {
+      this._animateRestore(entry, () => {});
+    }
+    this.stacks.splice(this.stacks.indexOf(stack), 1);
+    if (this.currentStack === stack) this.currentStack = this.stacks[0];
+    return true;
+  }
+
+  /**
+   * Move a managed window into another stack (front by default). It becomes
+   * the target stack's active window; its original rect is kept for restore.
+   * @param {number} hwnd
+   * @param {string} stackId
+   * @param {number} [index=0]
+   * @returns {boolean} true if the window moved
+   */
+  moveWindowToStack(hwnd, stackId, index = 0) {
+    const hwndNum = Number(hwnd);
+    const target = this.getStack(stackId);
+    const source = this.findStackOf(hwndNum);
+    if (!target || !source || target === source) return false;
+
+    const entry = this._detachWindow(hwndNum);
+    const clamped = Math.max(0, Math.min(target.managedWindows.length, Math.round(index)));
+    target.managedWindows.splice(clamped, 0, entry);
+    target.activeHwnd = hwndNum;
+    return true;
+  }
+}
+
+for (const field of STACK_FIELDS) {
+  Object.defineProperty(WindowManager.prototype, field, {
+    get() {
+      return this.currentStack[field];
+    },
+    set(value) {
+      this.currentStack[field] = value;
+    },
+  });
 }
 
-module.exports = { WindowManager, CONTROLLER_WIDTH, HEADER_HEIGHT };
+module.exports = { WindowManager, CONTROLLER_WIDTH, HEADER_HEIGHT, MAX_STACKS };
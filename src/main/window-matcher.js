@@ -0,0 +1,139 @@
+'use strict';
+
+const path = require('path');
+
+// Separators apps put between the document name and their own name
+const TITLE_SEPARATORS = [' - ', ' — ', ' – ', ' | '];
+
+/**
+ * Derive a title pattern from a window title. Titles that end in an app
+ * suffix ("notes.txt - Notepad") keep only the suffix ("* - Notepad") so the
+ * window still matches after it opens another document; other titles are
+ * matched literally.
+ * @param {string} title
+ * @returns {string} glob pattern where '*' matches any run of characters
+ */
+function deriveTitlePattern(title) {
+  const text = (title || '').trim();
+  let cut = -1;
+  let sep = '';
+  for (const s of TITLE_SEPARATORS) {
+    const idx = text.lastIndexOf(s);
+    if (idx > cut) {
+      cut = idx;
+      sep = s;
+    }
+  }
+  if (cut <= 0) return text.replace(/\*/g, '');
+  const suffix = text.slice(cut + sep.length).replace(/\*/g, '');
+  return suffix ? '*' + sep + suffix : text.replace(/\*/g, '');
+}
+
+/**
+ * Case-insensitive glob match of a title against a pattern ('*' wildcards only).
+ * An empty pattern matches any title.
+ * @param {string} pattern
+ * @param {string} title
+ * @returns {boolean}
+ */
+function titleMatches(pattern, title) {
+  if (!pattern) return true;
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + source + '$', 'i').test(title || '');
+}
+
+/**
+ * Normalize an executable path for comparison (Windows paths are case-insensitive).
+ * @param {string} exePath
+ * @returns {string}
+ */
+function normalizeExePath(exePath) {
+  return (exePath || '').replace(/\//g, '\\').toLowerCase();
+}
+
+/**
+ * Build the criteria saved for a managed window so it can be found again
+ * after its HWND is gone (reboot, app restart).
+ * @param {{title: string, customTitle?: string|null, exePath?: string, className?: string}} entry
+ * @param {number} position - Index in the stack
+ * @returns {{exePath: string, exeName: string, className: string, title: string, titlePattern: string, customTitle: string|null, position: number}}
+ */
+function buildMatchCriteria(entry, position) {
+  const exePath = entry.exePath || '';
+  return {
+    exePath,
+    exeName: exePath ? path.win32.basename(exePath) : '',
+    className: entry.className || '',
+    title: entry.title || '',
+    titlePattern: deriveTitlePattern(entry.title),
+    customTitle: entry.customTitle || null,
+    position,
+  };
+}
+
+/**
+ * Score how well a live window matches saved criteria.
+ * Executable and class must match when both sides know them, and the title
+ * must match the pattern. An identical title scores higher so two windows of
+ * the same app go back to the right slots.
+ * @param {Object} criteria - From buildMatchCriteria
+ * @param {{title: string, exePath?: string, className?: string}} candidate - From getAvailableWindows
+ * @returns {number} -1 for no match, otherwise a positive score
+ */
+function scoreMatch(criteria, candidate) {
+  if (criteria.exePath && candidate.exePath) {
+    if (normalizeExePath(criteria.exePath) !== normalizeExePath(candidate.exePath)) {
+      // Same app installed to a new versioned folder still counts
+      const sameName =
+        criteria.exeName && path.win32.basename(candidate.exePath).toLowerCase() === criteria.exeName.toLowerCase();
+      if (!sameName) return -1;
+    }
+  }
+  if (criteria.className && candidate.className && criteria.className !== candidate.className) return -1;
+  if (!titleMatches(criteria.titlePattern, candidate.title)) return -1;
+
+  let score = 1;
+  if (
+    criteria.exePath &&
+    candidate.exePath &&
+    normalizeExePath(criteria.exePath) === normalizeExePath(candidate.exePath)
+  ) {
+    score += 1;
+  }
+  if (criteria.title && candidate.title === criteria.title) score += 2;
+  return score;
+}
+
+/**
+ * Pair saved criteria with live windows, each window used at most once.
+ * Best scores are assigned first; ties go to the earlier stack position.
+ * @param {Object[]} criteriaList - From buildMatchCriteria
+ * @param {Object[]} candidates - From getAvailableWindows
+ * @returns {Array<{criteria: Object, candidate: Object}>} in criteria position order
+ */
+function assignMatches(criteriaList, candidates) {
+  const pairs = [];
+  for (const criteria of criteriaList) {
+    candidates.forEach((candidate, order) => {
+      const score = scoreMatch(criteria, candidate);
+      if (score > 0) pairs.push({ criteria, candidate, score, order });
+    });
+  }
+  pairs.sort((a, b) => b.score - a.score || a.criteria.position - b.criteria.position || a.order - b.order);
+
+  const usedCriteria = new Set();
+  const usedHwnds = new Set();
+  const matches = [];
+  for (const pair of pairs) {
+    if (usedCriteria.has(pair.criteria) || usedHwnds.has(pair.candidate.hwnd)) continue;
+    usedCriteria.add(pair.criteria);
+    usedHwnds.add(pair.candidate.hwnd);
+    matches.push({ criteria: pair.criteria, candidate: pair.candidate });
+  }
+  return matches.sort((a, b) => a.criteria.position - b.criteria.position);
+}
+
+module.exports = { deriveTitlePattern, titleMatches, buildMatchCriteria, scoreMatch, assignMatches };
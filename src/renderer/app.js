@@ -1,6 +1,8 @@
 let availableWindows = [];
 let managedWindows = [];
 let activeHwnd = 0;
+let stacks = []; // [{id, stackName, windowCount, current}] — one tab each
+let currentStackId = null;
 
 let isAvailableHidden = false;
 let sortAvailableAlpha = false;
@@ -9,6 +11,7 @@ let customSizeEnabled = false;
 let renameModeEnabled = false;
 let dndMode = false;
 let _isEditingName = false;
+let layoutPreviewOpen = false;
 
 let _interactionGuard = false;
 let _interactionGuardTimer = null;
@@ -60,6 +63,28 @@ function showUndoToast(hwnd, title) {
   }, 3000);
 }
 
+/**
+ * Show a message from the main process until dismissed (or for 15 seconds).
+ */
+function showNotice(message) {
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast notice-toast';
+  const text = document.createElement('span');
+  text.textContent = message;
+  const okBtn = document.createElement('button');
+  okBtn.className = 'undo-btn';
+  okBtn.textContent = 'OK';
+  const dismiss = () => {
+    clearTimeout(timer);
+    if (toast.parentNode) toast.remove();
+  };
+  okBtn.addEventListener('click', dismiss);
+  toast.appendChild(text);
+  toast.appendChild(okBtn);
+  document.body.appendChild(toast);
+  const timer = setTimeout(dismiss, 15000);
+}
+
 function undoRemove(hwnd) {
   clearTimeout(_undoTimer);
   _undoTimer = null;
@@ -246,6 +271,725 @@ async function resetCustomDimensions() {
   }
 }
 
+// === LAYOUT STRATEGY ===
+
+async function loadLayoutStrategies() {
+  if (!window.electronAPI.getLayoutStrategies) return;
+  try {
+    const strategies = await window.electronAPI.getLayoutStrategies();
+    const select = document.getElementById('layoutStrategySelect');
+    const current = select.value;
+    select.innerHTML = '';
+    for (const s of strategies || []) {
+      const option = document.createElement('option');
+      option.value = s.id;
+      option.textContent = s.label;
+      select.appendChild(option);
+    }
+    select.value = current;
+  } catch (e) {
+    console.error('Failed to load layout strategies:', e);
+  }
+}
+
+async function onLayoutStrategyChange() {
+  // While the preview is open, changing the strategy only updates the preview
+  if (layoutPreviewOpen) {
+    await showLayoutPreview();
+    return;
+  }
+  const name = document.getElementById('layoutStrategySelect').value;
+  try {
+    await window.electronAPI.setLayoutStrategy(name);
+  } catch (e) {
+    console.error('Failed to set layout strategy:', e);
+  }
+}
+
+// === TARGET DISPLAY ===
+
+// Select values for the target display choices that are not display ids
+const TARGET_DISPLAY_OPTIONS = [
+  { value: '', label: "Controller's display" },
+  { value: 'primary', label: 'Primary display' },
+  { value: 'left', label: 'Leftmost display' },
+  { value: 'right', label: 'Rightmost display' },
+];
+
+/**
+ * Rebuild the target display choices from the attached displays and select `target`.
+ */
+function renderTargetDisplays(displays, target) {
+  const select = document.getElementById('targetDisplaySelect');
+  const options = [...TARGET_DISPLAY_OPTIONS, ...displays.map((d) => ({ value: String(d.id), label: d.label }))];
+  const value = target === null || target === undefined ? '' : String(target);
+  if (value && !options.some((o) => o.value === value)) {
+    options.push({ value, label: 'Disconnected display' });
+  }
+  select.innerHTML = '';
+  for (const { value: optionValue, label } of options) {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+async function onTargetDisplayChange() {
+  if (!window.electronAPI.setTargetDisplay) return;
+  const value = document.getElementById('targetDisplaySelect').value;
+  let target = null;
+  if (/^\d+$/.test(value)) target = Number(value);
+  else if (value) target = value;
+  try {
+    await window.electronAPI.setTargetDisplay(target);
+  } catch (e) {
+    console.error('Failed to set target display:', e);
+  }
+}
+
+async function onDockEdgeChange() {
+  if (!window.electronAPI.setDockEdge) return;
+  try {
+    await window.electronAPI.setDockEdge(document.getElementById('dockEdgeSelect').value);
+  } catch (e) {
+    console.error('Failed to set dock edge:', e);
+  }
+}
+
+async function onAppBarModeChange() {
+  if (!window.electronAPI.setAppBarMode) return;
+  try {
+    await window.electronAPI.setAppBarMode(document.getElementById('appBarModeSelect').value);
+  } catch (e) {
+    console.error('Failed to set AppBar mode:', e);
+  }
+}
+
+// === SESSION RESTORE ===
+
+async function onRestoreSessionToggle() {
+  if (!window.electronAPI.setRestoreSession) return;
+  const toggle = document.getElementById('restoreSessionToggle');
+  try {
+    const result = await window.electronAPI.setRestoreSession(toggle.checked);
+    if (result && !result.success) toggle.checked = !toggle.checked;
+  } catch (e) {
+    console.error('Failed to set session restore:', e);
+  }
+}
+
+async function cancelSessionRestore() {
+  if (!window.electronAPI.cancelSessionRestore) return;
+  try {
+    await window.electronAPI.cancelSessionRestore();
+  } catch (e) {
+    console.error('Failed to cancel session restore:', e);
+  }
+}
+
+// === AUTO-ADD RULES ===
+
+function toggleAutoAddSection() {
+  const content = document.getElementById('autoAddContent');
+  const btn = document.getElementById('toggleAutoAddBtn');
+  if (content.classList.contains('hidden')) {
+    content.classList.remove('hidden');
+    btn.textContent = 'Hide';
+    loadAutoAddRules();
+  } else {
+    content.classList.add('hidden');
+    btn.textContent = 'Show';
+  }
+}
+
+async function loadAutoAddRules() {
+  if (!window.electronAPI.getAutoAddRules) return;
+  try {
+    renderAutoAddRules(await window.electronAPI.getAutoAddRules());
+  } catch (e) {
+    console.error('Failed to load auto-add rules:', e);
+  }
+}
+
+function createRuleInput(field, value, placeholder, onChange) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.dataset.field = field;
+  input.value = value || '';
+  input.placeholder = placeholder;
+  input.maxLength = 300;
+  input.addEventListener('change', onChange);
+  // Keep the main process from pulling focus away while typing
+  input.addEventListener('focus', () => {
+    if (window.electronAPI.setRenameFocusLock) {
+      window.electronAPI.setRenameFocusLock(true);
+    }
+  });
+  input.addEventListener('blur', () => {
+    if (window.electronAPI.setRenameFocusLock) {
+      window.electronAPI.setRenameFocusLock(false);
+    }
+  });
+  return input;
+}
+
+/**
+ * One editable rule block. Exclusion rules share the matcher fields of
+ * auto-add rules but have no position.
+ * @param {Object} rule
+ * @param {Function} onChange - Saves the whole list
+ * @param {boolean} [withPosition=true]
+ */
+function createRuleRow(rule, onChange, withPosition = true) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  if (rule.id) row.dataset.id = rule.id;
+
+  const head = document.createElement('div');
+  head.className = withPosition ? 'rule-head' : 'rule-head no-position';
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.dataset.field = 'enabled';
+  enabled.checked = rule.enabled !== false;
+  enabled.title = 'Enabled';
+  enabled.addEventListener('change', onChange);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'hotkey-clear';
+  removeBtn.textContent = '-';
+  removeBtn.title = 'Delete this rule';
+  removeBtn.addEventListener('click', () => {
+    row.remove();
+    onChange();
+  });
+
+  head.appendChild(enabled);
+  head.appendChild(createRuleInput('name', rule.name, 'Rule name', onChange));
+  if (withPosition) head.appendChild(createPositionSelect(rule.position, onChange));
+  head.appendChild(removeBtn);
+
+  row.appendChild(head);
+  row.appendChild(createRuleInput('title', rule.title, 'Title regex, e.g. ^Slack', onChange));
+  row.appendChild(createRuleInput('process', rule.process, 'Process, e.g. WindowsTerminal.exe', onChange));
+  row.appendChild(createRuleInput('className', rule.className, 'Window class', onChange));
+  return row;
+}
+
+function createPositionSelect(value, onChange) {
+  const position = document.createElement('select');
+  position.dataset.field = 'position';
+  for (const [value, label] of [
+    ['top', 'Top'],
+    ['bottom', 'Bottom'],
+  ]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    position.appendChild(option);
+  }
+  position.value = value || 'top';
+  position.title = 'Where matching windows join the stack';
+  position.addEventListener('change', onChange);
+  return position;
+}
+
+function renderAutoAddRules(rules) {
+  const list = document.getElementById('autoAddList');
+  list.innerHTML = '';
+  for (const rule of rules || []) {
+    list.appendChild(createRuleRow(rule, saveAutoAddRules));
+  }
+  if (!rules || rules.length === 0) {
+    list.innerHTML = '<div class="empty-state">No rules yet</div>';
+  }
+}
+
+function readRuleRow(row) {
+  const rule = { enabled: row.querySelector('[data-field="enabled"]').checked };
+  if (row.dataset.id) rule.id = row.dataset.id;
+  for (const field of ['name', 'title', 'process', 'className', 'position']) {
+    const input = row.querySelector(`[data-field="${field}"]`);
+    if (input) rule[field] = input.value;
+  }
+  return rule;
+}
+
+function ruleRowHasMatcher(row) {
+  const rule = readRuleRow(row);
+  return !!(rule.title.trim() || rule.process.trim() || rule.className.trim());
+}
+
+function addAutoAddRule() {
+  const list = document.getElementById('autoAddList');
+  const empty = list.querySelector('.empty-state');
+  if (empty) empty.remove();
+  const row = createRuleRow({ enabled: true, position: 'top' }, saveAutoAddRules);
+  list.appendChild(row);
+  row.querySelector('[data-field="name"]').focus();
+}
+
+async function saveAutoAddRules() {
+  if (!window.electronAPI.setAutoAddRules) return;
+  const errorEl = document.getElementById('autoAddError');
+  // A freshly added rule is not sent until it has something to match on
+  const rows = [...document.querySelectorAll('#autoAddList .rule-row')].filter(ruleRowHasMatcher);
+  try {
+    const result = await window.electronAPI.setAutoAddRules(rows.map(readRuleRow));
+    if (result && result.success) {
+      errorEl.textContent = '';
+      // Adopt the ids of new rules without re-rendering (keeps focus and unsaved rows)
+      rows.forEach((row, i) => {
+        if (result.rules[i]) row.dataset.id = result.rules[i].id;
+      });
+    } else if (result) {
+      errorEl.textContent = result.error || 'Failed to save rules';
+    }
+  } catch (e) {
+    console.error('Failed to save auto-add rules:', e);
+  }
+}
+
+// === AVAILABLE FILTERS ===
+
+function toggleFiltersSection() {
+  const content = document.getElementById('filtersContent');
+  const btn = document.getElementById('toggleFiltersBtn');
+  if (content.classList.contains('hidden')) {
+    content.classList.remove('hidden');
+    btn.textContent = 'Hide';
+    loadAvailableFilters();
+  } else {
+    content.classList.add('hidden');
+    btn.textContent = 'Show';
+  }
+}
+
+async function loadAvailableFilters() {
+  if (!window.electronAPI.getAvailableFilters) return;
+  try {
+    const filters = await window.electronAPI.getAvailableFilters();
+    document.getElementById('hideCloakedToggle').checked = filters.hideCloaked !== false;
+    renderExclusionRules(filters.rules);
+  } catch (e) {
+    console.error('Failed to load available filters:', e);
+  }
+}
+
+function renderExclusionRules(rules) {
+  const list = document.getElementById('exclusionList');
+  list.innerHTML = '';
+  for (const rule of rules || []) {
+    list.appendChild(createRuleRow(rule, saveExclusionRules, false));
+  }
+  if (!rules || rules.length === 0) {
+    list.innerHTML = '<div class="empty-state">No hidden apps</div>';
+  }
+}
+
+function addExclusionRule() {
+  const list = document.getElementById('exclusionList');
+  const empty = list.querySelector('.empty-state');
+  if (empty) empty.remove();
+  const row = createRuleRow({ enabled: true }, saveExclusionRules, false);
+  list.appendChild(row);
+  row.querySelector('[data-field="name"]').focus();
+}
+
+async function saveAvailableFilters(filters) {
+  if (!window.electronAPI.setAvailableFilters) return null;
+  const errorEl = document.getElementById('filtersError');
+  try {
+    const result = await window.electronAPI.setAvailableFilters(filters);
+    if (result && result.success) {
+      errorEl.textContent = '';
+      refreshAvailable();
+    } else if (result) {
+      errorEl.textContent = result.error || 'Failed to save filters';
+    }
+    return result;
+  } catch (e) {
+    console.error('Failed to save available filters:', e);
+    return null;
+  }
+}
+
+async function saveExclusionRules() {
+  const rows = [...document.querySelectorAll('#exclusionList .rule-row')].filter(ruleRowHasMatcher);
+  const result = await saveAvailableFilters({ rules: rows.map(readRuleRow) });
+  if (result && result.success) {
+    rows.forEach((row, i) => {
+      if (result.filters.rules[i]) row.dataset.id = result.filters.rules[i].id;
+    });
+  }
+}
+
+function onHideCloakedToggle() {
+  saveAvailableFilters({ hideCloaked: document.getElementById('hideCloakedToggle').checked });
+}
+
+/**
+ * "Hide apps like this" — add an exclusion rule for an Available window's app.
+ */
+async function excludeWindow(hwnd) {
+  if (!window.electronAPI.excludeWindow) return;
+  try {
+    const result = await window.electronAPI.excludeWindow(hwnd);
+    if (result && result.success) {
+      refreshAvailable();
+      if (!document.getElementById('filtersContent').classList.contains('hidden')) {
+        loadAvailableFilters();
+      }
+    } else if (result) {
+      console.error('Failed to hide window:', result.error);
+    }
+  } catch (e) {
+    console.error('Failed to hide window:', e);
+  }
+}
+
+async function purgeStaleInstances() {
+  if (!window.electronAPI.purgeStaleInstances) return;
+  try {
+    const result = await window.electronAPI.purgeStaleInstances();
+    if (result && result.success) {
+      showNotice(result.message);
+      refreshAvailable();
+    } else if (result) {
+      showNotice(result.error || 'Failed to purge stale instances');
+    }
+  } catch (e) {
+    console.error('Failed to purge stale instances:', e);
+  }
+}
+
+// === SHARE (stack export / import) ===
+
+function toggleShareSection() {
+  const content = document.getElementById('shareContent');
+  const btn = document.getElementById('toggleShareBtn');
+  if (content.classList.contains('hidden')) {
+    content.classList.remove('hidden');
+    btn.textContent = 'Hide';
+  } else {
+    content.classList.add('hidden');
+    btn.textContent = 'Show';
+  }
+}
+
+/**
+ * Replace the share report with `lines` ({text, warning}).
+ */
+function renderShareReport(lines) {
+  const reportEl = document.getElementById('shareReport');
+  reportEl.innerHTML = '';
+  for (const { text, warning } of lines) {
+    const line = document.createElement('div');
+    if (warning) line.className = 'share-report-warning';
+    line.textContent = text;
+    reportEl.appendChild(line);
+  }
+}
+
+async function exportStack(target) {
+  if (!window.electronAPI.exportStack) return;
+  try {
+    const result = await window.electronAPI.exportStack(target);
+    if (!result || result.canceled) return;
+    if (!result.success) {
+      renderShareReport([{ text: result.error || 'Export failed', warning: true }]);
+    } else {
+      renderShareReport([{ text: target === 'clipboard' ? 'Copied to the clipboard' : 'Saved to ' + result.filePath }]);
+    }
+  } catch (e) {
+    console.error('Failed to export stack:', e);
+  }
+}
+
+async function importStack(source) {
+  if (!window.electronAPI.importStack) return;
+  try {
+    const result = await window.electronAPI.importStack(source);
+    if (!result || result.canceled) return;
+    if (!result.success) {
+      renderShareReport([{ text: 'Import failed: ' + (result.error || 'unknown error'), warning: true }]);
+      return;
+    }
+    const { stackName, acquired, missing, warnings } = result.report;
+    const lines = [{ text: `Imported "${stackName}": ${acquired.length} window(s) added` }];
+    for (const title of missing) lines.push({ text: 'Not found: ' + title, warning: true });
+    for (const warning of warnings) lines.push({ text: warning, warning: true });
+    renderShareReport(lines);
+    refreshAvailable();
+  } catch (e) {
+    console.error('Failed to import stack:', e);
+  }
+}
+
+// === HOTKEYS ===
+
+// KeyboardEvent.key → Electron accelerator key code
+const ACCELERATOR_KEY_NAMES = {
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  ' ': 'Space',
+  Enter: 'Enter',
+  Tab: 'Tab',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  Insert: 'Insert',
+  Delete: 'Delete',
+  Backspace: 'Backspace',
+  '+': 'Plus',
+};
+
+/**
+ * Build an Electron accelerator ("Ctrl+Alt+Down") from a keydown event.
+ * Returns null while only modifiers are held.
+ */
+function acceleratorFromKeyEvent(e) {
+  let key = null;
+  if (/^Key[A-Z]$/.test(e.code)) key = e.code.slice(3);
+  else if (/^Digit[0-9]$/.test(e.code)) key = e.code.slice(5);
+  else if (/^Numpad[0-9]$/.test(e.code)) key = 'num' + e.code.slice(6);
+  else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(e.key)) key = e.key;
+  else if (ACCELERATOR_KEY_NAMES[e.key]) key = ACCELERATOR_KEY_NAMES[e.key];
+  else if (e.key && e.key.length === 1) key = e.key.toUpperCase();
+  if (!key) return null;
+
+  const parts = [];
+  if (e.ctrlKey) parts.push('Ctrl');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  if (e.metaKey) parts.push('Super');
+  parts.push(key);
+  return parts.join('+');
+}
+
+function toggleHotkeysSection() {
+  const content = document.getElementById('hotkeysContent');
+  const btn = document.getElementById('toggleHotkeysBtn');
+  if (content.classList.contains('hidden')) {
+    content.classList.remove('hidden');
+    btn.textContent = 'Hide';
+    loadHotkeys();
+  } else {
+    content.classList.add('hidden');
+    btn.textContent = 'Show';
+  }
+}
+
+async function loadHotkeys() {
+  if (!window.electronAPI.getHotkeys) return;
+  try {
+    renderHotkeys(await window.electronAPI.getHotkeys());
+  } catch (e) {
+    console.error('Failed to load hotkeys:', e);
+  }
+}
+
+function renderHotkeys(bindings) {
+  const list = document.getElementById('hotkeyList');
+  list.innerHTML = '';
+  for (const binding of bindings || []) {
+    const row = document.createElement('div');
+    row.className = 'hotkey-row';
+
+    const label = document.createElement('span');
+    label.className = 'hotkey-label';
+    label.textContent = binding.label;
+    label.title = binding.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'hotkey-input';
+    input.dataset.action = binding.action;
+    input.value = binding.accelerator || '';
+    input.placeholder = 'Disabled';
+    input.title = binding.error ? binding.error : 'Click and press a key combination (Backspace disables, Esc cancels)';
+    if (binding.accelerator && binding.error) input.classList.add('unavailable');
+    input.addEventListener('keydown', (e) => onHotkeyInputKeydown(e, binding.action));
+    // Keep the main process from pulling focus away while capturing keys
+    input.addEventListener('focus', () => {
+      if (window.electronAPI.setRenameFocusLock) {
+        window.electronAPI.setRenameFocusLock(true);
+      }
+    });
+    input.addEventListener('blur', () => {
+      if (window.electronAPI.setRenameFocusLock) {
+        window.electronAPI.setRenameFocusLock(false);
+      }
+    });
+
+    const clear = document.createElement('button');
+    clear.className = 'hotkey-clear';
+    clear.textContent = '-';
+    clear.title = 'Disable this hotkey';
+    clear.addEventListener('click', () => saveHotkey(binding.action, null));
+
+    row.appendChild(label);
+    row.appendChild(input);
+    row.appendChild(clear);
+    list.appendChild(row);
+  }
+}
+
+function onHotkeyInputKeydown(e, action) {
+  e.preventDefault();
+  e.stopPropagation();
+  const noModifiers = !e.ctrlKey && !e.altKey && !e.shiftKey && !e.metaKey;
+  if (e.key === 'Escape' && noModifiers) {
+    e.target.blur();
+    return;
+  }
+  if ((e.key === 'Backspace' || e.key === 'Delete') && noModifiers) {
+    saveHotkey(action, null);
+    return;
+  }
+  const accelerator = acceleratorFromKeyEvent(e);
+  if (accelerator) saveHotkey(action, accelerator);
+}
+
+async function saveHotkey(action, accelerator) {
+  if (!window.electronAPI.setHotkey) return;
+  const errorEl = document.getElementById('hotkeyError');
+  try {
+    const result = await window.electronAPI.setHotkey(action, accelerator);
+    errorEl.textContent = result && !result.success ? result.error || 'Failed to set hotkey' : '';
+    if (result && result.hotkeys) renderHotkeys(result.hotkeys);
+  } catch (e) {
+    console.error('Failed to set hotkey:', e);
+  }
+}
+
+async function resetHotkeys() {
+  if (!window.electronAPI.resetHotkeys) return;
+  try {
+    const result = await window.electronAPI.resetHotkeys();
+    document.getElementById('hotkeyError').textContent = '';
+    if (result && result.hotkeys) renderHotkeys(result.hotkeys);
+  } catch (e) {
+    console.error('Failed to reset hotkeys:', e);
+  }
+}
+
+// === LAYOUT PREVIEW ===
+
+const LAYOUT_PREVIEW_WIDTH = 260;
+
+/**
+ * Collect the unsaved layout settings from the Dimensions panel.
+ * Only valid values are included; the main process fills in the rest.
+ */
+function collectLayoutOverrides() {
+  const overrides = { layoutStrategy: document.getElementById('layoutStrategySelect').value };
+  if (customSizeEnabled) {
+    const w = parseInt(document.getElementById('customWidthInput').value);
+    const h = parseInt(document.getElementById('customHeightInput').value);
+    const gap = parseInt(document.getElementById('stackGapInput').value);
+    const top = parseInt(document.getElementById('topOffsetInput').value);
+    if (w >= 200 && h >= 200) {
+      overrides.customWidth = w;
+      overrides.customHeight = h;
+    }
+    if (!isNaN(gap) && gap >= 0) overrides.stackGap = gap;
+    if (!isNaN(top) && top >= 0) overrides.topOffset = top;
+  }
+  return overrides;
+}
+
+async function showLayoutPreview() {
+  if (!window.electronAPI.previewLayout) return;
+  try {
+    const result = await window.electronAPI.previewLayout(collectLayoutOverrides());
+    if (!result || !result.success) {
+      console.error('Failed to preview layout:', result && result.error);
+      return;
+    }
+    layoutPreviewOpen = true;
+    document.getElementById('layoutPreview').classList.remove('hidden');
+    document.getElementById('previewLayoutBtn').classList.add('active');
+    renderLayoutPreview(result);
+  } catch (e) {
+    console.error('Failed to preview layout:', e);
+  }
+}
+
+function closeLayoutPreview() {
+  layoutPreviewOpen = false;
+  document.getElementById('layoutPreview').classList.add('hidden');
+  document.getElementById('previewLayoutBtn').classList.remove('active');
+  // Snap the select back to the applied strategy
+  refreshManaged();
+}
+
+function toggleLayoutPreview() {
+  if (layoutPreviewOpen) {
+    closeLayoutPreview();
+  } else {
+    showLayoutPreview();
+  }
+}
+
+async function applyLayoutPreview() {
+  try {
+    await window.electronAPI.setLayoutStrategy(document.getElementById('layoutStrategySelect').value);
+    if (customSizeEnabled) await applyCustomDimensions();
+  } catch (e) {
+    console.error('Failed to apply layout:', e);
+  }
+  closeLayoutPreview();
+}
+
+/**
+ * Draw the work area scaled down to LAYOUT_PREVIEW_WIDTH with the controller
+ * and every planned window rect (back-to-front, so the active one is on top).
+ */
+function renderLayoutPreview(result) {
+  const canvas = document.getElementById('layoutPreviewCanvas');
+  const warningsEl = document.getElementById('layoutPreviewWarnings');
+  const { plan, workArea, controller } = result;
+  const scale = LAYOUT_PREVIEW_WIDTH / workArea.width;
+
+  canvas.innerHTML = '';
+  canvas.style.width = LAYOUT_PREVIEW_WIDTH + 'px';
+  canvas.style.height = Math.round(workArea.height * scale) + 'px';
+
+  const addBox = (rect, label, className) => {
+    const box = document.createElement('div');
+    box.className = 'layout-preview-box ' + className;
+    box.style.left = Math.round((rect.x - workArea.x) * scale) + 'px';
+    box.style.top = Math.round((rect.y - workArea.y) * scale) + 'px';
+    box.style.width = Math.max(Math.round((rect.cx ?? rect.width) * scale), 2) + 'px';
+    box.style.height = Math.max(Math.round((rect.cy ?? rect.height) * scale), 2) + 'px';
+    box.textContent = label;
+    box.title = label;
+    canvas.appendChild(box);
+  };
+
+  if (controller) addBox(controller, 'Controller', 'controller');
+  for (const t of plan.targets) {
+    const win = managedWindows.find((w) => w.hwnd === t.hwnd);
+    const label = win ? win.customTitle || win.title : String(t.hwnd);
+    addBox(t, label, t.hwnd === plan.activeHwnd ? 'active' : '');
+  }
+
+  warningsEl.innerHTML = '';
+  const messages = [...plan.warnings];
+  if (plan.targets.length === 0 && messages.length === 0) messages.push('No managed windows to lay out');
+  for (const message of messages) {
+    const line = document.createElement('div');
+    line.textContent = message;
+    warningsEl.appendChild(line);
+  }
+}
+
 // Title editing logic
 const stackTitle = document.getElementById('stackTitle');
 const managedSubtitle = document.getElementById('managedSubtitle');
@@ -355,6 +1099,139 @@ async function toggleSortAlpha() {
   }
 }
 
+// === STACKS ===
+
+/**
+ * Render one tab per stack. The current tab gets a remove (×) button while
+ * there is more than one stack.
+ */
+function renderStackTabs() {
+  const container = document.getElementById('stackTabs');
+  const addBtn = document.getElementById('addStackBtn');
+  container.querySelectorAll('.stack-tab').forEach((el) => el.remove());
+
+  for (const stack of stacks) {
+    const isCurrent = stack.id === currentStackId;
+    const tab = document.createElement('button');
+    tab.className = 'stack-tab' + (isCurrent ? ' active' : '');
+    tab.dataset.stackId = stack.id;
+    tab.title = `${stack.stackName} — ${stack.windowCount} window${stack.windowCount === 1 ? '' : 's'}`;
+    const label = document.createElement('span');
+    label.textContent = stack.stackName;
+    tab.appendChild(label);
+
+    if (isCurrent && stacks.length > 1) {
+      const removeBtn = document.createElement('span');
+      removeBtn.className = 'stack-tab-remove';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Remove this stack (its windows go back where they were)';
+      removeBtn.onclick = (e) => {
+        e.stopPropagation();
+        removeStack(stack.id);
+      };
+      tab.appendChild(removeBtn);
+    }
+    tab.onclick = () => selectStack(stack.id);
+    container.insertBefore(tab, addBtn);
+  }
+}
+
+async function addStack() {
+  if (!window.electronAPI.createStack) return;
+  try {
+    const result = await window.electronAPI.createStack();
+    if (result && !result.success) showNotice(result.error);
+  } catch (e) {
+    console.error('Failed to create stack:', e);
+  }
+}
+
+async function selectStack(stackId) {
+  if (stackId === currentStackId || !window.electronAPI.selectStack) return;
+  try {
+    await window.electronAPI.selectStack(stackId);
+  } catch (e) {
+    console.error('Failed to select stack:', e);
+  }
+}
+
+async function removeStack(stackId) {
+  const stack = stacks.find((s) => s.id === stackId);
+  if (!stack || !window.electronAPI.removeStack) return;
+  if (
+    stack.windowCount > 0 &&
+    !confirm(`Remove "${stack.stackName}"? Its ${stack.windowCount} window(s) go back where they were.`)
+  ) {
+    return;
+  }
+  try {
+    await window.electronAPI.removeStack(stackId);
+  } catch (e) {
+    console.error('Failed to remove stack:', e);
+  }
+}
+
+async function moveWindowToStack(hwnd, stackId) {
+  if (!window.electronAPI.moveWindowToStack) return;
+  setInteractionGuard();
+  try {
+    await window.electronAPI.moveWindowToStack(hwnd, stackId);
+  } catch (e) {
+    console.error('Failed to move window to stack:', e);
+  }
+}
+
+async function showWindowMenu(hwnd) {
+  if (!window.electronAPI.showWindowMenu) return;
+  try {
+    await window.electronAPI.showWindowMenu(hwnd);
+  } catch (e) {
+    console.error('Failed to show window menu:', e);
+  }
+}
+
+/**
+ * Show a "Move to…" picker on a managed row while there are other stacks,
+ * creating it on first use. Options are only rebuilt when the stacks change.
+ */
+function applyStackMove(item, win) {
+  let select = item.querySelector('.stack-move');
+  const targets = stacks.filter((s) => s.id !== currentStackId);
+  if (targets.length === 0 || !window.electronAPI.moveWindowToStack) {
+    if (select) select.remove();
+    return;
+  }
+  if (!select) {
+    select = document.createElement('select');
+    select.className = 'stack-move';
+    select.title = 'Move to another stack';
+    select.addEventListener('click', (e) => e.stopPropagation());
+    const actions = item.querySelector('.actions');
+    actions.insertBefore(select, actions.firstChild);
+  }
+
+  const key = targets.map((s) => s.id + ':' + s.stackName).join('|');
+  if (select.dataset.key !== key) {
+    select.dataset.key = key;
+    select.replaceChildren();
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = 'Move to…';
+    select.appendChild(placeholder);
+    for (const stack of targets) {
+      const option = document.createElement('option');
+      option.value = stack.id;
+      option.textContent = stack.stackName;
+      select.appendChild(option);
+    }
+  }
+  select.value = '';
+  select.onchange = (e) => {
+    e.stopPropagation();
+    if (select.value) moveWindowToStack(win.hwnd, select.value);
+  };
+}
+
 let _renderManagedPending = false;
 
 function scheduleRenderManaged() {
@@ -455,6 +1332,12 @@ function renderManaged() {
         await activateWindow(win.hwnd);
       };
 
+      // Right-click: native menu to send the window to another instance
+      item.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showWindowMenu(win.hwnd);
+      });
+
       // Remove 'entering' class after animation completes
       item.addEventListener('animationend', (e) => {
         if (e.animationName === 'fadeSlideIn') {
@@ -586,6 +1469,8 @@ function renderManaged() {
 
       existingItems.set(win.hwnd, item);
     }
+    applyAppInfo(item, win);
+    applyStackMove(item, win);
 
     // Reorder: ensure item is at the correct position
     const currentAtIndex = container.children[index];
@@ -595,6 +1480,35 @@ function renderManaged() {
   });
 }
 
+/**
+ * Show a window's app icon (data URL from the main process) and process name
+ * on its row, creating the elements on first use.
+ */
+function applyAppInfo(item, win) {
+  let icon = item.querySelector('.app-icon');
+  if (!icon) {
+    icon = document.createElement('img');
+    icon.className = 'app-icon';
+    icon.alt = '';
+    item.insertBefore(icon, item.firstChild);
+  }
+  const src = typeof win.icon === 'string' && win.icon.startsWith('data:image/') ? win.icon : '';
+  if (icon.getAttribute('src') !== src) {
+    if (src) icon.setAttribute('src', src);
+    else icon.removeAttribute('src');
+  }
+  icon.classList.toggle('placeholder', !src);
+
+  let name = item.querySelector('.process-name');
+  if (!name) {
+    name = document.createElement('span');
+    name.className = 'process-name';
+    item.insertBefore(name, item.querySelector('.actions'));
+  }
+  name.textContent = win.processName || '';
+  name.title = win.exePath || '';
+}
+
 /**
  * Render available windows — Add buttons only.
  */
@@ -647,6 +1561,13 @@ function renderAvailable() {
           addWindow(win.hwnd, win.title);
         };
       }
+      const hideBtn = item.querySelector('.btn-hide-similar');
+      if (hideBtn) {
+        hideBtn.onclick = (e) => {
+          e.stopPropagation();
+          excludeWindow(win.hwnd);
+        };
+      }
     } else {
       // CREATE new element
       item = document.createElement('div');
@@ -667,12 +1588,23 @@ function renderAvailable() {
         e.stopPropagation();
         addWindow(win.hwnd, win.title);
       };
+
+      const hideBtn = document.createElement('button');
+      hideBtn.className = 'btn btn-remove btn-hide-similar';
+      hideBtn.textContent = '×';
+      hideBtn.title = 'Hide apps like this';
+      hideBtn.onclick = (e) => {
+        e.stopPropagation();
+        excludeWindow(win.hwnd);
+      };
+      actions.appendChild(hideBtn);
       actions.appendChild(addBtn);
 
       item.appendChild(title);
       item.appendChild(actions);
       existingItems.set(win.hwnd, item);
     }
+    applyAppInfo(item, win);
 
     // Reorder: ensure item is at correct position
     const currentAtIndex = container.children[index];
@@ -710,10 +1642,26 @@ function syncStateToUI(data) {
     activeHwnd = data.activeHwnd || 0;
   }
 
+  // Update stack tabs; auto-add rules belong to a stack, so an open rule editor follows the tab
+  if (Array.isArray(data.stacks)) {
+    const switched = currentStackId !== null && data.currentStackId !== currentStackId;
+    stacks = data.stacks;
+    currentStackId = data.currentStackId || null;
+    renderStackTabs();
+    if (switched && !document.getElementById('autoAddContent').classList.contains('hidden')) {
+      loadAutoAddRules();
+    }
+  }
+
   // Update stack name (respect focus guard)
   if (data.stackName) {
     const upperName = data.stackName.toUpperCase();
-    if (stackTitle && stackTitle.textContent !== upperName && !_isEditingName && document.activeElement !== stackTitle) {
+    if (
+      stackTitle &&
+      stackTitle.textContent !== upperName &&
+      !_isEditingName &&
+      document.activeElement !== stackTitle
+    ) {
       stackTitle.textContent = upperName;
     }
     if (managedSubtitle && managedSubtitle.textContent !== upperName) {
@@ -745,6 +1693,57 @@ function syncStateToUI(data) {
     }
   }
 
+  // Update WinEvent hook health
+  if (data.eventHooksHealthy !== undefined) {
+    const hookWarning = document.getElementById('hookWarning');
+    if (hookWarning) hookWarning.classList.toggle('hidden', !!data.eventHooksHealthy);
+  }
+
+  // Update session restore toggle + progress banner
+  if (data.restoreSession !== undefined) {
+    const restoreToggle = document.getElementById('restoreSessionToggle');
+    if (restoreToggle) restoreToggle.checked = !!data.restoreSession;
+  }
+  if (data.sessionRestorePending !== undefined) {
+    const banner = document.getElementById('sessionRestoreBanner');
+    const pending = data.sessionRestorePending || 0;
+    banner.classList.toggle('hidden', pending === 0);
+    document.getElementById('sessionRestoreText').textContent =
+      `Restoring last session — waiting for ${pending} window${pending === 1 ? '' : 's'}…`;
+  }
+
+  // Update layoutStrategy (respect focus guard)
+  if (data.layoutStrategy !== undefined) {
+    const layoutSelect = document.getElementById('layoutStrategySelect');
+    if (layoutSelect && document.activeElement !== layoutSelect && !layoutPreviewOpen) {
+      layoutSelect.value = data.layoutStrategy;
+    }
+  }
+
+  // Update target display choices (respect focus guard)
+  if (data.displays !== undefined) {
+    const displaySelect = document.getElementById('targetDisplaySelect');
+    if (displaySelect && document.activeElement !== displaySelect) {
+      renderTargetDisplays(data.displays, data.targetDisplay);
+    }
+  }
+
+  // Update dock edge (respect focus guard)
+  if (data.dockEdge !== undefined) {
+    const dockSelect = document.getElementById('dockEdgeSelect');
+    if (dockSelect && document.activeElement !== dockSelect) {
+      dockSelect.value = data.dockEdge;
+    }
+  }
+
+  // Update AppBar mode (respect focus guard)
+  if (data.appBarMode !== undefined) {
+    const appBarSelect = document.getElementById('appBarModeSelect');
+    if (appBarSelect && document.activeElement !== appBarSelect) {
+      appBarSelect.value = data.appBarMode;
+    }
+  }
+
   // Update custom dimensions (respect focus guard)
   if (data.customWidth !== undefined || data.customHeight !== undefined) {
     const toggle = document.getElementById('customSizeToggle');
@@ -818,7 +1817,8 @@ async function refreshManaged() {
 async function addWindow(hwnd, title) {
   try {
     setInteractionGuard();
-    await window.electronAPI.addWindow(hwnd, title);
+    const result = await window.electronAPI.addWindow(hwnd, title);
+    if (result && !result.success) showNotice(result.error || 'Failed to add the window');
     await refreshAvailable();
   } catch (e) {
     console.error('Failed to add:', e);
@@ -876,6 +1876,19 @@ async function init() {
     syncStateToUI(data);
   });
 
+  if (window.electronAPI.onNotice) {
+    window.electronAPI.onNotice((data) => {
+      if (data && typeof data.message === 'string') showNotice(data.message);
+    });
+  }
+
+  // Another instance claimed or released windows
+  if (window.electronAPI.onAvailableChanged) {
+    window.electronAPI.onAvailableChanged(() => {
+      if (!isAvailableHidden && !_interactionGuard) refreshAvailable();
+    });
+  }
+
   // Color picker button: lock before opening native dialog
   document.getElementById('colorPickerBtn').addEventListener('click', (e) => {
     e.stopPropagation();
@@ -893,6 +1906,7 @@ async function init() {
     }, 300);
   });
 
+  await loadLayoutStrategies();
   await Promise.all([refreshManaged(), refreshAvailable()]);
 
   // Auto-refresh available windows every 5 seconds
@@ -917,8 +1931,31 @@ async function init() {
   document.getElementById('lightModeBtn').addEventListener('click', toggleLightMode);
   document.getElementById('toggleDimsBtn').addEventListener('click', toggleDimensionsSection);
   document.getElementById('customSizeToggle').addEventListener('change', onCustomSizeToggle);
+  document.getElementById('layoutStrategySelect').addEventListener('change', onLayoutStrategyChange);
+  document.getElementById('targetDisplaySelect').addEventListener('change', onTargetDisplayChange);
+  document.getElementById('dockEdgeSelect').addEventListener('change', onDockEdgeChange);
+  document.getElementById('appBarModeSelect').addEventListener('change', onAppBarModeChange);
+  document.getElementById('previewLayoutBtn').addEventListener('click', toggleLayoutPreview);
+  document.getElementById('applyPreviewBtn').addEventListener('click', applyLayoutPreview);
+  document.getElementById('cancelPreviewBtn').addEventListener('click', closeLayoutPreview);
+  document.getElementById('restoreSessionToggle').addEventListener('change', onRestoreSessionToggle);
+  document.getElementById('cancelRestoreBtn').addEventListener('click', cancelSessionRestore);
+  document.getElementById('toggleAutoAddBtn').addEventListener('click', toggleAutoAddSection);
+  document.getElementById('addRuleBtn').addEventListener('click', addAutoAddRule);
+  document.getElementById('toggleFiltersBtn').addEventListener('click', toggleFiltersSection);
+  document.getElementById('addExclusionBtn').addEventListener('click', addExclusionRule);
+  document.getElementById('hideCloakedToggle').addEventListener('change', onHideCloakedToggle);
+  document.getElementById('purgeInstancesBtn').addEventListener('click', purgeStaleInstances);
+  document.getElementById('toggleShareBtn').addEventListener('click', toggleShareSection);
+  document.getElementById('exportFileBtn').addEventListener('click', () => exportStack('file'));
+  document.getElementById('exportClipboardBtn').addEventListener('click', () => exportStack('clipboard'));
+  document.getElementById('importFileBtn').addEventListener('click', () => importStack('file'));
+  document.getElementById('importClipboardBtn').addEventListener('click', () => importStack('clipboard'));
+  document.getElementById('toggleHotkeysBtn').addEventListener('click', toggleHotkeysSection);
+  document.getElementById('resetHotkeysBtn').addEventListener('click', resetHotkeys);
   document.getElementById('applyDimsBtn').addEventListener('click', applyCustomDimensions);
   document.getElementById('resetDimsBtn').addEventListener('click', resetCustomDimensions);
+  document.getElementById('addStackBtn').addEventListener('click', addStack);
   document.getElementById('dynamicReorderBtn').addEventListener('click', toggleDynamicReorder);
   document.getElementById('renameToggleBtn').addEventListener('click', toggleRenameMode);
   document.getElementById('sortAlphaBtn').addEventListener('click', toggleSortAlpha);
@@ -0,0 +1,42 @@
+// claim-worker.js — spawned by the concurrency test: registers, claims one
+// window (or the given windows) when told to, or rewrites its own entry with
+// heartbeats and managedHwnds flushes, reports the result and stays
+// registered until told to exit
+const { InstanceRegistry } = require('../../src/main/instance-registry');
+
+const registryPath = process.argv[2];
+const hwnd = Number(process.argv[3]);
+
+const registry = new InstanceRegistry();
+registry.filePath = registryPath;
+registry.instanceId = 'claimer-' + process.pid;
+
+process.on('message', (message) => {
+  if (message === 'claim') {
+    registry.claimWindow(hwnd).then(
+      (result) => process.send({ claimed: result.claimed }),
+      (e) => process.send({ error: e.message })
+    );
+  } else if (message.claims) {
+    (async () => {
+      for (const claim of message.claims) await registry.claimWindow(claim);
+    })().then(
+      () => process.send({ claimed: message.claims.length }),
+      (e) => process.send({ error: e.message })
+    );
+  } else if (message.rewrites) {
+    (async () => {
+      for (let i = 0; i < message.rewrites; i++) {
+        await registry._heartbeat();
+        await registry._flushManagedHwnds([], []);
+      }
+    })().then(
+      () => process.send({ rewritten: message.rewrites }),
+      (e) => process.send({ error: e.message })
+    );
+  } else if (message === 'exit') {
+    registry.unregister();
+    process.exit(0);
+  }
+});
+registry._register().then(() => process.send({ ready: true }));
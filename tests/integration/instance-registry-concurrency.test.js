@@ -10,6 +10,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const WORKER_SCRIPT = path.join(__dirname, 'registry-worker.js');
+const CLAIM_WORKER_SCRIPT = path.join(__dirname, 'claim-worker.js');
 
 function spawnWorker(registryPath, workerId, iterations = 10) {
   return new Promise((resolve, reject) => {
@@ -26,6 +27,32 @@ function spawnWorker(registryPath, workerId, iterations = 10) {
   });
 }
 
+function spawnClaimWorker(registryPath, hwnd) {
+  const child = fork(CLAIM_WORKER_SCRIPT, [registryPath, String(hwnd)], { stdio: 'pipe' });
+  const messages = [];
+  let stderr = '';
+  let exitCode = null;
+  let wake = () => {};
+  child.stderr.on('data', d => stderr += d);
+  child.on('message', m => {
+    messages.push(m);
+    wake();
+  });
+  const exited = new Promise(resolve => child.on('exit', code => {
+    exitCode = code;
+    wake();
+    resolve();
+  }));
+  const next = async () => {
+    while (messages.length === 0) {
+      if (exitCode !== null) throw new Error(`Claim worker exited with code ${exitCode}: ${stderr}`);
+      await new Promise(r => wake = r);
+    }
+    return messages.shift();
+  };
+  return { child, next, exited };
+}
+
 describe('InstanceRegistry Concurrency', () => {
   let tmpDir;
   let registryPath;
@@ -57,6 +84,48 @@ describe('InstanceRegistry Concurrency', () => {
     expect(Object.keys(data.instances)).toHaveLength(0);
   }, 30000);
 
+  it('exactly one of 5 instances claiming the same window at once gets it', async () => {
+    const workers = [];
+    for (let i = 0; i < 5; i++) workers.push(spawnClaimWorker(registryPath, 4242));
+    try {
+      // All registered before anyone claims
+      for (const w of workers) expect(await w.next()).toEqual({ ready: true });
+      for (const w of workers) w.child.send('claim');
+      const results = [];
+      for (const w of workers) results.push(await w.next());
+
+      expect(results.filter(r => r.error)).toEqual([]);
+      expect(results.filter(r => r.claimed)).toHaveLength(1);
+      const data = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+      const owners = Object.values(data.instances).filter(e => e.managedHwnds.includes(4242));
+      expect(owners).toHaveLength(1);
+    } finally {
+      for (const w of workers) if (w.child.connected) w.child.send('exit');
+      await Promise.all(workers.map(w => w.exited));
+    }
+  }, 30000);
+
+  it('claims survive heartbeats and managedHwnds flushes of another instance at the same time', async () => {
+    const claimer = spawnClaimWorker(registryPath, 0);
+    const rewriter = spawnClaimWorker(registryPath, 0);
+    const hwnds = Array.from({ length: 30 }, (_, i) => 5000 + i);
+    try {
+      expect(await claimer.next()).toEqual({ ready: true });
+      expect(await rewriter.next()).toEqual({ ready: true });
+      rewriter.child.send({ rewrites: 30 });
+      claimer.child.send({ claims: hwnds });
+      expect(await claimer.next()).toEqual({ claimed: hwnds.length });
+      expect(await rewriter.next()).toEqual({ rewritten: 30 });
+
+      const data = JSON.parse(fs.readFileSync(registryPath, 'utf-8'));
+      const claimerEntry = data.instances['claimer-' + claimer.child.pid];
+      expect(claimerEntry.managedHwnds).toEqual(hwnds);
+    } finally {
+      for (const w of [claimer, rewriter]) if (w.child.connected) w.child.send('exit');
+      await Promise.all([claimer.exited, rewriter.exited]);
+    }
+  }, 30000);
+
   it('registry file remains valid JSON after concurrent writes (3 runs)', async () => {
     for (let run = 0; run < 3; run++) {
       // Reset
@@ -1,11 +1,11 @@
 /**
  * Integration tests — main-process module pipeline verification
  *
- * Tests that WindowManager and ForegroundMonitor work together correctly by
+ * Tests that WindowManager and WinEventHub work together correctly by
  * simulating the orchestration pipelines that main.js wires up.
  *
  * Strategy:
- *   - window-manager.js and foreground-monitor.js are CommonJS modules that
+ *   - window-manager.js and win-event-hub.js are CommonJS modules that
  *     require('./win32') at load time.
  *   - setup.mjs already mocks 'koffi', so win32.js loads successfully and
  *     exports a real `api` object whose methods are koffi vi.fn() stubs.
@@ -14,7 +14,7 @@
  *   - This avoids the ESM/CJS mock-interception mismatch.
  */
 
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { createRequire } from 'module';
 
 const require = createRequire(import.meta.url);
@@ -24,7 +24,15 @@ const require = createRequire(import.meta.url);
 // ---------------------------------------------------------------------------
 const win32 = require('../../src/main/win32');
 const { WindowManager } = require('../../src/main/window-manager.js');
-const { ForegroundMonitor } = require('../../src/main/foreground-monitor.js');
+const { WinEventHub } = require('../../src/main/win-event-hub.js');
+const { findMatchingRule } = require('../../src/main/auto-add-rules.js');
+
+// Start a hub and return a function that fires raw WinEvents through its shared callback
+function startHub(hub) {
+  hub.start();
+  const winEventProc = win32.koffi.register.mock.lastCall[0];
+  return (event, hwnd, idObject = 0, idChild = 0) => winEventProc(0, event, hwnd, idObject, idChild, 0, 0);
+}
 
 // ---------------------------------------------------------------------------
 // Patch win32.api before each test and restore defaults
@@ -60,7 +68,7 @@ beforeEach(() => {
   win32.api.SetWinEventHook = vi.fn(() => 42);
   win32.api.UnhookWinEvent = vi.fn(() => 1);
 
-  // Also patch koffi on the win32 module so ForegroundMonitor can register callbacks
+  // Also patch koffi on the win32 module so WinEventHub can register callbacks
   win32.koffi.register = vi.fn(() => ({}));
   win32.koffi.unregister = vi.fn();
   win32.koffi.pointer = vi.fn((x) => x);
@@ -83,9 +91,9 @@ describe('Pipeline 1: add-window', () => {
 
     // State is serializable and contains the window
     const state = wm.getState();
-    expect(state.windows).toHaveLength(1);
-    expect(state.windows[0].hwnd).toBe(12345);
-    expect(state.windows[0].title).toBe('Test Window');
+    expect(state.stacks[0].windows).toHaveLength(1);
+    expect(state.stacks[0].windows[0].hwnd).toBe(12345);
+    expect(state.stacks[0].windows[0].title).toBe('Test Window');
   });
 
   it('does not add the same window twice', () => {
@@ -159,31 +167,57 @@ describe('Pipeline 2: focus-change', () => {
     expect(wm.activeHwnd).toBe(100);
   });
 
-  it('ForegroundMonitor updateManagedSet tracks the correct hwnds', () => {
-    const fm = new ForegroundMonitor();
-    const onFocusChange = vi.fn();
+  it('WinEventHub delivers foreground events only for managed windows', () => {
+    const wm = new WindowManager();
+    wm.addWindow(100, 'Window A');
+    wm.addWindow(200, 'Window B'); // activeHwnd = 200
+
+    const hub = new WinEventHub();
+    hub.on('foreground', (hwnd) => wm.promoteToActive(hwnd));
+    const fire = startHub(hub);
+    hub.updateManagedSet(wm.getManagedHwnds());
 
-    fm.start(onFocusChange);
-    fm.updateManagedSet([12345, 67890]);
+    fire(0x0003, 99999); // EVENT_SYSTEM_FOREGROUND, unmanaged
+    expect(wm.activeHwnd).toBe(200);
 
-    // Internal set should contain the provided hwnds
-    expect(fm._managedHwnds.has(12345)).toBe(true);
-    expect(fm._managedHwnds.has(67890)).toBe(true);
-    expect(fm._managedHwnds.has(99999)).toBe(false);
+    fire(0x0003, 100);
+    expect(wm.activeHwnd).toBe(100);
 
-    fm.stop();
+    hub.stop();
   });
 
-  it('ForegroundMonitor stop cleans up hook and callback', () => {
-    const fm = new ForegroundMonitor();
-    const onFocusChange = vi.fn();
+  it('focus on a window of another stack switches the controller to that stack', () => {
+    const wm = new WindowManager();
+    wm.addWindow(100, 'Window A');
+    const chat = wm.createStack('Chat');
+    wm.addWindow(300, 'Slack', { stackId: chat });
+
+    const hub = new WinEventHub();
+    hub.on('foreground', (hwnd) => wm.promoteToActive(hwnd));
+    const fire = startHub(hub);
+    hub.updateManagedSet(wm.getManagedHwnds());
+
+    fire(0x0003, 300);
+    expect(wm.getCurrentStackId()).toBe(chat);
+    expect(wm.getManagedWindows().map((w) => w.hwnd)).toEqual([300]);
+
+    fire(0x0003, 100);
+    expect(wm.stackName).toBe('Managed Stack');
+    expect(wm.activeHwnd).toBe(100);
+
+    hub.stop();
+  });
 
-    fm.start(onFocusChange);
-    expect(fm._hook).toBeTruthy();
+  it('WinEventHub stop cleans up hooks and callback', () => {
+    const hub = new WinEventHub();
+    hub.on('foreground', vi.fn());
+    hub.start();
+    expect(hub.getStatus().hooks[0].installed).toBe(true);
 
-    fm.stop();
-    expect(fm._hook).toBeNull();
-    expect(fm._callback).toBeNull();
+    hub.stop();
+    expect(win32.api.UnhookWinEvent).toHaveBeenCalledWith(42);
+    expect(hub.getStatus().hooks).toEqual([]);
+    expect(hub._callback).toBeNull();
   });
 });
 
@@ -235,6 +269,163 @@ describe('Pipeline 3: cleanup (removeDeadWindows)', () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// Pipeline 3b — Close-event pipeline (WinEventHub 'destroy' → forgetWindow)
+// ---------------------------------------------------------------------------
+describe('Pipeline 3b: close events', () => {
+  const EVENT_OBJECT_DESTROY = 0x8001;
+  const EVENT_OBJECT_SHOW = 0x8002;
+  const EVENT_OBJECT_HIDE = 0x8003;
+
+  it('shares one hook for the DESTROY..HIDE range', () => {
+    const hub = new WinEventHub();
+    hub.on('destroy', vi.fn());
+    hub.on('hide', vi.fn());
+    hub.start();
+    expect(win32.api.SetWinEventHook).toHaveBeenCalledTimes(1);
+    const [eventMin, eventMax] = win32.api.SetWinEventHook.mock.calls[0];
+    expect(eventMin).toBe(EVENT_OBJECT_DESTROY);
+    expect(eventMax).toBe(EVENT_OBJECT_HIDE);
+    hub.stop();
+  });
+
+  it('removes a destroyed managed window immediately', () => {
+    const wm = new WindowManager();
+    wm.addWindow(100, 'Window A');
+    wm.addWindow(200, 'Window B');
+    const hub = new WinEventHub();
+    const onDestroy = vi.fn((hwnd) => wm.forgetWindow(hwnd));
+    hub.on('destroy', onDestroy);
+    const fire = startHub(hub);
+    hub.updateManagedSet(wm.getManagedHwnds());
+
+    fire(EVENT_OBJECT_DESTROY, 200);
+
+    expect(onDestroy).toHaveBeenCalledWith(200, 'destroy');
+    expect(wm.getManagedHwnds()).toEqual([100]);
+    expect(wm.activeHwnd).toBe(100);
+    hub.stop();
+  });
+
+  it('ignores unsubscribed events in the range, child objects and unmanaged windows', () => {
+    const hub = new WinEventHub();
+    const onDestroy = vi.fn();
+    const onHide = vi.fn();
+    hub.on('destroy', onDestroy);
+    hub.on('hide', onHide);
+    const fire = startHub(hub);
+    hub.updateManagedSet([100]);
+
+    fire(EVENT_OBJECT_SHOW, 100);
+    fire(EVENT_OBJECT_DESTROY, 100, -4); // OBJID_CLIENT
+    fire(EVENT_OBJECT_DESTROY, 100, 0, 3); // child element
+    fire(EVENT_OBJECT_DESTROY, 999);
+
+    expect(onDestroy).not.toHaveBeenCalled();
+    expect(onHide).not.toHaveBeenCalled();
+    hub.stop();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Pipeline 3c — Title-change pipeline (WinEventHub 'nameChange' → refreshWindowTitle)
+// ---------------------------------------------------------------------------
+describe('Pipeline 3c: title changes', () => {
+  const EVENT_OBJECT_NAMECHANGE = 0x800c;
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('coalesces bursts of name changes into one throttled delivery per window', () => {
+    vi.useFakeTimers();
+    const wm = new WindowManager();
+    wm.addWindow(100, 'Window A');
+    wm.addWindow(200, 'Window B');
+
+    const onTitleChange = vi.fn((hwnd) => wm.refreshWindowTitle(hwnd));
+    const hub = new WinEventHub();
+    hub.on('nameChange', onTitleChange, { throttleMs: 250 });
+    const fire = startHub(hub);
+    hub.updateManagedSet(wm.getManagedHwnds());
+
+    win32.api.GetWindowTextW = vi.fn((h, buf) => {
+      buf[0] = h === 100 ? 'Renamed A' : 'Test';
+      return 9;
+    });
+    for (let i = 0; i < 5; i++) fire(EVENT_OBJECT_NAMECHANGE, 100);
+    fire(EVENT_OBJECT_NAMECHANGE, 999); // unmanaged
+    fire(EVENT_OBJECT_NAMECHANGE, 200, 0, 7); // child element
+
+    expect(onTitleChange).not.toHaveBeenCalled();
+    vi.advanceTimersByTime(250);
+
+    expect(onTitleChange).toHaveBeenCalledTimes(1);
+    expect(onTitleChange).toHaveBeenCalledWith(100, 'nameChange');
+    expect(wm.managedWindows.find((w) => w.hwnd === 100).title).toBe('Renamed A');
+    hub.stop();
+  });
+
+  it('drops pending changes on stop', () => {
+    vi.useFakeTimers();
+    const onTitleChange = vi.fn();
+    const hub = new WinEventHub();
+    hub.on('nameChange', onTitleChange, { throttleMs: 250 });
+    const fire = startHub(hub);
+    hub.updateManagedSet([100]);
+    fire(EVENT_OBJECT_NAMECHANGE, 100);
+
+    hub.stop();
+    vi.advanceTimersByTime(500);
+
+    expect(onTitleChange).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Pipeline 3d — Auto-add (WinEventHub 'show' on any window → rule match → addWindow)
+// ---------------------------------------------------------------------------
+describe('Pipeline 3d: auto-add rules', () => {
+  const EVENT_OBJECT_SHOW = 0x8002;
+
+  it('adds a newly shown window that matches a rule at the rule position', () => {
+    vi.useFakeTimers();
+    const wm = new WindowManager();
+    wm.addWindow(100, 'Existing');
+    wm.setAutoAddRules([{ name: 'Terminal', title: '^Terminal', position: 'bottom' }]);
+    win32.api.GetWindowTextW = vi.fn((h, buf) => {
+      buf[0] = h === 300 ? 'Terminal' : 'Other';
+      return 8;
+    });
+    win32.api.GetWindowTextLengthW = vi.fn(() => 8);
+
+    const hub = new WinEventHub();
+    hub.on(
+      'show',
+      (hwnd) => {
+        const win = wm.getAvailableWindow(hwnd);
+        const rule = win && findMatchingRule(wm.autoAddRules, win);
+        if (rule) wm.addWindow(hwnd, win.title, { index: wm.managedWindows.length, activate: false });
+      },
+      { managedOnly: false, throttleMs: 250 }
+    );
+    const fire = startHub(hub);
+    hub.updateManagedSet(wm.getManagedHwnds());
+
+    fire(EVENT_OBJECT_SHOW, 200);
+    fire(EVENT_OBJECT_SHOW, 300);
+    fire(EVENT_OBJECT_SHOW, 300);
+    expect(wm.getManagedHwnds()).toEqual([100]);
+
+    vi.advanceTimersByTime(250);
+
+    expect(wm.getManagedHwnds()).toEqual([100, 300]);
+    expect(wm.activeHwnd).toBe(100);
+    hub.stop();
+    vi.useRealTimers();
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Pipeline 4 — Remove-window pipeline
 // ---------------------------------------------------------------------------
@@ -356,21 +547,26 @@ describe('Pipeline 6: state persistence', () => {
 
     // All fields required by Persistence.save() must be present
     expect(state).toMatchObject({
-      stackName: 'My Stack',
       hideAvailable: expect.any(Boolean),
       sortAvailableAlpha: expect.any(Boolean),
       backgroundColor: '#ff0000',
-      customWidth: 1200,
-      customHeight: 900,
-      stackGap: 10,
-      topOffset: 20,
       lightMode: true,
-      dynamicReorder: true,
-      windows: expect.any(Array),
+      currentStackId: expect.any(String),
+      stacks: [
+        {
+          stackName: 'My Stack',
+          customWidth: 1200,
+          customHeight: 900,
+          stackGap: 10,
+          topOffset: 20,
+          dynamicReorder: true,
+          windows: expect.any(Array),
+        },
+      ],
     });
 
     // Window entries must be serializable
-    expect(state.windows[0]).toMatchObject({
+    expect(state.stacks[0].windows[0]).toMatchObject({
       hwnd: 12345,
       title: 'Test Window',
       processId: expect.any(Number),
@@ -397,8 +593,8 @@ describe('Pipeline 6: state persistence', () => {
 
     const state = wm.getState();
 
-    expect(state.windows).toHaveLength(1);
-    expect(state.windows[0].hwnd).toBe(100);
+    expect(state.stacks[0].windows).toHaveLength(1);
+    expect(state.stacks[0].windows[0].hwnd).toBe(100);
   });
 
   it('getState returns empty windows array when no windows are managed', () => {
@@ -406,6 +602,6 @@ describe('Pipeline 6: state persistence', () => {
 
     const state = wm.getState();
 
-    expect(state.windows).toEqual([]);
+    expect(state.stacks[0].windows).toEqual([]);
   });
 });
@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// koffi is mocked in setup.mjs, so win32.js loads and its api/koffi members can be patched
+const win32 = require('../../src/main/win32');
+const { AppBar, APP_BAR_CALLBACK_MESSAGE } = require('../../src/main/app-bar');
+
+const monitor = { x: 0, y: 0, width: 1920, height: 1080 };
+
+// Shell stand-in: a bottom taskbar 40px high, and optionally an auto-hide bar on one edge
+let autoHideTaken;
+
+function shell(message, data) {
+  switch (message) {
+    case win32.ABM_QUERYPOS:
+      if (data.uEdge === win32.ABE_BOTTOM) data.rc = { ...data.rc, top: data.rc.top - 40, bottom: 1040 };
+      if (data.uEdge === win32.ABE_LEFT) data.rc = { ...data.rc, bottom: 1040 };
+      return 1;
+    case win32.ABM_SETAUTOHIDEBAREX:
+      return data.lParam && data.uEdge === autoHideTaken ? 0 : 1;
+    default:
+      return 1;
+  }
+}
+
+beforeEach(() => {
+  autoHideTaken = null;
+  win32.api.SHAppBarMessage = vi.fn(shell);
+  win32.koffi.sizeof = vi.fn(() => 48);
+});
+
+const messages = () => win32.api.SHAppBarMessage.mock.calls.map(([message]) => message);
+
+describe('AppBar', () => {
+  it('registers once with its callback message', () => {
+    const bar = new AppBar(0x1234);
+    expect(bar.register()).toBe(true);
+    expect(bar.register()).toBe(true);
+    expect(win32.api.SHAppBarMessage).toHaveBeenCalledTimes(1);
+    expect(win32.api.SHAppBarMessage.mock.calls[0][1]).toMatchObject({
+      cbSize: 48,
+      hWnd: 0x1234,
+      uCallbackMessage: APP_BAR_CALLBACK_MESSAGE,
+    });
+  });
+
+  it('reports a refused registration and does nothing until registered', () => {
+    win32.api.SHAppBarMessage = vi.fn(() => 0);
+    const bar = new AppBar(1);
+    expect(bar.register()).toBe(false);
+    expect(bar.reserve('left', monitor, 300)).toBeNull();
+    expect(bar.autoHide('left', monitor)).toBe(false);
+    bar.unregister();
+    expect(win32.api.SHAppBarMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('reserves the edge, keeping its thickness where the shell moved it past the taskbar', () => {
+    const bar = new AppBar(1);
+    bar.register();
+    expect(bar.reserve('bottom', monitor, 300)).toEqual({ x: 0, y: 740, width: 1920, height: 300 });
+    expect(bar.reserve('left', monitor, 300)).toEqual({ x: 0, y: 0, width: 300, height: 1040 });
+    expect(messages()).toEqual([
+      win32.ABM_NEW,
+      win32.ABM_QUERYPOS,
+      win32.ABM_SETPOS,
+      win32.ABM_QUERYPOS,
+      win32.ABM_SETPOS,
+    ]);
+    expect(bar.reserved).toBe(true);
+  });
+
+  it('hands reserved space back before becoming the auto-hide bar', () => {
+    const bar = new AppBar(1);
+    bar.register();
+    bar.reserve('right', monitor, 300);
+    win32.api.SHAppBarMessage.mockClear();
+
+    expect(bar.autoHide('right', monitor)).toBe(true);
+    expect(messages()).toEqual([win32.ABM_REMOVE, win32.ABM_NEW, win32.ABM_SETAUTOHIDEBAREX]);
+    expect(win32.api.SHAppBarMessage.mock.calls[2][1]).toMatchObject({
+      uEdge: win32.ABE_RIGHT,
+      rc: { left: 0, top: 0, right: 1920, bottom: 1080 },
+      lParam: 1,
+    });
+    expect(bar.reserved).toBe(false);
+  });
+
+  it('fails when the edge already has an auto-hide bar', () => {
+    autoHideTaken = win32.ABE_BOTTOM;
+    const bar = new AppBar(1);
+    bar.register();
+    expect(bar.autoHide('bottom', monitor)).toBe(false);
+    expect(bar.autoHide('top', monitor)).toBe(true);
+  });
+
+  it('gives up its auto-hide edge and unregisters once', () => {
+    const bar = new AppBar(1);
+    bar.register();
+    bar.autoHide('top', monitor);
+    win32.api.SHAppBarMessage.mockClear();
+
+    bar.unregister();
+    bar.unregister();
+    expect(messages()).toEqual([win32.ABM_SETAUTOHIDEBAREX, win32.ABM_REMOVE]);
+    expect(win32.api.SHAppBarMessage.mock.calls[0][1]).toMatchObject({ uEdge: win32.ABE_TOP, lParam: 0 });
+    expect(bar.registered).toBe(false);
+  });
+
+  it('tells the shell about activation and moves only while registered', () => {
+    const bar = new AppBar(1);
+    bar.activate();
+    bar.windowPosChanged();
+    expect(win32.api.SHAppBarMessage).not.toHaveBeenCalled();
+    bar.register();
+    bar.activate();
+    bar.windowPosChanged();
+    expect(messages()).toEqual([win32.ABM_NEW, win32.ABM_ACTIVATE, win32.ABM_WINDOWPOSCHANGED]);
+  });
+
+  it('treats a failing call like a refusal', () => {
+    win32.api.SHAppBarMessage = vi.fn(() => {
+      throw new Error('boom');
+    });
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    expect(new AppBar(1).register()).toBe(false);
+    expect(error).toHaveBeenCalled();
+    error.mockRestore();
+  });
+});
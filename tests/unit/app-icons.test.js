@@ -0,0 +1,89 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { AppIconCache } = require('../../src/main/app-icons');
+
+const ICON = 'data:image/png;base64,AAAA';
+
+describe('AppIconCache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('loads each executable once, ignoring path case', async () => {
+    const loadIcon = vi.fn(() => Promise.resolve(ICON));
+    const cache = new AppIconCache(loadIcon);
+
+    await Promise.all([
+      cache.load(['C:\\Apps\\code.exe', 'c:\\apps\\CODE.exe', '']),
+      cache.load(['C:\\Apps\\code.exe']),
+    ]);
+
+    expect(loadIcon).toHaveBeenCalledTimes(1);
+    expect(cache.get('C:\\APPS\\code.exe')).toBe(ICON);
+    expect(cache.get('')).toBeNull();
+  });
+
+  it('caches failures and empty icons as null', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const loadIcon = vi.fn((exePath) => (exePath.includes('bad') ? Promise.reject(new Error('nope')) : null));
+    const cache = new AppIconCache(loadIcon);
+
+    await cache.load(['C:\\bad.exe', 'C:\\empty.exe']);
+    await cache.load(['C:\\bad.exe', 'C:\\empty.exe']);
+
+    expect(loadIcon).toHaveBeenCalledTimes(2);
+    expect(cache.get('C:\\bad.exe')).toBeNull();
+    expect(cache.get('C:\\empty.exe')).toBeNull();
+  });
+
+  it('withIcons copies entries with their cached icon', async () => {
+    const cache = new AppIconCache(() => Promise.resolve(ICON));
+    await cache.load(['C:\\a.exe']);
+
+    const windows = [
+      { hwnd: 1, exePath: 'C:\\a.exe' },
+      { hwnd: 2, exePath: '' },
+    ];
+    expect(cache.withIcons(windows)).toEqual([
+      { hwnd: 1, exePath: 'C:\\a.exe', icon: ICON },
+      { hwnd: 2, exePath: '', icon: null },
+    ]);
+    expect(windows[0]).not.toHaveProperty('icon');
+  });
+
+  it('fetches missing icons in the background and notifies once', async () => {
+    vi.useFakeTimers();
+    const onLoaded = vi.fn();
+    const cache = new AppIconCache(() => Promise.resolve(ICON), onLoaded);
+
+    const first = cache.withIcons([
+      { hwnd: 1, exePath: 'C:\\a.exe' },
+      { hwnd: 2, exePath: 'C:\\b.exe' },
+    ]);
+    expect(first.map((w) => w.icon)).toEqual([null, null]);
+
+    await vi.advanceTimersByTimeAsync(50);
+    expect(onLoaded).toHaveBeenCalledTimes(1);
+    expect(cache.get('C:\\b.exe')).toBe(ICON);
+
+    // Everything cached: no further background work
+    cache.withIcons([{ hwnd: 1, exePath: 'C:\\a.exe' }]);
+    await vi.advanceTimersByTimeAsync(50);
+    expect(onLoaded).toHaveBeenCalledTimes(1);
+  });
+
+  it('dispose cancels a pending notification', async () => {
+    vi.useFakeTimers();
+    const onLoaded = vi.fn();
+    const cache = new AppIconCache(() => Promise.resolve(ICON), onLoaded);
+
+    cache.withIcons([{ hwnd: 1, exePath: 'C:\\a.exe' }]);
+    await vi.advanceTimersByTimeAsync(0);
+    cache.dispose();
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(onLoaded).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  backupPath,
+  writeFileAtomic,
+  writeFileAtomicSync,
+  readFileWithBackups,
+  readFileWithBackupsSync,
+  removeWithBackups,
+} = require('../../src/main/atomic-file');
+
+const parseJson = (raw) => JSON.parse(raw);
+
+describe('atomic-file', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-atomic-'));
+    file = path.join(tmpDir, 'state.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('replaces the file and keeps the previous versions as backups', async () => {
+    for (let i = 1; i <= 5; i++) await writeFileAtomic(file, `{"n":${i}}`, { backups: 3 });
+
+    expect(fs.readFileSync(file, 'utf-8')).toBe('{"n":5}');
+    expect(fs.readFileSync(backupPath(file, 1), 'utf-8')).toBe('{"n":4}');
+    expect(fs.readFileSync(backupPath(file, 3), 'utf-8')).toBe('{"n":2}');
+    expect(fs.existsSync(backupPath(file, 4))).toBe(false);
+    expect(fs.readdirSync(tmpDir).filter((f) => f.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('writes the same way synchronously', () => {
+    writeFileAtomicSync(file, '{"n":1}');
+    writeFileAtomicSync(file, '{"n":2}');
+
+    expect(fs.readFileSync(file, 'utf-8')).toBe('{"n":2}');
+    expect(fs.readFileSync(backupPath(file, 1), 'utf-8')).toBe('{"n":1}');
+  });
+
+  it('leaves the file untouched and removes the temp file when the write fails', async () => {
+    fs.mkdirSync(file); // renaming over a directory fails
+
+    await expect(writeFileAtomic(file, '{}', { backups: 0 })).rejects.toThrow();
+    expect(() => writeFileAtomicSync(file, '{}', { backups: 0 })).toThrow();
+    expect(fs.readdirSync(tmpDir)).toEqual(['state.json']);
+  });
+
+  it('falls back to the newest backup that parses', async () => {
+    await writeFileAtomic(file, '{"n":1}');
+    await writeFileAtomic(file, '{"n":2}');
+    await writeFileAtomic(file, '{"n":3}');
+    fs.writeFileSync(file, '{"n":'); // truncated
+    fs.writeFileSync(backupPath(file, 1), 'garbage');
+
+    expect(await readFileWithBackups(file, parseJson)).toEqual({ value: { n: 1 }, file: backupPath(file, 2) });
+    expect(readFileWithBackupsSync(file, parseJson)).toEqual({ value: { n: 1 }, file: backupPath(file, 2) });
+  });
+
+  it('lets the parser reject contents that are valid JSON', async () => {
+    await writeFileAtomic(file, '{"n":1}');
+    await writeFileAtomic(file, '[]');
+    const parseObject = (raw) => {
+      const data = JSON.parse(raw);
+      if (Array.isArray(data)) throw new Error('not an object');
+      return data;
+    };
+
+    expect((await readFileWithBackups(file, parseObject)).value).toEqual({ n: 1 });
+  });
+
+  it('returns null when nothing is readable', async () => {
+    expect(await readFileWithBackups(file, parseJson)).toBeNull();
+    fs.writeFileSync(file, 'garbage');
+    expect(readFileWithBackupsSync(file, parseJson)).toBeNull();
+  });
+
+  it('removes the file with its backups', () => {
+    writeFileAtomicSync(file, '{}');
+    writeFileAtomicSync(file, '{}');
+
+    expect(removeWithBackups(file)).toBe(true);
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+    expect(removeWithBackups(file)).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  normalizeRule,
+  normalizeRules,
+  sanitizeRules,
+  ruleMatches,
+  findMatchingRule,
+  MAX_RULES,
+} = require('../../src/main/auto-add-rules');
+
+const SLACK = {
+  title: 'general - Acme - Slack',
+  exePath: 'C:\\Users\\me\\AppData\\Local\\slack\\app-4.41.0\\slack.exe',
+  className: 'Chrome_WidgetWin_1',
+};
+
+describe('normalizeRule', () => {
+  it('fills defaults and trims fields', () => {
+    const rule = normalizeRule({ name: ' Slack ', process: ' slack.exe ' });
+    expect(rule).toMatchObject({
+      name: 'Slack',
+      enabled: true,
+      title: '',
+      process: 'slack.exe',
+      className: '',
+      position: 'top',
+    });
+    expect(typeof rule.id).toBe('string');
+  });
+
+  it('keeps an existing id and a valid position', () => {
+    expect(normalizeRule({ id: 'r1', className: 'CASCADIA_HOSTING_WINDOW_CLASS', position: 'bottom' })).toMatchObject({
+      id: 'r1',
+      position: 'bottom',
+    });
+  });
+
+  it('rejects rules with nothing to match, bad regexes and wrong types', () => {
+    expect(() => normalizeRule({ name: 'Empty' })).toThrow(/needs a title, process or class/);
+    expect(() => normalizeRule({ name: 'Bad', title: '[' })).toThrow(/invalid title pattern/);
+    expect(() => normalizeRule({ title: 42 })).toThrow(/must be a string/);
+    expect(() => normalizeRule({ title: 'x'.repeat(301) })).toThrow(/too long/);
+    expect(() => normalizeRule(null)).toThrow(/must be an object/);
+  });
+});
+
+describe('normalizeRules / sanitizeRules', () => {
+  it('throws on the first invalid rule or a non-array', () => {
+    expect(() => normalizeRules([{ title: 'a' }, {}])).toThrow();
+    expect(() => normalizeRules('x')).toThrow(/array/);
+    expect(() => normalizeRules(Array.from({ length: MAX_RULES + 1 }, () => ({ title: 'a' })))).toThrow(/At most/);
+  });
+
+  it('sanitize drops invalid rules instead of throwing', () => {
+    expect(sanitizeRules([{ title: 'a' }, {}, { title: '(' }])).toHaveLength(1);
+    expect(sanitizeRules(undefined)).toEqual([]);
+  });
+});
+
+describe('ruleMatches', () => {
+  it('matches the title regex case-insensitively', () => {
+    expect(ruleMatches(normalizeRule({ title: 'slack$' }), SLACK)).toBe(true);
+    expect(ruleMatches(normalizeRule({ title: '^Teams' }), SLACK)).toBe(false);
+  });
+
+  it('matches a process by name (with or without .exe) or full path', () => {
+    expect(ruleMatches(normalizeRule({ process: 'Slack.exe' }), SLACK)).toBe(true);
+    expect(ruleMatches(normalizeRule({ process: 'slack' }), SLACK)).toBe(true);
+    expect(ruleMatches(normalizeRule({ process: SLACK.exePath.toUpperCase() }), SLACK)).toBe(true);
+    expect(ruleMatches(normalizeRule({ process: 'C:\\other\\slack.exe' }), SLACK)).toBe(false);
+    expect(ruleMatches(normalizeRule({ process: 'slack.exe' }), { ...SLACK, exePath: '' })).toBe(false);
+  });
+
+  it('requires every matcher to match', () => {
+    const rule = normalizeRule({ process: 'slack.exe', className: 'Other' });
+    expect(ruleMatches(rule, SLACK)).toBe(false);
+    expect(ruleMatches({ ...rule, className: 'Chrome_WidgetWin_1' }, SLACK)).toBe(true);
+  });
+
+  it('never matches a disabled rule', () => {
+    expect(ruleMatches(normalizeRule({ process: 'slack.exe', enabled: false }), SLACK)).toBe(false);
+  });
+});
+
+describe('findMatchingRule', () => {
+  it('returns the first matching rule', () => {
+    const rules = normalizeRules([
+      { id: 'chrome', title: 'Chrome$' },
+      { id: 'electron', className: 'Chrome_WidgetWin_1' },
+      { id: 'slack', process: 'slack.exe' },
+    ]);
+    expect(findMatchingRule(rules, SLACK).id).toBe('electron');
+    expect(findMatchingRule(rules, { title: 'Notepad', exePath: '', className: 'Notepad' })).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { recoverOrphanedStacks, formatRecoveryNotice } = require('../../src/main/crash-recovery');
+
+function writeGroup(dir, id, data) {
+  fs.writeFileSync(path.join(dir, `window-group-${id}.json`), JSON.stringify(data));
+}
+
+function win(hwnd, title, extra = {}) {
+  return { hwnd, title, processId: 10, originalRect: { left: 0, top: 0, right: 800, bottom: 600 }, ...extra };
+}
+
+describe('recoverOrphanedStacks', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-recovery-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('restores the windows of a crashed instance and deletes its file', () => {
+    writeGroup(tmpDir, 'dead', {
+      stackName: 'Work',
+      windows: [win(1, 'Editor', { customTitle: 'Code' }), win(2, 'Gone')],
+    });
+    const restoreWindow = vi.fn((entry) => entry.hwnd === 1);
+
+    const results = recoverOrphanedStacks(tmpDir, new Set(), restoreWindow);
+
+    expect(restoreWindow).toHaveBeenCalledTimes(2);
+    expect(restoreWindow.mock.calls[0][0].originalRect).toEqual({ left: 0, top: 0, right: 800, bottom: 600 });
+    expect(results).toEqual([{ instanceId: 'dead', stackName: 'Work', restored: ['Code'], missing: 1 }]);
+    expect(fs.existsSync(path.join(tmpDir, 'window-group-dead.json'))).toBe(false);
+  });
+
+  it('restores every stack of a version 3 file', () => {
+    writeGroup(tmpDir, 'dead', {
+      version: 3,
+      stacks: [
+        { id: 'a', stackName: 'Work', windows: [win(1, 'Editor')] },
+        { id: 'b', stackName: 'Empty', windows: [] },
+        { id: 'c', stackName: 'Chat', windows: [win(2, 'Slack'), win(3, 'Gone')] },
+      ],
+    });
+    const restoreWindow = vi.fn((entry) => entry.hwnd !== 3);
+
+    const results = recoverOrphanedStacks(tmpDir, new Set(), restoreWindow);
+
+    expect(results).toEqual([
+      { instanceId: 'dead', stackName: 'Work', restored: ['Editor'], missing: 0 },
+      { instanceId: 'dead', stackName: 'Chat', restored: ['Slack'], missing: 1 },
+    ]);
+    expect(fs.existsSync(path.join(tmpDir, 'window-group-dead.json'))).toBe(false);
+  });
+
+  it('leaves files of live instances and unrelated files alone', () => {
+    writeGroup(tmpDir, 'alive', { windows: [win(1, 'Editor')] });
+    fs.writeFileSync(path.join(tmpDir, 'hotkeys.json'), '{}');
+    const restoreWindow = vi.fn(() => true);
+
+    expect(recoverOrphanedStacks(tmpDir, new Set(['alive']), restoreWindow)).toEqual([]);
+    expect(restoreWindow).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(tmpDir, 'window-group-alive.json'))).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, 'hotkeys.json'))).toBe(true);
+  });
+
+  it('still deletes unreadable orphaned files', () => {
+    fs.writeFileSync(path.join(tmpDir, 'window-group-bad.json'), '{broken');
+    expect(recoverOrphanedStacks(tmpDir, new Set(), vi.fn())).toEqual([]);
+    expect(fs.existsSync(path.join(tmpDir, 'window-group-bad.json'))).toBe(false);
+  });
+
+  it('falls back to the newest backup of a file the crash left truncated', () => {
+    const file = path.join(tmpDir, 'window-group-dead.json');
+    fs.writeFileSync(
+      file + '.bak1',
+      JSON.stringify({ version: 3, stacks: [{ stackName: 'Work', windows: [win(1, 'A')] }] })
+    );
+    fs.writeFileSync(file, '{"version":3,"stac');
+
+    const [result] = recoverOrphanedStacks(
+      tmpDir,
+      new Set(),
+      vi.fn(() => true)
+    );
+
+    expect(result).toMatchObject({ stackName: 'Work', restored: ['A'] });
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
+  it('keeps going when restoring one window throws', () => {
+    writeGroup(tmpDir, 'dead', { windows: [win(1, 'A'), win(2, 'B')] });
+    const restoreWindow = vi.fn((entry) => {
+      if (entry.hwnd === 1) throw new Error('boom');
+      return true;
+    });
+
+    const [result] = recoverOrphanedStacks(tmpDir, new Set(), restoreWindow);
+    expect(result).toMatchObject({ stackName: 'Managed Stack', restored: ['B'], missing: 1 });
+  });
+});
+
+describe('formatRecoveryNotice', () => {
+  it('returns null when nothing was restored', () => {
+    expect(formatRecoveryNotice([])).toBeNull();
+    expect(formatRecoveryNotice([{ stackName: 'A', restored: [], missing: 2 }])).toBeNull();
+  });
+
+  it('summarizes restored windows per stack', () => {
+    const notice = formatRecoveryNotice([
+      { stackName: 'Work', restored: ['a', 'b'], missing: 0 },
+      { stackName: 'Chat', restored: ['c'], missing: 1 },
+      { stackName: 'Empty', restored: [], missing: 1 },
+    ]);
+    expect(notice).toContain('Restored 3 windows');
+    expect(notice).toContain('"Work", "Chat"');
+    expect(notice).not.toContain('Empty');
+  });
+});
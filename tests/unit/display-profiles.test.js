@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  MAX_DISPLAY_PROFILES,
+  displayConfigKey,
+  sanitizeDisplayProfiles,
+  rememberProfile,
+  isTitleBarVisible,
+} = require('../../src/main/display-profiles');
+
+const laptop = {
+  bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+  workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+};
+const monitor = {
+  bounds: { x: 1920, y: 0, width: 2560, height: 1440 },
+  workArea: { x: 1920, y: 0, width: 2560, height: 1400 },
+};
+
+const profile = (stackGap) => ({ stackGap, topOffset: 0, customWidth: null, customHeight: 900 });
+
+describe('displayConfigKey', () => {
+  it('identifies the attached displays regardless of order', () => {
+    expect(displayConfigKey([laptop, monitor])).toBe(displayConfigKey([monitor, laptop]));
+    expect(displayConfigKey([laptop])).not.toBe(displayConfigKey([laptop, monitor]));
+  });
+
+  it('ignores work area changes (taskbar moved)', () => {
+    const taskbarLeft = { ...laptop, workArea: { x: 60, y: 0, width: 1860, height: 1080 } };
+    expect(displayConfigKey([taskbarLeft])).toBe(displayConfigKey([laptop]));
+  });
+});
+
+describe('sanitizeDisplayProfiles', () => {
+  it('keeps valid profiles and drops the rest', () => {
+    expect(
+      sanitizeDisplayProfiles({
+        a: { ...profile(10), extra: true },
+        b: { ...profile(10), customWidth: 50 },
+        c: 'nope',
+      })
+    ).toEqual({ a: profile(10) });
+    expect(sanitizeDisplayProfiles([profile(1)])).toEqual({});
+    expect(sanitizeDisplayProfiles(null)).toEqual({});
+  });
+
+  it('keeps only the newest profiles', () => {
+    const profiles = {};
+    for (let i = 0; i < MAX_DISPLAY_PROFILES + 2; i++) profiles['k' + i] = profile(i);
+    const kept = Object.keys(sanitizeDisplayProfiles(profiles));
+    expect(kept).toHaveLength(MAX_DISPLAY_PROFILES);
+    expect(kept[0]).toBe('k2');
+  });
+});
+
+describe('rememberProfile', () => {
+  it('stores the stack settings as the newest profile for the configuration', () => {
+    const stack = { ...profile(5), displayProfiles: { docked: profile(40), other: profile(1) } };
+    rememberProfile(stack, 'docked');
+    expect(stack.displayProfiles.docked).toEqual(profile(5));
+    expect(Object.keys(stack.displayProfiles)).toEqual(['other', 'docked']);
+  });
+});
+
+describe('isTitleBarVisible', () => {
+  const workAreas = [laptop.workArea];
+
+  it('accepts a controller whose title bar is on a work area', () => {
+    expect(isTitleBarVisible({ x: 0, y: 0, width: 300, height: 900 }, workAreas)).toBe(true);
+    expect(isTitleBarVisible({ x: 1800, y: 100, width: 300, height: 900 }, workAreas)).toBe(true);
+  });
+
+  it('rejects a controller left on a monitor that is gone or hanging off an edge', () => {
+    expect(isTitleBarVisible({ x: 2200, y: 0, width: 300, height: 900 }, workAreas)).toBe(false);
+    expect(isTitleBarVisible({ x: 1880, y: 0, width: 300, height: 900 }, workAreas)).toBe(false);
+    expect(isTitleBarVisible({ x: 0, y: -500, width: 300, height: 900 }, workAreas)).toBe(false);
+  });
+});
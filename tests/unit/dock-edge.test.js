@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  DOCK_EDGES,
+  APP_BAR_MODES,
+  isDockEdge,
+  isAppBarMode,
+  isHorizontalDock,
+  edgeStrip,
+  dockedControllerBounds,
+} = require('../../src/main/dock-edge');
+
+const workArea = { x: 1920, y: 0, width: 2560, height: 1400 };
+const defaults = { width: 300, height: 320 };
+
+describe('isDockEdge', () => {
+  it('accepts the four screen edges only', () => {
+    for (const edge of DOCK_EDGES) expect(isDockEdge(edge)).toBe(true);
+    for (const value of ['center', 'LEFT', '', null, undefined, 0]) expect(isDockEdge(value)).toBe(false);
+  });
+
+  it('tells the top and bottom docks apart from the side ones', () => {
+    expect(DOCK_EDGES.filter(isHorizontalDock)).toEqual(['top', 'bottom']);
+  });
+});
+
+describe('isAppBarMode', () => {
+  it('accepts the AppBar modes only', () => {
+    for (const mode of APP_BAR_MODES) expect(isAppBarMode(mode)).toBe(true);
+    for (const value of ['on', true, null, undefined]) expect(isAppBarMode(value)).toBe(false);
+  });
+});
+
+describe('edgeStrip', () => {
+  it('cuts a strip of the given thickness along each edge', () => {
+    expect(edgeStrip('left', workArea, 4)).toEqual({ x: 1920, y: 0, width: 4, height: 1400 });
+    expect(edgeStrip('right', workArea, 4)).toEqual({ x: 4476, y: 0, width: 4, height: 1400 });
+    expect(edgeStrip('top', workArea, 4)).toEqual({ x: 1920, y: 0, width: 2560, height: 4 });
+    expect(edgeStrip('bottom', workArea, 4)).toEqual({ x: 1920, y: 1396, width: 2560, height: 4 });
+  });
+});
+
+describe('dockedControllerBounds', () => {
+  it('spans a side edge at the current width', () => {
+    const bounds = { width: 350, height: 900 };
+    expect(dockedControllerBounds('left', workArea, bounds, defaults)).toEqual({
+      x: 1920,
+      y: 0,
+      width: 350,
+      height: 1400,
+    });
+    expect(dockedControllerBounds('right', workArea, bounds, defaults)).toEqual({
+      x: 4130,
+      y: 0,
+      width: 350,
+      height: 1400,
+    });
+  });
+
+  it('spans the top or bottom edge at the current height', () => {
+    const bounds = { width: 2560, height: 250 };
+    expect(dockedControllerBounds('top', workArea, bounds, defaults)).toEqual({
+      x: 1920,
+      y: 0,
+      width: 2560,
+      height: 250,
+    });
+    expect(dockedControllerBounds('bottom', workArea, bounds, defaults)).toEqual({
+      x: 1920,
+      y: 1150,
+      width: 2560,
+      height: 250,
+    });
+  });
+
+  it('uses the default thickness when the current one would cover half the work area', () => {
+    const sideDocked = { width: 300, height: 1400 };
+    expect(dockedControllerBounds('bottom', workArea, sideDocked, defaults)).toMatchObject({ y: 1080, height: 320 });
+    const topDocked = { width: 2560, height: 320 };
+    expect(dockedControllerBounds('left', workArea, topDocked, defaults)).toMatchObject({ width: 300 });
+  });
+});
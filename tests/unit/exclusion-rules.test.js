@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  normalizeExclusionRules,
+  sanitizeExclusionRules,
+  isExcluded,
+  ruleFromWindow,
+  ExclusionStore,
+} = require('../../src/main/exclusion-rules');
+const { MAX_RULES } = require('../../src/main/auto-add-rules');
+
+const HELPER = {
+  title: 'MSCTFIME UI',
+  exePath: 'C:\\Program Files\\Helper\\helper.exe',
+  className: 'MSCTFIME UI',
+};
+
+describe('normalizeExclusionRules', () => {
+  it('normalizes matchers without an auto-add position', () => {
+    const [rule] = normalizeExclusionRules([{ name: ' Helper ', process: 'helper.exe' }]);
+    expect(rule).toMatchObject({ name: 'Helper', enabled: true, process: 'helper.exe', title: '', className: '' });
+    expect(rule).not.toHaveProperty('position');
+  });
+
+  it('throws on invalid input', () => {
+    expect(() => normalizeExclusionRules('x')).toThrow('array');
+    expect(() => normalizeExclusionRules([{ name: 'Empty' }])).toThrow('needs a title, process or class');
+    expect(() => normalizeExclusionRules([{ title: '[' }])).toThrow('invalid title pattern');
+    expect(() => normalizeExclusionRules(Array.from({ length: MAX_RULES + 1 }, () => ({ title: 'a' })))).toThrow(
+      `At most ${MAX_RULES}`
+    );
+  });
+});
+
+describe('sanitizeExclusionRules', () => {
+  it('drops invalid rules and non-arrays', () => {
+    expect(sanitizeExclusionRules([{ className: 'A' }, { name: 'none' }])).toHaveLength(1);
+    expect(sanitizeExclusionRules(null)).toEqual([]);
+  });
+});
+
+describe('isExcluded', () => {
+  it('matches any enabled rule', () => {
+    const rules = normalizeExclusionRules([
+      { process: 'other.exe' },
+      { process: 'helper', enabled: false },
+      { title: '^msctfime' },
+    ]);
+    expect(isExcluded(rules, HELPER)).toBe(true);
+    expect(isExcluded(rules.slice(0, 2), HELPER)).toBe(false);
+    expect(isExcluded([], HELPER)).toBe(false);
+  });
+});
+
+describe('ruleFromWindow', () => {
+  it('prefers the executable name', () => {
+    const rule = ruleFromWindow(HELPER);
+    expect(rule).toMatchObject({ name: 'helper.exe', process: 'helper.exe', className: '', title: '' });
+    expect(isExcluded([rule], { ...HELPER, title: 'Another helper window' })).toBe(true);
+  });
+
+  it('falls back to the window class, then the exact title', () => {
+    expect(ruleFromWindow({ title: 'x', className: 'Tooltip' })).toMatchObject({ className: 'Tooltip', process: '' });
+
+    const rule = ruleFromWindow({ title: 'Untitled (1) - App' });
+    expect(rule.title).toBe('^Untitled \\(1\\) - App$');
+    expect(isExcluded([rule], { title: 'Untitled (1) - App' })).toBe(true);
+    expect(isExcluded([rule], { title: 'Untitled (1) - App 2' })).toBe(false);
+  });
+});
+
+describe('ExclusionStore', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-filters-'));
+    filePath = path.join(tmpDir, 'available-filters.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('defaults to hiding cloaked windows with no rules', () => {
+    const store = new ExclusionStore(filePath);
+    store.load();
+    expect(store.getFilters()).toEqual({ rules: [], hideCloaked: true });
+  });
+
+  it('saves and loads filters, dropping invalid saved rules', () => {
+    const store = new ExclusionStore(filePath);
+    store.save({ rules: normalizeExclusionRules([{ process: 'helper.exe' }]), hideCloaked: false });
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    data.rules.push({ name: 'broken' });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    const other = new ExclusionStore(filePath);
+    other.load();
+    expect(other.getFilters()).toMatchObject({ hideCloaked: false, rules: [{ process: 'helper.exe' }] });
+    expect(other.rules).toHaveLength(1);
+  });
+
+  it('keeps the other setting when saving only one', () => {
+    const store = new ExclusionStore(filePath);
+    store.save({ rules: normalizeExclusionRules([{ className: 'A' }]) });
+    store.save({ hideCloaked: false });
+    expect(store.getFilters()).toMatchObject({ hideCloaked: false, rules: [{ className: 'A' }] });
+  });
+
+  it('reloads when another instance rewrites the file', () => {
+    const mine = new ExclusionStore(filePath);
+    mine.save({ rules: [] });
+    expect(mine.reloadIfChanged()).toBe(false);
+
+    const theirs = new ExclusionStore(filePath);
+    theirs.save({ rules: normalizeExclusionRules([{ className: 'B' }]) });
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, later, later);
+
+    expect(mine.reloadIfChanged()).toBe(true);
+    expect(mine.getFilters().rules).toMatchObject([{ className: 'B' }]);
+    expect(mine.reloadIfChanged()).toBe(false);
+  });
+
+  it('keeps filters in memory without a file path', () => {
+    const store = new ExclusionStore(null);
+    store.load();
+    store.save({ hideCloaked: false });
+    expect(store.reloadIfChanged()).toBe(false);
+    expect(store.getFilters().hideCloaked).toBe(false);
+  });
+});
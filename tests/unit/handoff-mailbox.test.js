@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HandoffMailbox, adoptHandedOffWindow } = require('../../src/main/handoff-mailbox');
+
+const entry = {
+  hwnd: 1001,
+  title: 'Editor',
+  customTitle: 'Code',
+  processId: 10,
+  originalRect: { left: 0, top: 0, right: 800, bottom: 600 },
+};
+
+describe('HandoffMailbox', () => {
+  let rootDir;
+  let boxes;
+
+  function mailbox(id, onMessage = vi.fn()) {
+    const box = new HandoffMailbox(rootDir, id, onMessage);
+    boxes.push(box);
+    return box;
+  }
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-handoff-'));
+    boxes = [];
+  });
+
+  afterEach(() => {
+    for (const box of boxes) box.stop();
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('delivers a sent window to the target inbox exactly once', () => {
+    const received = vi.fn();
+    const source = mailbox('a');
+    const target = mailbox('b', received);
+    source.start();
+    target.start();
+
+    expect(source.send('b', entry, 'stack-1')).toBe(true);
+    target.drain();
+    target.drain();
+
+    expect(received).toHaveBeenCalledTimes(1);
+    expect(received.mock.calls[0][0]).toMatchObject({ from: 'a', targetStackId: 'stack-1', window: entry });
+    expect(fs.readdirSync(target.inboxDir)).toEqual([]);
+  });
+
+  it('refuses to send to an instance without an inbox', () => {
+    const source = mailbox('a');
+    source.start();
+    expect(source.send('gone', entry)).toBe(false);
+  });
+
+  it('drops unreadable messages and ignores unfinished temp files', () => {
+    const received = vi.fn();
+    const target = mailbox('b', received);
+    target.start();
+    fs.writeFileSync(path.join(target.inboxDir, '1-bad.json'), '{broken');
+    fs.writeFileSync(path.join(target.inboxDir, '2-x.json.tmp'), '{}');
+
+    target.drain();
+
+    expect(received).not.toHaveBeenCalled();
+    expect(fs.readdirSync(target.inboxDir)).toEqual(['2-x.json.tmp']);
+  });
+
+  it('returns undelivered messages when stopped and removes its inbox', () => {
+    const source = mailbox('a');
+    const target = mailbox('b');
+    source.start();
+    target.start();
+    source.send('b', entry);
+
+    const undelivered = target.stop();
+
+    expect(undelivered.map((m) => m.window)).toEqual([entry]);
+    expect(fs.existsSync(target.inboxDir)).toBe(false);
+  });
+
+  it('collects messages left for instances that are no longer running', () => {
+    const source = mailbox('a');
+    source.start();
+    mailbox('dead').start();
+    mailbox('alive').start();
+    source.send('dead', entry);
+    source.send('alive', { ...entry, hwnd: 2002 });
+
+    const orphaned = source.collectOrphaned(new Set(['a', 'alive']));
+
+    expect(orphaned.map((m) => m.window.hwnd)).toEqual([1001]);
+    expect(fs.existsSync(path.join(rootDir, 'dead'))).toBe(false);
+    expect(fs.readdirSync(path.join(rootDir, 'alive'))).toHaveLength(1);
+  });
+});
+
+describe('adoptHandedOffWindow', () => {
+  const message = { from: 'a', targetStackId: 'stack-1', window: entry };
+
+  function fakeWindowManager() {
+    return {
+      getStack: vi.fn((id) => (id === 'stack-1' ? { id } : null)),
+      adoptWindow: vi.fn(() => true),
+      restoreOrphanedWindow: vi.fn(() => true),
+      selectStack: vi.fn(),
+    };
+  }
+
+  it('claims the window, then adopts it into the target stack', async () => {
+    const wm = fakeWindowManager();
+    const claim = vi.fn(async () => {});
+
+    expect(await adoptHandedOffWindow(message, wm, claim)).toBe(true);
+    expect(claim).toHaveBeenCalledWith(1001);
+    expect(wm.adoptWindow).toHaveBeenCalledWith(entry, 'stack-1');
+    expect(wm.selectStack).toHaveBeenCalledWith('stack-1');
+    expect(wm.restoreOrphanedWindow).not.toHaveBeenCalled();
+  });
+
+  it('restores the window to its original rect when the claim fails', async () => {
+    const wm = fakeWindowManager();
+    const claim = vi.fn(async () => {
+      throw new Error('The instance registry is busy, try again');
+    });
+
+    expect(await adoptHandedOffWindow(message, wm, claim)).toBe(false);
+    expect(wm.adoptWindow).not.toHaveBeenCalled();
+    expect(wm.restoreOrphanedWindow).toHaveBeenCalledWith(entry);
+  });
+
+  it('restores the window when it cannot be adopted', async () => {
+    const wm = fakeWindowManager();
+    wm.adoptWindow.mockReturnValue(false);
+
+    expect(await adoptHandedOffWindow({ ...message, targetStackId: 'gone' }, wm, async () => {})).toBe(false);
+    expect(wm.adoptWindow).toHaveBeenCalledWith(entry, undefined);
+    expect(wm.restoreOrphanedWindow).toHaveBeenCalledWith(entry);
+    expect(wm.selectStack).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { HotkeyManager, HOTKEY_ACTIONS, validateAccelerator } = require('../../src/main/hotkeys');
+
+/** Minimal stand-in for Electron's globalShortcut. */
+function createFakeGlobalShortcut({ taken = [] } = {}) {
+  const callbacks = new Map();
+  return {
+    callbacks,
+    register: vi.fn((accelerator, cb) => {
+      if (taken.includes(accelerator) || callbacks.has(accelerator)) return false;
+      callbacks.set(accelerator, cb);
+      return true;
+    }),
+    unregister: vi.fn((accelerator) => callbacks.delete(accelerator)),
+    press(accelerator) {
+      callbacks.get(accelerator)();
+    },
+  };
+}
+
+describe('validateAccelerator', () => {
+  it('accepts modifier + key combinations and bare function keys', () => {
+    expect(validateAccelerator('Ctrl+Alt+Down')).toBeNull();
+    expect(validateAccelerator('Super+Shift+5')).toBeNull();
+    expect(validateAccelerator('F13')).toBeNull();
+  });
+
+  it('rejects bare keys, modifier-only and malformed accelerators', () => {
+    expect(validateAccelerator('A')).toMatch(/modifier/);
+    expect(validateAccelerator('Ctrl+Alt')).toMatch(/exactly one/);
+    expect(validateAccelerator('Ctrl+A+B')).toMatch(/exactly one/);
+    expect(validateAccelerator('Ctrl++')).toMatch(/Malformed/);
+    expect(validateAccelerator('')).not.toBeNull();
+    expect(validateAccelerator(42)).not.toBeNull();
+  });
+});
+
+describe('HotkeyManager', () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-hotkeys-'));
+    filePath = path.join(tmpDir, 'hotkeys.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('registers every default binding and dispatches the action', () => {
+    const gs = createFakeGlobalShortcut();
+    const onAction = vi.fn();
+    const hk = new HotkeyManager(gs, onAction, filePath);
+    hk.registerAll();
+
+    expect(gs.register).toHaveBeenCalledTimes(HOTKEY_ACTIONS.length);
+    gs.press('Ctrl+Alt+3');
+    expect(onAction).toHaveBeenCalledWith('jump3');
+  });
+
+  it('records shortcuts owned by someone else without throwing', () => {
+    const gs = createFakeGlobalShortcut({ taken: ['Ctrl+Alt+Up'] });
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+
+    const previous = hk.getBindings().find((b) => b.action === 'previous');
+    expect(previous).toMatchObject({ registered: false, error: 'Shortcut is already in use' });
+    expect(hk.getBindings().find((b) => b.action === 'next').registered).toBe(true);
+  });
+
+  it('rebinds an action, saves it and reloads it in a new manager', () => {
+    const gs = createFakeGlobalShortcut();
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+
+    expect(hk.setBinding('next', 'Ctrl+Shift+J')).toEqual({ success: true });
+    expect(gs.unregister).toHaveBeenCalledWith('Ctrl+Alt+Down');
+    expect(gs.callbacks.has('Ctrl+Shift+J')).toBe(true);
+
+    const reloaded = new HotkeyManager(createFakeGlobalShortcut(), vi.fn(), filePath);
+    reloaded.load();
+    expect(reloaded.getAccelerator('next')).toBe('Ctrl+Shift+J');
+    expect(reloaded.getAccelerator('previous')).toBe('Ctrl+Alt+Up');
+  });
+
+  it('disables an action with null', () => {
+    const gs = createFakeGlobalShortcut();
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+
+    expect(hk.setBinding('toggleController', null).success).toBe(true);
+    expect(gs.callbacks.has('Ctrl+Alt+S')).toBe(false);
+    expect(hk.getBindings().find((b) => b.action === 'toggleController')).toMatchObject({
+      accelerator: null,
+      registered: false,
+      error: null,
+    });
+  });
+
+  it('rejects unknown actions, invalid accelerators and clashes with another action', () => {
+    const hk = new HotkeyManager(createFakeGlobalShortcut(), vi.fn(), filePath);
+    hk.registerAll();
+
+    expect(hk.setBinding('explode', 'Ctrl+X').error).toMatch(/Unknown hotkey action/);
+    expect(hk.setBinding('next', 'J').error).toMatch(/modifier/);
+    expect(hk.setBinding('next', 'Ctrl+Alt+Up').error).toBe('Already bound to "Previous window"');
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+
+  it('keeps the previous binding when the new one cannot be registered', () => {
+    const gs = createFakeGlobalShortcut({ taken: ['Ctrl+Shift+K'] });
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+
+    const result = hk.setBinding('next', 'Ctrl+Shift+K');
+    expect(result).toEqual({ success: false, error: 'Shortcut is already in use' });
+    expect(hk.getAccelerator('next')).toBe('Ctrl+Alt+Down');
+    expect(gs.callbacks.has('Ctrl+Alt+Down')).toBe(true);
+    expect(hk.getBindings().find((b) => b.action === 'next').error).toBeNull();
+  });
+
+  it('drops unknown actions and invalid accelerators from a saved file', () => {
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ version: 1, bindings: { next: 'Q', previous: null, bogus: 'Ctrl+B', jump1: 'Ctrl+Shift+1' } })
+    );
+    const hk = new HotkeyManager(createFakeGlobalShortcut(), vi.fn(), filePath);
+    hk.load();
+
+    expect(hk.getAccelerator('next')).toBe('Ctrl+Alt+Down');
+    expect(hk.getAccelerator('previous')).toBeNull();
+    expect(hk.getAccelerator('jump1')).toBe('Ctrl+Shift+1');
+  });
+
+  it('survives a corrupt bindings file', () => {
+    fs.writeFileSync(filePath, '{not json');
+    const hk = new HotkeyManager(createFakeGlobalShortcut(), vi.fn(), filePath);
+    expect(() => hk.load()).not.toThrow();
+    expect(hk.getAccelerator('next')).toBe('Ctrl+Alt+Down');
+  });
+
+  it('resets overrides back to the defaults', () => {
+    const gs = createFakeGlobalShortcut();
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+    hk.setBinding('next', 'Ctrl+Shift+J');
+
+    hk.resetToDefaults();
+
+    expect(hk.getAccelerator('next')).toBe('Ctrl+Alt+Down');
+    expect(gs.callbacks.has('Ctrl+Shift+J')).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf-8')).bindings).toEqual({});
+  });
+
+  it('unregisters everything it registered', () => {
+    const gs = createFakeGlobalShortcut();
+    const hk = new HotkeyManager(gs, vi.fn(), filePath);
+    hk.registerAll();
+    hk.unregisterAll();
+
+    expect(gs.callbacks.size).toBe(0);
+    expect(hk.getBindings().every((b) => !b.registered)).toBe(true);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { InstanceBus } = require('../../src/main/instance-bus');
+
+const stacks = [{ id: 's1', stackName: 'Work' }];
+
+/** Resolve once `check()` holds (polling), or fail after a second. */
+async function until(check) {
+  const deadline = Date.now() + 1000;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((r) => setTimeout(r, 10));
+  }
+}
+
+function peerOf(bus, id) {
+  return bus.getPeers().find((p) => p.instanceId === id);
+}
+
+describe.skipIf(process.platform === 'win32')('InstanceBus', () => {
+  let socketDir;
+  let buses;
+
+  async function startBus(id) {
+    const bus = new InstanceBus(id, { socketDir });
+    buses.push(bus);
+    expect(await bus.start()).toBe(true);
+    return bus;
+  }
+
+  beforeEach(() => {
+    socketDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-bus-'));
+    buses = [];
+  });
+
+  afterEach(() => {
+    for (const bus of buses) bus.stop();
+    fs.rmSync(socketDir, { recursive: true, force: true });
+  });
+
+  it('exchanges full state when a peer connects', async () => {
+    const a = await startBus('a');
+    a.publish({ managedHwnds: [1, 2], stacks });
+    const b = await startBus('b');
+    b.publish({ managedHwnds: [3], stacks: [] });
+
+    b.connectPeers(['a', 'b']);
+
+    await until(() => peerOf(a, 'b') && peerOf(b, 'a'));
+    expect(peerOf(b, 'a')).toEqual({ instanceId: 'a', managedHwnds: [1, 2], stacks });
+    expect(peerOf(a, 'b')).toEqual({ instanceId: 'b', managedHwnds: [3], stacks: [] });
+  });
+
+  it('broadcasts claims, releases and stack renames as they happen', async () => {
+    const a = await startBus('a');
+    const b = await startBus('b');
+    const changed = vi.fn();
+    b.on('change', changed);
+    b.connectPeers(['a']);
+    await until(() => peerOf(a, 'b') && peerOf(b, 'a'));
+
+    a.publish({ managedHwnds: [1, 2], stacks });
+    await until(() => peerOf(b, 'a').managedHwnds.length === 2 && peerOf(b, 'a').stacks.length === 1);
+
+    a.publish({ managedHwnds: [2, 5], stacks: [{ id: 's1', stackName: 'Play' }] });
+    await until(() => peerOf(b, 'a').stacks[0].stackName === 'Play' && peerOf(b, 'a').managedHwnds.includes(5));
+
+    expect(peerOf(b, 'a').managedHwnds.sort()).toEqual([2, 5]);
+    expect(changed).toHaveBeenCalledWith('a');
+  });
+
+  it('drops a peer that quits', async () => {
+    const a = await startBus('a');
+    const b = await startBus('b');
+    b.connectPeers(['a']);
+    await until(() => peerOf(b, 'a'));
+    const changed = vi.fn();
+    b.on('change', changed);
+
+    a.stop();
+
+    await until(() => !peerOf(b, 'a'));
+    expect(changed).toHaveBeenCalledWith('a');
+  });
+
+  it('does not retry an unreachable instance right away', async () => {
+    const b = await startBus('b');
+    const connect = vi.spyOn(net, 'createConnection');
+
+    b.connectPeers(['gone']);
+    await until(() => !b._connecting.has('gone'));
+    b.connectPeers(['gone']);
+
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(b.getPeers()).toEqual([]);
+    connect.mockRestore();
+  });
+
+  it('ignores malformed messages and invalid handles', async () => {
+    const b = await startBus('b');
+    const socket = net.createConnection(b.endpointFor('b'));
+    socket.write('{broken\n');
+    socket.write(JSON.stringify({ type: 'hello', from: 'x', managedHwnds: [7, -1, 'a'], stacks: [{ id: 1 }] }) + '\n');
+
+    await until(() => peerOf(b, 'x'));
+    expect(peerOf(b, 'x')).toEqual({ instanceId: 'x', managedHwnds: [7], stacks: [] });
+    socket.destroy();
+    await until(() => !peerOf(b, 'x'));
+  });
+});
@@ -52,12 +52,12 @@ function getRegistryClass() {
  * (which requires app.getPath to work via CJS require).
  * Equivalent to what init() does after app.getPath() succeeds.
  */
-function makeInitializedRegistry() {
+async function makeInitializedRegistry() {
   const InstanceRegistry = getRegistryClass();
   const registry = new InstanceRegistry();
   registry.filePath = REGISTRY_FILE;
   registry.instanceId = crypto.randomUUID();
-  registry._register();
+  await registry._register();
   registry._startHeartbeat();
   return registry;
 }
@@ -70,10 +70,7 @@ function ensureTestDir() {
 
 function cleanupRegistry() {
   try {
-    if (fs.existsSync(REGISTRY_FILE)) fs.unlinkSync(REGISTRY_FILE);
-  } catch (_) {}
-  try {
-    if (fs.existsSync(REGISTRY_FILE + '.tmp')) fs.unlinkSync(REGISTRY_FILE + '.tmp');
+    require('../../src/main/atomic-file').removeWithBackups(REGISTRY_FILE);
   } catch (_) {}
 }
 
@@ -103,9 +100,7 @@ describe('InstanceRegistry', () => {
       const InstanceRegistry = getRegistryClass();
       const registry = new InstanceRegistry();
       const id = registry.init(); // app.getPath will fail, but UUID is still returned
-      expect(id).toMatch(
-        /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i,
-      );
+      expect(id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i);
     });
 
     it('returns a different instanceId each time', () => {
@@ -124,22 +119,22 @@ describe('InstanceRegistry', () => {
       expect(registry.instanceId).toBe(id);
     });
 
-    it('sets filePath when app.getPath succeeds (direct property test)', () => {
+    it('sets filePath when app.getPath succeeds (direct property test)', async () => {
       // Test the filePath assignment logic directly
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
       expect(registry.filePath).toBe(REGISTRY_FILE);
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('registers the instance in the file after manual init', () => {
-      const registry = makeInitializedRegistry();
+    it('registers the instance in the file after manual init', async () => {
+      const registry = await makeInitializedRegistry();
       const data = JSON.parse(fs.readFileSync(registry.filePath, 'utf-8'));
       expect(data.instances).toHaveProperty(registry.instanceId);
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('starts the heartbeat interval after manual init', () => {
-      const registry = makeInitializedRegistry();
+    it('starts the heartbeat interval after manual init', async () => {
+      const registry = await makeInitializedRegistry();
       expect(registry._heartbeatInterval).toBeDefined();
       expect(registry._heartbeatInterval).not.toBeNull();
       clearInterval(registry._heartbeatInterval);
@@ -150,8 +145,8 @@ describe('InstanceRegistry', () => {
   // 2. _register()
   // ───────────────────────────────────────────────────────────────────────────
   describe('_register()', () => {
-    it('adds entry with pid, startedAt, managedHwnds:[], lastHeartbeat', () => {
-      const registry = makeInitializedRegistry();
+    it('adds entry with pid, startedAt, managedHwnds:[], lastHeartbeat', async () => {
+      const registry = await makeInitializedRegistry();
       const data = JSON.parse(fs.readFileSync(registry.filePath, 'utf-8'));
       const entry = data.instances[registry.instanceId];
 
@@ -165,11 +160,11 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('preserves existing instances when registering a new one', () => {
-      const r1 = makeInitializedRegistry();
+    it('preserves existing instances when registering a new one', async () => {
+      const r1 = await makeInitializedRegistry();
       const id1 = r1.instanceId;
 
-      const r2 = makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
       const id2 = r2.instanceId;
 
       const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
@@ -180,10 +175,10 @@ describe('InstanceRegistry', () => {
       clearInterval(r2._heartbeatInterval);
     });
 
-    it('creates the registry file if it does not exist', () => {
+    it('creates the registry file if it does not exist', async () => {
       // File was cleaned up in beforeEach
       expect(fs.existsSync(REGISTRY_FILE)).toBe(false);
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
       expect(fs.existsSync(REGISTRY_FILE)).toBe(true);
       clearInterval(registry._heartbeatInterval);
     });
@@ -193,8 +188,8 @@ describe('InstanceRegistry', () => {
   // 3. unregister()
   // ───────────────────────────────────────────────────────────────────────────
   describe('unregister()', () => {
-    it('removes this instance from the registry', () => {
-      const registry = makeInitializedRegistry();
+    it('removes this instance from the registry', async () => {
+      const registry = await makeInitializedRegistry();
       const id = registry.instanceId;
       registry.unregister();
 
@@ -205,17 +200,17 @@ describe('InstanceRegistry', () => {
       }
     });
 
-    it('deletes the registry file when it is the last instance', () => {
-      const registry = makeInitializedRegistry();
+    it('deletes the registry file when it is the last instance', async () => {
+      const registry = await makeInitializedRegistry();
       registry.unregister();
       expect(fs.existsSync(REGISTRY_FILE)).toBe(false);
     });
 
-    it('keeps the file when other instances remain', () => {
-      const r1 = makeInitializedRegistry();
+    it('keeps the file when other instances remain', async () => {
+      const r1 = await makeInitializedRegistry();
       const id1 = r1.instanceId;
 
-      const r2 = makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
 
       // Unregister only r2
       r2.unregister();
@@ -227,8 +222,8 @@ describe('InstanceRegistry', () => {
       clearInterval(r1._heartbeatInterval);
     });
 
-    it('clears the heartbeat interval', () => {
-      const registry = makeInitializedRegistry();
+    it('clears the heartbeat interval', async () => {
+      const registry = await makeInitializedRegistry();
       expect(registry._heartbeatInterval).toBeDefined();
       expect(registry._heartbeatInterval).not.toBeNull();
 
@@ -236,9 +231,9 @@ describe('InstanceRegistry', () => {
       expect(registry._heartbeatInterval).toBeNull();
     });
 
-    it('cancels any pending debounce timer', () => {
+    it('cancels any pending debounce timer', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
       // Schedule a debounced write
       registry.updateManagedHwnds([1, 2, 3]);
@@ -255,8 +250,8 @@ describe('InstanceRegistry', () => {
   // 4. _pruneDeadInstances()
   // ───────────────────────────────────────────────────────────────────────────
   describe('_pruneDeadInstances()', () => {
-    it('removes entries whose PID is dead', () => {
-      const registry = makeInitializedRegistry();
+    it('removes entries whose PID is dead', async () => {
+      const registry = await makeInitializedRegistry();
 
       const deadPid = 99999;
       const killSpy = vi.spyOn(process, 'kill').mockImplementation((pid) => {
@@ -290,8 +285,8 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('removes entries with stale lastHeartbeat (>5 minutes old)', () => {
-      const registry = makeInitializedRegistry();
+    it('removes entries with stale lastHeartbeat (>5 minutes old)', async () => {
+      const registry = await makeInitializedRegistry();
 
       const staleTime = new Date(Date.now() - 6 * 60 * 1000).toISOString(); // 6 min ago
       const freshTime = new Date().toISOString();
@@ -321,8 +316,8 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('keeps entries with alive PIDs and fresh heartbeats', () => {
-      const registry = makeInitializedRegistry();
+    it('keeps entries with alive PIDs and fresh heartbeats', async () => {
+      const registry = await makeInitializedRegistry();
 
       const input = {
         instances: {
@@ -343,8 +338,8 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('handles entries with no lastHeartbeat (keeps them if PID alive)', () => {
-      const registry = makeInitializedRegistry();
+    it('handles entries with no lastHeartbeat (keeps them if PID alive)', async () => {
+      const registry = await makeInitializedRegistry();
 
       const input = {
         instances: {
@@ -364,8 +359,8 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('returns empty instances when all are dead', () => {
-      const registry = makeInitializedRegistry();
+    it('returns empty instances when all are dead', async () => {
+      const registry = await makeInitializedRegistry();
 
       const killSpy = vi.spyOn(process, 'kill').mockImplementation(() => {
         throw new Error('ESRCH');
@@ -400,11 +395,11 @@ describe('InstanceRegistry', () => {
   // 5. getOtherInstancesHwnds() — CQS: read-only, no writes
   // ───────────────────────────────────────────────────────────────────────────
   describe('getOtherInstancesHwnds()', () => {
-    it('returns hwnds from other instances only', () => {
-      const r1 = makeInitializedRegistry();
+    it('returns hwnds from other instances only', async () => {
+      const r1 = await makeInitializedRegistry();
       const id1 = r1.instanceId;
 
-      const r2 = makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
 
       // Manually write hwnds for r1 in the registry
       const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
@@ -412,7 +407,7 @@ describe('InstanceRegistry', () => {
       fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
 
       // r2 should see r1's hwnds
-      const hwnds = r2.getOtherInstancesHwnds();
+      const hwnds = await r2.getOtherInstancesHwnds();
       expect(hwnds).toBeInstanceOf(Set);
       expect(hwnds.has(111)).toBe(true);
       expect(hwnds.has(222)).toBe(true);
@@ -422,8 +417,8 @@ describe('InstanceRegistry', () => {
       clearInterval(r2._heartbeatInterval);
     });
 
-    it("does NOT include this instance's own hwnds", () => {
-      const registry = makeInitializedRegistry();
+    it("does NOT include this instance's own hwnds", async () => {
+      const registry = await makeInitializedRegistry();
       const id = registry.instanceId;
 
       // Manually set this instance's hwnds
@@ -431,49 +426,49 @@ describe('InstanceRegistry', () => {
       data.instances[id].managedHwnds = [999];
       fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
 
-      const hwnds = registry.getOtherInstancesHwnds();
+      const hwnds = await registry.getOtherInstancesHwnds();
       expect(hwnds.has(999)).toBe(false);
 
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('returns empty Set when no other instances exist', () => {
-      const registry = makeInitializedRegistry();
+    it('returns empty Set when no other instances exist', async () => {
+      const registry = await makeInitializedRegistry();
 
-      const hwnds = registry.getOtherInstancesHwnds();
+      const hwnds = await registry.getOtherInstancesHwnds();
       expect(hwnds).toBeInstanceOf(Set);
       expect(hwnds.size).toBe(0);
 
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('does NOT call _writeRegistry (CQS: read-only)', () => {
-      const registry = makeInitializedRegistry();
+    it('does NOT call _writeFile (CQS: read-only)', async () => {
+      const registry = await makeInitializedRegistry();
 
-      const writeSpy = vi.spyOn(registry, '_writeRegistry');
-      registry.getOtherInstancesHwnds();
+      const writeSpy = vi.spyOn(registry, '_writeFile');
+      await registry.getOtherInstancesHwnds();
 
       expect(writeSpy).not.toHaveBeenCalled();
 
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('returns empty Set when registry file does not exist', () => {
+    it('returns empty Set when registry file does not exist', async () => {
       const InstanceRegistry = getRegistryClass();
       const registry = new InstanceRegistry();
       registry.instanceId = 'test-id';
       registry.filePath = path.join(TEST_USER_DATA, 'nonexistent-registry.json');
       // Don't call _register() — file doesn't exist
 
-      const hwnds = registry.getOtherInstancesHwnds();
+      const hwnds = await registry.getOtherInstancesHwnds();
       expect(hwnds).toBeInstanceOf(Set);
       expect(hwnds.size).toBe(0);
     });
 
-    it('aggregates hwnds from multiple other instances', () => {
-      const r1 = makeInitializedRegistry();
-      const r2 = makeInitializedRegistry();
-      const r3 = makeInitializedRegistry();
+    it('aggregates hwnds from multiple other instances', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+      const r3 = await makeInitializedRegistry();
 
       // Set hwnds for r1 and r2
       const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
@@ -482,7 +477,7 @@ describe('InstanceRegistry', () => {
       fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
 
       // r3 should see both r1 and r2's hwnds
-      const hwnds = r3.getOtherInstancesHwnds();
+      const hwnds = await r3.getOtherInstancesHwnds();
       expect(hwnds.has(10)).toBe(true);
       expect(hwnds.has(20)).toBe(true);
       expect(hwnds.has(30)).toBe(true);
@@ -498,11 +493,11 @@ describe('InstanceRegistry', () => {
   // 6. updateManagedHwnds() — debounce
   // ───────────────────────────────────────────────────────────────────────────
   describe('updateManagedHwnds()', () => {
-    it('does not write immediately (debounced)', () => {
+    it('does not write immediately (debounced)', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
-      const writeSpy = vi.spyOn(registry, '_writeRegistry');
+      const writeSpy = vi.spyOn(registry, '_writeFile');
       writeSpy.mockClear();
 
       registry.updateManagedHwnds([10, 20]);
@@ -513,15 +508,16 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('writes after debounce delay (2000ms)', () => {
+    it('writes after debounce delay (2000ms)', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
-      const writeSpy = vi.spyOn(registry, '_writeRegistry');
+      const writeSpy = vi.spyOn(registry, '_writeFile');
       writeSpy.mockClear();
 
       registry.updateManagedHwnds([10, 20]);
-      vi.advanceTimersByTime(2000);
+      await vi.advanceTimersByTimeAsync(2000);
+      await registry.whenIdle();
 
       expect(writeSpy).toHaveBeenCalledTimes(1);
 
@@ -529,32 +525,35 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('resets the debounce timer on repeated calls', () => {
+    it('resets the debounce timer on repeated calls', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
-      const writeSpy = vi.spyOn(registry, '_writeRegistry');
+      const writeSpy = vi.spyOn(registry, '_writeFile');
       writeSpy.mockClear();
 
       registry.updateManagedHwnds([1]);
-      vi.advanceTimersByTime(1000); // halfway
+      await vi.advanceTimersByTimeAsync(1000); // halfway
       registry.updateManagedHwnds([1, 2]); // reset timer
-      vi.advanceTimersByTime(1000); // only 1s after reset — should NOT fire yet
+      await vi.advanceTimersByTimeAsync(1000); // only 1s after reset — should NOT fire yet
+      await registry.whenIdle();
       expect(writeSpy).not.toHaveBeenCalled();
 
-      vi.advanceTimersByTime(1000); // now 2s after last call — should fire
+      await vi.advanceTimersByTimeAsync(1000); // now 2s after last call — should fire
+      await registry.whenIdle();
       expect(writeSpy).toHaveBeenCalledTimes(1);
 
       vi.useRealTimers();
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('persists the hwnds to the registry file after debounce', () => {
+    it('persists the hwnds to the registry file after debounce', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
       registry.updateManagedHwnds([42, 43, 44]);
-      vi.advanceTimersByTime(2000);
+      await vi.advanceTimersByTimeAsync(2000);
+      await registry.whenIdle();
 
       vi.useRealTimers();
 
@@ -564,14 +563,33 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('sets _debounceTimer to non-null while pending', () => {
+    it('persists the stack list when one is given', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
+
+      registry.updateManagedHwnds([42], [{ id: 's1', stackName: 'Work' }]);
+      await vi.advanceTimersByTimeAsync(2000);
+      registry.updateManagedHwnds([43]);
+      await vi.advanceTimersByTimeAsync(2000);
+      await registry.whenIdle();
+
+      vi.useRealTimers();
+
+      const entry = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8')).instances[registry.instanceId];
+      expect(entry.managedHwnds).toEqual([43]);
+      expect(entry.stacks).toEqual([{ id: 's1', stackName: 'Work' }]);
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('sets _debounceTimer to non-null while pending', async () => {
+      vi.useFakeTimers();
+      const registry = await makeInitializedRegistry();
 
       registry.updateManagedHwnds([1]);
       expect(registry._debounceTimer).not.toBeNull();
 
-      vi.advanceTimersByTime(2000);
+      await vi.advanceTimersByTimeAsync(2000);
       expect(registry._debounceTimer).toBeNull();
 
       vi.useRealTimers();
@@ -579,50 +597,261 @@ describe('InstanceRegistry', () => {
     });
   });
 
+  // ───────────────────────────────────────────────────────────────────────────
+  // 6b. getOtherInstances()
+  // ───────────────────────────────────────────────────────────────────────────
+  describe('getOtherInstances()', () => {
+    it('lists other instances with their windows and stacks', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      data.instances[r1.instanceId].managedHwnds = [111];
+      data.instances[r1.instanceId].stacks = [{ id: 's1', stackName: 'Work' }, { id: 42 }];
+      delete data.instances[r2.instanceId].stacks;
+      fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
+
+      expect(await r2.getOtherInstances()).toEqual([
+        { instanceId: r1.instanceId, managedHwnds: [111], stacks: [{ id: 's1', stackName: 'Work' }] },
+      ]);
+      expect(await r1.getOtherInstances()).toEqual([{ instanceId: r2.instanceId, managedHwnds: [], stacks: [] }]);
+
+      clearInterval(r1._heartbeatInterval);
+      clearInterval(r2._heartbeatInterval);
+    });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // 6c. claimWindow()
+  // ───────────────────────────────────────────────────────────────────────────
+  describe('claimWindow()', () => {
+    it('records the window for this instance right away', async () => {
+      const registry = await makeInitializedRegistry();
+
+      expect(await registry.claimWindow(42)).toEqual({ claimed: true });
+      expect(await registry.claimWindow(42)).toEqual({ claimed: true });
+
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      expect(data.instances[registry.instanceId].managedHwnds).toEqual([42]);
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('refuses a window another live instance manages', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+
+      await r1.claimWindow(42);
+
+      expect(await r2.claimWindow(42)).toEqual({ claimed: false, ownerId: r1.instanceId });
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      expect(data.instances[r2.instanceId].managedHwnds).toEqual([]);
+
+      clearInterval(r1._heartbeatInterval);
+      clearInterval(r2._heartbeatInterval);
+    });
+
+    it('ignores claims of dead instances', async () => {
+      const registry = await makeInitializedRegistry();
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      data.instances['dead-instance'] = { pid: 999999999, managedHwnds: [42] };
+      fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
+
+      expect(await registry.claimWindow(42)).toEqual({ claimed: true });
+      const after = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      expect(after.instances).not.toHaveProperty('dead-instance');
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('registers this instance again if it was pruned', async () => {
+      const registry = await makeInitializedRegistry();
+      fs.writeFileSync(REGISTRY_FILE, JSON.stringify({ instances: {} }), 'utf-8');
+
+      expect(await registry.claimWindow(42)).toEqual({ claimed: true });
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      expect(data.instances[registry.instanceId]).toMatchObject({ pid: process.pid, managedHwnds: [42] });
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('throws instead of claiming without the lock', async () => {
+      const realLockfile = require('proper-lockfile');
+      const registry = await makeInitializedRegistry();
+      registry._lockOptions = { stale: 10000, retries: { retries: 1, minTimeout: 10, maxTimeout: 10 } };
+      const release = realLockfile.lockSync(REGISTRY_FILE);
+
+      try {
+        await expect(registry.claimWindow(42)).rejects.toThrow(/registry is busy/);
+      } finally {
+        release();
+      }
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('writes a release immediately so another instance can claim the window', async () => {
+      vi.useFakeTimers();
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+      await r1.claimWindow(42);
+
+      r1.updateManagedHwnds([]);
+      await r1.whenIdle();
+
+      expect(r1._debounceTimer).toBeNull();
+      expect(await r2.claimWindow(42)).toEqual({ claimed: true });
+
+      vi.useRealTimers();
+      clearInterval(r1._heartbeatInterval);
+      clearInterval(r2._heartbeatInterval);
+    });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // 6c'. Asynchronous I/O
+  // ───────────────────────────────────────────────────────────────────────────
+  describe('asynchronous I/O', () => {
+    it('waits for a lock held by another instance without blocking the event loop', async () => {
+      const realLockfile = require('proper-lockfile');
+      const registry = await makeInitializedRegistry();
+      registry._lockOptions = { stale: 10000, retries: { retries: 10, minTimeout: 20, maxTimeout: 20 } };
+      const release = realLockfile.lockSync(REGISTRY_FILE);
+      let ticks = 0;
+      const ticker = setInterval(() => ticks++, 5);
+
+      const claim = registry.claimWindow(42);
+      await new Promise((r) => setTimeout(r, 100));
+      release();
+
+      expect(await claim).toEqual({ claimed: true });
+      clearInterval(ticker);
+      expect(ticks).toBeGreaterThan(5);
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('drops queued writes once unregistered', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+
+      const pending = r2._flushManagedHwnds([5]);
+      r2.unregister();
+      await pending;
+
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      expect(data.instances).toHaveProperty(r1.instanceId);
+      expect(data.instances).not.toHaveProperty(r2.instanceId);
+
+      clearInterval(r1._heartbeatInterval);
+    });
+  });
+
+  // ───────────────────────────────────────────────────────────────────────────
+  // 6d. Process identity — PID reuse, purging
+  // ───────────────────────────────────────────────────────────────────────────
+  describe.skipIf(process.platform !== 'linux')('process identity', () => {
+    function addEntry(id, entry) {
+      const data = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8'));
+      data.instances[id] = { lastHeartbeat: new Date().toISOString(), managedHwnds: [], ...entry };
+      fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
+    }
+
+    it('records the process start time on registration', async () => {
+      const registry = await makeInitializedRegistry();
+
+      const entry = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf-8')).instances[registry.instanceId];
+      expect(typeof entry.startTime).toBe('number');
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('treats an entry whose PID now belongs to another process as dead', async () => {
+      const registry = await makeInitializedRegistry();
+      const ownStart = (await registry.getRegistry()).instances[registry.instanceId].startTime;
+      addEntry('reused-pid', { pid: process.pid, startTime: ownStart - 1000, managedHwnds: [55] });
+      addEntry('legacy', { pid: process.pid, managedHwnds: [66] });
+
+      expect(await registry.getOtherInstancesHwnds()).toEqual(new Set([66]));
+      expect((await registry.getOtherInstances()).map((i) => i.instanceId)).toEqual(['legacy']);
+      expect(await registry.getLiveInstanceIds()).toEqual(new Set([registry.instanceId, 'legacy']));
+      expect(await registry.claimWindow(55)).toEqual({ claimed: true });
+
+      clearInterval(registry._heartbeatInterval);
+    });
+
+    it('purges dead and stale entries on demand', async () => {
+      const registry = await makeInitializedRegistry();
+      addEntry('dead', { pid: 999999999 });
+      addEntry('stale', { pid: process.pid, lastHeartbeat: new Date(Date.now() - 6 * 60 * 1000).toISOString() });
+      addEntry('alive', { pid: process.pid });
+
+      expect((await registry.purgeStaleInstances()).sort()).toEqual(['dead', 'stale']);
+      expect(Object.keys((await registry.getRegistry()).instances).sort()).toEqual(
+        ['alive', registry.instanceId].sort()
+      );
+      expect(await registry.purgeStaleInstances()).toEqual([]);
+
+      clearInterval(registry._heartbeatInterval);
+    });
+  });
+
   // ───────────────────────────────────────────────────────────────────────────
   // 7. getRegistry()
   // ───────────────────────────────────────────────────────────────────────────
   describe('getRegistry()', () => {
-    it('returns the current registry data', () => {
-      const registry = makeInitializedRegistry();
+    it('returns the current registry data', async () => {
+      const registry = await makeInitializedRegistry();
       const id = registry.instanceId;
 
-      const data = registry.getRegistry();
+      const data = await registry.getRegistry();
       expect(data).toHaveProperty('instances');
       expect(data.instances).toHaveProperty(id);
 
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('returns { instances: {} } when no file exists', () => {
+    it('returns { instances: {} } when no file exists', async () => {
       const InstanceRegistry = getRegistryClass();
       const registry = new InstanceRegistry();
       registry.filePath = path.join(TEST_USER_DATA, 'nonexistent-registry.json');
 
-      const data = registry.getRegistry();
+      const data = await registry.getRegistry();
       expect(data).toEqual({ instances: {} });
     });
 
-    it('reflects updates after updateManagedHwnds flush', () => {
+    it('reflects updates after updateManagedHwnds flush', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
       registry.updateManagedHwnds([77, 88]);
-      vi.advanceTimersByTime(2000);
+      await vi.advanceTimersByTimeAsync(2000);
 
       vi.useRealTimers();
 
-      const data = registry.getRegistry();
+      const data = await registry.getRegistry();
       expect(data.instances[registry.instanceId].managedHwnds).toEqual([77, 88]);
 
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('returns all registered instances', () => {
-      const r1 = makeInitializedRegistry();
-      const r2 = makeInitializedRegistry();
+    it('falls back to the newest backup when the file is corrupt', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
+      fs.writeFileSync(REGISTRY_FILE, '{"instances": {', 'utf-8');
+
+      const data = await r2.getRegistry();
+      expect(data.instances).toHaveProperty(r1.instanceId);
+
+      clearInterval(r1._heartbeatInterval);
+      clearInterval(r2._heartbeatInterval);
+    });
+
+    it('returns all registered instances', async () => {
+      const r1 = await makeInitializedRegistry();
+      const r2 = await makeInitializedRegistry();
 
-      const data = r1.getRegistry();
+      const data = await r1.getRegistry();
       expect(Object.keys(data.instances).length).toBeGreaterThanOrEqual(2);
       expect(data.instances).toHaveProperty(r1.instanceId);
       expect(data.instances).toHaveProperty(r2.instanceId);
@@ -636,16 +865,16 @@ describe('InstanceRegistry', () => {
   // 8. Heartbeat (_startHeartbeat)
   // ───────────────────────────────────────────────────────────────────────────
   describe('_startHeartbeat()', () => {
-    it('updates lastHeartbeat timestamp after 60 seconds', () => {
+    it('updates lastHeartbeat timestamp after 60 seconds', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
-      const before = registry.getRegistry().instances[registry.instanceId].lastHeartbeat;
+      const before = (await registry.getRegistry()).instances[registry.instanceId].lastHeartbeat;
 
       // Advance time by 60 seconds to trigger heartbeat
-      vi.advanceTimersByTime(60000);
+      await vi.advanceTimersByTimeAsync(60000);
 
-      const after = registry.getRegistry().instances[registry.instanceId].lastHeartbeat;
+      const after = (await registry.getRegistry()).instances[registry.instanceId].lastHeartbeat;
       // The heartbeat should have updated the timestamp
       expect(new Date(after).getTime()).toBeGreaterThanOrEqual(new Date(before).getTime());
 
@@ -653,8 +882,8 @@ describe('InstanceRegistry', () => {
       clearInterval(registry._heartbeatInterval);
     });
 
-    it('heartbeat interval is cleared after unregister()', () => {
-      const registry = makeInitializedRegistry();
+    it('heartbeat interval is cleared after unregister()', async () => {
+      const registry = await makeInitializedRegistry();
       expect(registry._heartbeatInterval).toBeDefined();
       expect(registry._heartbeatInterval).not.toBeNull();
 
@@ -662,9 +891,9 @@ describe('InstanceRegistry', () => {
       expect(registry._heartbeatInterval).toBeNull();
     });
 
-    it('heartbeat prunes stale instances', () => {
+    it('heartbeat prunes stale instances', async () => {
       vi.useFakeTimers();
-      const registry = makeInitializedRegistry();
+      const registry = await makeInitializedRegistry();
 
       // Manually add a stale instance to the registry
       const staleTime = new Date(Date.now() - 6 * 60 * 1000).toISOString();
@@ -678,11 +907,11 @@ describe('InstanceRegistry', () => {
       fs.writeFileSync(REGISTRY_FILE, JSON.stringify(data, null, 2), 'utf-8');
 
       // Trigger heartbeat
-      vi.advanceTimersByTime(60000);
+      await vi.advanceTimersByTimeAsync(60000);
 
       vi.useRealTimers();
 
-      const after = registry.getRegistry();
+      const after = await registry.getRegistry();
       expect(after.instances).not.toHaveProperty('stale-ghost');
 
       clearInterval(registry._heartbeatInterval);
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { planLayout, MIN_STACK_WIDTH } = require('../../src/main/layout-planner');
+const { HEADER_HEIGHT } = require('../../src/main/layout-strategies');
+
+// Controller occupies x 0..300, display is 1920 wide
+const SCREEN = { x: 0, y: 0, width: 300, height: 1040, displayRightEdge: 1920 };
+
+function makeState(hwnds, overrides = {}) {
+  return {
+    windows: hwnds.map((hwnd) => ({ hwnd, minimized: false, maximized: false })),
+    activeHwnd: hwnds[hwnds.length - 1] || 0,
+    layoutStrategy: 'stack',
+    stackGap: 0,
+    topOffset: 0,
+    customWidth: null,
+    customHeight: null,
+    ...overrides,
+  };
+}
+
+describe('planLayout', () => {
+  it('returns an empty, not-ok plan when there are no windows', () => {
+    const plan = planLayout(makeState([]), SCREEN);
+    expect(plan.ok).toBe(false);
+    expect(plan.targets).toEqual([]);
+    expect(plan.warnings).toEqual([]);
+  });
+
+  it('computes the region right of the controller, honoring gap and top offset', () => {
+    const plan = planLayout(makeState([1], { stackGap: 20, topOffset: 40 }), SCREEN);
+    expect(plan.region).toEqual({ x: 320, y: 40, width: 1600, height: 1000 });
+  });
+
+  it('lays out the strip stack with the active window last', () => {
+    const plan = planLayout(makeState([1, 2, 3], { activeHwnd: 2 }), SCREEN);
+    expect(plan.ok).toBe(true);
+    expect(plan.targets.map((t) => t.hwnd)).toEqual([1, 3, 2]);
+    expect(plan.zOrder).toEqual([2, 3, 1]);
+    expect(plan.targets[2].y).toBe(2 * HEADER_HEIGHT);
+    expect(plan.headerHeight).toBe(HEADER_HEIGHT);
+  });
+
+  it('falls back to the first window when activeHwnd is stale', () => {
+    const plan = planLayout(makeState([1, 2], { activeHwnd: 99 }), SCREEN);
+    expect(plan.activeHwnd).toBe(1);
+    expect(plan.zOrder[0]).toBe(1);
+  });
+
+  it('marks minimized or maximized windows for restore', () => {
+    const state = makeState([1, 2]);
+    state.windows[0].minimized = true;
+    const plan = planLayout(state, SCREEN);
+    expect(plan.targets.find((t) => t.hwnd === 1).restore).toBe(true);
+    expect(plan.targets.find((t) => t.hwnd === 2).restore).toBe(false);
+  });
+
+  it('reports the shrunk header height and warns about it', () => {
+    const hwnds = Array.from({ length: 20 }, (_, i) => i + 1);
+    const plan = planLayout(makeState(hwnds), SCREEN);
+    // floor(1040 * 0.6) = 624; 19 strips → floor(624 / 19) = 32
+    expect(plan.headerHeight).toBe(32);
+    expect(plan.warnings.some((w) => w.includes('32px'))).toBe(true);
+  });
+
+  it('warns and skips when there is not enough room beside the controller', () => {
+    const plan = planLayout(makeState([1]), { ...SCREEN, displayRightEdge: 300 + MIN_STACK_WIDTH - 1 });
+    expect(plan.ok).toBe(false);
+    expect(plan.targets).toEqual([]);
+    expect(plan.warnings[0]).toMatch(/Not enough space/);
+  });
+
+  it('warns when custom dimensions are clamped', () => {
+    const plan = planLayout(makeState([1], { customWidth: 5000, customHeight: 800 }), SCREEN);
+    expect(plan.region.width).toBe(1620);
+    expect(plan.region.height).toBe(800);
+    expect(plan.warnings).toEqual(['Custom width 5000px clamped to 1620px']);
+  });
+
+  it('uses the requested strategy and falls back to the stack for unknown names', () => {
+    expect(planLayout(makeState([1, 2], { layoutStrategy: 'columns' }), SCREEN).strategy).toBe('columns');
+    expect(planLayout(makeState([1, 2], { layoutStrategy: 'spiral' }), SCREEN).strategy).toBe('stack');
+  });
+
+  it('leaves skipHwnd out of the plan', () => {
+    const plan = planLayout(makeState([1, 2]), SCREEN, 1);
+    expect(plan.targets.map((t) => t.hwnd)).toEqual([2]);
+  });
+
+  describe('dock edges', () => {
+    const workArea = { x: 0, y: 0, width: 1920, height: 1040 };
+    const docked = (dockEdge, controller) => ({ dockEdge, controller, workArea });
+
+    it('matches the original bounds when docked left', () => {
+      const state = makeState([1, 2], { stackGap: 20, topOffset: 40, customWidth: 800 });
+      const plan = planLayout(state, docked('left', { x: 0, y: 0, width: 300, height: 900 }));
+      expect(plan).toEqual(planLayout(state, SCREEN));
+    });
+
+    it('puts the stack left of a controller docked right, next to it', () => {
+      const controller = { x: 1620, y: 0, width: 300, height: 1040 };
+      expect(planLayout(makeState([1], { stackGap: 20 }), docked('right', controller)).region).toEqual({
+        x: 0,
+        y: 0,
+        width: 1600,
+        height: 1040,
+      });
+      expect(planLayout(makeState([1], { customWidth: 800 }), docked('right', controller)).region.x).toBe(820);
+    });
+
+    it('puts the stack below a controller docked top, with vertical strips', () => {
+      const plan = planLayout(
+        makeState([1, 2, 3], { stackGap: 10, topOffset: 30 }),
+        docked('top', { x: 0, y: 0, width: 1920, height: 300 })
+      );
+      expect(plan.region).toEqual({ x: 0, y: 340, width: 1920, height: 700 });
+      expect(plan.targets[1]).toMatchObject({ x: HEADER_HEIGHT, y: 340, cy: 700 });
+      expect(plan.targets[2]).toMatchObject({ x: 2 * HEADER_HEIGHT, cx: 1920 - 2 * HEADER_HEIGHT });
+    });
+
+    it('puts the stack above a controller docked bottom, next to it', () => {
+      const controller = { x: 0, y: 740, width: 1920, height: 300 };
+      expect(planLayout(makeState([1], { customHeight: 500 }), docked('bottom', controller)).region).toEqual({
+        x: 0,
+        y: 240,
+        width: 1920,
+        height: 500,
+      });
+    });
+
+    it('names the side that is too small', () => {
+      const plan = planLayout(makeState([1]), docked('bottom', { x: 0, y: 150, width: 1920, height: 890 }));
+      expect(plan.ok).toBe(false);
+      expect(plan.warnings).toEqual([`Not enough space above the controller (150px, need ${MIN_STACK_WIDTH}px)`]);
+    });
+  });
+
+  it('does not mutate the input state', () => {
+    const state = makeState([1, 2]);
+    const copy = JSON.parse(JSON.stringify(state));
+    planLayout(state, SCREEN);
+    expect(state).toEqual(copy);
+  });
+});
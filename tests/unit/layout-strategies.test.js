@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// koffi is mocked in setup.mjs, so win32.js (for the SWP_* flags) loads fine
+const {
+  HEADER_HEIGHT,
+  DEFAULT_LAYOUT_STRATEGY,
+  computeHeaderHeight,
+  getLayoutStrategy,
+  isLayoutStrategy,
+  listLayoutStrategies,
+} = require('../../src/main/layout-strategies');
+
+const REGION = { x: 300, y: 0, width: 1200, height: 1000 };
+
+function makeCtx(hwnds, activeHwnd, overrides = {}) {
+  return {
+    windows: hwnds.map((hwnd) => ({ hwnd })),
+    activeHwnd,
+    region: REGION,
+    skipHwnd: 0,
+    needsRestore: () => false,
+    ...overrides,
+  };
+}
+
+describe('layout-strategies', () => {
+  // ─── Registry ───────────────────────────────────────────────────────────────
+
+  describe('registry', () => {
+    it('defaults to the strip stack', () => {
+      expect(DEFAULT_LAYOUT_STRATEGY).toBe('stack');
+    });
+
+    it('lists every strategy with an id and label', () => {
+      const ids = listLayoutStrategies().map((s) => s.id);
+      expect(ids).toEqual(['stack', 'grid', 'columns', 'cascade', 'monocle']);
+      listLayoutStrategies().forEach((s) => expect(typeof s.label).toBe('string'));
+    });
+
+    it('recognizes known names only', () => {
+      expect(isLayoutStrategy('grid')).toBe(true);
+      expect(isLayoutStrategy('spiral')).toBe(false);
+      expect(isLayoutStrategy('toString')).toBe(false);
+      expect(isLayoutStrategy(null)).toBe(false);
+    });
+
+    it('falls back to the strip stack for unknown names', () => {
+      expect(getLayoutStrategy('spiral')).toBe(getLayoutStrategy('stack'));
+    });
+  });
+
+  // ─── computeHeaderHeight ────────────────────────────────────────────────────
+
+  describe('computeHeaderHeight', () => {
+    it('uses HEADER_HEIGHT when strips fit in 60% of the height', () => {
+      expect(computeHeaderHeight(3, 1000)).toBe(HEADER_HEIGHT);
+    });
+
+    it('shrinks strips when they exceed 60% of the height', () => {
+      // floor(1040 * 0.6) = 624; 19 * 40 = 760 > 624 → floor(624 / 19) = 32
+      expect(computeHeaderHeight(19, 1040)).toBe(32);
+    });
+
+    it('never goes below 10px', () => {
+      expect(computeHeaderHeight(500, 1000)).toBe(10);
+    });
+  });
+
+  // ─── Strategies ─────────────────────────────────────────────────────────────
+
+  describe('stack', () => {
+    it('puts inactive strips on top and the active window below them', () => {
+      const targets = getLayoutStrategy('stack')(makeCtx([1, 2, 3], 2));
+      expect(targets.map((t) => t.hwnd)).toEqual([1, 3, 2]);
+      expect(targets[0]).toMatchObject({ x: 300, y: 0, cx: 1200, cy: 1000 });
+      expect(targets[1]).toMatchObject({ y: HEADER_HEIGHT });
+      expect(targets[2]).toMatchObject({ y: 2 * HEADER_HEIGHT, cy: 1000 - 2 * HEADER_HEIGHT });
+    });
+
+    it('keeps the slot of a skipped strip', () => {
+      const targets = getLayoutStrategy('stack')(makeCtx([1, 2, 3], 3, { skipHwnd: 1 }));
+      expect(targets.map((t) => t.hwnd)).toEqual([2, 3]);
+      expect(targets[0].y).toBe(HEADER_HEIGHT);
+    });
+
+    it('runs the strips down the left edge when vertical', () => {
+      const targets = getLayoutStrategy('stack')(makeCtx([1, 2, 3], 2, { vertical: true }));
+      expect(targets.map((t) => t.hwnd)).toEqual([1, 3, 2]);
+      expect(targets[0]).toMatchObject({ x: 300, y: 0, cx: 1200, cy: 1000 });
+      expect(targets[1]).toMatchObject({ x: 300 + HEADER_HEIGHT, y: 0 });
+      expect(targets[2]).toMatchObject({ x: 300 + 2 * HEADER_HEIGHT, y: 0, cx: 1200 - 2 * HEADER_HEIGHT, cy: 1000 });
+    });
+  });
+
+  describe('grid', () => {
+    it('tiles four windows in a 2x2 grid', () => {
+      const targets = getLayoutStrategy('grid')(makeCtx([1, 2, 3, 4], 1));
+      const byHwnd = Object.fromEntries(targets.map((t) => [t.hwnd, t]));
+      expect(byHwnd[1]).toMatchObject({ x: 300, y: 0, cx: 600, cy: 500 });
+      expect(byHwnd[4]).toMatchObject({ x: 900, y: 500, cx: 600, cy: 500 });
+    });
+
+    it('stretches the last row across the full width', () => {
+      const targets = getLayoutStrategy('grid')(makeCtx([1, 2, 3], 1));
+      const last = targets.find((t) => t.hwnd === 3);
+      expect(last).toMatchObject({ x: 300, y: 500, cx: 1200 });
+    });
+
+    it('emits the active window last so it ends up on top', () => {
+      const targets = getLayoutStrategy('grid')(makeCtx([1, 2, 3, 4], 2));
+      expect(targets[targets.length - 1].hwnd).toBe(2);
+    });
+  });
+
+  describe('columns', () => {
+    it('splits the region into equal-width full-height columns', () => {
+      const targets = getLayoutStrategy('columns')(makeCtx([1, 2, 3], 3));
+      const byHwnd = Object.fromEntries(targets.map((t) => [t.hwnd, t]));
+      expect(byHwnd[1]).toMatchObject({ x: 300, cx: 400, cy: 1000 });
+      expect(byHwnd[2]).toMatchObject({ x: 700 });
+      expect(byHwnd[3]).toMatchObject({ x: 1100 });
+    });
+  });
+
+  describe('cascade', () => {
+    it('offsets windows diagonally with the active window at the end', () => {
+      const targets = getLayoutStrategy('cascade')(makeCtx([1, 2, 3], 1));
+      expect(targets.map((t) => t.hwnd)).toEqual([2, 3, 1]);
+      expect(targets[0]).toMatchObject({ x: 300, y: 0 });
+      expect(targets[1]).toMatchObject({ x: 300 + HEADER_HEIGHT, y: HEADER_HEIGHT });
+      expect(targets[2]).toMatchObject({
+        x: 300 + 2 * HEADER_HEIGHT,
+        y: 2 * HEADER_HEIGHT,
+        cx: 1200 - 2 * HEADER_HEIGHT,
+        cy: 1000 - 2 * HEADER_HEIGHT,
+      });
+    });
+  });
+
+  describe('monocle', () => {
+    it('gives every window the full region', () => {
+      const targets = getLayoutStrategy('monocle')(makeCtx([1, 2], 1));
+      targets.forEach((t) => expect(t).toMatchObject({ x: 300, y: 0, cx: 1200, cy: 1000 }));
+      expect(targets[targets.length - 1].hwnd).toBe(1);
+    });
+  });
+
+  it('every strategy passes the restore flag through', () => {
+    for (const { id } of listLayoutStrategies()) {
+      const targets = getLayoutStrategy(id)(makeCtx([1, 2], 1, { needsRestore: (hwnd) => hwnd === 2 }));
+      expect(targets.find((t) => t.hwnd === 2).restore).toBe(true);
+      expect(targets.find((t) => t.hwnd === 1).restore).toBe(false);
+    }
+  });
+});
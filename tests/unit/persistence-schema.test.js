@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const { CURRENT_VERSION, migrate, serialize } = require('../../src/main/persistence-schema');
+
+const win = { hwnd: 1, title: 'Editor', originalRect: { left: 0, top: 0, right: 800, bottom: 600 } };
+
+describe('persistence schema', () => {
+  it('migrates an unversioned (version 1) file to the current version', () => {
+    const warn = vi.fn();
+    const data = migrate({ stackName: 'Work', lightMode: true, stackGap: 4, windows: [win] }, warn);
+
+    expect(data).toEqual({
+      version: CURRENT_VERSION,
+      savedAt: null,
+      hideAvailable: false,
+      sortAvailableAlpha: false,
+      backgroundColor: '#000000',
+      lightMode: true,
+      dockEdge: 'left',
+      appBarMode: 'off',
+      currentStackId: null,
+      stacks: [
+        {
+          id: null,
+          stackName: 'Work',
+          customWidth: null,
+          customHeight: null,
+          stackGap: 4,
+          topOffset: 0,
+          dynamicReorder: false,
+          layoutStrategy: 'stack',
+          autoAddRules: [],
+          windows: [win],
+          displayProfiles: {},
+          targetDisplay: null,
+        },
+      ],
+    });
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('migrates a version 2 file, keeping its settings split between app and stack', () => {
+    const data = migrate({
+      version: 2,
+      savedAt: '2026-01-01T00:00:00.000Z',
+      stackName: 'Chat',
+      hideAvailable: true,
+      backgroundColor: '#112233',
+      customWidth: 400,
+      customHeight: 600,
+      windows: [win],
+    });
+
+    expect(data).toMatchObject({
+      version: 3,
+      savedAt: '2026-01-01T00:00:00.000Z',
+      hideAvailable: true,
+      backgroundColor: '#112233',
+      stacks: [{ stackName: 'Chat', customWidth: 400, customHeight: 600, windows: [win] }],
+    });
+    expect(data).not.toHaveProperty('stackName');
+  });
+
+  it('fixes invalid fields and reports each one', () => {
+    const warn = vi.fn();
+    const data = migrate(
+      {
+        version: 3,
+        backgroundColor: 'red',
+        lightMode: 'yes',
+        dockEdge: 'middle',
+        currentStackId: 'missing',
+        stacks: [{ id: 'a', stackName: '', stackGap: -3, customWidth: 50, windows: [win, null, 'x'] }, 'not a stack'],
+      },
+      warn
+    );
+
+    expect(data.backgroundColor).toBe('#000000');
+    expect(data.lightMode).toBe(false);
+    expect(data.dockEdge).toBe('left');
+    expect(data.currentStackId).toBe('a');
+    expect(data.stacks).toHaveLength(1);
+    expect(data.stacks[0]).toMatchObject({
+      stackName: 'Managed Stack',
+      stackGap: 0,
+      customWidth: null,
+      windows: [win],
+    });
+    expect(warn).toHaveBeenCalledTimes(10);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('stacks[0].stackGap'));
+  });
+
+  it('drops fields no version knows about', () => {
+    const data = migrate({ version: 3, stacks: [{ id: 'a', windows: [], extra: 1 }], extra: 2 }, vi.fn());
+    expect(data).not.toHaveProperty('extra');
+    expect(data.stacks[0]).not.toHaveProperty('extra');
+  });
+
+  it('rejects files that are not persistence files or come from a newer version', () => {
+    expect(() => migrate(null)).toThrow(/Not a persistence file/);
+    expect(() => migrate([])).toThrow(/Not a persistence file/);
+    expect(() => migrate({ version: 'two' })).toThrow(/Unknown persistence file version/);
+    expect(() => migrate({ version: CURRENT_VERSION + 1 })).toThrow(/newer than this app supports/);
+  });
+
+  it('serializes a state with the same validation', () => {
+    const warn = vi.fn();
+    const data = serialize(
+      { lightMode: true, currentStackId: 's1', stacks: [{ id: 's1', stackName: 'Work', topOffset: 1.5 }] },
+      warn
+    );
+
+    expect(data.version).toBe(CURRENT_VERSION);
+    expect(new Date(data.savedAt).toISOString()).toBe(data.savedAt);
+    expect(data.currentStackId).toBe('s1');
+    expect(data.stacks[0]).toMatchObject({ stackName: 'Work', topOffset: 0, windows: [] });
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(migrate(data, warn)).toEqual(data);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
@@ -60,20 +60,30 @@ afterEach(() => {
   fs.rmSync(tmpDir, { recursive: true, force: true });
 });
 
-// Helper: build a minimal valid state object
-function makeState(overrides = {}) {
+// Helper: build a minimal valid state object (WindowManager.getState() shape)
+// with a single stack; stackOverrides apply to that stack
+function makeState(stackOverrides = {}, overrides = {}) {
   return {
-    stackName: 'Test Stack',
     hideAvailable: false,
     sortAvailableAlpha: true,
-    customWidth: 400,
-    customHeight: 600,
     backgroundColor: '#ffffff',
-    stackGap: 4,
-    topOffset: 10,
     lightMode: true,
-    dynamicReorder: false,
-    windows: [{ id: 1, title: 'Window A' }],
+    currentStackId: 'st1',
+    stacks: [
+      {
+        id: 'st1',
+        stackName: 'Test Stack',
+        customWidth: 400,
+        customHeight: 600,
+        stackGap: 4,
+        topOffset: 10,
+        dynamicReorder: false,
+        layoutStrategy: 'grid',
+        autoAddRules: [{ id: 'r1', name: 'Slack', process: 'slack.exe', position: 'bottom' }],
+        windows: [{ id: 1, title: 'Window A' }],
+        ...stackOverrides,
+      },
+    ],
     ...overrides,
   };
 }
@@ -126,11 +136,11 @@ describe('Persistence.save()', () => {
     expect(() => JSON.parse(raw)).not.toThrow();
   });
 
-  it('includes version:2 in saved data', async () => {
+  it('includes version:3 in saved data', async () => {
     const p = makePersistence('s2');
     await p.save(makeState());
     const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
-    expect(data.version).toBe(2);
+    expect(data.version).toBe(3);
   });
 
   it('includes all expected fields', async () => {
@@ -139,18 +149,53 @@ describe('Persistence.save()', () => {
     await p.save(state);
     const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
 
-    expect(data).toHaveProperty('stackName', state.stackName);
     expect(data).toHaveProperty('hideAvailable', state.hideAvailable);
     expect(data).toHaveProperty('sortAvailableAlpha', state.sortAvailableAlpha);
-    expect(data).toHaveProperty('customWidth', state.customWidth);
-    expect(data).toHaveProperty('customHeight', state.customHeight);
     expect(data).toHaveProperty('backgroundColor', state.backgroundColor);
-    expect(data).toHaveProperty('stackGap', state.stackGap);
-    expect(data).toHaveProperty('topOffset', state.topOffset);
     expect(data).toHaveProperty('lightMode', state.lightMode);
-    expect(data).toHaveProperty('dynamicReorder', state.dynamicReorder);
-    expect(data).toHaveProperty('windows');
-    expect(data.windows).toEqual(state.windows);
+    expect(data).toHaveProperty('currentStackId', 'st1');
+    expect(data.stacks).toHaveLength(1);
+
+    const [stack] = data.stacks;
+    const expected = state.stacks[0];
+    expect(stack).toHaveProperty('id', expected.id);
+    expect(stack).toHaveProperty('stackName', expected.stackName);
+    expect(stack).toHaveProperty('customWidth', expected.customWidth);
+    expect(stack).toHaveProperty('customHeight', expected.customHeight);
+    expect(stack).toHaveProperty('stackGap', expected.stackGap);
+    expect(stack).toHaveProperty('topOffset', expected.topOffset);
+    expect(stack).toHaveProperty('dynamicReorder', expected.dynamicReorder);
+    expect(stack).toHaveProperty('layoutStrategy', expected.layoutStrategy);
+    expect(stack.autoAddRules).toEqual(expected.autoAddRules);
+    expect(stack.windows).toEqual(expected.windows);
+  });
+
+  it('saves every stack in order', async () => {
+    const p = makePersistence('s6');
+    const state = makeState();
+    state.stacks.push({ id: 'st2', stackName: 'Chat', windows: [{ id: 2, title: 'Slack' }] });
+    await p.save(state);
+    const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
+
+    expect(data.stacks.map((s) => s.id)).toEqual(['st1', 'st2']);
+    expect(data.stacks[1]).toMatchObject({
+      stackName: 'Chat',
+      customWidth: null,
+      stackGap: 0,
+      layoutStrategy: 'stack',
+      autoAddRules: [],
+      windows: [{ id: 2, title: 'Slack' }],
+    });
+  });
+
+  it('saves a version 2 shaped state as a single stack', async () => {
+    const p = makePersistence('s7');
+    await p.save({ stackName: 'Legacy', lightMode: true, stackGap: 2, windows: [{ id: 1, title: 'A' }] });
+    const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
+
+    expect(data.lightMode).toBe(true);
+    expect(data.stacks).toHaveLength(1);
+    expect(data.stacks[0]).toMatchObject({ stackName: 'Legacy', stackGap: 2, windows: [{ id: 1, title: 'A' }] });
   });
 
   it('does nothing when filePath is null', async () => {
@@ -159,11 +204,40 @@ describe('Persistence.save()', () => {
     await expect(p.save(makeState())).resolves.toBeUndefined();
   });
 
+  it('defaults layoutStrategy to the strip stack', async () => {
+    const p = makePersistence('s5');
+    await p.save(makeState({ layoutStrategy: undefined }));
+    const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
+    expect(data.stacks[0].layoutStrategy).toBe('stack');
+  });
+
+  it('replaces invalid settings with defaults and warns', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const p = makePersistence('s8');
+    await p.save(makeState({ stackGap: 'wide' }, { backgroundColor: 'blue' }));
+    const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
+
+    expect(data.backgroundColor).toBe('#000000');
+    expect(data.stacks[0].stackGap).toBe(0);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
   it('saves with empty windows array', async () => {
     const p = makePersistence('s4');
     await p.save(makeState({ windows: [] }));
     const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
-    expect(data.windows).toEqual([]);
+    expect(data.stacks[0].windows).toEqual([]);
+  });
+
+  it('keeps the previous save as a backup', async () => {
+    const p = makePersistence('s9');
+    await p.save(makeState({ stackName: 'First' }));
+    await p.save(makeState({ stackName: 'Second' }));
+
+    const backup = JSON.parse(fs.readFileSync(p.filePath + '.bak1', 'utf-8'));
+    expect(backup.stacks[0].stackName).toBe('First');
+    expect(fs.readdirSync(tmpDir).filter((f) => f.endsWith('.tmp'))).toEqual([]);
   });
 });
 
@@ -176,24 +250,17 @@ describe('Persistence.saveSync()', () => {
     expect(fs.existsSync(p.filePath)).toBe(true);
   });
 
-  it('produces same format as save() — version:2 and all fields', () => {
-    const p = makePersistence('ss2');
+  it('produces same format as save() — version:3 and all fields', async () => {
     const state = makeState();
-    p.saveSync(state);
-    const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
-
-    expect(data.version).toBe(2);
-    expect(data).toHaveProperty('stackName', state.stackName);
-    expect(data).toHaveProperty('hideAvailable', state.hideAvailable);
-    expect(data).toHaveProperty('sortAvailableAlpha', state.sortAvailableAlpha);
-    expect(data).toHaveProperty('customWidth', state.customWidth);
-    expect(data).toHaveProperty('customHeight', state.customHeight);
-    expect(data).toHaveProperty('backgroundColor', state.backgroundColor);
-    expect(data).toHaveProperty('stackGap', state.stackGap);
-    expect(data).toHaveProperty('topOffset', state.topOffset);
-    expect(data).toHaveProperty('lightMode', state.lightMode);
-    expect(data).toHaveProperty('dynamicReorder', state.dynamicReorder);
-    expect(data.windows).toEqual(state.windows);
+    const sync = makePersistence('ss2');
+    sync.saveSync(state);
+    const async_ = makePersistence('ss3');
+    await async_.save(state);
+
+    const data = JSON.parse(fs.readFileSync(sync.filePath, 'utf-8'));
+    const asyncData = JSON.parse(fs.readFileSync(async_.filePath, 'utf-8'));
+    expect(data.version).toBe(3);
+    expect({ ...data, savedAt: null }).toEqual({ ...asyncData, savedAt: null });
   });
 
   it('does nothing when filePath is null', () => {
@@ -225,7 +292,7 @@ describe('Persistence write guard', () => {
 
     const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
     // The LAST state must win
-    expect(data.stackName).toBe('Second');
+    expect(data.stacks[0].stackName).toBe('Second');
   });
 
   it('write guard resets after completion — subsequent saves work normally', async () => {
@@ -235,7 +302,7 @@ describe('Persistence write guard', () => {
     await p.save(makeState({ stackName: 'Beta' }));
 
     const data = JSON.parse(fs.readFileSync(p.filePath, 'utf-8'));
-    expect(data.stackName).toBe('Beta');
+    expect(data.stacks[0].stackName).toBe('Beta');
     expect(p._writing).toBe(false);
   });
 });
@@ -252,6 +319,15 @@ describe('Persistence.cleanupFile()', () => {
     expect(fs.existsSync(p.filePath)).toBe(false);
   });
 
+  it('deletes its backups too', async () => {
+    const p = makePersistence('cl3');
+    await p.save(makeState());
+    await p.save(makeState());
+
+    p.cleanupFile();
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
   it('does nothing when instanceId is null', () => {
     const p = makePersistence(null); // no instanceId
     // Create the file manually to verify it is NOT deleted
@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { getProcessStartTime } = require('../../src/main/process-identity');
+
+describe('getProcessStartTime', () => {
+  it.skipIf(process.platform !== 'linux')('returns the same value for the same process', () => {
+    const startTime = getProcessStartTime(process.pid);
+    expect(typeof startTime).toBe('number');
+    expect(getProcessStartTime(process.pid)).toBe(startTime);
+    expect(getProcessStartTime(process.ppid)).not.toBe(startTime);
+  });
+
+  it('returns null for processes that do not exist and invalid pids', () => {
+    expect(getProcessStartTime(0)).toBeNull();
+    expect(getProcessStartTime(-5)).toBeNull();
+    expect(getProcessStartTime('123')).toBeNull();
+    expect(getProcessStartTime(2 ** 31 - 2)).toBeNull();
+  });
+});
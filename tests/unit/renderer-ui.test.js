@@ -50,10 +50,99 @@ function createDOM() {
     setStackGap: vi.fn(() => Promise.resolve({ success: true })),
     setTopOffset: vi.fn(() => Promise.resolve({ success: true })),
     reorderWindow: vi.fn(() => Promise.resolve({ success: true })),
+    getLayoutStrategies: vi.fn(() =>
+      Promise.resolve([
+        { id: 'stack', label: 'Strip stack' },
+        { id: 'grid', label: 'Grid' },
+      ])
+    ),
+    setLayoutStrategy: vi.fn(() => Promise.resolve({ success: true })),
+    setTargetDisplay: vi.fn(() => Promise.resolve({ success: true })),
+    setDockEdge: vi.fn(() => Promise.resolve({ success: true })),
+    setAppBarMode: vi.fn(() => Promise.resolve({ success: true })),
+    previewLayout: vi.fn(() =>
+      Promise.resolve({
+        success: true,
+        workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+        controller: { x: 0, y: 0, width: 300, height: 1040 },
+        plan: {
+          ok: true,
+          activeHwnd: 2,
+          targets: [
+            { hwnd: 1, x: 300, y: 0, cx: 810, cy: 1040 },
+            { hwnd: 2, x: 1110, y: 0, cx: 810, cy: 1040 },
+          ],
+          warnings: ['Custom width 3000px clamped to 1620px'],
+        },
+      })
+    ),
+    getHotkeys: vi.fn(() =>
+      Promise.resolve([
+        { action: 'next', label: 'Next window', accelerator: 'Ctrl+Alt+Down', registered: true, error: null },
+        {
+          action: 'previous',
+          label: 'Previous window',
+          accelerator: 'Ctrl+Alt+Up',
+          registered: false,
+          error: 'Shortcut is already in use',
+        },
+      ])
+    ),
+    setHotkey: vi.fn(() => Promise.resolve({ success: false, error: 'Already bound to "Next window"' })),
+    resetHotkeys: vi.fn(() => Promise.resolve({ success: true, hotkeys: [] })),
+    setRestoreSession: vi.fn(() => Promise.resolve({ success: true })),
+    cancelSessionRestore: vi.fn(() => Promise.resolve({ success: true })),
+    getAutoAddRules: vi.fn(() =>
+      Promise.resolve([
+        { id: 'r1', name: 'Slack', enabled: true, title: '', process: 'slack.exe', className: '', position: 'bottom' },
+      ])
+    ),
+    setAutoAddRules: vi.fn((rules) =>
+      Promise.resolve({ success: true, rules: rules.map((r, i) => ({ ...r, id: r.id || 'new' + i })) })
+    ),
+    getAvailableFilters: vi.fn(() =>
+      Promise.resolve({
+        hideCloaked: true,
+        rules: [{ id: 'x1', name: 'helper.exe', enabled: true, title: '', process: 'helper.exe', className: '' }],
+      })
+    ),
+    setAvailableFilters: vi.fn((filters) =>
+      Promise.resolve({
+        success: true,
+        filters: { hideCloaked: true, rules: (filters.rules || []).map((r, i) => ({ ...r, id: r.id || 'x' + i })) },
+      })
+    ),
+    excludeWindow: vi.fn(() => Promise.resolve({ success: true, rule: { id: 'x2', process: 'notepad.exe' } })),
+    createStack: vi.fn(() => Promise.resolve({ success: true, stackId: 'new' })),
+    selectStack: vi.fn(() => Promise.resolve({ success: true })),
+    removeStack: vi.fn(() => Promise.resolve({ success: true })),
+    moveWindowToStack: vi.fn(() => Promise.resolve({ success: true })),
+    showWindowMenu: vi.fn(() => Promise.resolve({ success: true })),
+    purgeStaleInstances: vi.fn(() => Promise.resolve({ success: true, message: 'Removed 1 stale instance.' })),
+    exportStack: vi.fn(() => Promise.resolve({ success: true, filePath: 'C:\\Users\\me\\Work.json' })),
+    importStack: vi.fn(() =>
+      Promise.resolve({
+        success: true,
+        report: {
+          stackName: 'Work',
+          acquired: ['Editor'],
+          missing: ['Calculator'],
+          warnings: ['Invalid stacks[0].stackGap (-5), using 0'],
+        },
+      })
+    ),
     onStateUpdate: vi.fn((cb) => {
       dom.window._stateUpdateCb = cb;
       return () => {};
     }),
+    onNotice: vi.fn((cb) => {
+      dom.window._noticeCb = cb;
+      return () => {};
+    }),
+    onAvailableChanged: vi.fn((cb) => {
+      dom.window._availableChangedCb = cb;
+      return () => {};
+    }),
     removeAllStateListeners: vi.fn(),
     setColorPickerLock: vi.fn(),
     setRenameFocusLock: vi.fn(),
@@ -271,6 +360,27 @@ describe('Renderer UI', () => {
     });
   });
 
+  // ─── Event hook health ─────────────────────────────────────────────────────
+
+  describe('Event hook health', () => {
+    it('should show the degraded-tracking warning while hooks are failing', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      const warning = dom.window.document.getElementById('hookWarning');
+      expect(warning.classList.contains('hidden')).toBe(true);
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, eventHooksHealthy: false });
+      await new Promise((r) => setTimeout(r, 50));
+      expect(warning.classList.contains('hidden')).toBe(false);
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, eventHooksHealthy: true });
+      await new Promise((r) => setTimeout(r, 50));
+      expect(warning.classList.contains('hidden')).toBe(true);
+    });
+  });
+
   // ─── Managed windows rendering ────────────────────────────────────────────
 
   describe('Managed windows rendering', () => {
@@ -343,6 +453,54 @@ describe('Renderer UI', () => {
       const items = managedList.querySelectorAll('.window-item');
       expect(items.length).toBeGreaterThanOrEqual(2);
     });
+
+    it('should update live titles in place while custom titles take precedence', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      const push = (titleA, titleB) =>
+        dom.window._stateUpdateCb({
+          managed: [
+            { hwnd: 101, title: titleA, customTitle: null },
+            { hwnd: 202, title: titleB, customTitle: 'Pinned name' },
+          ],
+          activeHwnd: 101,
+        });
+
+      push('Inbox - Browser', 'Docs - Browser');
+      await new Promise((r) => setTimeout(r, 50));
+      push('News - Browser', 'Search - Browser');
+      await new Promise((r) => setTimeout(r, 50));
+
+      const doc = dom.window.document;
+      expect(doc.querySelector('[data-hwnd="101"] .display-name').textContent).toBe('News - Browser');
+      expect(doc.querySelector('[data-hwnd="202"] .display-name').textContent).toBe('Pinned name');
+    });
+
+    it('should show the app icon and process name, updating when the icon arrives', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      const push = (icon) =>
+        dom.window._stateUpdateCb({
+          managed: [{ hwnd: 101, title: 'Untitled', processName: 'notepad.exe', exePath: 'C:\\notepad.exe', icon }],
+          activeHwnd: 101,
+        });
+
+      push(null);
+      await new Promise((r) => setTimeout(r, 50));
+      const item = dom.window.document.querySelector('#managedList [data-hwnd="101"]');
+      expect(item.querySelector('.app-icon').classList.contains('placeholder')).toBe(true);
+      expect(item.querySelector('.process-name').textContent).toBe('notepad.exe');
+      expect(item.querySelector('.process-name').title).toBe('C:\\notepad.exe');
+
+      push('data:image/png;base64,AAAA');
+      await new Promise((r) => setTimeout(r, 50));
+      expect(item.querySelector('.app-icon').getAttribute('src')).toBe('data:image/png;base64,AAAA');
+      expect(item.querySelector('.app-icon').classList.contains('placeholder')).toBe(false);
+      expect(item.querySelectorAll('.app-icon')).toHaveLength(1);
+    });
   });
 
   // ─── Available windows rendering ─────────────────────────────────────────
@@ -363,6 +521,38 @@ describe('Renderer UI', () => {
       expect(items.length).toBeGreaterThanOrEqual(2);
     });
 
+    it('should show why a window could not be added', async () => {
+      dom.window.electronAPI.getAvailableWindows.mockResolvedValue([{ hwnd: 300, title: 'Available 1' }]);
+      dom.window.electronAPI.addWindow.mockResolvedValue({
+        success: false,
+        error: 'This window is already managed by another instance [abcd1234]',
+      });
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 200));
+
+      dom.window.document.querySelector('#availableList [data-hwnd="300"] .btn-green').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      const toast = dom.window.document.querySelector('.notice-toast');
+      expect(toast.textContent).toContain('already managed by another instance [abcd1234]');
+    });
+
+    it('should show the app icon and process name on each row', async () => {
+      dom.window.electronAPI.getAvailableWindows.mockResolvedValue([
+        { hwnd: 300, title: 'Untitled', processName: 'notepad.exe', icon: 'data:image/png;base64,AAAA' },
+        { hwnd: 400, title: 'Untitled', processName: 'wordpad.exe', icon: 'https://example.com/x.png' },
+      ]);
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 200));
+
+      const doc = dom.window.document;
+      expect(doc.querySelector('[data-hwnd="300"] .process-name').textContent).toBe('notepad.exe');
+      expect(doc.querySelector('[data-hwnd="300"] .app-icon').getAttribute('src')).toBe('data:image/png;base64,AAAA');
+      expect(doc.querySelector('[data-hwnd="400"] .process-name').textContent).toBe('wordpad.exe');
+      // Only data URLs from the main process are used
+      expect(doc.querySelector('[data-hwnd="400"] .app-icon').hasAttribute('src')).toBe(false);
+    });
+
     it('should show empty state when no available windows', async () => {
       const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
       dom.window.eval(jsCode);
@@ -380,6 +570,17 @@ describe('Renderer UI', () => {
 
       expect(dom.window.electronAPI.getAvailableWindows).toHaveBeenCalled();
     });
+
+    it('should refresh when another instance claims or releases windows', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 200));
+      dom.window.electronAPI.getAvailableWindows.mockClear();
+
+      dom.window._availableChangedCb();
+
+      expect(dom.window.electronAPI.getAvailableWindows).toHaveBeenCalledTimes(1);
+    });
   });
 
   // ─── Dimensions section ───────────────────────────────────────────────────
@@ -424,6 +625,571 @@ describe('Renderer UI', () => {
     });
   });
 
+  // ─── Layout strategy ──────────────────────────────────────────────────────
+
+  describe('Layout strategy', () => {
+    it('should populate the layout select from getLayoutStrategies', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      const select = dom.window.document.getElementById('layoutStrategySelect');
+      expect([...select.options].map((o) => o.value)).toEqual(['stack', 'grid']);
+    });
+
+    it('should call setLayoutStrategy when the selection changes', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      const select = dom.window.document.getElementById('layoutStrategySelect');
+      select.value = 'grid';
+      select.dispatchEvent(new dom.window.Event('change'));
+
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.setLayoutStrategy).toHaveBeenCalledWith('grid');
+    });
+
+    it('should draw the previewed plan without applying it', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window.document.getElementById('previewLayoutBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.previewLayout).toHaveBeenCalledWith({ layoutStrategy: 'stack' });
+      const boxes = dom.window.document.querySelectorAll('#layoutPreviewCanvas .layout-preview-box');
+      // controller + 2 planned windows
+      expect(boxes.length).toBe(3);
+      expect(boxes[2].classList.contains('active')).toBe(true);
+      expect(dom.window.document.getElementById('layoutPreviewWarnings').textContent).toContain('clamped');
+      expect(dom.window.document.getElementById('layoutPreview').classList.contains('hidden')).toBe(false);
+      expect(dom.window.electronAPI.setLayoutStrategy).not.toHaveBeenCalled();
+    });
+
+    it('should re-preview instead of applying when the strategy changes during preview', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window.document.getElementById('previewLayoutBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      const select = dom.window.document.getElementById('layoutStrategySelect');
+      select.value = 'grid';
+      select.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.previewLayout).toHaveBeenLastCalledWith({ layoutStrategy: 'grid' });
+      expect(dom.window.electronAPI.setLayoutStrategy).not.toHaveBeenCalled();
+
+      dom.window.document.getElementById('applyPreviewBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.setLayoutStrategy).toHaveBeenCalledWith('grid');
+      expect(dom.window.document.getElementById('layoutPreview').classList.contains('hidden')).toBe(true);
+    });
+
+    it('should reflect layoutStrategy from state update', async () => {
+      const jsCode = fs.readFileSync(JS_PATH, 'utf-8');
+      dom.window.eval(jsCode);
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, layoutStrategy: 'grid' });
+
+      await new Promise((r) => setTimeout(r, 50));
+      const select = dom.window.document.getElementById('layoutStrategySelect');
+      expect(select.value).toBe('grid');
+    });
+  });
+
+  // ─── Target display ───────────────────────────────────────────────────────
+
+  describe('Target display', () => {
+    const displays = [
+      { id: 42, label: 'Display 1 — 3840×2160' },
+      { id: 7, label: 'Display 2 — 1920×1080 (primary)' },
+    ];
+
+    it('should list the attached displays after the positional choices', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, displays, targetDisplay: 42 });
+      await new Promise((r) => setTimeout(r, 50));
+
+      const select = dom.window.document.getElementById('targetDisplaySelect');
+      expect([...select.options].map((o) => o.value)).toEqual(['', 'primary', 'left', 'right', '42', '7']);
+      expect(select.value).toBe('42');
+    });
+
+    it('should keep a saved display that is not attached selectable', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, displays, targetDisplay: 99 });
+      await new Promise((r) => setTimeout(r, 50));
+
+      const select = dom.window.document.getElementById('targetDisplaySelect');
+      expect(select.value).toBe('99');
+      expect(select.selectedOptions[0].textContent).toBe('Disconnected display');
+    });
+
+    it('should send display ids as numbers and the default as null', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, displays, targetDisplay: null });
+      await new Promise((r) => setTimeout(r, 50));
+
+      const select = dom.window.document.getElementById('targetDisplaySelect');
+      for (const value of ['7', 'left', '']) {
+        select.value = value;
+        select.dispatchEvent(new dom.window.Event('change'));
+      }
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.setTargetDisplay.mock.calls).toEqual([[7], ['left'], [null]]);
+    });
+  });
+
+  // ─── Dock edge ────────────────────────────────────────────────────────────
+
+  describe('Dock edge', () => {
+    it('should reflect dockEdge from state update', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, dockEdge: 'top' });
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.document.getElementById('dockEdgeSelect').value).toBe('top');
+    });
+
+    it('should call setDockEdge when the selection changes', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      const select = dom.window.document.getElementById('dockEdgeSelect');
+      select.value = 'right';
+      select.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.setDockEdge).toHaveBeenCalledWith('right');
+    });
+
+    it('should reflect appBarMode from state update and send changes', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, appBarMode: 'reserve' });
+      await new Promise((r) => setTimeout(r, 50));
+      const select = dom.window.document.getElementById('appBarModeSelect');
+      expect(select.value).toBe('reserve');
+
+      select.value = 'autohide';
+      select.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.setAppBarMode).toHaveBeenCalledWith('autohide');
+    });
+  });
+
+  // ─── Session restore ──────────────────────────────────────────────────────
+
+  describe('Session restore', () => {
+    it('should toggle session restore from the checkbox', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      const toggle = dom.window.document.getElementById('restoreSessionToggle');
+      toggle.checked = true;
+      toggle.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.setRestoreSession).toHaveBeenCalledWith(true);
+    });
+
+    it('should show the pending restore banner and stop it on request', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, restoreSession: true, sessionRestorePending: 2 });
+      await new Promise((r) => setTimeout(r, 50));
+
+      const banner = dom.window.document.getElementById('sessionRestoreBanner');
+      expect(banner.classList.contains('hidden')).toBe(false);
+      expect(banner.textContent).toContain('waiting for 2 windows');
+      expect(dom.window.document.getElementById('restoreSessionToggle').checked).toBe(true);
+
+      dom.window.document.getElementById('cancelRestoreBtn').click();
+      expect(dom.window.electronAPI.cancelSessionRestore).toHaveBeenCalled();
+
+      dom.window._stateUpdateCb({ managed: [], activeHwnd: 0, sessionRestorePending: 0 });
+      await new Promise((r) => setTimeout(r, 50));
+      expect(banner.classList.contains('hidden')).toBe(true);
+    });
+  });
+
+  // ─── Notices ──────────────────────────────────────────────────────────────
+
+  describe('Notices', () => {
+    it('should show a notice from the main process until dismissed', async () => {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+
+      dom.window._noticeCb({ message: 'Restored 2 windows from "Work"' });
+
+      const toast = dom.window.document.querySelector('.notice-toast');
+      expect(toast.textContent).toContain('Restored 2 windows from "Work"');
+      toast.querySelector('button').click();
+      expect(dom.window.document.querySelector('.notice-toast')).toBeNull();
+    });
+  });
+
+  // ─── Auto-add rules ───────────────────────────────────────────────────────
+
+  describe('Auto-add rules', () => {
+    async function openAutoAdd() {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+      dom.window.document.getElementById('toggleAutoAddBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      return dom.window.document;
+    }
+
+    it('should render saved rules', async () => {
+      const doc = await openAutoAdd();
+      const rows = doc.querySelectorAll('#autoAddList .rule-row');
+      expect(rows.length).toBe(1);
+      expect(rows[0].querySelector('[data-field="process"]').value).toBe('slack.exe');
+      expect(rows[0].querySelector('[data-field="position"]').value).toBe('bottom');
+    });
+
+    it('should save a new rule once it has a matcher', async () => {
+      const doc = await openAutoAdd();
+      doc.getElementById('addRuleBtn').click();
+      const row = doc.querySelectorAll('#autoAddList .rule-row')[1];
+
+      row.querySelector('[data-field="name"]').value = 'Terminal';
+      row.querySelector('[data-field="name"]').dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+      // Incomplete rule is held back
+      expect(dom.window.electronAPI.setAutoAddRules).toHaveBeenLastCalledWith([
+        expect.objectContaining({ id: 'r1', process: 'slack.exe' }),
+      ]);
+
+      row.querySelector('[data-field="className"]').value = 'CASCADIA_HOSTING_WINDOW_CLASS';
+      row.querySelector('[data-field="className"]').dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+
+      const saved = dom.window.electronAPI.setAutoAddRules.mock.lastCall[0];
+      expect(saved).toHaveLength(2);
+      expect(saved[1]).toMatchObject({ name: 'Terminal', className: 'CASCADIA_HOSTING_WINDOW_CLASS', position: 'top' });
+      expect(row.dataset.id).toBe('new1');
+    });
+
+    it('should show the validation error from the main process', async () => {
+      const doc = await openAutoAdd();
+      dom.window.electronAPI.setAutoAddRules.mockResolvedValueOnce({ success: false, error: 'invalid title pattern' });
+
+      const title = doc.querySelector('#autoAddList [data-field="title"]');
+      title.value = '(';
+      title.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(doc.getElementById('autoAddError').textContent).toBe('invalid title pattern');
+    });
+
+    it('should delete a rule', async () => {
+      const doc = await openAutoAdd();
+      doc.querySelector('#autoAddList .rule-row .hotkey-clear').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.setAutoAddRules).toHaveBeenLastCalledWith([]);
+    });
+  });
+
+  // ─── Stacks ─────────────────────────────────────────────────────────────────
+
+  describe('Stack tabs', () => {
+    const twoStacks = {
+      managed: [{ hwnd: 100, title: 'Editor' }],
+      activeHwnd: 100,
+      currentStackId: 'a',
+      stacks: [
+        { id: 'a', stackName: 'Work', windowCount: 1, current: true },
+        { id: 'b', stackName: 'Chat', windowCount: 2, current: false },
+      ],
+    };
+
+    async function loadWithStacks(state = twoStacks) {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+      dom.window._stateUpdateCb(state);
+      await new Promise((r) => setTimeout(r, 50));
+      return dom.window.document;
+    }
+
+    it('should render one tab per stack with the current one active', async () => {
+      const doc = await loadWithStacks();
+      const tabs = doc.querySelectorAll('#stackTabs .stack-tab');
+      expect([...tabs].map((t) => t.querySelector('span').textContent)).toEqual(['Work', 'Chat']);
+      expect(tabs[0].classList.contains('active')).toBe(true);
+      expect(tabs[1].classList.contains('active')).toBe(false);
+      expect(tabs[0].querySelector('.stack-tab-remove')).not.toBeNull();
+      expect(tabs[1].querySelector('.stack-tab-remove')).toBeNull();
+    });
+
+    it('should select a stack when its tab is clicked', async () => {
+      const doc = await loadWithStacks();
+      doc.querySelectorAll('#stackTabs .stack-tab')[1].click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.selectStack).toHaveBeenCalledWith('b');
+    });
+
+    it('should create a stack from the + button', async () => {
+      const doc = await loadWithStacks();
+      doc.getElementById('addStackBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.createStack).toHaveBeenCalled();
+    });
+
+    it('should ask before removing a stack that holds windows', async () => {
+      const doc = await loadWithStacks();
+      dom.window.confirm = vi.fn(() => false);
+      doc.querySelector('#stackTabs .stack-tab-remove').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.confirm).toHaveBeenCalled();
+      expect(dom.window.electronAPI.removeStack).not.toHaveBeenCalled();
+
+      dom.window.confirm = vi.fn(() => true);
+      doc.querySelector('#stackTabs .stack-tab-remove').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.removeStack).toHaveBeenCalledWith('a');
+    });
+
+    it('should offer the other stacks in the row "Move to…" picker', async () => {
+      const doc = await loadWithStacks();
+      const select = doc.querySelector('#managedList .window-item[data-hwnd="100"] .stack-move');
+      expect([...select.options].map((o) => o.value)).toEqual(['', 'b']);
+
+      select.value = 'b';
+      select.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.moveWindowToStack).toHaveBeenCalledWith(100, 'b');
+      expect(dom.window.electronAPI.activateWindow).not.toHaveBeenCalled();
+    });
+
+    it('should open the native window menu on right-click', async () => {
+      const doc = await loadWithStacks();
+      const row = doc.querySelector('#managedList .window-item[data-hwnd="100"]');
+      const event = new dom.window.MouseEvent('contextmenu', { bubbles: true, cancelable: true });
+      row.dispatchEvent(event);
+      await new Promise((r) => setTimeout(r, 50));
+      expect(event.defaultPrevented).toBe(true);
+      expect(dom.window.electronAPI.showWindowMenu).toHaveBeenCalledWith(100);
+    });
+
+    it('should hide the picker and the remove button with a single stack', async () => {
+      const doc = await loadWithStacks({
+        ...twoStacks,
+        stacks: [{ id: 'a', stackName: 'Work', windowCount: 1, current: true }],
+      });
+      expect(doc.querySelectorAll('#stackTabs .stack-tab')).toHaveLength(1);
+      expect(doc.querySelector('.stack-tab-remove')).toBeNull();
+      expect(doc.querySelector('#managedList .stack-move')).toBeNull();
+    });
+
+    it('should reload the open auto-add rules when the stack changes', async () => {
+      const doc = await loadWithStacks();
+      doc.getElementById('toggleAutoAddBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      const calls = dom.window.electronAPI.getAutoAddRules.mock.calls.length;
+
+      dom.window._stateUpdateCb({ ...twoStacks, currentStackId: 'b', managed: [] });
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.getAutoAddRules.mock.calls.length).toBe(calls + 1);
+      expect(doc.querySelector('#stackTabs .stack-tab.active').dataset.stackId).toBe('b');
+    });
+  });
+
+  // ─── Available filters ──────────────────────────────────────────────────────
+
+  describe('Available filters', () => {
+    async function openFilters() {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+      dom.window.document.getElementById('toggleFiltersBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      return dom.window.document;
+    }
+
+    it('should render exclusion rules without a position', async () => {
+      const doc = await openFilters();
+      const rows = doc.querySelectorAll('#exclusionList .rule-row');
+      expect(rows.length).toBe(1);
+      expect(rows[0].querySelector('[data-field="process"]').value).toBe('helper.exe');
+      expect(rows[0].querySelector('[data-field="position"]')).toBeNull();
+      expect(doc.getElementById('hideCloakedToggle').checked).toBe(true);
+    });
+
+    it('should save edited rules and the cloaked toggle', async () => {
+      const doc = await openFilters();
+      const title = doc.querySelector('#exclusionList [data-field="title"]');
+      title.value = 'Helper';
+      title.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+      const saved = dom.window.electronAPI.setAvailableFilters.mock.lastCall[0];
+      expect(saved.rules).toEqual([expect.objectContaining({ id: 'x1', process: 'helper.exe', title: 'Helper' })]);
+      expect(saved.rules[0]).not.toHaveProperty('position');
+
+      const toggle = doc.getElementById('hideCloakedToggle');
+      toggle.checked = false;
+      toggle.dispatchEvent(new dom.window.Event('change'));
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.setAvailableFilters).toHaveBeenLastCalledWith({ hideCloaked: false });
+    });
+
+    it('should hide apps like an Available window and refresh the list', async () => {
+      dom.window.electronAPI.getAvailableWindows.mockResolvedValue([{ hwnd: 501, title: 'Notepad' }]);
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+      const doc = dom.window.document;
+
+      const hideBtn = doc.querySelector('#availableList .window-item[data-hwnd="501"] .btn-hide-similar');
+      expect(hideBtn.title).toBe('Hide apps like this');
+      const refreshes = dom.window.electronAPI.getAvailableWindows.mock.calls.length;
+      hideBtn.click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.excludeWindow).toHaveBeenCalledWith(501);
+      expect(dom.window.electronAPI.getAvailableWindows.mock.calls.length).toBeGreaterThan(refreshes);
+    });
+
+    it('should purge stale instances, report it and refresh the list', async () => {
+      const doc = await openFilters();
+      const refreshes = dom.window.electronAPI.getAvailableWindows.mock.calls.length;
+
+      doc.getElementById('purgeInstancesBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.purgeStaleInstances).toHaveBeenCalled();
+      expect(doc.querySelector('.notice-toast').textContent).toContain('Removed 1 stale instance.');
+      expect(dom.window.electronAPI.getAvailableWindows.mock.calls.length).toBeGreaterThan(refreshes);
+    });
+  });
+
+  // ─── Share ────────────────────────────────────────────────────────────────
+
+  describe('Share', () => {
+    async function openShare() {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 50));
+      const doc = dom.window.document;
+      doc.getElementById('toggleShareBtn').click();
+      return doc;
+    }
+
+    it('should export to a file or the clipboard and say where it went', async () => {
+      const doc = await openShare();
+      expect(doc.getElementById('shareContent').classList.contains('hidden')).toBe(false);
+
+      doc.getElementById('exportFileBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.exportStack).toHaveBeenCalledWith('file');
+      expect(doc.getElementById('shareReport').textContent).toContain('Saved to C:\\Users\\me\\Work.json');
+
+      doc.getElementById('exportClipboardBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(dom.window.electronAPI.exportStack).toHaveBeenCalledWith('clipboard');
+      expect(doc.getElementById('shareReport').textContent).toContain('Copied to the clipboard');
+    });
+
+    it('should show the import report and refresh the Available list', async () => {
+      const doc = await openShare();
+      const refreshes = dom.window.electronAPI.getAvailableWindows.mock.calls.length;
+
+      doc.getElementById('importClipboardBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.importStack).toHaveBeenCalledWith('clipboard');
+      const lines = [...doc.querySelectorAll('#shareReport div')];
+      expect(lines.map((l) => l.textContent)).toEqual([
+        'Imported "Work": 1 window(s) added',
+        'Not found: Calculator',
+        'Invalid stacks[0].stackGap (-5), using 0',
+      ]);
+      expect(lines.filter((l) => l.classList.contains('share-report-warning'))).toHaveLength(2);
+      expect(dom.window.electronAPI.getAvailableWindows.mock.calls.length).toBeGreaterThan(refreshes);
+    });
+
+    it('should report a rejected import and ignore a cancelled dialog', async () => {
+      const doc = await openShare();
+      dom.window.electronAPI.importStack.mockResolvedValueOnce({ success: false, error: 'Not a stack export' });
+      doc.getElementById('importFileBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(doc.getElementById('shareReport').textContent).toBe('Import failed: Not a stack export');
+
+      dom.window.electronAPI.importStack.mockResolvedValueOnce({ success: false, canceled: true });
+      doc.getElementById('importFileBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      expect(doc.getElementById('shareReport').textContent).toBe('Import failed: Not a stack export');
+    });
+  });
+
+  // ─── Hotkeys ──────────────────────────────────────────────────────────────
+
+  describe('Hotkeys', () => {
+    async function openHotkeys() {
+      dom.window.eval(fs.readFileSync(JS_PATH, 'utf-8'));
+      await new Promise((r) => setTimeout(r, 150));
+      dom.window.document.getElementById('toggleHotkeysBtn').click();
+      await new Promise((r) => setTimeout(r, 50));
+      return [...dom.window.document.querySelectorAll('#hotkeyList .hotkey-input')];
+    }
+
+    it('should list bindings and flag ones that could not be registered', async () => {
+      const inputs = await openHotkeys();
+
+      expect(dom.window.electronAPI.getHotkeys).toHaveBeenCalled();
+      expect(inputs.map((i) => i.value)).toEqual(['Ctrl+Alt+Down', 'Ctrl+Alt+Up']);
+      expect(inputs[0].classList.contains('unavailable')).toBe(false);
+      expect(inputs[1].classList.contains('unavailable')).toBe(true);
+      expect(inputs[1].title).toBe('Shortcut is already in use');
+    });
+
+    it('should capture a key combination and show the rejection reason', async () => {
+      const inputs = await openHotkeys();
+
+      inputs[1].dispatchEvent(
+        new dom.window.KeyboardEvent('keydown', { key: 'ArrowDown', code: 'ArrowDown', ctrlKey: true, altKey: true })
+      );
+      await new Promise((r) => setTimeout(r, 50));
+
+      expect(dom.window.electronAPI.setHotkey).toHaveBeenCalledWith('previous', 'Ctrl+Alt+Down');
+      expect(dom.window.document.getElementById('hotkeyError').textContent).toContain('Already bound');
+    });
+
+    it('should ignore modifier-only presses and disable on Backspace', async () => {
+      const inputs = await openHotkeys();
+
+      inputs[0].dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Control', ctrlKey: true }));
+      expect(dom.window.electronAPI.setHotkey).not.toHaveBeenCalled();
+
+      inputs[0].dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Backspace', code: 'Backspace' }));
+      expect(dom.window.electronAPI.setHotkey).toHaveBeenCalledWith('next', null);
+    });
+
+    it('should use the physical key for letters and digits', async () => {
+      const inputs = await openHotkeys();
+
+      inputs[0].dispatchEvent(
+        new dom.window.KeyboardEvent('keydown', { key: '!', code: 'Digit1', ctrlKey: true, shiftKey: true })
+      );
+      expect(dom.window.electronAPI.setHotkey).toHaveBeenCalledWith('next', 'Ctrl+Shift+1');
+    });
+  });
+
   // ─── Sort alpha toggle ────────────────────────────────────────────────────
 
   describe('Sort alpha toggle', () => {
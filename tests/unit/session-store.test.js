@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SessionStore, MAX_SAVED_STACKS } = require('../../src/main/session-store');
+
+function snapshot(name, windows = [{ title: 'Notepad', position: 0 }]) {
+  return { stackName: name, layoutStrategy: 'stack', windows };
+}
+
+describe('SessionStore', () => {
+  let tmpDir;
+  let store;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stack-session-'));
+    store = new SessionStore(path.join(tmpDir, 'session.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('is disabled by default and ignores saves until enabled', () => {
+    expect(store.isRestoreEnabled()).toBe(false);
+    store.saveStack('a', snapshot('A'));
+    store.setRestoreEnabled(true);
+    expect(store.claimStack('b', new Set(['b']))).toBeNull();
+  });
+
+  it('hands the saved stack of a finished instance to the next one', () => {
+    store.setRestoreEnabled(true);
+    store.saveStack('old', snapshot('Work'));
+
+    const claimed = store.claimStack('new', new Set(['new']));
+    expect(claimed).toMatchObject({ stackName: 'Work', windows: [{ title: 'Notepad', position: 0 }] });
+    // Re-keyed to the claimer, so a third instance gets nothing
+    expect(store.claimStack('third', new Set(['new', 'third']))).toBeNull();
+  });
+
+  it('never claims the stack of an instance that is still running', () => {
+    store.setRestoreEnabled(true);
+    store.saveStack('running', snapshot('Busy'));
+    expect(store.claimStack('new', new Set(['running', 'new']))).toBeNull();
+  });
+
+  it('claims the most recently saved stack first', async () => {
+    store.setRestoreEnabled(true);
+    store.saveStack('first', snapshot('Older'));
+    await new Promise((r) => setTimeout(r, 5));
+    store.saveStack('second', snapshot('Newer'));
+
+    expect(store.claimStack('x', new Set(['x'])).stackName).toBe('Newer');
+    expect(store.claimStack('y', new Set(['x', 'y'])).stackName).toBe('Older');
+  });
+
+  it('forgets a stack saved with no windows', () => {
+    store.setRestoreEnabled(true);
+    store.saveStack('a', snapshot('A'));
+    store.saveStack('a', snapshot('A', []));
+    expect(store.claimStack('b', new Set(['b']))).toBeNull();
+  });
+
+  it('keeps a multi-stack snapshot while any of its stacks has windows', () => {
+    store.setRestoreEnabled(true);
+    const multi = (windows) => ({
+      currentStackId: 's2',
+      stacks: [
+        { id: 's1', stackName: 'Work', windows: [] },
+        { id: 's2', stackName: 'Chat', windows },
+      ],
+    });
+    store.saveStack('a', multi([{ title: 'Slack', position: 0 }]));
+    expect(store.claimStack('b', new Set(['b'])).stacks[1].windows).toHaveLength(1);
+
+    store.saveStack('b', multi([]));
+    expect(store.claimStack('c', new Set(['c']))).toBeNull();
+  });
+
+  it('forgets every stack when restore is turned off', () => {
+    store.setRestoreEnabled(true);
+    store.saveStack('a', snapshot('A'));
+    store.setRestoreEnabled(false);
+    store.setRestoreEnabled(true);
+    expect(store.claimStack('b', new Set(['b']))).toBeNull();
+  });
+
+  it(`keeps at most ${MAX_SAVED_STACKS} stacks`, () => {
+    store.setRestoreEnabled(true);
+    for (let i = 0; i < MAX_SAVED_STACKS + 3; i++) store.saveStack('id' + i, snapshot('S' + i));
+    const data = JSON.parse(fs.readFileSync(store.filePath, 'utf-8'));
+    expect(Object.keys(data.stacks)).toHaveLength(MAX_SAVED_STACKS);
+    expect(data.stacks['id' + (MAX_SAVED_STACKS + 2)]).toBeDefined();
+  });
+
+  it('treats a corrupt file as empty', () => {
+    fs.writeFileSync(store.filePath, '{oops');
+    expect(store.isRestoreEnabled()).toBe(false);
+    store.setRestoreEnabled(true);
+    expect(store.isRestoreEnabled()).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { EXPORT_KIND, exportStack, parseStackImport } = require('../../src/main/stack-transfer');
+const { assignMatches } = require('../../src/main/window-matcher');
+
+const CODE = 'C:\\Program Files\\Microsoft VS Code\\Code.exe';
+
+function makeState() {
+  return {
+    hideAvailable: true,
+    sortAvailableAlpha: false,
+    backgroundColor: '#224466',
+    lightMode: true,
+    currentStackId: 's2',
+    stacks: [
+      { id: 's1', stackName: 'Other', windows: [] },
+      {
+        id: 's2',
+        stackName: 'Work',
+        customWidth: 900,
+        customHeight: null,
+        stackGap: 8,
+        topOffset: 20,
+        dynamicReorder: true,
+        layoutStrategy: 'grid',
+        targetDisplay: 'left',
+        displayProfiles: { '0,0,1920x1080': { stackGap: 0, topOffset: 0, customWidth: null, customHeight: null } },
+        autoAddRules: [
+          { id: 'r1', name: 'Code', enabled: true, title: '', process: 'Code.exe', className: '', position: 'top' },
+        ],
+        windows: [
+          {
+            hwnd: 11,
+            title: 'main.js - app - Visual Studio Code',
+            customTitle: 'Editor',
+            exePath: CODE,
+            className: 'Chrome_WidgetWin_1',
+          },
+          { hwnd: 12, title: 'Calculator', customTitle: null, exePath: '', className: 'ApplicationFrameWindow' },
+        ],
+      },
+    ],
+  };
+}
+
+describe('exportStack', () => {
+  it('exports one stack with its settings, the colors and window criteria', () => {
+    const data = exportStack(makeState(), 's2');
+
+    expect(data).toMatchObject({
+      kind: EXPORT_KIND,
+      backgroundColor: '#224466',
+      lightMode: true,
+      stacks: [
+        {
+          id: null,
+          stackName: 'Work',
+          customWidth: 900,
+          stackGap: 8,
+          topOffset: 20,
+          dynamicReorder: true,
+          layoutStrategy: 'grid',
+        },
+      ],
+    });
+    expect(data.stacks[0].windows).toEqual([
+      expect.objectContaining({
+        exeName: 'Code.exe',
+        titlePattern: '* - Visual Studio Code',
+        customTitle: 'Editor',
+        position: 0,
+      }),
+      expect.objectContaining({ className: 'ApplicationFrameWindow', title: 'Calculator', position: 1 }),
+    ]);
+    expect(JSON.stringify(data)).not.toContain('hwnd');
+    expect(data.stacks[0].targetDisplay).toBe('left');
+    expect(data).not.toHaveProperty('hideAvailable');
+  });
+
+  it("leaves out settings tied to this machine's monitors", () => {
+    const state = makeState();
+    state.stacks[1].targetDisplay = 2528732444;
+    const [stack] = exportStack(state, 's2').stacks;
+    expect(stack.displayProfiles).toEqual({});
+    expect(stack.targetDisplay).toBeNull();
+  });
+
+  it('rejects an unknown stack', () => {
+    expect(() => exportStack(makeState(), 'nope')).toThrow(/Unknown stack/);
+  });
+});
+
+describe('parseStackImport', () => {
+  it('round-trips an export', () => {
+    const definition = parseStackImport(JSON.stringify(exportStack(makeState(), 's2')));
+
+    expect(definition.warnings).toEqual([]);
+    expect(definition.backgroundColor).toBe('#224466');
+    expect(definition.stack).toMatchObject({ stackName: 'Work', customWidth: 900, layoutStrategy: 'grid' });
+    expect(definition.stack.autoAddRules).toEqual([expect.objectContaining({ process: 'Code.exe' })]);
+    expect(definition.stack.windows.map((w) => w.position)).toEqual([0, 1]);
+
+    const matches = assignMatches(definition.stack.windows, [
+      { hwnd: 21, title: 'Calculator', exePath: '', className: 'ApplicationFrameWindow' },
+      { hwnd: 22, title: 'notes.md - Visual Studio Code', exePath: CODE, className: 'Chrome_WidgetWin_1' },
+    ]);
+    expect(matches.map((m) => m.candidate.hwnd)).toEqual([22, 21]);
+  });
+
+  it('fixes invalid settings and drops unusable windows and rules, reporting each', () => {
+    const data = exportStack(makeState(), 's2');
+    data.backgroundColor = 'blue';
+    data.stacks[0].stackGap = -5;
+    data.stacks[0].windows.push({ title: 42 }, { exePath: '', className: '', titlePattern: '' });
+    data.stacks[0].autoAddRules.push({ name: 'empty' });
+
+    const { backgroundColor, stack, warnings } = parseStackImport(JSON.stringify(data));
+
+    expect(backgroundColor).toBe('#000000');
+    expect(stack.stackGap).toBe(0);
+    expect(stack.windows).toHaveLength(2);
+    expect(stack.autoAddRules).toHaveLength(1);
+    expect(warnings).toHaveLength(5);
+    expect(warnings).toContainEqual(expect.stringContaining('stacks[0].windows[3]'));
+    expect(warnings).toContainEqual(expect.stringContaining('stacks[0].autoAddRules[1]'));
+  });
+
+  it('imports only the first of several stacks', () => {
+    const data = exportStack(makeState(), 's2');
+    data.stacks.push({ ...data.stacks[0], stackName: 'Second' });
+
+    const { stack, warnings } = parseStackImport(JSON.stringify(data));
+
+    expect(stack.stackName).toBe('Work');
+    expect(warnings).toEqual(['Only the first of 2 stacks is imported']);
+  });
+
+  it('rejects text that is not a stack export', () => {
+    expect(() => parseStackImport('')).toThrow(/Nothing to import/);
+    expect(() => parseStackImport('{oops')).toThrow(/Not valid JSON/);
+    expect(() => parseStackImport(JSON.stringify({ version: 3, stacks: [] }))).toThrow(/Not a stack export/);
+    expect(() => parseStackImport(JSON.stringify({ kind: EXPORT_KIND, version: 3, stacks: [] }))).toThrow(
+      /holds no stack/
+    );
+    expect(() => parseStackImport(JSON.stringify({ kind: EXPORT_KIND, version: 99 }))).toThrow(/newer/);
+  });
+});
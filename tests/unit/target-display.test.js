@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { isTargetDisplay, resolveTargetDisplay, describeDisplays } = require('../../src/main/target-display');
+
+const laptop = {
+  id: 7,
+  bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+  workArea: { x: 0, y: 0, width: 1920, height: 1040 },
+};
+const monitor4k = {
+  id: 42,
+  bounds: { x: -3840, y: 0, width: 3840, height: 2160 },
+  workArea: { x: -3840, y: 0, width: 3840, height: 2120 },
+};
+const side = {
+  id: 9,
+  bounds: { x: 1920, y: 0, width: 1200, height: 1920 },
+  workArea: { x: 1920, y: 0, width: 1200, height: 1880 },
+};
+const screenInfo = { displays: [laptop, monitor4k, side], primaryId: 7, controllerDisplay: laptop };
+
+describe('isTargetDisplay', () => {
+  it('accepts null, the positional names and display ids', () => {
+    for (const value of [null, 'primary', 'left', 'right', 0, 2528732444]) expect(isTargetDisplay(value)).toBe(true);
+  });
+
+  it('rejects anything else', () => {
+    for (const value of [undefined, '', 'center', -1, 1.5, '42', {}]) expect(isTargetDisplay(value)).toBe(false);
+  });
+});
+
+describe('resolveTargetDisplay', () => {
+  it("uses the controller's display for null", () => {
+    expect(resolveTargetDisplay(null, screenInfo)).toBe(laptop);
+  });
+
+  it('finds displays by position or id', () => {
+    expect(resolveTargetDisplay('primary', screenInfo)).toBe(laptop);
+    expect(resolveTargetDisplay('left', screenInfo)).toBe(monitor4k);
+    expect(resolveTargetDisplay('right', screenInfo)).toBe(side);
+    expect(resolveTargetDisplay(42, screenInfo)).toBe(monitor4k);
+  });
+
+  it("falls back to the controller's display when the display is not attached", () => {
+    expect(resolveTargetDisplay(1234, screenInfo)).toBe(laptop);
+  });
+});
+
+describe('describeDisplays', () => {
+  it('lists displays left to right with their size, marking the primary one', () => {
+    expect(describeDisplays(screenInfo.displays, 7)).toEqual([
+      { id: 42, label: 'Display 1 — 3840×2160' },
+      { id: 7, label: 'Display 2 — 1920×1080 (primary)' },
+      { id: 9, label: 'Display 3 — 1200×1920' },
+    ]);
+  });
+});
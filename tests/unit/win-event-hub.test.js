@@ -0,0 +1,194 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// koffi is mocked in setup.mjs, so win32.js loads and its api/koffi members can be patched
+const win32 = require('../../src/main/win32');
+const { WinEventHub, TOPICS, computeHookRanges } = require('../../src/main/win-event-hub');
+
+let winEventProc;
+
+beforeEach(() => {
+  let nextHandle = 1;
+  win32.api.SetWinEventHook = vi.fn(() => nextHandle++);
+  win32.api.UnhookWinEvent = vi.fn(() => 1);
+  win32.api.IsWindowVisible = vi.fn(() => 1);
+  win32.koffi.register = vi.fn((fn) => {
+    winEventProc = fn;
+    return {};
+  });
+  win32.koffi.unregister = vi.fn();
+  win32.koffi.pointer = vi.fn((x) => x);
+  win32.koffi.address = vi.fn(() => 0);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+function fire(event, hwnd, idObject = 0, idChild = 0) {
+  winEventProc(0, event, hwnd, idObject, idChild, 0, 0);
+}
+
+describe('computeHookRanges', () => {
+  it('merges nearby events and keeps distant ones apart', () => {
+    expect(computeHookRanges([0x800c, 0x0003, 0x8001, 0x8003, 0x000a, 0x000b])).toEqual([
+      [0x0003, 0x0003],
+      [0x000a, 0x000b],
+      [0x8001, 0x8003],
+      [0x800c, 0x800c],
+    ]);
+  });
+
+  it('deduplicates events', () => {
+    expect(computeHookRanges([3, 3])).toEqual([[3, 3]]);
+  });
+});
+
+describe('WinEventHub', () => {
+  it('rejects unknown topics', () => {
+    const hub = new WinEventHub();
+    expect(() => hub.on('resize', vi.fn())).toThrow(/Unknown WinEvent topic/);
+  });
+
+  it('installs one hook per range with a single shared callback', () => {
+    const hub = new WinEventHub();
+    hub.on('foreground', vi.fn());
+    hub.on('moveSizeStart', vi.fn());
+    hub.on('moveSizeEnd', vi.fn());
+    hub.on('nameChange', vi.fn());
+    hub.start();
+
+    expect(win32.koffi.register).toHaveBeenCalledTimes(1);
+    expect(win32.api.SetWinEventHook.mock.calls.map((c) => [c[0], c[1]])).toEqual([
+      [TOPICS.foreground, TOPICS.foreground],
+      [TOPICS.moveSizeStart, TOPICS.moveSizeEnd],
+      [TOPICS.nameChange, TOPICS.nameChange],
+    ]);
+    hub.stop();
+  });
+
+  it('fans one event out to every subscriber of the topic', () => {
+    const hub = new WinEventHub();
+    const a = vi.fn();
+    const b = vi.fn();
+    hub.on('foreground', a);
+    hub.on('foreground', b);
+    hub.start();
+    hub.updateManagedSet([100]);
+
+    fire(TOPICS.foreground, 100);
+
+    expect(a).toHaveBeenCalledWith(100, 'foreground');
+    expect(b).toHaveBeenCalledWith(100, 'foreground');
+    hub.stop();
+  });
+
+  it('delivers unmanaged windows to subscribers that opt out of filtering', () => {
+    const hub = new WinEventHub();
+    const managedOnly = vi.fn();
+    const everyWindow = vi.fn();
+    hub.on('show', managedOnly);
+    hub.on('show', everyWindow, { managedOnly: false });
+    hub.start();
+
+    fire(TOPICS.show, 555);
+
+    expect(managedOnly).not.toHaveBeenCalled();
+    expect(everyWindow).toHaveBeenCalledWith(555, 'show');
+    hub.stop();
+  });
+
+  it('keeps dispatching when a subscriber throws', () => {
+    const hub = new WinEventHub();
+    const after = vi.fn();
+    hub.on('destroy', () => {
+      throw new Error('boom');
+    });
+    hub.on('destroy', after);
+    hub.start();
+    hub.updateManagedSet([100]);
+
+    fire(TOPICS.destroy, 100);
+
+    expect(after).toHaveBeenCalledWith(100, 'destroy');
+    hub.stop();
+  });
+
+  it('installs a hook for a topic subscribed after start and stops delivering after unsubscribe', () => {
+    const hub = new WinEventHub();
+    hub.on('foreground', vi.fn());
+    hub.start();
+    hub.updateManagedSet([100]);
+
+    const onMinimize = vi.fn();
+    const off = hub.on('minimizeEnd', onMinimize);
+    expect(win32.api.SetWinEventHook).toHaveBeenCalledTimes(2);
+
+    fire(TOPICS.minimizeEnd, 100);
+    off();
+    fire(TOPICS.minimizeEnd, 100);
+
+    expect(onMinimize).toHaveBeenCalledTimes(1);
+    hub.stop();
+  });
+
+  it('removes the hook of a topic once its last subscriber unsubscribes', () => {
+    const hub = new WinEventHub();
+    hub.on('foreground', vi.fn());
+    hub.start();
+    const offA = hub.on('create', vi.fn(), { managedOnly: false });
+    const offB = hub.on('create', vi.fn(), { managedOnly: false });
+    const createHandle = win32.api.SetWinEventHook.mock.results[1].value;
+
+    offA();
+    expect(win32.api.UnhookWinEvent).not.toHaveBeenCalled();
+    offB();
+    expect(win32.api.UnhookWinEvent).toHaveBeenCalledTimes(1);
+    expect(win32.api.UnhookWinEvent).toHaveBeenCalledWith(createHandle);
+    hub.stop();
+  });
+
+  it('retries a failed hook with backoff and reports status changes', () => {
+    vi.useFakeTimers();
+    win32.api.SetWinEventHook = vi.fn().mockReturnValueOnce(0).mockReturnValueOnce(0).mockReturnValue(77);
+    const onStatus = vi.fn();
+    const hub = new WinEventHub({ retryDelaysMs: [100, 1000] });
+    hub.onStatusChange(onStatus);
+    hub.on('foreground', vi.fn());
+    hub.start();
+
+    expect(hub.getStatus().healthy).toBe(false);
+    expect(onStatus).toHaveBeenLastCalledWith(expect.objectContaining({ healthy: false }));
+
+    vi.advanceTimersByTime(100);
+    expect(win32.api.SetWinEventHook).toHaveBeenCalledTimes(2);
+    expect(hub.getStatus().hooks[0]).toMatchObject({ installed: false, attempts: 2 });
+
+    vi.advanceTimersByTime(1000);
+    expect(win32.api.SetWinEventHook).toHaveBeenCalledTimes(3);
+    const status = hub.getStatus();
+    expect(status.healthy).toBe(true);
+    expect(status.hooks[0]).toMatchObject({ installed: true, attempts: 3, error: null, topics: ['foreground'] });
+    expect(onStatus).toHaveBeenLastCalledWith(expect.objectContaining({ healthy: true }));
+    hub.stop();
+  });
+
+  it('treats a throwing SetWinEventHook as a failed install', () => {
+    vi.useFakeTimers();
+    win32.api.SetWinEventHook = vi.fn(() => {
+      throw new Error('no user32');
+    });
+    const hub = new WinEventHub({ retryDelaysMs: [100] });
+    hub.on('destroy', vi.fn());
+    hub.start();
+
+    expect(hub.getStatus().hooks[0]).toMatchObject({ installed: false, error: 'no user32' });
+
+    hub.stop();
+    vi.advanceTimersByTime(1000);
+    // No retries after stop
+    expect(win32.api.SetWinEventHook).toHaveBeenCalledTimes(1);
+  });
+});
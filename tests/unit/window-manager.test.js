@@ -8,7 +8,7 @@ const require = createRequire(import.meta.url);
 // Load the real win32 module (koffi is mocked in setup.mjs so this works)
 // and window-manager which depends on it via require('./win32')
 const win32 = require('../../src/main/win32');
-const { WindowManager, CONTROLLER_WIDTH, HEADER_HEIGHT } = require('../../src/main/window-manager');
+const { WindowManager, CONTROLLER_WIDTH, HEADER_HEIGHT, MAX_STACKS } = require('../../src/main/window-manager');
 
 // The api object is shared between win32 and window-manager (same CJS module cache)
 // We use vi.spyOn to mock individual api functions on the shared object
@@ -135,6 +135,10 @@ describe('WindowManager', () => {
     it('initializes dynamicReorder to false', () => {
       expect(wm.dynamicReorder).toBe(false);
     });
+
+    it('initializes layoutStrategy to the strip stack', () => {
+      expect(wm.layoutStrategy).toBe('stack');
+    });
   });
 
   // ─── addWindow ──────────────────────────────────────────────────────────────
@@ -201,6 +205,316 @@ describe('WindowManager', () => {
       wm.addWindow(1001, 'Window A');
       expect(wm.managedWindows[0].customTitle).toBeNull();
     });
+
+    it('stores the executable path and window class for session matching', () => {
+      spyReturn(api, 'OpenProcess', 77);
+      spyOn(api, 'QueryFullProcessImageNameW', (h, flags, buf, size) => {
+        buf[0] = 'C:\\Apps\\code.exe';
+        size[0] = 16;
+        return 1;
+      });
+      spyReturn(api, 'CloseHandle', 1);
+      spyOn(api, 'GetClassNameW', (hwnd, buf) => {
+        buf[0] = 'Chrome_WidgetWin_1';
+        return 18;
+      });
+
+      wm.addWindow(1001, 'Window A');
+
+      expect(wm.managedWindows[0]).toMatchObject({ exePath: 'C:\\Apps\\code.exe', className: 'Chrome_WidgetWin_1' });
+      expect(api.CloseHandle).toHaveBeenCalledWith(77);
+      expect(wm.getState().stacks[0].windows[0]).toMatchObject({
+        exePath: 'C:\\Apps\\code.exe',
+        className: 'Chrome_WidgetWin_1',
+      });
+    });
+
+    it('reports process metadata in getManagedWindows and getAvailableWindow', () => {
+      spyReturn(api, 'OpenProcess', 77);
+      spyOn(api, 'QueryFullProcessImageNameW', (h, flags, buf, size) => {
+        buf[0] = 'C:\\Windows\\notepad.exe';
+        size[0] = 22;
+        return 1;
+      });
+      spyOn(api, 'GetClassNameW', (hwnd, buf) => {
+        buf[0] = 'Notepad';
+        return 7;
+      });
+      const meta = {
+        processId: 999,
+        exePath: 'C:\\Windows\\notepad.exe',
+        processName: 'notepad.exe',
+        className: 'Notepad',
+      };
+
+      expect(wm.getAvailableWindow(1001)).toMatchObject({ hwnd: 1001, title: 'Test Window', ...meta });
+      wm.addWindow(1001, 'Untitled - Notepad');
+      expect(wm.getManagedWindows()[0]).toEqual({
+        hwnd: 1001,
+        title: 'Untitled - Notepad',
+        customTitle: null,
+        ...meta,
+      });
+    });
+
+    it('leaves the process name empty when the executable cannot be queried', () => {
+      spyReturn(api, 'OpenProcess', 0);
+      wm.addWindow(1001, 'Elevated');
+      expect(wm.getManagedWindows()[0]).toMatchObject({ exePath: '', processName: '' });
+    });
+
+    it('inserts at the requested index with a custom title and without stealing focus', () => {
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+      api.SetForegroundWindow.mockClear();
+
+      const added = wm.addWindow(1003, 'Window C', { index: 1, customTitle: ' Mail ', activate: false });
+
+      expect(added).toBe(true);
+      expect(wm.getManagedHwnds()).toEqual([1002, 1003, 1001]);
+      expect(wm.managedWindows[1].customTitle).toBe('Mail');
+      expect(wm.activeHwnd).toBe(1002);
+      expect(api.SetForegroundWindow).not.toHaveBeenCalled();
+    });
+
+    it('returns false when the window was not added', () => {
+      wm.addWindow(1001, 'Window A');
+      expect(wm.addWindow(1001, 'Window A')).toBe(false);
+    });
+  });
+
+  // ─── getAvailableWindow ─────────────────────────────────────────────────────
+
+  describe('getAvailableWindow', () => {
+    it('describes a single eligible window', () => {
+      expect(wm.getAvailableWindow(3001)).toMatchObject({ hwnd: 3001, title: 'Test Window', processId: 999 });
+    });
+
+    it('returns null for hidden, tool, managed or excluded windows', () => {
+      expect(wm.getAvailableWindow(3001, new Set([3001]))).toBeNull();
+
+      wm.addWindow(3002, 'Managed');
+      expect(wm.getAvailableWindow(3002)).toBeNull();
+
+      api.GetWindowLongPtrW.mockReturnValue(0x80); // WS_EX_TOOLWINDOW
+      expect(wm.getAvailableWindow(3001)).toBeNull();
+
+      api.IsWindowVisible.mockReturnValue(0);
+      expect(wm.getAvailableWindow(3003)).toBeNull();
+    });
+  });
+
+  // ─── Process path cache ─────────────────────────────────────────────────────
+
+  describe('process paths', () => {
+    const platform = process.platform;
+    let createdAt;
+    let exePath;
+
+    beforeEach(() => {
+      // Process start times are read through GetProcessTimes on Windows
+      Object.defineProperty(process, 'platform', { value: 'win32' });
+      createdAt = 1;
+      exePath = 'C:\\Apps\\old.exe';
+      spyReturn(api, 'OpenProcess', 77);
+      spyReturn(api, 'CloseHandle', 1);
+      spyOn(api, 'GetProcessTimes', (h, creation) => {
+        Object.assign(creation, { dwHighDateTime: 0x01d00000, dwLowDateTime: createdAt * 10000000 });
+        return 1;
+      });
+      spyOn(api, 'QueryFullProcessImageNameW', (h, flags, buf, size) => {
+        if (!exePath) return 0;
+        buf[0] = exePath;
+        size[0] = exePath.length;
+        return 1;
+      });
+    });
+
+    afterEach(() => {
+      Object.defineProperty(process, 'platform', { value: platform });
+    });
+
+    it('queries each process once', () => {
+      wm.getAvailableWindow(3001);
+      wm.getAvailableWindow(3001);
+      expect(api.QueryFullProcessImageNameW).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not reuse the path of an exited process whose pid was given to a new one', () => {
+      expect(wm.getAvailableWindow(3001).exePath).toBe('C:\\Apps\\old.exe');
+
+      createdAt = 2;
+      exePath = 'C:\\Apps\\new.exe';
+      expect(wm.getAvailableWindow(3001)).toMatchObject({ exePath: 'C:\\Apps\\new.exe', processName: 'new.exe' });
+    });
+
+    it('queries again after a failed lookup', () => {
+      exePath = '';
+      expect(wm.getAvailableWindow(3001).exePath).toBe('');
+
+      exePath = 'C:\\Apps\\old.exe';
+      expect(wm.getAvailableWindow(3001).exePath).toBe('C:\\Apps\\old.exe');
+    });
+  });
+
+  // ─── Available list filters ─────────────────────────────────────────────────
+
+  describe('available filters', () => {
+    beforeEach(() => {
+      spyOn(api, 'EnumWindows', () => {
+        wm._enumResults.push(3001, 3002);
+        return 1;
+      });
+      spyOn(api, 'GetClassNameW', (hwnd, buf) => {
+        buf[0] = hwnd === 3002 ? 'HelperWnd' : 'Notepad';
+        return buf[0].length;
+      });
+    });
+
+    it('hides windows DWM reports as cloaked unless disabled', () => {
+      spyOn(api, 'DwmGetWindowAttribute', (hwnd, attr, out) => {
+        out[0] = hwnd === 3002 ? 2 : 0; // DWM_CLOAKED_SHELL
+        return 0;
+      });
+      expect(wm.getAvailableWindows().map((w) => w.hwnd)).toEqual([3001]);
+      expect(api.DwmGetWindowAttribute).toHaveBeenCalledWith(3002, win32.DWMWA_CLOAKED, expect.any(Array), 4);
+
+      wm.setAvailableFilters({ hideCloaked: false });
+      expect(wm.getAvailableWindows().map((w) => w.hwnd)).toEqual([3001, 3002]);
+    });
+
+    it('treats a failed DwmGetWindowAttribute as not cloaked', () => {
+      spyOn(api, 'DwmGetWindowAttribute', (hwnd, attr, out) => {
+        out[0] = 1;
+        return -2147024809; // E_INVALIDARG
+      });
+      expect(wm.getAvailableWindows()).toHaveLength(2);
+    });
+
+    it('drops windows matching an exclusion rule unless includeExcluded is set', () => {
+      wm.setAvailableFilters({ rules: [{ name: 'Helpers', className: 'HelperWnd' }, { name: 'Broken' }] });
+      expect(wm.exclusionRules).toHaveLength(1);
+      expect(wm.getAvailableWindows().map((w) => w.hwnd)).toEqual([3001]);
+      expect(wm.getAvailableWindows(new Set(), { includeExcluded: true }).map((w) => w.hwnd)).toEqual([3001, 3002]);
+      // Single-window lookups (auto-add) ignore exclusion rules
+      expect(wm.getAvailableWindow(3002)).toMatchObject({ hwnd: 3002, className: 'HelperWnd' });
+    });
+
+    it('keeps exclusion rules out of the persisted stack state', () => {
+      wm.setAvailableFilters({ rules: [{ className: 'HelperWnd' }] });
+      expect(wm.getState()).not.toHaveProperty('exclusionRules');
+    });
+  });
+
+  // ─── Auto-add rules ─────────────────────────────────────────────────────────
+
+  describe('auto-add rules', () => {
+    it('keeps valid rules, drops invalid ones and includes them in getState', () => {
+      wm.setAutoAddRules([
+        { id: 'a', name: 'Terminal', process: 'WindowsTerminal.exe', position: 'bottom' },
+        { name: 'No matcher' },
+        { name: 'Bad regex', title: '(' },
+      ]);
+      expect(wm.getAutoAddRules()).toEqual([
+        {
+          id: 'a',
+          name: 'Terminal',
+          enabled: true,
+          title: '',
+          process: 'WindowsTerminal.exe',
+          className: '',
+          position: 'bottom',
+        },
+      ]);
+      expect(wm.getState().stacks[0].autoAddRules).toHaveLength(1);
+    });
+
+    it('ignores a non-array', () => {
+      wm.setAutoAddRules('nope');
+      expect(wm.getAutoAddRules()).toEqual([]);
+    });
+  });
+
+  // ─── restoreOrphanedWindow ──────────────────────────────────────────────────
+
+  describe('restoreOrphanedWindow', () => {
+    const orphan = { hwnd: 2001, processId: 999, originalRect: { left: 10, top: 20, right: 810, bottom: 620 } };
+
+    it('moves a surviving window back to its original rect', () => {
+      expect(wm.restoreOrphanedWindow(orphan)).toBe(true);
+      expect(api.SetWindowPos).toHaveBeenCalledWith(2001, expect.anything(), 10, 20, 800, 600, expect.anything());
+    });
+
+    it('skips windows that no longer exist', () => {
+      api.IsWindow.mockReturnValue(0);
+      expect(wm.restoreOrphanedWindow(orphan)).toBe(false);
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+    });
+
+    it('skips an hwnd now owned by a different process', () => {
+      expect(wm.restoreOrphanedWindow({ ...orphan, processId: 1234 })).toBe(false);
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+    });
+
+    it('skips windows managed here or by another instance', () => {
+      expect(wm.restoreOrphanedWindow(orphan, new Set([2001]))).toBe(false);
+      wm.addWindow(2001, 'Mine');
+      api.SetWindowPos.mockClear();
+      expect(wm.restoreOrphanedWindow(orphan)).toBe(false);
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+    });
+
+    it('rejects malformed entries', () => {
+      expect(wm.restoreOrphanedWindow({ hwnd: 'x', processId: 999, originalRect: orphan.originalRect })).toBe(false);
+      expect(wm.restoreOrphanedWindow({ hwnd: 2001, processId: 999, originalRect: { left: 'a' } })).toBe(false);
+      expect(wm.restoreOrphanedWindow(null)).toBe(false);
+    });
+  });
+
+  // ─── Handoff between instances ──────────────────────────────────────────────
+
+  describe('releaseWindow / adoptWindow', () => {
+    it('releases a window without restoring it', () => {
+      wm.addWindow(1001, 'Window A', { customTitle: 'Editor' });
+      api.SetWindowPos.mockClear();
+
+      const entry = wm.releaseWindow(1001);
+
+      expect(entry).toEqual({
+        hwnd: 1001,
+        title: 'Window A',
+        customTitle: 'Editor',
+        processId: 999,
+        originalRect: { left: 0, top: 0, right: 800, bottom: 600 },
+      });
+      expect(wm.getManagedHwnds()).toEqual([]);
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+      expect(wm.releaseWindow(1001)).toBeNull();
+    });
+
+    it('adopts a window keeping its original rect and custom title', () => {
+      const second = wm.createStack('Chat');
+      const entry = {
+        hwnd: 3001,
+        title: 'Slack',
+        customTitle: 'Team chat',
+        processId: 999,
+        originalRect: { left: 50, top: 60, right: 650, bottom: 560 },
+      };
+
+      expect(wm.adoptWindow(entry, second)).toBe(true);
+
+      const [saved] = wm.getState().stacks[1].windows;
+      expect(saved).toMatchObject({ hwnd: 3001, customTitle: 'Team chat', originalRect: entry.originalRect });
+      expect(wm.getStack(second).activeHwnd).toBe(3001);
+    });
+
+    it('refuses a window that changed process or is already managed', () => {
+      const entry = { hwnd: 3001, title: 'X', processId: 1234, originalRect: { left: 0, top: 0, right: 1, bottom: 1 } };
+      expect(wm.adoptWindow(entry)).toBe(false);
+      wm.addWindow(3001, 'X');
+      expect(wm.adoptWindow({ ...entry, processId: 999 })).toBe(false);
+    });
   });
 
   // ─── removeWindow ───────────────────────────────────────────────────────────
@@ -245,6 +559,32 @@ describe('WindowManager', () => {
     });
   });
 
+  // ─── forgetWindow ───────────────────────────────────────────────────────────
+
+  describe('forgetWindow', () => {
+    beforeEach(() => {
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+    });
+
+    it('removes the window without restoring it', () => {
+      expect(wm.forgetWindow(1001)).toBe(true);
+      expect(wm.managedWindows.map((w) => w.hwnd)).toEqual([1002]);
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the first remaining window when the active one is forgotten', () => {
+      expect(wm.activeHwnd).toBe(1002);
+      wm.forgetWindow(1002);
+      expect(wm.activeHwnd).toBe(1001);
+    });
+
+    it('returns false for an unmanaged hwnd', () => {
+      expect(wm.forgetWindow(9999)).toBe(false);
+      expect(wm.managedWindows).toHaveLength(2);
+    });
+  });
+
   // ─── promoteToActive ────────────────────────────────────────────────────────
 
   describe('promoteToActive', () => {
@@ -472,6 +812,22 @@ describe('WindowManager', () => {
       expect(api.BeginDeferWindowPos).not.toHaveBeenCalled();
     });
 
+    it('lays each stack out in the bounds returned for it', () => {
+      wm.addWindow(1001, 'Window A');
+      const first = wm.currentStack;
+      wm.selectStack(wm.createStack('Monitor'));
+      wm.addWindow(2001, 'Window B');
+      const monitor = { x: 1920, y: 0, width: 0, height: 2120, displayRightEdge: 5760 };
+      const boundsFor = vi.fn((stack) => (stack === first ? DEFAULT_SCREEN : monitor));
+
+      wm.layoutStack(boundsFor);
+
+      expect(boundsFor).toHaveBeenCalledTimes(2);
+      const call = (hwnd) => api.DeferWindowPos.mock.calls.find((c) => c[1] === hwnd);
+      expect(call(1001).slice(3, 5)).toEqual([300, 0]);
+      expect(call(2001).slice(3, 7)).toEqual([1920, 0, 3840, 2120]);
+    });
+
     it('skips window matching skipHwnd', () => {
       wm.addWindow(1001, 'Window A');
       wm.addWindow(1002, 'Window B');
@@ -479,6 +835,105 @@ describe('WindowManager', () => {
       // Only 1 window should be positioned (1002 is active, 1001 is skipped)
       expect(api.DeferWindowPos).toHaveBeenCalledTimes(1);
     });
+
+    it('uses the selected layout strategy', () => {
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+      wm.setLayoutStrategy('columns');
+      wm.layoutStack(DEFAULT_SCREEN);
+      // Stack region: x = 300, width = 1920 - 300 = 1620 → two 810px columns
+      const calls = api.DeferWindowPos.mock.calls;
+      expect(calls.map((c) => c[5])).toEqual([810, 810]);
+      expect(calls.map((c) => c[6])).toEqual([1040, 1040]);
+    });
+
+    it('restores minimized windows before positioning them', () => {
+      wm.addWindow(1001, 'Window A');
+      api.IsIconic.mockImplementation((hwnd) => (hwnd === 1001 ? 1 : 0));
+      wm.layoutStack(DEFAULT_SCREEN);
+      expect(api.ShowWindow).toHaveBeenCalledWith(1001, 9);
+    });
+  });
+
+  // ─── planLayout ─────────────────────────────────────────────────────────────
+
+  describe('planLayout', () => {
+    it('snapshots minimized/maximized state into the layout state', () => {
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+      api.IsZoomed.mockImplementation((hwnd) => (hwnd === 1002 ? 1 : 0));
+      const state = wm.getLayoutState();
+      expect(state.windows).toEqual([
+        { hwnd: 1002, minimized: false, maximized: true },
+        { hwnd: 1001, minimized: false, maximized: false },
+      ]);
+      expect(state.layoutStrategy).toBe('stack');
+    });
+
+    it('plans without moving any window', () => {
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+      const plan = wm.planLayout(DEFAULT_SCREEN, 0, { layoutStrategy: 'columns' });
+      expect(plan.ok).toBe(true);
+      expect(plan.strategy).toBe('columns');
+      expect(plan.targets.map((t) => t.cx)).toEqual([810, 810]);
+      expect(api.BeginDeferWindowPos).not.toHaveBeenCalled();
+      expect(api.SetWindowPos).not.toHaveBeenCalled();
+      // Dry-run overrides never touch the real setting
+      expect(wm.getLayoutStrategy()).toBe('stack');
+    });
+  });
+
+  // ─── setLayoutStrategy ──────────────────────────────────────────────────────
+
+  describe('setLayoutStrategy', () => {
+    it('sets a known strategy and returns true', () => {
+      expect(wm.setLayoutStrategy('grid')).toBe(true);
+      expect(wm.getLayoutStrategy()).toBe('grid');
+    });
+
+    it('ignores unknown strategies and returns false', () => {
+      expect(wm.setLayoutStrategy('spiral')).toBe(false);
+      expect(wm.getLayoutStrategy()).toBe('stack');
+    });
+  });
+
+  // ─── refreshWindowTitle ─────────────────────────────────────────────────────
+
+  describe('refreshWindowTitle', () => {
+    beforeEach(() => {
+      wm.addWindow(1001, 'Old Title');
+    });
+
+    it('stores the new Win32 title and reports the change', () => {
+      api.GetWindowTextW.mockImplementation((hwnd, buf) => {
+        buf[0] = 'New Title';
+        return 9;
+      });
+      expect(wm.refreshWindowTitle(1001)).toBe(true);
+      expect(wm.managedWindows[0].title).toBe('New Title');
+    });
+
+    it('returns false when the title is unchanged or empty', () => {
+      api.GetWindowTextW.mockImplementation((hwnd, buf) => {
+        buf[0] = 'Old Title';
+        return 9;
+      });
+      expect(wm.refreshWindowTitle(1001)).toBe(false);
+      api.GetWindowTextLengthW.mockReturnValue(0);
+      expect(wm.refreshWindowTitle(1001)).toBe(false);
+      expect(wm.managedWindows[0].title).toBe('Old Title');
+    });
+
+    it('keeps customTitle untouched', () => {
+      wm.renameWindow(1001, 'Mine');
+      expect(wm.refreshWindowTitle(1001)).toBe(true);
+      expect(wm.managedWindows[0].customTitle).toBe('Mine');
+    });
+
+    it('returns false for an unmanaged hwnd', () => {
+      expect(wm.refreshWindowTitle(9999)).toBe(false);
+    });
   });
 
   // ─── setCustomDimensions ────────────────────────────────────────────────────
@@ -520,6 +975,133 @@ describe('WindowManager', () => {
     });
   });
 
+  // ─── clampCustomDimensions ──────────────────────────────────────────────────
+
+  describe('clampCustomDimensions', () => {
+    it('shrinks dimensions of every stack that no longer fit the work area', () => {
+      wm.setCustomDimensions(2400, 600);
+      wm.selectStack(wm.createStack('Second'));
+      wm.setCustomDimensions(null, 1400);
+
+      expect(wm.clampCustomDimensions({ width: 1920, height: 1040 })).toBe(true);
+      expect(wm.getStack(wm.stacks[0].id)).toMatchObject({ customWidth: 1920, customHeight: 600 });
+      expect(wm.customWidth).toBeNull();
+      expect(wm.customHeight).toBe(1040);
+    });
+
+    it('leaves dimensions that fit alone', () => {
+      wm.setCustomDimensions(800, 600);
+      expect(wm.clampCustomDimensions({ width: 1920, height: 1040 })).toBe(false);
+      expect(wm.customWidth).toBe(800);
+      expect(wm.customHeight).toBe(600);
+    });
+  });
+
+  // ─── Dock edge ──────────────────────────────────────────────────────────────
+
+  describe('setDockEdge', () => {
+    it('defaults to the left edge and saves the choice app-wide', () => {
+      expect(wm.getDockEdge()).toBe('left');
+      expect(wm.setDockEdge('bottom')).toBe(true);
+      wm.selectStack(wm.createStack('Second'));
+      expect(wm.getDockEdge()).toBe('bottom');
+      expect(wm.getState().dockEdge).toBe('bottom');
+    });
+
+    it('keeps the AppBar mode next to the edge', () => {
+      expect(wm.getAppBarMode()).toBe('off');
+      expect(wm.setAppBarMode('autohide')).toBe(true);
+      expect(wm.setAppBarMode('always')).toBe(false);
+      expect(wm.getState().appBarMode).toBe('autohide');
+    });
+
+    it('rejects anything but a screen edge', () => {
+      wm.setDockEdge('top');
+      expect(wm.setDockEdge('center')).toBe(false);
+      expect(wm.setDockEdge(undefined)).toBe(false);
+      expect(wm.getDockEdge()).toBe('top');
+    });
+  });
+
+  // ─── Target display ─────────────────────────────────────────────────────────
+
+  describe('setTargetDisplay', () => {
+    it("defaults to the controller's display and accepts positions or ids", () => {
+      expect(wm.getTargetDisplay()).toBeNull();
+      expect(wm.setTargetDisplay('right')).toBe(true);
+      expect(wm.getTargetDisplay()).toBe('right');
+      expect(wm.setTargetDisplay(2528732444)).toBe(true);
+      expect(wm.getState().stacks[0].targetDisplay).toBe(2528732444);
+      expect(wm.setTargetDisplay(undefined)).toBe(true);
+      expect(wm.getTargetDisplay()).toBeNull();
+    });
+
+    it('rejects invalid targets without changing the setting', () => {
+      wm.setTargetDisplay('left');
+      expect(wm.setTargetDisplay('middle')).toBe(false);
+      expect(wm.setTargetDisplay('42')).toBe(false);
+      expect(wm.getTargetDisplay()).toBe('left');
+    });
+
+    it('is kept per stack and copied to new stacks', () => {
+      wm.setTargetDisplay('primary');
+      const id = wm.createStack('Second');
+      expect(wm.getStack(id).targetDisplay).toBe('primary');
+      wm.selectStack(id);
+      wm.setTargetDisplay(null);
+      expect(wm.stacks[0].targetDisplay).toBe('primary');
+    });
+
+    it('clamps each stack to the work area of its own display', () => {
+      wm.setCustomDimensions(3000, null);
+      wm.selectStack(wm.createStack('Monitor'));
+      wm.setTargetDisplay('left');
+      const workAreas = { null: { width: 1920, height: 1040 }, left: { width: 3840, height: 2120 } };
+
+      wm.clampCustomDimensions((stack) => workAreas[stack.targetDisplay]);
+
+      expect(wm.stacks[0].customWidth).toBe(1920);
+      expect(wm.customWidth).toBe(3000);
+    });
+  });
+
+  // ─── Display profiles ───────────────────────────────────────────────────────
+
+  describe('display profiles', () => {
+    it('switches every stack back to the settings last used with a display configuration', () => {
+      wm.setStackGap(40);
+      wm.setCustomDimensions(2400, null);
+      wm.selectStack(wm.createStack('Second'));
+      wm.setTopOffset(100);
+      wm.rememberDisplayProfiles('docked');
+
+      // Undocked: the user adjusts the settings for the laptop screen
+      for (const stack of wm.stacks) stack.customWidth = null;
+      wm.setStackGap(0);
+      expect(wm.applyDisplayProfiles('laptop')).toBe(false);
+      wm.rememberDisplayProfiles('laptop');
+
+      expect(wm.applyDisplayProfiles('docked')).toBe(true);
+      expect(wm.stacks[0]).toMatchObject({ stackGap: 40, customWidth: 2400 });
+      expect(wm.currentStack).toMatchObject({ stackGap: 40, topOffset: 100, customWidth: 2400 });
+
+      expect(wm.applyDisplayProfiles('laptop')).toBe(true);
+      expect(wm.currentStack).toMatchObject({ stackGap: 0, topOffset: 100, customWidth: null });
+    });
+
+    it('includes the profiles in getState and validates them when set', () => {
+      wm.setStackGap(12);
+      wm.rememberDisplayProfiles('docked');
+      const { displayProfiles } = wm.getState().stacks[0];
+      expect(displayProfiles).toEqual({
+        docked: { stackGap: 12, topOffset: 0, customWidth: null, customHeight: null },
+      });
+
+      wm.setDisplayProfiles({ ...displayProfiles, bad: { stackGap: 'wide' } });
+      expect(Object.keys(wm.displayProfiles)).toEqual(['docked']);
+    });
+  });
+
   // ─── setStackGap ────────────────────────────────────────────────────────────
 
   describe('setStackGap', () => {
@@ -576,33 +1158,41 @@ describe('WindowManager', () => {
     it('returns correct serializable state with no windows', () => {
       const state = wm.getState();
       expect(state).toMatchObject({
-        stackName: 'Managed Stack',
         hideAvailable: false,
         sortAvailableAlpha: false,
         backgroundColor: '#000000',
-        customWidth: null,
-        customHeight: null,
-        stackGap: 0,
-        topOffset: 0,
         lightMode: false,
-        dynamicReorder: false,
-        windows: [],
+        currentStackId: wm.getCurrentStackId(),
+        stacks: [
+          {
+            id: wm.getCurrentStackId(),
+            stackName: 'Managed Stack',
+            customWidth: null,
+            customHeight: null,
+            stackGap: 0,
+            topOffset: 0,
+            dynamicReorder: false,
+            layoutStrategy: 'stack',
+            autoAddRules: [],
+            windows: [],
+          },
+        ],
       });
     });
 
     it('includes managed windows in state', () => {
       wm.addWindow(1001, 'Window A');
       const state = wm.getState();
-      expect(state.windows.length).toBe(1);
-      expect(state.windows[0].hwnd).toBe(1001);
-      expect(state.windows[0].title).toBe('Window A');
+      expect(state.stacks[0].windows.length).toBe(1);
+      expect(state.stacks[0].windows[0].hwnd).toBe(1001);
+      expect(state.stacks[0].windows[0].title).toBe('Window A');
     });
 
     it('includes customTitle in window state', () => {
       wm.addWindow(1001, 'Window A');
       wm.renameWindow(1001, 'Custom Name');
       const state = wm.getState();
-      expect(state.windows[0].customTitle).toBe('Custom Name');
+      expect(state.stacks[0].windows[0].customTitle).toBe('Custom Name');
     });
 
     it('reflects updated settings in state', () => {
@@ -612,12 +1202,12 @@ describe('WindowManager', () => {
       wm.setLightMode(true);
       wm.setDynamicReorder(true);
       const state = wm.getState();
-      expect(state.stackGap).toBe(50);
-      expect(state.topOffset).toBe(30);
-      expect(state.customWidth).toBe(800);
-      expect(state.customHeight).toBe(600);
+      expect(state.stacks[0].stackGap).toBe(50);
+      expect(state.stacks[0].topOffset).toBe(30);
+      expect(state.stacks[0].customWidth).toBe(800);
+      expect(state.stacks[0].customHeight).toBe(600);
       expect(state.lightMode).toBe(true);
-      expect(state.dynamicReorder).toBe(true);
+      expect(state.stacks[0].dynamicReorder).toBe(true);
     });
   });
 
@@ -693,6 +1283,111 @@ describe('WindowManager', () => {
     });
   });
 
+  // ─── Multiple stacks ────────────────────────────────────────────────────────
+
+  describe('multiple stacks', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = wm.getCurrentStackId();
+      wm.addWindow(1001, 'Window A');
+      wm.addWindow(1002, 'Window B');
+      second = wm.createStack('Chat');
+      wm.addWindow(2001, 'Slack', { stackId: second });
+    });
+
+    it('starts with one stack and adds new ones without selecting them', () => {
+      expect(wm.getStacks()).toEqual([
+        { id: first, stackName: 'Managed Stack', windowCount: 2, current: true },
+        { id: second, stackName: 'Chat', windowCount: 1, current: false },
+      ]);
+      expect(wm.getManagedWindows().map((w) => w.hwnd)).toEqual([1002, 1001]);
+    });
+
+    it('copies the current stack region into a new stack', () => {
+      wm.setStackGap(12);
+      wm.setCustomDimensions(500, null);
+      const id = wm.createStack();
+      wm.selectStack(id);
+      expect(wm.stackName).toBe('Stack 3');
+      expect(wm.getStackGap()).toBe(12);
+      expect(wm.getCustomDimensions()).toEqual({ customWidth: 500, customHeight: null });
+      expect(wm.managedWindows).toEqual([]);
+    });
+
+    it('keeps settings per stack', () => {
+      wm.setTopOffset(30);
+      wm.selectStack(second);
+      expect(wm.getTopOffset()).toBe(0);
+      expect(wm.getActiveHwnd()).toBe(2001);
+      wm.setStackName('Renamed');
+      wm.selectStack(first);
+      expect(wm.getTopOffset()).toBe(30);
+      expect(wm.getStack(second).stackName).toBe('Renamed');
+    });
+
+    it(`refuses more than ${MAX_STACKS} stacks`, () => {
+      while (wm.stacks.length < MAX_STACKS) wm.createStack();
+      expect(wm.createStack()).toBeNull();
+    });
+
+    it('refuses a window that another stack already holds', () => {
+      expect(wm.addWindow(2001, 'Slack')).toBe(false);
+      expect(wm.getManagedHwnds()).toEqual([1002, 1001, 2001]);
+    });
+
+    it('lays out every stack, the current one last', () => {
+      wm.layoutStack(DEFAULT_SCREEN);
+      const hwnds = api.DeferWindowPos.mock.calls.map((c) => c[1]);
+      expect(hwnds[0]).toBe(2001);
+      expect(hwnds.slice(1).sort()).toEqual([1001, 1002]);
+    });
+
+    it('switches to the stack of a window that gains focus', () => {
+      expect(wm.promoteToActive(2001)).toBe(true);
+      expect(wm.getCurrentStackId()).toBe(second);
+      expect(wm.getActiveHwnd()).toBe(2001);
+      expect(wm.promoteToActive(2001)).toBe(false);
+    });
+
+    it('moves a window into another stack as its active window', () => {
+      expect(wm.moveWindowToStack(1002, second)).toBe(true);
+      expect(wm.getActiveHwnd()).toBe(1001);
+      wm.selectStack(second);
+      expect(wm.managedWindows.map((w) => w.hwnd)).toEqual([1002, 2001]);
+      expect(wm.getActiveHwnd()).toBe(1002);
+      expect(wm.moveWindowToStack(1002, second)).toBe(false);
+      expect(wm.moveWindowToStack(1002, 'missing')).toBe(false);
+    });
+
+    it('removes a stack by restoring its windows, but never the last one', () => {
+      wm.selectStack(second);
+      expect(wm.removeStack(second)).toBe(true);
+      expect(api.SetWindowPos).toHaveBeenCalledWith(2001, expect.anything(), 0, 0, 800, 600, expect.anything());
+      expect(wm.getCurrentStackId()).toBe(first);
+      expect(wm.getManagedHwnds()).toEqual([1002, 1001]);
+      expect(wm.removeStack(first)).toBe(false);
+    });
+
+    it('restores and forgets windows in any stack', () => {
+      expect(wm.forgetWindow(2001)).toBe(true);
+      expect(wm.getStack(second).managedWindows).toEqual([]);
+      expect(wm.getStack(second).activeHwnd).toBe(0);
+      wm.restoreAll();
+      expect(wm.getManagedHwnds()).toEqual([]);
+    });
+
+    it('saves every stack in getState()', () => {
+      const state = wm.getState();
+      expect(state.currentStackId).toBe(first);
+      expect(state.stacks.map((s) => [s.id, s.stackName, s.windows.map((w) => w.hwnd)])).toEqual([
+        [first, 'Managed Stack', [1002, 1001]],
+        [second, 'Chat', [2001]],
+      ]);
+    });
+  });
+
   // ─── Exported constants ─────────────────────────────────────────────────────
 
   describe('Exported constants', () => {
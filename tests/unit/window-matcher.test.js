@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const {
+  deriveTitlePattern,
+  titleMatches,
+  buildMatchCriteria,
+  scoreMatch,
+  assignMatches,
+} = require('../../src/main/window-matcher');
+
+const CODE = 'C:\\Users\\me\\AppData\\Local\\Programs\\Microsoft VS Code\\Code.exe';
+
+function candidate(hwnd, title, exePath = CODE, className = 'Chrome_WidgetWin_1') {
+  return { hwnd, title, exePath, className };
+}
+
+describe('deriveTitlePattern', () => {
+  it('keeps only the app suffix of document-style titles', () => {
+    expect(deriveTitlePattern('main.js - STACK-WINDOWS - Visual Studio Code')).toBe('* - Visual Studio Code');
+    expect(deriveTitlePattern('Inbox | Mail')).toBe('* | Mail');
+  });
+
+  it('matches other titles literally', () => {
+    expect(deriveTitlePattern('Calculator')).toBe('Calculator');
+    expect(deriveTitlePattern('- leading dash')).toBe('- leading dash');
+  });
+});
+
+describe('titleMatches', () => {
+  it('treats * as a wildcard and everything else literally, ignoring case', () => {
+    expect(titleMatches('* - Visual Studio Code', 'app.js - visual studio code')).toBe(true);
+    expect(titleMatches('* - Visual Studio Code', 'Visual Studio Code')).toBe(false);
+    expect(titleMatches('a.b (1)', 'a.b (1)')).toBe(true);
+    expect(titleMatches('a.b (1)', 'axb (1)')).toBe(false);
+  });
+
+  it('matches anything with an empty pattern', () => {
+    expect(titleMatches('', 'whatever')).toBe(true);
+  });
+});
+
+describe('buildMatchCriteria', () => {
+  it('captures executable, class, title pattern, custom title and position', () => {
+    const criteria = buildMatchCriteria(
+      { title: 'a.js - Visual Studio Code', customTitle: 'Editor', exePath: CODE, className: 'Chrome_WidgetWin_1' },
+      2
+    );
+    expect(criteria).toEqual({
+      exePath: CODE,
+      exeName: 'Code.exe',
+      className: 'Chrome_WidgetWin_1',
+      title: 'a.js - Visual Studio Code',
+      titlePattern: '* - Visual Studio Code',
+      customTitle: 'Editor',
+      position: 2,
+    });
+  });
+});
+
+describe('scoreMatch', () => {
+  const criteria = buildMatchCriteria(
+    { title: 'a.js - Visual Studio Code', exePath: CODE, className: 'Chrome_WidgetWin_1' },
+    0
+  );
+
+  it('rejects a different executable, class or title', () => {
+    expect(scoreMatch(criteria, candidate(1, 'a.js - Visual Studio Code', 'C:\\chrome.exe'))).toBe(-1);
+    expect(scoreMatch(criteria, candidate(1, 'a.js - Visual Studio Code', CODE, 'Notepad'))).toBe(-1);
+    expect(scoreMatch(criteria, candidate(1, 'Settings'))).toBe(-1);
+  });
+
+  it('prefers the identical title over a pattern-only match', () => {
+    const exact = scoreMatch(criteria, candidate(1, 'a.js - Visual Studio Code'));
+    const pattern = scoreMatch(criteria, candidate(2, 'b.js - Visual Studio Code'));
+    expect(pattern).toBeGreaterThan(0);
+    expect(exact).toBeGreaterThan(pattern);
+  });
+
+  it('still matches the same executable name in a new install folder', () => {
+    expect(scoreMatch(criteria, candidate(1, 'a.js - Visual Studio Code', 'D:\\VSCode\\code.exe'))).toBeGreaterThan(0);
+  });
+
+  it('skips executable checks when the path could not be read', () => {
+    expect(scoreMatch(criteria, candidate(1, 'a.js - Visual Studio Code', ''))).toBeGreaterThan(0);
+  });
+});
+
+describe('assignMatches', () => {
+  it('sends two windows of the same app back to their own slots', () => {
+    const criteria = [
+      buildMatchCriteria({ title: 'b.js - Visual Studio Code', exePath: CODE, className: 'Chrome_WidgetWin_1' }, 0),
+      buildMatchCriteria({ title: 'a.js - Visual Studio Code', exePath: CODE, className: 'Chrome_WidgetWin_1' }, 1),
+    ];
+    const matches = assignMatches(criteria, [
+      candidate(10, 'a.js - Visual Studio Code'),
+      candidate(20, 'b.js - Visual Studio Code'),
+    ]);
+    expect(matches.map((m) => [m.criteria.position, m.candidate.hwnd])).toEqual([
+      [0, 20],
+      [1, 10],
+    ]);
+  });
+
+  it('uses each window once and leaves unmatched criteria pending', () => {
+    const criteria = [
+      buildMatchCriteria({ title: 'x - Visual Studio Code', exePath: CODE }, 0),
+      buildMatchCriteria({ title: 'y - Visual Studio Code', exePath: CODE }, 1),
+    ];
+    const matches = assignMatches(criteria, [candidate(10, 'z - Visual Studio Code')]);
+    expect(matches).toHaveLength(1);
+    expect(matches[0].criteria.position).toBe(0);
+  });
+});